@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+require("dotenv").config();
+
+const { Client, Events, GatewayIntentBits } = require("discord.js");
+const { InteractionHandler } = require("./src/core/interaction-handler");
+const { CommandRegistrar } = require("./src/core/command-registrar");
+const { logger } = require("./src/utils/logger");
+
+const USAGE = `Usage: npm run deploy-commands -- [options]
+
+Registers the bot's slash commands and removes stale ones. Commands are
+guild-scoped when DISCORD_GUILD_ID is set, global otherwise.
+
+Options:
+  --global      Use global scope even when DISCORD_GUILD_ID is set
+  --guild <id>  Use this guild instead of DISCORD_GUILD_ID
+  --clear       Remove every command in the scope instead of registering
+  --dry-run     Show what would change without changing anything
+  --help        Show this message`;
+
+function parseArgs(argv) {
+  const args = { global: false, guild: null, clear: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--global":
+        args.global = true;
+        break;
+      case "--guild":
+        args.guild = argv[++i];
+        if (!args.guild) throw new Error("--guild needs a server ID");
+        break;
+      case "--clear":
+        args.clear = true;
+        break;
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      case "--help":
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}\n\n${USAGE}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DISCORD_TOKEN) {
+    throw new Error("Missing required environment variable: DISCORD_TOKEN");
+  }
+
+  const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  const ready = new Promise((resolve) =>
+    client.once(Events.ClientReady, resolve)
+  );
+
+  try {
+    await client.login(process.env.DISCORD_TOKEN);
+    await ready;
+
+    const guildId = args.global
+      ? null
+      : args.guild || process.env.DISCORD_GUILD_ID;
+    const registrar = new CommandRegistrar(client, guildId);
+
+    if (args.clear) {
+      if (args.dryRun) {
+        const plan = await registrar.plan([]);
+        logger.info(
+          `Would remove ${plan.stale.length} commands (${registrar.scope})`
+        );
+        return;
+      }
+      const removed = await registrar.clear();
+      logger.info(`✅ Removed ${removed} commands (${registrar.scope})`);
+      return;
+    }
+
+    // Handlers are only built for their command definitions
+    const definitions = new InteractionHandler(
+      client,
+      null,
+      null
+    ).getCommandDefinitions();
+    const plan = await registrar.sync(definitions, {
+      prune: true,
+      dryRun: args.dryRun,
+    });
+
+    if (args.dryRun) {
+      for (const definition of plan.create) {
+        logger.info(`Would register /${definition.name}`);
+      }
+      for (const { definition } of plan.update) {
+        logger.info(`Would update /${definition.name}`);
+      }
+      for (const command of plan.stale) {
+        logger.info(`Would remove stale /${command.name}`);
+      }
+    }
+
+    // Commands left over from a global deployment show up twice in the guild
+    if (guildId) {
+      const global = await new CommandRegistrar(client).plan([]);
+      if (global.stale.length > 0) {
+        logger.warn(
+          `⚠️ ${global.stale.length} global commands are also registered, remove them with --global --clear`
+        );
+      }
+    }
+
+    if (!args.dryRun) {
+      logger.info(`✅ Slash commands are up to date (${registrar.scope})`);
+    }
+  } finally {
+    await client.destroy();
+  }
+}
+
+main().catch((error) => {
+  logger.error("❌ Failed to deploy commands:", error.message);
+  process.exitCode = 1;
+});
@@ -1,20 +1,55 @@
 const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+const { CustomId } = require("../../utils/custom-id");
+
+// Emergency operations offered to admins; target is what the reason modal asks for
+const EMERGENCY_ACTIONS = {
+  forceshutdown: {
+    label: "Force Shutdown",
+    emoji: "⏹️",
+    target: "user",
+    description: "Stop one user's running instance",
+  },
+  cancelsession: {
+    label: "Cancel Session",
+    emoji: "🗓️",
+    target: "session",
+    description: "Cancel a single session and release its license",
+  },
+  cancelall: {
+    label: "Cancel All Sessions",
+    emoji: "🚫",
+    target: null,
+    description: "Cancel every active and scheduled session",
+  },
+  maintenance: {
+    label: "Maintenance Shutdown",
+    emoji: "🛠️",
+    target: null,
+    description: "Stop all running instances and cancel all sessions",
+  },
+  reset: {
+    label: "Maintenance Reset",
+    emoji: "♻️",
+    target: null,
+    description: "Cancel all sessions, clear reservations and reset license pools",
+  },
+};
 
 class InstanceButtonBuilder {
-  static createRegistrationButtons() {
+  static createRegistrationButtons(kofiUrl = process.env.KOFI_URL) {
     const buttons = [
       new ButtonBuilder()
-        .setCustomId("foundry_register")
+        .setCustomId(CustomId.encode("register"))
         .setLabel("🎮 Register New Instance")
         .setStyle(ButtonStyle.Primary)
         .setEmoji("📝"),
     ];
 
     // Add Ko-fi support button if configured
-    if (process.env.KOFI_URL && process.env.KOFI_URL.trim() !== "") {
+    if (kofiUrl && kofiUrl.trim() !== "") {
       buttons.push(
         new ButtonBuilder()
-          .setURL(process.env.KOFI_URL)
+          .setURL(kofiUrl)
           .setLabel("☕ Support the Server")
           .setStyle(ButtonStyle.Link)
           .setEmoji("💖")
@@ -24,10 +59,15 @@ class InstanceButtonBuilder {
     return new ActionRowBuilder().addComponents(...buttons);
   }
 
-  static createUserControlButtons(userId, status, costData) {
+  static createUserControlButtons(
+    userId,
+    status,
+    costData,
+    kofiUrl = process.env.KOFI_URL
+  ) {
     const buttons = [
       new ButtonBuilder()
-        .setCustomId(`foundry_schedule_${userId}`)
+        .setCustomId(CustomId.encode("schedule", { userId }))
         .setLabel("Schedule Session")
         .setStyle(ButtonStyle.Primary)
         .setEmoji("📅"),
@@ -37,7 +77,7 @@ class InstanceButtonBuilder {
     if (status.licenseType === "byol") {
       buttons.push(
         new ButtonBuilder()
-          .setCustomId(`foundry_license_sharing_${userId}`)
+          .setCustomId(CustomId.encode("licensesharing", { userId }))
           .setLabel(
             status.allowLicenseSharing
               ? "Manage License Sharing"
@@ -55,11 +95,11 @@ class InstanceButtonBuilder {
     // Add Ko-fi button if there are remaining costs
     const remainingCost =
       costData?.adjustedUncoveredCost || costData?.uncoveredCost || 0;
-    if (costData && remainingCost > 0 && process.env.KOFI_URL) {
+    if (costData && remainingCost > 0 && kofiUrl) {
       const suggestedAmount = Math.min(remainingCost, 5).toFixed(2);
       buttons.push(
         new ButtonBuilder()
-          .setURL(process.env.KOFI_URL)
+          .setURL(kofiUrl)
           .setLabel(`☕ Cover $${suggestedAmount}`)
           .setStyle(ButtonStyle.Link)
           .setEmoji("💖")
@@ -77,27 +117,27 @@ class InstanceButtonBuilder {
       if (status.status === "running") {
         buttons.push(
           new ButtonBuilder()
-            .setCustomId(`foundry_stop_${userId}`)
+            .setCustomId(CustomId.encode("stop", { userId }))
             .setLabel("Stop Instance")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("⏹️"),
           new ButtonBuilder()
-            .setCustomId(`foundry_sessions_${userId}`)
+            .setCustomId(CustomId.encode("sessions", { userId }))
             .setLabel("My Sessions")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("📋"),
           new ButtonBuilder()
-            .setCustomId(`foundry_status_${userId}`)
+            .setCustomId(CustomId.encode("status", { userId }))
             .setLabel("Check Status")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔄"),
           new ButtonBuilder()
-            .setCustomId(`foundry_adminkey_${userId}`)
+            .setCustomId(CustomId.encode("adminkey", { userId }))
             .setLabel("Get Admin Key")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔑"),
           new ButtonBuilder()
-            .setCustomId(`foundry_destroy_${userId}`)
+            .setCustomId(CustomId.encode("destroy", { userId }))
             .setLabel("Destroy")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("💀")
@@ -105,22 +145,22 @@ class InstanceButtonBuilder {
       } else {
         buttons.push(
           new ButtonBuilder()
-            .setCustomId(`foundry_sessions_${userId}`)
+            .setCustomId(CustomId.encode("sessions", { userId }))
             .setLabel("My Sessions")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("📋"),
           new ButtonBuilder()
-            .setCustomId(`foundry_status_${userId}`)
+            .setCustomId(CustomId.encode("status", { userId }))
             .setLabel("Check Status")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔄"),
           new ButtonBuilder()
-            .setCustomId(`foundry_adminkey_${userId}`)
+            .setCustomId(CustomId.encode("adminkey", { userId }))
             .setLabel("Get Admin Key")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔑"),
           new ButtonBuilder()
-            .setCustomId(`foundry_destroy_${userId}`)
+            .setCustomId(CustomId.encode("destroy", { userId }))
             .setLabel("Destroy")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("💀")
@@ -131,22 +171,22 @@ class InstanceButtonBuilder {
       if (status.status === "stopped" || status.status === "created") {
         buttons.push(
           new ButtonBuilder()
-            .setCustomId(`foundry_start_${userId}`)
+            .setCustomId(CustomId.encode("start", { userId }))
             .setLabel("Start Instance")
             .setStyle(ButtonStyle.Success)
             .setEmoji("🚀"),
           new ButtonBuilder()
-            .setCustomId(`foundry_status_${userId}`)
+            .setCustomId(CustomId.encode("status", { userId }))
             .setLabel("Check Status")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔄"),
           new ButtonBuilder()
-            .setCustomId(`foundry_adminkey_${userId}`)
+            .setCustomId(CustomId.encode("adminkey", { userId }))
             .setLabel("Get Admin Key")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔑"),
           new ButtonBuilder()
-            .setCustomId(`foundry_destroy_${userId}`)
+            .setCustomId(CustomId.encode("destroy", { userId }))
             .setLabel("Destroy")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("💀")
@@ -154,22 +194,22 @@ class InstanceButtonBuilder {
       } else if (status.status === "running") {
         buttons.push(
           new ButtonBuilder()
-            .setCustomId(`foundry_stop_${userId}`)
+            .setCustomId(CustomId.encode("stop", { userId }))
             .setLabel("Stop Instance")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("⏹️"),
           new ButtonBuilder()
-            .setCustomId(`foundry_status_${userId}`)
+            .setCustomId(CustomId.encode("status", { userId }))
             .setLabel("Check Status")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔄"),
           new ButtonBuilder()
-            .setCustomId(`foundry_adminkey_${userId}`)
+            .setCustomId(CustomId.encode("adminkey", { userId }))
             .setLabel("Get Admin Key")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔑"),
           new ButtonBuilder()
-            .setCustomId(`foundry_destroy_${userId}`)
+            .setCustomId(CustomId.encode("destroy", { userId }))
             .setLabel("Destroy")
             .setStyle(ButtonStyle.Danger)
             .setEmoji("💀")
@@ -178,7 +218,7 @@ class InstanceButtonBuilder {
         // Other statuses (starting, stopping, etc.)
         buttons.push(
           new ButtonBuilder()
-            .setCustomId(`foundry_status_${userId}`)
+            .setCustomId(CustomId.encode("status", { userId }))
             .setLabel("Check Status")
             .setStyle(ButtonStyle.Secondary)
             .setEmoji("🔄")
@@ -189,45 +229,332 @@ class InstanceButtonBuilder {
     return new ActionRowBuilder().addComponents(...buttons);
   }
 
+  // Running instances can push their auto-shutdown back an hour at a time
+  static createExtendButton(userId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("extend", { userId }))
+        .setLabel("Extend +1h")
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji("⏱️")
+    );
+  }
+
+  // Control row plus a row to extend a running instance and change version
+  static createInstanceComponents(userId, status) {
+    const rows = [this.createInstanceControlButtons(userId, status)];
+
+    const buttons = [];
+    if (status.status === "running") {
+      buttons.push(...this.createExtendButton(userId).components);
+    }
+    if (["stopped", "created", "running"].includes(status.status)) {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("changeversion", { userId }))
+          .setLabel("Change Version")
+          .setStyle(ButtonStyle.Secondary)
+          .setEmoji("🏷️")
+      );
+    }
+    if (buttons.length > 0) {
+      rows.push(new ActionRowBuilder().addComponents(...buttons));
+    }
+
+    return rows;
+  }
+
   // createInstanceControlButtons is already implemented above as the main method
 
   static createAdminButtons() {
     return new ActionRowBuilder().addComponents(
       new ButtonBuilder()
-        .setCustomId("admin_refresh_status")
+        .setCustomId(CustomId.encode("admin.refresh"))
         .setLabel("🔄 Refresh")
         .setStyle(ButtonStyle.Secondary),
       new ButtonBuilder()
-        .setCustomId("admin_detailed_view")
+        .setCustomId(CustomId.encode("admin.detailed"))
         .setLabel("📋 Detailed View")
         .setStyle(ButtonStyle.Primary),
       new ButtonBuilder()
-        .setCustomId("admin_emergency_actions")
+        .setCustomId(CustomId.encode("admin.emergency"))
         .setLabel("🚨 Emergency Actions")
         .setStyle(ButtonStyle.Danger)
     );
   }
 
-  static createLicenseSharingButtons(userId, isCurrentlySharing) {
+  static createEmergencyActionButtons() {
     return new ActionRowBuilder().addComponents(
-      isCurrentlySharing
-        ? new ButtonBuilder()
-            .setCustomId(`foundry_stop_sharing_${userId}`)
-            .setLabel("Stop Pooling License")
-            .setStyle(ButtonStyle.Danger)
-            .setEmoji("🔒")
-        : new ButtonBuilder()
-            .setCustomId(`foundry_start_sharing_${userId}`)
-            .setLabel("Start Pooling License")
-            .setStyle(ButtonStyle.Success)
-            .setEmoji("🤝"),
+      ...Object.entries(EMERGENCY_ACTIONS).map(([operation, action]) =>
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("admin.emergencyop", { operation }))
+          .setLabel(action.label)
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji(action.emoji)
+      )
+    );
+  }
+
+  static createEmergencyConfirmButtons(operation) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("admin.emergencyconfirm", { operation }))
+        .setLabel(`Confirm ${EMERGENCY_ACTIONS[operation].label}`)
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("⚠️"),
       new ButtonBuilder()
-        .setCustomId(`foundry_license_sharing_cancel_${userId}`)
+        .setCustomId(CustomId.encode("admin.emergencycancel"))
+        .setLabel("Abort")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("❌")
+    );
+  }
+
+  static createAdminDetailedPageButtons(page, totalPages) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("admin.detailedpage", { page: page - 1 }))
+        .setLabel("Previous")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("◀️")
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("admin.detailedpage", { page: page + 1 }))
+        .setLabel("Next")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("▶️")
+        .setDisabled(page >= totalPages - 1)
+    );
+  }
+
+  // state comes from LicenseSharingEmbedBuilder.getState
+  static createLicenseSharingButtons(userId, state) {
+    const buttons = {
+      active: [
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingstopafter", { userId }))
+          .setLabel("Stop After Booked Sessions")
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji("⏳"),
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingstop", { userId }))
+          .setLabel("Stop Now")
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji("🔒"),
+      ],
+      scheduled_stop: [
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingcancelstop", { userId }))
+          .setLabel("Keep Sharing")
+          .setStyle(ButtonStyle.Success)
+          .setEmoji("🤝"),
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingstop", { userId }))
+          .setLabel("Stop Now")
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji("🔒"),
+      ],
+      inactive: [
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingreactivate", { userId }))
+          .setLabel("Reactivate Pooling")
+          .setStyle(ButtonStyle.Success)
+          .setEmoji("🤝"),
+      ],
+      private: [
+        new ButtonBuilder()
+          .setCustomId(CustomId.encode("sharingstart", { userId }))
+          .setLabel("Start Pooling License")
+          .setStyle(ButtonStyle.Success)
+          .setEmoji("🤝"),
+      ],
+    }[state];
+
+    return new ActionRowBuilder().addComponents(
+      ...buttons,
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("sharingcancel", { userId }))
         .setLabel("Cancel")
         .setStyle(ButtonStyle.Secondary)
         .setEmoji("❌")
     );
   }
+
+  static createLicenseSharingStopButtons(userId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("sharingstopconfirm", { userId }))
+        .setLabel("Stop Sharing Now")
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("🔒"),
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("sharingback", { userId }))
+        .setLabel("Back")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("↩️")
+    );
+  }
+
+  static createScheduleFormButton(userId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("scheduleform", { userId }))
+        .setLabel("Open Schedule Form")
+        .setStyle(ButtonStyle.Primary)
+        .setEmoji("📅"),
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("recurringform", { userId }))
+        .setLabel("Recurring Series")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("🔁")
+    );
+  }
+
+  static createScheduleConfirmButtons(userId, recurring = false) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(
+          CustomId.encode(recurring ? "recurringconfirm" : "scheduleconfirm", {
+            userId,
+          })
+        )
+        .setLabel(recurring ? "Book Series" : "Book Session")
+        .setStyle(ButtonStyle.Success)
+        .setEmoji("✅"),
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("schedulecancel", { userId }))
+        .setLabel("Cancel")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("❌")
+    );
+  }
+
+  static createSessionsPageButtons(userId, page, totalPages) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(
+          CustomId.encode("sessionspage", { userId, page: page - 1 })
+        )
+        .setLabel("Previous")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("◀️")
+        .setDisabled(page === 0),
+      new ButtonBuilder()
+        .setCustomId(
+          CustomId.encode("sessionspage", { userId, page: page + 1 })
+        )
+        .setLabel("Next")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("▶️")
+        .setDisabled(page >= totalPages - 1)
+    );
+  }
+
+  static createSessionActionButtons(userId, session) {
+    const buttons = [];
+
+    // Only sessions that haven't started can move or be cancelled
+    if (session.status === "scheduled") {
+      const minutes = Math.round((session.endTime - session.startTime) / 60);
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(
+            CustomId.encode("sessionreschedule", {
+              userId,
+              sessionId: session.sessionId,
+              minutes,
+            })
+          )
+          .setLabel("Reschedule")
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji("📅"),
+        new ButtonBuilder()
+          .setCustomId(
+            CustomId.encode("sessioncancel", {
+              userId,
+              sessionId: session.sessionId,
+            })
+          )
+          .setLabel("Cancel Session")
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji("❌")
+      );
+    }
+
+    return buttons.length > 0
+      ? new ActionRowBuilder().addComponents(...buttons)
+      : null;
+  }
+
+  static createSeriesCancelButton(userId, seriesId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("seriescancel", { userId, seriesId }))
+        .setLabel("Cancel Entire Series")
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("🗑️")
+    );
+  }
+
+  // Offered while a version switch snapshot exists
+  static createVersionRollbackButton(userId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("versionrollback", { userId }))
+        .setLabel("Roll back to previous version")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("↩️")
+    );
+  }
+
+  static createVersionRollbackConfirmButtons(userId) {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("versionrollbackconfirm", { userId }))
+        .setLabel("Restore Snapshot")
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("↩️"),
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("versionrollbackcancel", { userId }))
+        .setLabel("Cancel")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("❌")
+    );
+  }
+
+  static createDestroyConfirmButtons(userId, canKeepLicenseSharing) {
+    const buttons = [
+      new ButtonBuilder()
+        .setCustomId(
+          CustomId.encode("destroyconfirm", { userId, keepSharing: false })
+        )
+        .setLabel("Destroy Everything")
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji("💀"),
+    ];
+
+    if (canKeepLicenseSharing) {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(
+            CustomId.encode("destroyconfirm", { userId, keepSharing: true })
+          )
+          .setLabel("Destroy, Keep License Shared")
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji("🤝")
+      );
+    }
+
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(CustomId.encode("destroycancel", { userId }))
+        .setLabel("Cancel")
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji("❌")
+    );
+
+    return new ActionRowBuilder().addComponents(...buttons);
+  }
 }
 
-module.exports = { InstanceButtonBuilder };
+module.exports = { InstanceButtonBuilder, EMERGENCY_ACTIONS };
@@ -0,0 +1,247 @@
+const { EmbedBuilder } = require("discord.js");
+const { SupporterTiers } = require("../../utils/supporter-tiers");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+const { Permissions } = require("../../utils/permissions");
+
+const INSTANCES_PER_PAGE = 8;
+
+const STATUS_EMOJIS = {
+  running: "🟢",
+  starting: "🟡",
+  stopping: "🟠",
+  stopped: "🔴",
+  created: "⚪",
+  unknown: "❔",
+};
+
+class AdminEmbedBuilder {
+  static createOverview(data) {
+    return new EmbedBuilder()
+      .setTitle("🔧 System Administration Dashboard")
+      .setDescription("Current system status overview")
+      .setColor(0x00ff00)
+      .addFields([
+        {
+          name: "📊 System Summary",
+          value: [
+            `**Total Instances:** ${data.summary.totalInstances}`,
+            `**Running:** ${data.summary.runningInstances} | **BYOL:** ${data.summary.byolInstances} | **Pooled:** ${data.summary.pooledInstances}`,
+            `**Shared Licenses:** ${data.summary.sharedLicenses}`,
+            `**Active Sessions:** ${data.summary.activeSessions} | **Upcoming:** ${data.summary.upcomingSessions}`,
+          ].join("\n"),
+          inline: false,
+        },
+      ])
+      .setFooter({ text: "Last refreshed" })
+      .setTimestamp();
+  }
+
+  static createGuildSettings(guild, settings) {
+    const supporterTiers = settings.supporterTiers.map((tier) =>
+      SupporterTiers.describe(tier)
+    );
+
+    return new EmbedBuilder()
+      .setTitle(`⚙️ Server Settings – ${guild.name}`)
+      .setColor("#0099ff")
+      .addFields([
+        {
+          name: "📝 Log Channel",
+          value: settings.logChannelId
+            ? `<#${settings.logChannelId}>`
+            : "#foundry-bot-logs",
+          inline: true,
+        },
+        {
+          name: "📁 Command Channel Category",
+          value: settings.foundryCategory
+            ? `<#${settings.foundryCategory}>`
+            : "None",
+          inline: true,
+        },
+        {
+          name: "☕ Ko-fi",
+          value: settings.kofiUrl || "Not set",
+          inline: true,
+        },
+        {
+          name: "🛡️ Admin Roles",
+          value:
+            Permissions.describeRoles(settings.adminRoles) ||
+            "Administrator permission only",
+          inline: true,
+        },
+        {
+          name: "👥 Allowed Roles",
+          value: Permissions.describeRoles(settings.allowedRoles) || "Everyone",
+          inline: true,
+        },
+        {
+          name: "🔐 Role Permissions",
+          value:
+            Permissions.describeGrants(settings.rolePermissions).join("\n") ||
+            "None",
+          inline: false,
+        },
+        {
+          name: "💖 Supporter Tiers",
+          value: supporterTiers.join("\n") || "None",
+          inline: false,
+        },
+      ])
+      .setFooter({ text: "Unset values fall back to the bot's defaults" })
+      .setTimestamp();
+  }
+
+  static createBotConfig(config) {
+    const bot = config.getBotConfig();
+    const source = (section, key) =>
+      config.isOverridden(section, key) ? " *(runtime)*" : "";
+    const supporterTiers = config
+      .getSupporterTiers()
+      .map((tier) => SupporterTiers.describe(tier));
+    const catalogue = config.getVersionCatalogue();
+    const versions = catalogue.versions.map((version) =>
+      FoundryVersions.describe(version)
+    );
+    if (catalogue.minimumVersion) {
+      versions.push(`Minimum: **v${catalogue.minimumVersion}**`);
+    }
+
+    return new EmbedBuilder()
+      .setTitle("⚙️ Bot-wide Settings")
+      .setDescription(
+        "Defaults for every server. `/foundry admin setup` overrides them per server."
+      )
+      .setColor("#0099ff")
+      .addFields([
+        {
+          name: `📁 Command Channel Category${source("bot", "foundryCategory")}`,
+          value: bot.foundryCategory ? `<#${bot.foundryCategory}>` : "None",
+          inline: true,
+        },
+        {
+          name: `☕ Ko-fi${source("bot", "kofiUrl")}`,
+          value: bot.kofiUrl || "Not set",
+          inline: true,
+        },
+        {
+          name: `🛡️ Admin Roles${source("bot", "adminRoles")}`,
+          value:
+            Permissions.describeRoles(bot.adminRoles) ||
+            "Administrator permission only",
+          inline: false,
+        },
+        {
+          name: `👥 Allowed Roles${source("bot", "allowedRoles")}`,
+          value: Permissions.describeRoles(bot.allowedRoles) || "Everyone",
+          inline: false,
+        },
+        {
+          name: `🔐 Role Permissions${source("bot", "rolePermissions")}`,
+          value:
+            Permissions.describeGrants(bot.rolePermissions).join("\n") ||
+            "None",
+          inline: false,
+        },
+        {
+          name: `💖 Supporter Tiers${source("supporterTiers")}`,
+          value: supporterTiers.join("\n") || "None",
+          inline: false,
+        },
+        {
+          name: `🏷️ Foundry Versions${source("versionCatalogue")}`,
+          value: versions.join("\n").slice(0, 1024),
+          inline: false,
+        },
+      ])
+      .setFooter({ text: "Runtime values override the environment" })
+      .setTimestamp();
+  }
+
+  // Every instance from the overview, running ones first
+  static getAllInstances(data) {
+    return [
+      ...(data.instances.running || []),
+      ...(data.instances.other || []),
+      ...(data.instances.stopped || []),
+    ];
+  }
+
+  static getPageCount(data) {
+    return Math.max(
+      1,
+      Math.ceil(this.getAllInstances(data).length / INSTANCES_PER_PAGE)
+    );
+  }
+
+  static createDetailedView(data, page) {
+    const instances = this.getAllInstances(data);
+    const totalPages = this.getPageCount(data);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const sessions = [
+      ...(data.sessions.active || []),
+      ...(data.sessions.upcoming || []),
+    ];
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle("📋 All Instances")
+      .setFooter({
+        text: `Page ${currentPage + 1}/${totalPages} • ${instances.length} instances`,
+      })
+      .setTimestamp();
+
+    if (instances.length === 0) {
+      return embed.setDescription("No instances registered.");
+    }
+
+    embed.addFields(
+      instances
+        .slice(
+          currentPage * INSTANCES_PER_PAGE,
+          (currentPage + 1) * INSTANCES_PER_PAGE
+        )
+        .map((instance) => {
+          const lines = [
+            `**Owner:** <@${instance.userId}>`,
+            `**Status:** ${STATUS_EMOJIS[instance.status] || "❔"} ${
+              instance.status
+            }`,
+            `**Version:** ${instance.foundryVersion || "unknown"} | **License:** ${
+              instance.licenseType?.toUpperCase() || "unknown"
+            }`,
+          ];
+
+          if (instance.startedAt) {
+            lines.push(`**Started:** <t:${instance.startedAt}:R>`);
+          }
+          if (instance.autoShutdownAt) {
+            lines.push(`**Auto-Shutdown:** <t:${instance.autoShutdownAt}:R>`);
+          }
+          if (instance.linkedSessionId) {
+            const session = sessions.find(
+              (s) => s.sessionId === instance.linkedSessionId
+            );
+            lines.push(
+              `**Session:** ${
+                session
+                  ? `${session.title || "Untitled"} (ends <t:${session.endTime}:t>)`
+                  : instance.linkedSessionId
+              }`
+            );
+          }
+
+          return {
+            name: instance.username || instance.userId,
+            value: lines.join("\n"),
+            inline: true,
+          };
+        })
+    );
+
+    return embed;
+  }
+}
+
+module.exports = { AdminEmbedBuilder };
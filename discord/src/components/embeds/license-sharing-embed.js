@@ -0,0 +1,125 @@
+const { EmbedBuilder } = require("discord.js");
+
+const MAX_LISTED_SESSIONS = 10;
+
+const STATES = {
+  active: {
+    color: "#00ff00",
+    label: "🟢 **License Pooled**",
+    description:
+      "Your license is currently **pooled with the community** and available for others to use.",
+    footer:
+      "Stop after booked sessions to let others finish, or stop now to end sharing immediately",
+  },
+  scheduled_stop: {
+    color: "#ff9900",
+    label: "🟠 **Stopping After Sessions**",
+    description:
+      "Your license stays pooled until the sessions already booked on it are over. Nobody can book it in the meantime.",
+    footer: "Click 'Keep Sharing' to cancel the scheduled stop",
+  },
+  inactive: {
+    color: "#0099ff",
+    label: "🔴 **License Private**",
+    description:
+      "Your license is currently **private** and only used by your own instance.",
+    footer: "Click 'Reactivate Pooling' to share your license again",
+  },
+  private: {
+    color: "#0099ff",
+    label: "🔴 **License Private**",
+    description:
+      "Your license is currently **private** and only used by your own instance.",
+    footer: "Click 'Start Pooling' to share your license with the community",
+  },
+};
+
+class LicenseSharingEmbedBuilder {
+  // "private" means the license was never shared; older instances only have
+  // the allowLicenseSharing flag
+  static getState(status) {
+    if (status.licenseSharingState === "scheduled_stop") {
+      return "scheduled_stop";
+    }
+    if (status.allowLicenseSharing) return "active";
+    return status.licenseSharingState ? "inactive" : "private";
+  }
+
+  static create(status) {
+    const state = STATES[this.getState(status)];
+
+    const embed = new EmbedBuilder()
+      .setColor(state.color)
+      .setTitle("🔑 License Sharing Management")
+      .setDescription(state.description)
+      .addFields([
+        {
+          name: "🤝 What is License Pooling?",
+          value:
+            "• Share your Foundry license with the community\n" +
+            "• Others can schedule sessions using your license\n" +
+            "• You get priority access to your own license\n" +
+            "• Help others who don't have their own license",
+        },
+        {
+          name: "📋 Current Status",
+          value: state.label,
+          inline: true,
+        },
+        {
+          name: "🎯 Your Priority",
+          value:
+            "You always get priority access to your own license, even when shared",
+          inline: true,
+        },
+      ])
+      .setFooter({ text: state.footer })
+      .setTimestamp();
+
+    if (status.licenseSharingScheduledStop) {
+      embed.addFields([
+        {
+          name: "⏳ Scheduled Stop",
+          value: `Sharing ends after the last booked session, <t:${status.licenseSharingScheduledStop}:f> (<t:${status.licenseSharingScheduledStop}:R>).`,
+        },
+      ]);
+    }
+
+    return embed;
+  }
+
+  // Lists other users' sessions booked on the license before stopping now
+  static createStopConfirm(sessions) {
+    const lines = sessions
+      .slice(0, MAX_LISTED_SESSIONS)
+      .map(
+        (session) =>
+          `• <t:${session.startTime}:f> – **${session.title || "Foundry VTT Session"}** (${session.username})` +
+          (session.status === "active" ? " 🟢 running" : "")
+      );
+    if (sessions.length > MAX_LISTED_SESSIONS) {
+      lines.push(`…and ${sessions.length - MAX_LISTED_SESSIONS} more`);
+    }
+
+    return new EmbedBuilder()
+      .setColor("#ff0000")
+      .setTitle("⚠️ Stop License Sharing Now?")
+      .setDescription(
+        sessions.length > 0
+          ? "These sessions are booked on your license. When they start they move to another shared license, or fail if none is free. Running sessions continue until they end."
+          : "Nobody has a session booked on your license."
+      )
+      .addFields([
+        {
+          name: `📅 Affected Sessions (${sessions.length})`,
+          value: lines.length > 0 ? lines.join("\n") : "None",
+        },
+      ])
+      .setFooter({
+        text: "Stop after booked sessions instead to let them keep your license",
+      })
+      .setTimestamp();
+  }
+}
+
+module.exports = { LicenseSharingEmbedBuilder };
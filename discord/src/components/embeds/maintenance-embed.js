@@ -0,0 +1,67 @@
+const { EmbedBuilder } = require("discord.js");
+
+const DEFAULT_MESSAGE =
+  "The Foundry VTT service is undergoing maintenance. Please try again later.";
+
+class MaintenanceEmbedBuilder {
+  static formatEta(maintenance) {
+    return maintenance.eta
+      ? `<t:${maintenance.eta}:f> (<t:${maintenance.eta}:R>)`
+      : "Unknown";
+  }
+
+  // Shown instead of running a user action while maintenance is on
+  static createBanner(maintenance) {
+    return new EmbedBuilder()
+      .setColor("#ff9900")
+      .setTitle("🛠️ Maintenance in Progress")
+      .setDescription(maintenance.message || DEFAULT_MESSAGE)
+      .addFields([
+        {
+          name: "Expected Back",
+          value: this.formatEta(maintenance),
+          inline: true,
+        },
+      ])
+      .setTimestamp();
+  }
+
+  // Adds the maintenance notice to registration and status embeds
+  static addNotice(embed, maintenance) {
+    if (!maintenance) return embed;
+
+    return embed.addFields([
+      {
+        name: "🛠️ Maintenance in Progress",
+        value: `${maintenance.message || DEFAULT_MESSAGE}\n**Expected back:** ${this.formatEta(maintenance)}`,
+      },
+    ]);
+  }
+
+  static createEndedAnnouncement(maintenance) {
+    const embed = new EmbedBuilder()
+      .setColor("#00ff00")
+      .setTitle("✅ Maintenance Complete")
+      .setDescription(
+        "The Foundry VTT service is available again. Instances can be started and sessions scheduled as usual."
+      )
+      .setTimestamp();
+
+    if (maintenance?.startedAt) {
+      embed.addFields([
+        {
+          name: "Duration",
+          value: `${Math.max(
+            1,
+            Math.round((Date.now() / 1000 - maintenance.startedAt) / 60)
+          )} minutes`,
+          inline: true,
+        },
+      ]);
+    }
+
+    return embed;
+  }
+}
+
+module.exports = { MaintenanceEmbedBuilder };
@@ -1,8 +1,9 @@
 const { EmbedBuilder } = require("discord.js");
+const { MaintenanceEmbedBuilder } = require("./maintenance-embed");
 
 class RegistrationEmbedBuilder {
-  static create() {
-    return new EmbedBuilder()
+  static create(maintenance = null) {
+    const embed = new EmbedBuilder()
       .setColor("#0099ff")
       .setTitle("Register Your Foundry VTT Instance")
       .setDescription(
@@ -29,6 +30,8 @@ class RegistrationEmbedBuilder {
         text: "💡 Tip: Licenses can be pooled, instances are shared. Click Register to get started!",
       })
       .setTimestamp();
+
+    return MaintenanceEmbedBuilder.addNotice(embed, maintenance);
   }
 
   static createStatsEmbed(summary, costData, licensePools, supporterData) {
@@ -1,7 +1,16 @@
 const { EmbedBuilder } = require("discord.js");
+const { MaintenanceEmbedBuilder } = require("./maintenance-embed");
+
+// Startup phases reported by the Lambda status action, in order
+const START_PHASES = [
+  ["provisioning", "Provisioning task"],
+  ["pulling", "Pulling container image"],
+  ["health-checks", "Passing load balancer health checks"],
+  ["ready", "Foundry responding"],
+];
 
 class StatusEmbedBuilder {
-  static create(status, context = "status") {
+  static create(status, context = "status", maintenance = null) {
     const statusEmojis = {
       running: "🟢",
       starting: "🟡",
@@ -136,10 +145,77 @@ class StatusEmbedBuilder {
       ]);
     }
 
+    MaintenanceEmbedBuilder.addNotice(embed, maintenance);
+
     embed.setTimestamp();
     return embed;
   }
 
+  /**
+   * Live start progress. phase is one of START_PHASES, or "failed" /
+   * "timeout" once the monitor has given up.
+   */
+  static createStartProgress({ phase, detail, url, startedAt, reachable }) {
+    const elapsed = `${Math.floor((Date.now() - startedAt) / 60000)}m ${
+      Math.floor((Date.now() - startedAt) / 1000) % 60
+    }s`;
+
+    if (phase === "failed") {
+      return new EmbedBuilder()
+        .setColor("#ff0000")
+        .setTitle("❌ Instance Failed to Start")
+        .setDescription(detail || "The instance stopped during startup.")
+        .addFields([{ name: "Elapsed", value: elapsed, inline: true }])
+        .setFooter({
+          text: "Try starting again, or ask an admin to check the logs",
+        })
+        .setTimestamp();
+    }
+
+    if (phase === "timeout") {
+      return new EmbedBuilder()
+        .setColor("#ff9900")
+        .setTitle("⌛ Startup Is Taking Longer Than Expected")
+        .setDescription(
+          "Progress tracking has stopped. Use Check Status to see if the instance came up."
+        )
+        .addFields([
+          { name: "Last Phase", value: detail || "Unknown", inline: true },
+          { name: "Elapsed", value: elapsed, inline: true },
+        ])
+        .setTimestamp();
+    }
+
+    // Every step is done once the URL actually answers
+    const currentIndex = reachable
+      ? START_PHASES.length
+      : START_PHASES.findIndex(([key]) => key === phase);
+    const steps = START_PHASES.map(([, label], index) => {
+      if (index < currentIndex) return `✅ ${label}`;
+      return index === currentIndex ? `🔄 **${label}**` : `⬜ ${label}`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(reachable ? "#00ff00" : "#ffff00")
+      .setTitle(reachable ? "🟢 Instance Ready" : "🚀 Starting Instance")
+      .setDescription(steps.join("\n"))
+      .addFields([
+        { name: "Elapsed", value: elapsed, inline: true },
+        {
+          name: "Your URL",
+          value: url || "Will be available shortly",
+          inline: true,
+        },
+      ])
+      .setTimestamp();
+
+    if (detail && !reachable) {
+      embed.addFields([{ name: "Details", value: detail.slice(0, 1024) }]);
+    }
+
+    return embed;
+  }
+
   static createDashboard(status, costData, licenseOwnerInfo) {
     const embed = this.create(status, "dashboard");
 
@@ -0,0 +1,143 @@
+const {
+  ActionRowBuilder,
+  StringSelectMenuBuilder,
+  StringSelectMenuOptionBuilder,
+} = require("discord.js");
+const { CustomId } = require("../../utils/custom-id");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+
+const DEFAULT_FOUNDRY_VERSION = "13";
+
+class InstanceMenuBuilder {
+  static createLicenseSelectMenu(userId) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(CustomId.encode("menu.license", { userId }))
+      .setPlaceholder("Choose how your instance gets its Foundry license")
+      .addOptions(
+        new StringSelectMenuOptionBuilder()
+          .setLabel("BYOL - Private")
+          .setDescription("Use your own Foundry license, only for you")
+          .setValue("byol_private")
+          .setEmoji("🔑"),
+        new StringSelectMenuOptionBuilder()
+          .setLabel("BYOL - Shared")
+          .setDescription(
+            "Use your own license and pool it with the community"
+          )
+          .setValue("byol_share")
+          .setEmoji("🤝"),
+        new StringSelectMenuOptionBuilder()
+          .setLabel("Pooled")
+          .setDescription("No license needed, schedule sessions on shared ones")
+          .setValue("pooled")
+          .setEmoji("🎟️")
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  // series: [{ seriesId, title, summary }]
+  static createSeriesSelectMenu(userId, series) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(CustomId.encode("menu.series", { userId }))
+      .setPlaceholder("Manage a recurring series")
+      .addOptions(
+        series.slice(0, 25).map((entry) =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(entry.title.substring(0, 100))
+            .setDescription(entry.summary.substring(0, 100))
+            .setValue(entry.seriesId)
+            .setEmoji("🔁")
+        )
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  // sessions: [{ sessionId, title, summary }]
+  static createSessionSelectMenu(userId, sessions) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(CustomId.encode("menu.session", { userId }))
+      .setPlaceholder("Manage a session")
+      .addOptions(
+        sessions.slice(0, 25).map((session) =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(session.title.substring(0, 100))
+            .setDescription(session.summary.substring(0, 100))
+            .setValue(session.sessionId)
+            .setEmoji("🗓️")
+        )
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  static createSessionExtendMenu(userId, sessionId) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(
+        CustomId.encode("menu.sessionextend", { userId, sessionId })
+      )
+      .setPlaceholder("Extend this session")
+      .addOptions(
+        [1, 2, 3, 4].map((hours) =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(`+${hours} hour${hours === 1 ? "" : "s"}`)
+            .setValue(String(hours))
+            .setEmoji("⏱️")
+        )
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  // occurrences: [{ sessionId, label }]
+  static createOccurrenceSkipMenu(userId, occurrences) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(CustomId.encode("menu.occurrenceskip", { userId }))
+      .setPlaceholder("Skip a single session")
+      .addOptions(
+        occurrences.slice(0, 25).map((occurrence) =>
+          new StringSelectMenuOptionBuilder()
+            .setLabel(occurrence.label.substring(0, 100))
+            .setValue(occurrence.sessionId)
+            .setEmoji("⏭️")
+        )
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+
+  // versions are catalogue entries, see utils/foundry-versions.js
+  static createVersionSelectMenu(
+    customId,
+    versions,
+    currentVersion = DEFAULT_FOUNDRY_VERSION
+  ) {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(customId)
+      .setPlaceholder("Choose a Foundry VTT version")
+      .addOptions(
+        versions.slice(0, 25).map((version) => {
+          const option = new StringSelectMenuOptionBuilder()
+            .setLabel(version.label)
+            .setValue(version.tag)
+            .setEmoji(FoundryVersions.getEmoji(version))
+            .setDefault(version.tag === currentVersion);
+
+          if (version.deprecated) {
+            option.setDescription("Deprecated, switch to a newer version soon");
+          } else if (!version.stable) {
+            option.setDescription("Pre-release, may be unstable");
+          }
+          return option;
+        })
+      );
+
+    return new ActionRowBuilder().addComponents(menu);
+  }
+}
+
+module.exports = {
+  InstanceMenuBuilder,
+  DEFAULT_FOUNDRY_VERSION,
+};
@@ -0,0 +1,253 @@
+const {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require("discord.js");
+const { CustomId } = require("../../utils/custom-id");
+
+class InstanceModalBuilder {
+  static createCredentialsModal(userId, licenseType, allowSharing, version) {
+    return new ModalBuilder()
+      .setCustomId(
+        CustomId.encode("modal.credentials", {
+          userId,
+          licenseType,
+          share: allowSharing,
+          version,
+        })
+      )
+      .setTitle("Foundry VTT License Credentials")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("foundry_username")
+            .setLabel("foundryvtt.com username")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("foundry_password")
+            .setLabel("foundryvtt.com password")
+            .setPlaceholder("Stored encrypted in AWS Secrets Manager")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100)
+        )
+      );
+  }
+
+  static createScheduleModal(userId, { timezone = "UTC" } = {}) {
+    return new ModalBuilder()
+      .setCustomId(CustomId.encode("modal.schedule", { userId }))
+      .setTitle("Schedule a Session")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("session_title")
+            .setLabel("Session title")
+            .setPlaceholder("Gaming Session")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(100)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("start_time")
+            .setLabel("Start time")
+            .setPlaceholder("2024-01-15 19:00, tomorrow 19:30, friday 8pm")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(40)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("timezone")
+            .setLabel("Timezone")
+            .setPlaceholder("Europe/Berlin, America/New_York, UTC...")
+            .setValue(timezone)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(64)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("duration")
+            .setLabel("Duration in hours (max 24)")
+            .setValue("4")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(5)
+        )
+      );
+  }
+
+  static createRecurringModal(userId, { timezone = "UTC" } = {}) {
+    return new ModalBuilder()
+      .setCustomId(CustomId.encode("modal.recurring", { userId }))
+      .setTitle("Schedule a Recurring Series")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("session_title")
+            .setLabel("Campaign title")
+            .setPlaceholder("Weekly Campaign")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(100)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("start_time")
+            .setLabel("First session")
+            .setPlaceholder("friday 19:30, 2024-01-15 19:00")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(40)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("timezone")
+            .setLabel("Timezone")
+            .setPlaceholder("Europe/Berlin, America/New_York, UTC...")
+            .setValue(timezone)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(64)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("duration")
+            .setLabel("Duration in hours (max 24)")
+            .setValue("4")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(5)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("repeat")
+            .setLabel("Repeat")
+            .setPlaceholder("weekly x10, biweekly until 2025-06-01, monthly x6")
+            .setValue("weekly x10")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(40)
+        )
+      );
+  }
+
+  static createRescheduleModal(
+    userId,
+    sessionId,
+    { timezone = "UTC", durationHours = 4 } = {}
+  ) {
+    return new ModalBuilder()
+      .setCustomId(
+        CustomId.encode("modal.reschedule", { userId, sessionId })
+      )
+      .setTitle("Reschedule Session")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("start_time")
+            .setLabel("New start time")
+            .setPlaceholder("2024-01-15 19:00, tomorrow 19:30, friday 8pm")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(40)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("timezone")
+            .setLabel("Timezone")
+            .setPlaceholder("Europe/Berlin, America/New_York, UTC...")
+            .setValue(timezone)
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(64)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("duration")
+            .setLabel("Duration in hours (max 24)")
+            .setValue(String(Math.round(durationHours * 100) / 100))
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(5)
+        )
+      );
+  }
+
+  static createDestroyConfirmModal(userId, keepLicenseSharing) {
+    return new ModalBuilder()
+      .setCustomId(
+        CustomId.encode("modal.destroy", {
+          userId,
+          keepSharing: keepLicenseSharing,
+        })
+      )
+      .setTitle("Confirm Instance Destruction")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("instance_name")
+            .setLabel("Type your instance name to confirm")
+            .setPlaceholder("Shown in the destroy warning")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+      );
+  }
+
+  static createEmergencyReasonModal(operation, action) {
+    const rows = [];
+
+    if (action.target === "user") {
+      rows.push(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("target_id")
+            .setLabel("Discord user ID or mention")
+            .setPlaceholder("123456789012345678")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(40)
+        )
+      );
+    } else if (action.target === "session") {
+      rows.push(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("target_id")
+            .setLabel("Session ID")
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(64)
+        )
+      );
+    }
+
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("reason")
+          .setLabel("Reason (recorded in the bot log)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMinLength(5)
+          .setMaxLength(500)
+      )
+    );
+
+    return new ModalBuilder()
+      .setCustomId(CustomId.encode("admin.emergencymodal", { operation }))
+      .setTitle(`🚨 ${action.label}`)
+      .addComponents(...rows);
+  }
+}
+
+module.exports = { InstanceModalBuilder };
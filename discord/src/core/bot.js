@@ -5,6 +5,7 @@ const { InteractionHandler } = require("./interaction-handler");
 const { ConfigManager } = require("./config-manager");
 const { StateManager } = require("./state-manager");
 const { GuildManager } = require("./guild-manager");
+const { CommandRegistrar } = require("./command-registrar");
 const { logger } = require("../utils/logger");
 const { ErrorHandler } = require("../utils/error-handler");
 const cron = require("node-cron");
@@ -32,9 +33,10 @@ class Bot {
     // Initialize state management
     this.stateManager = new StateManager(this.config);
     await this.stateManager.initialize();
+    await this.config.loadOverrides(this.stateManager.getStorage());
 
     // Initialize guild management
-    this.guildManager = new GuildManager(this.config);
+    this.guildManager = new GuildManager(this.config, this.stateManager);
 
     // Initialize Discord client
     this.client = new Client({
@@ -79,8 +81,11 @@ class Bot {
         type: "WATCHING",
       });
 
+      await this.registerCommands();
+
       try {
         await this.discordService.setupLoggingChannel();
+        await this.stateManager.reconcile(this.client);
         await this.discordService.syncAllInstances(this.lambdaService);
         await this.setupCronJobs();
         logger.info("🎉 Bot startup complete!");
@@ -89,6 +94,12 @@ class Bot {
       }
     });
 
+    // New guilds get their own log channel straight away
+    this.client.on("guildCreate", async (guild) => {
+      logger.info(`➕ Joined guild ${guild.name} (${guild.id})`);
+      await this.discordService.setupGuildLoggingChannel(guild);
+    });
+
     // Error handling
     this.client.on("error", (error) => {
       logger.error("Discord client error:", error);
@@ -106,6 +117,20 @@ class Bot {
     });
   }
 
+  // Only changed commands are pushed; removing stale ones is left to
+  // deploy-commands so startup never deletes anything
+  async registerCommands() {
+    try {
+      const registrar = new CommandRegistrar(
+        this.client,
+        this.config.getDiscordConfig().guildId
+      );
+      await registrar.sync(this.interactionHandler.getCommandDefinitions());
+    } catch (error) {
+      logger.error("❌ Failed to register slash commands:", error);
+    }
+  }
+
   async setupCronJobs() {
     logger.info("⏰ Setting up cron jobs...");
 
@@ -124,9 +149,10 @@ class Bot {
       { scheduled: false }
     );
 
-    // Refresh command channels every 3 minutes
+    // Reconcile command channel statuses every 15 minutes; queued
+    // notifications cover changes made by the Lambda in between
     const channelsJob = cron.schedule(
-      "*/3 * * * *",
+      "*/15 * * * *",
       async () => {
         try {
           await this.discordService.refreshCommandChannels(this.lambdaService);
@@ -150,12 +176,12 @@ class Bot {
       { scheduled: false }
     );
 
-    // Check for notifications every 2 minutes
+    // Consume queued Lambda notifications every 15 seconds
     const notificationsJob = cron.schedule(
-      "*/2 * * * *",
+      "*/15 * * * * *",
       async () => {
         try {
-          await this.discordService.checkNotifications(this.lambdaService);
+          await this.discordService.consumeNotifications(this.lambdaService);
         } catch (error) {
           logger.error("Notifications cron error:", error);
         }
@@ -163,6 +189,33 @@ class Bot {
       { scheduled: false }
     );
 
+    // Pick up config, maintenance and server setup changes from other
+    // replicas every minute
+    const configJob = cron.schedule(
+      "* * * * *",
+      async () => {
+        try {
+          await this.config.reload();
+          if (await this.stateManager.loadMaintenance()) {
+            // Re-render status messages with/without the maintenance notice
+            this.stateManager.getLastKnownStatus().clear();
+          }
+
+          const changedGuilds = await this.stateManager.loadGuildConfigs();
+          for (const [guildId, previous] of changedGuilds) {
+            const guild = this.client.guilds.cache.get(guildId);
+            const { logChannelId } = this.stateManager.getGuildConfig(guildId);
+            if (guild && logChannelId !== previous.logChannelId) {
+              await this.discordService.setupGuildLoggingChannel(guild);
+            }
+          }
+        } catch (error) {
+          logger.error("Config reload cron error:", error);
+        }
+      },
+      { scheduled: false }
+    );
+
     // Periodic mapping cleanup every 6 hours
     const mappingCleanupJob = cron.schedule(
       "0 */6 * * *",
@@ -182,6 +235,7 @@ class Bot {
       channelsJob,
       cleanupJob,
       notificationsJob,
+      configJob,
       mappingCleanupJob,
     ];
 
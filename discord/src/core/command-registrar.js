@@ -0,0 +1,108 @@
+const { logger } = require("../utils/logger");
+
+/**
+ * Keeps the slash commands registered with Discord in line with the ones the
+ * bot defines. Guild-scoped when a guild ID is given, which applies changes
+ * instantly; global otherwise, which can take up to an hour to show up.
+ *
+ * Commands are compared with ApplicationCommand.equals, so unchanged ones are
+ * never pushed and don't count against Discord's daily command create limit.
+ */
+class CommandRegistrar {
+  constructor(client, guildId = null) {
+    this.client = client;
+    this.guildId = guildId || undefined;
+  }
+
+  get scope() {
+    return this.guildId ? `guild ${this.guildId}` : "global";
+  }
+
+  // Compares definitions (command builders) with what Discord has registered
+  async plan(definitions) {
+    const registered = await this.client.application.commands.fetch({
+      guildId: this.guildId,
+    });
+
+    const plan = { create: [], update: [], unchanged: [], stale: [] };
+    for (const definition of definitions) {
+      const existing = registered.find(
+        (command) => command.name === definition.name
+      );
+      if (!existing) {
+        plan.create.push(definition);
+        continue;
+      }
+
+      // Round-trip drops undefined fields, which equals would otherwise read
+      // as differences (e.g. nsfw: undefined vs Discord's false)
+      const json = JSON.parse(JSON.stringify(definition.toJSON()));
+      // Fields the bot leaves unset get Discord's defaults, which is a match
+      json.contexts ??= existing.contexts;
+      json.integration_types ??= existing.integrationTypes;
+
+      if (existing.equals(json, true)) plan.unchanged.push(existing);
+      else plan.update.push({ existing, definition });
+    }
+
+    const names = definitions.map((definition) => definition.name);
+    plan.stale = [...registered.values()].filter(
+      (command) => !names.includes(command.name)
+    );
+
+    return plan;
+  }
+
+  /**
+   * Creates and updates commands that differ from their definitions.
+   * Commands the bot no longer defines are only removed with prune.
+   */
+  async sync(definitions, { prune = false, dryRun = false } = {}) {
+    const plan = await this.plan(definitions);
+    const commands = this.client.application.commands;
+
+    logger.info(
+      `📋 Slash commands (${this.scope}): ${plan.create.length} new, ${plan.update.length} changed, ${plan.unchanged.length} unchanged, ${plan.stale.length} stale`
+    );
+    if (dryRun) return plan;
+
+    for (const definition of plan.create) {
+      await commands.create(definition, this.guildId);
+      logger.info(`➕ Registered /${definition.name}`);
+    }
+
+    for (const { existing, definition } of plan.update) {
+      await commands.edit(existing, definition, this.guildId);
+      logger.info(`🔄 Updated /${definition.name}`);
+    }
+
+    for (const command of plan.stale) {
+      if (!prune) {
+        logger.warn(
+          `⚠️ /${command.name} is registered but no longer defined, run "npm run deploy-commands" to remove it`
+        );
+        continue;
+      }
+      await commands.delete(command, this.guildId);
+      logger.info(`🗑️ Removed stale /${command.name}`);
+    }
+
+    return plan;
+  }
+
+  // Removes every command the bot has registered in this scope
+  async clear() {
+    const registered = await this.client.application.commands.fetch({
+      guildId: this.guildId,
+    });
+
+    for (const command of registered.values()) {
+      await this.client.application.commands.delete(command, this.guildId);
+      logger.info(`🗑️ Removed /${command.name} (${this.scope})`);
+    }
+
+    return registered.size;
+  }
+}
+
+module.exports = { CommandRegistrar };
@@ -1,4 +1,33 @@
 const { logger } = require("../utils/logger");
+const { Permissions } = require("../utils/permissions");
+
+const OVERRIDES_KEY = "config#bot";
+
+// Settings /foundry config can change at runtime, by section
+const RUNTIME_SETTINGS = {
+  bot: [
+    "foundryCategory",
+    "allowedRoles",
+    "adminRoles",
+    "rolePermissions",
+    "kofiUrl",
+  ],
+  supporterTiers: null, // replaced as a whole
+  versionCatalogue: null,
+};
+
+// Env variables listing role IDs, checked by validate()
+const ROLE_LIST_VARIABLES = {
+  allowedRoles: "ALLOWED_ROLES",
+  adminRoles: "ADMIN_ROLES",
+};
+
+function parseRoleList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
 
 class ConfigManager {
   constructor() {
@@ -13,24 +42,105 @@ class ConfigManager {
         lambdaFunctionName: process.env.LAMBDA_FUNCTION_NAME,
         botConfigTableName: process.env.BOT_CONFIG_TABLE_NAME,
       },
+      storage: {
+        // dynamodb | file | memory
+        backend:
+          process.env.STATE_STORAGE ||
+          (process.env.BOT_CONFIG_TABLE_NAME ? "dynamodb" : "memory"),
+        filePath: process.env.STATE_FILE_PATH || "./data/bot-state.json",
+      },
       bot: {
         foundryCategory: process.env.FOUNDRY_CATEGORY_ID,
-        allowedRoles:
-          process.env.ALLOWED_ROLES?.split(",").filter((r) => r.trim()) || [],
-        adminRoles: process.env.ADMIN_ROLES?.split(",").filter((r) =>
-          r.trim()
-        ) || ["Admin"],
+        allowedRoles: parseRoleList(process.env.ALLOWED_ROLES),
+        adminRoles: parseRoleList(process.env.ADMIN_ROLES),
+        rolePermissions: {}, // { roleId: [permission] }, set with /foundry config
         kofiUrl: process.env.KOFI_URL,
-        instanceCostPerHour: parseFloat(
-          process.env.INSTANCE_COST_PER_HOUR || "0.10"
-        ),
       },
-      supporterRoles: {
-        "699727231794020353": 15, // $15 supporter
-        "699727011979067484": 10, // $10 supporter
-        "699727432424620033": 5, // $5 supporter
+      // None by default; admins add them with /foundry config supporter-tier
+      // (all servers) or /foundry admin supporter-tier (one server)
+      // Perks: maxRuntimeHours (6-12), priorityScheduling
+      supporterTiers: [],
+      // Foundry image tags users can pick, see utils/foundry-versions.js
+      versionCatalogue: {
+        versions: [
+          { tag: "13", label: "v13 - Latest Stable", stable: true },
+          {
+            tag: "release",
+            label: "Release - Current Stable",
+            major: 13,
+            stable: true,
+          },
+          { tag: "12", label: "v12 - Previous Major", stable: true },
+          { tag: "11", label: "v11 - Legacy Major", stable: true },
+          {
+            tag: "13.346.0",
+            label: "v13.346.0 - Specific Build",
+            stable: true,
+          },
+          { tag: "latest", label: "Latest - Bleeding Edge", major: 13 },
+        ],
+        minimumVersion: "11",
       },
     };
+    this.storage = null;
+    this.overrides = {}; // Runtime edits layered over the env values
+  }
+
+  static isValidKofiUrl(url) {
+    return /^https:\/\/(www\.)?ko-fi\.com\/[\w-]+\/?$/.test(url);
+  }
+
+  // Called once storage exists; reload() then picks up edits from other replicas
+  async loadOverrides(storage) {
+    this.storage = storage;
+    await this.reload();
+  }
+
+  async reload() {
+    if (!this.storage) return;
+
+    try {
+      const item = await this.storage.get(OVERRIDES_KEY);
+      const overrides = item?.overrides || {};
+      if (JSON.stringify(overrides) !== JSON.stringify(this.overrides)) {
+        this.overrides = overrides;
+        logger.info("🔄 Reloaded runtime configuration");
+      }
+    } catch (error) {
+      logger.error("Failed to load runtime configuration:", error.message);
+    }
+  }
+
+  /**
+   * Persist a runtime setting. Pass null to drop the override and go back to
+   * the environment value.
+   */
+  async setOverride(section, key, value, updatedBy) {
+    const keys = RUNTIME_SETTINGS[section];
+    if (keys === undefined || (keys && !keys.includes(key))) {
+      throw new Error(`Setting ${section}.${key} can't be changed at runtime`);
+    }
+    if (!this.storage) {
+      throw new Error("Runtime configuration needs state storage");
+    }
+
+    const overrides = structuredClone(this.overrides);
+    if (keys === null) {
+      if (value === null) delete overrides[section];
+      else overrides[section] = value;
+    } else {
+      overrides[section] = { ...overrides[section], [key]: value };
+      if (value === null) delete overrides[section][key];
+    }
+
+    await this.storage.put(OVERRIDES_KEY, { overrides, updatedBy });
+    this.overrides = overrides;
+  }
+
+  isOverridden(section, key) {
+    return key
+      ? this.overrides[section]?.[key] !== undefined
+      : this.overrides[section] !== undefined;
   }
 
   async validate() {
@@ -52,11 +162,30 @@ class ConfigManager {
       throw new Error(`Missing required environment variables: ${missingKeys}`);
     }
 
+    // Names aren't unique, and dropping them would leave an empty allow list,
+    // which lets everyone in. Refuse to start instead.
+    for (const [key, variable] of Object.entries(ROLE_LIST_VARIABLES)) {
+      const invalid = this.config.bot[key].filter(
+        (entry) => !Permissions.isRoleId(entry)
+      );
+      if (invalid.length > 0) {
+        throw new Error(
+          `${variable} must list role IDs, not names: ${invalid.join(", ")}`
+        );
+      }
+    }
+
     logger.info("✅ Configuration validated");
   }
 
   get(path) {
-    return path.split(".").reduce((obj, key) => obj?.[key], this.config);
+    const config = {
+      ...this.config,
+      bot: this.getBotConfig(),
+      supporterTiers: this.getSupporterTiers(),
+      versionCatalogue: this.getVersionCatalogue(),
+    };
+    return path.split(".").reduce((obj, key) => obj?.[key], config);
   }
 
   getDiscordConfig() {
@@ -67,12 +196,20 @@ class ConfigManager {
     return this.config.aws;
   }
 
+  getStorageConfig() {
+    return this.config.storage;
+  }
+
   getBotConfig() {
-    return this.config.bot;
+    return { ...this.config.bot, ...this.overrides.bot };
+  }
+
+  getSupporterTiers() {
+    return this.overrides.supporterTiers || this.config.supporterTiers;
   }
 
-  getSupporterRoles() {
-    return this.config.supporterRoles;
+  getVersionCatalogue() {
+    return this.overrides.versionCatalogue || this.config.versionCatalogue;
   }
 }
 
@@ -1,51 +1,123 @@
 const { PermissionFlagsBits } = require("discord.js");
+const { SupporterTiers } = require("../utils/supporter-tiers");
+const {
+  Permission,
+  ALL_PERMISSIONS,
+  USER_PERMISSIONS,
+} = require("../utils/permissions");
+
+// Settings a guild can override; anything unset falls back to the env config
+const GUILD_SETTING_KEYS = [
+  "logChannelId",
+  "foundryCategory",
+  "allowedRoles",
+  "adminRoles",
+  "rolePermissions",
+  "supporterTiers",
+  "kofiUrl",
+];
 
 class GuildManager {
-  constructor(config) {
+  constructor(config, state) {
     this.config = config;
+    this.state = state;
   }
 
-  // Permission checking
-  hasRequiredRole(member) {
-    if (!member?.roles) return false;
-
-    const allowedRoles = this.config.getBotConfig().allowedRoles;
-    if (allowedRoles.length === 0) return true; // No roles required = allow everyone
+  // Guild settings
+  getGuildSettings(guildId) {
+    const botConfig = this.config.getBotConfig();
 
-    return allowedRoles.some((role) =>
-      member.roles.cache.some(
-        (memberRole) => memberRole.name.toLowerCase() === role.toLowerCase()
-      )
-    );
+    return {
+      logChannelId: null,
+      foundryCategory: botConfig.foundryCategory,
+      allowedRoles: botConfig.allowedRoles,
+      adminRoles: botConfig.adminRoles,
+      rolePermissions: botConfig.rolePermissions,
+      supporterTiers: this.config.getSupporterTiers(),
+      kofiUrl: botConfig.kofiUrl,
+      ...(guildId && this.state.getGuildConfig(guildId)),
+    };
   }
 
-  hasAdminRole(member) {
-    if (!member?.roles || !member?.permissions) return false;
+  async updateGuildSettings(guildId, changes) {
+    const overrides = { ...this.state.getGuildConfig(guildId) };
 
-    // Check Discord's built-in Administrator permission first
-    if (member.permissions.has(PermissionFlagsBits.Administrator)) {
-      return true;
+    for (const [key, value] of Object.entries(changes)) {
+      if (!GUILD_SETTING_KEYS.includes(key)) {
+        throw new Error(`Unknown guild setting: ${key}`);
+      }
+      if (value === null || value === undefined) {
+        delete overrides[key];
+      } else {
+        overrides[key] = value;
+      }
     }
 
-    // Check custom admin roles
-    const adminRoles = this.config.getBotConfig().adminRoles;
-    return adminRoles.some((role) =>
-      member.roles.cache.some(
-        (memberRole) => memberRole.name.toLowerCase() === role.toLowerCase()
-      )
-    );
+    await this.state.setGuildConfig(guildId, overrides);
+    return this.getGuildSettings(guildId);
   }
 
-  getUserSupporterAmount(member) {
-    if (!member) return 0;
+  // Permission checking
+  getMemberPermissions(member) {
+    if (!member?.roles) return new Set();
+
+    // Discord's built-in Administrator permission and admin roles get everything
+    if (member.permissions?.has(PermissionFlagsBits.Administrator)) {
+      return new Set(ALL_PERMISSIONS);
+    }
+
+    const settings = this.getGuildSettings(member.guild?.id);
+    const hasAnyRole = (roleIds) =>
+      roleIds.some((roleId) => member.roles.cache.has(roleId));
 
-    const supporterRoles = this.config.getSupporterRoles();
-    for (const [roleId, amount] of Object.entries(supporterRoles)) {
+    if (hasAnyRole(settings.adminRoles)) {
+      return new Set(ALL_PERMISSIONS);
+    }
+
+    const permissions = new Set();
+
+    // No allowed roles configured = allow everyone
+    if (
+      settings.allowedRoles.length === 0 ||
+      hasAnyRole(settings.allowedRoles)
+    ) {
+      USER_PERMISSIONS.forEach((permission) => permissions.add(permission));
+    }
+
+    for (const [roleId, granted] of Object.entries(settings.rolePermissions)) {
       if (member.roles.cache.has(roleId)) {
-        return amount;
+        granted.forEach((permission) => permissions.add(permission));
       }
     }
-    return 0;
+
+    // Destructive admins can always see what they're acting on
+    if (permissions.has(Permission.ADMIN_DESTRUCTIVE)) {
+      permissions.add(Permission.ADMIN_READ);
+    }
+
+    return permissions;
+  }
+
+  hasPermission(member, permission) {
+    return this.getMemberPermissions(member).has(permission);
+  }
+
+  getUserSupporterTier(member) {
+    if (!member) return null;
+
+    return SupporterTiers.findHighest(
+      member,
+      this.getGuildSettings(member.guild?.id).supporterTiers
+    );
+  }
+
+  getUserSupporterAmount(member) {
+    return this.getUserSupporterTier(member)?.monthlyCredit || 0;
+  }
+
+  // Sent with start and scheduling requests so the Lambda can apply them
+  getSupporterPerks(member) {
+    return SupporterTiers.toLambdaPerks(this.getUserSupporterTier(member));
   }
 
   // Utility methods
@@ -59,13 +131,11 @@ class GuildManager {
   }
 
   getAdminRoleOverwrites(guild) {
-    const adminRoles = this.config.getBotConfig().adminRoles;
+    const adminRoles = this.getGuildSettings(guild.id).adminRoles;
     const overwrites = [];
 
-    adminRoles.forEach((roleName) => {
-      const role = guild.roles.cache.find(
-        (r) => r.name.toLowerCase() === roleName.toLowerCase()
-      );
+    adminRoles.forEach((roleId) => {
+      const role = guild.roles.cache.get(roleId);
       if (role) {
         overwrites.push({
           id: role.id,
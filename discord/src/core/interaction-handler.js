@@ -1,6 +1,12 @@
-const { Collection } = require("discord.js");
+const { Collection, MessageFlags } = require("discord.js");
 const { logger } = require("../utils/logger");
 const { ErrorHandler } = require("../utils/error-handler");
+const { Permission } = require("../utils/permissions");
+const { CustomId } = require("../utils/custom-id");
+const { InteractionRouter } = require("./interaction-router");
+const {
+  MaintenanceEmbedBuilder,
+} = require("../components/embeds/maintenance-embed");
 
 // Import command handlers
 const {
@@ -13,6 +19,9 @@ const { ModalHandler } = require("../handlers/interactions/modal-handler");
 const {
   SelectMenuHandler,
 } = require("../handlers/interactions/select-menu-handler");
+const {
+  AutocompleteHandler,
+} = require("../handlers/interactions/autocomplete-handler");
 
 class InteractionHandler {
   constructor(client, lambdaService, discordService) {
@@ -27,13 +36,6 @@ class InteractionHandler {
   setupHandlers() {
     logger.info("🔧 Setting up interaction handlers...");
 
-    // Command handlers
-    const foundryCommand = new FoundryCommandHandler(
-      this.lambdaService,
-      this.discordService
-    );
-    this.commands.set("foundry", foundryCommand);
-
     // Interaction handlers
     this.buttonHandler = new ButtonHandler(
       this.client,
@@ -53,19 +55,61 @@ class InteractionHandler {
       this.discordService
     );
 
+    this.autocompleteHandler = new AutocompleteHandler(
+      this.client,
+      this.lambdaService,
+      this.discordService
+    );
+
+    // Command handlers; slash commands reuse the interaction handlers' logic
+    const foundryCommand = new FoundryCommandHandler(
+      this.lambdaService,
+      this.discordService,
+      {
+        button: this.buttonHandler,
+        selectMenu: this.selectMenuHandler,
+        modal: this.modalHandler,
+        autocomplete: this.autocompleteHandler,
+      }
+    );
+    this.commands.set("foundry", foundryCommand);
+
+    // Buttons, select menus and modals are routed by their custom ID
+    this.router = new InteractionRouter(this.discordService);
+    this.buttonHandler.registerRoutes(this.router);
+    this.selectMenuHandler.registerRoutes(this.router);
+    this.modalHandler.registerRoutes(this.router);
+
     logger.info("✅ Interaction handlers configured");
   }
 
+  // Slash command builders, for registering with Discord
+  getCommandDefinitions() {
+    return [...this.commands.values()].map((command) => command.data);
+  }
+
   async handle(interaction) {
+    // Autocomplete can only be answered with suggestions, never a message
+    if (interaction.isAutocomplete()) {
+      return await this.handleAutocomplete(interaction);
+    }
+
     try {
+      if (this.isBlockedByMaintenance(interaction)) {
+        return await interaction.reply({
+          embeds: [
+            MaintenanceEmbedBuilder.createBanner(
+              this.discordService.state.getMaintenance()
+            ),
+          ],
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
       if (interaction.isChatInputCommand()) {
         await this.handleSlashCommand(interaction);
-      } else if (interaction.isButton()) {
-        await this.buttonHandler.handle(interaction);
-      } else if (interaction.isStringSelectMenu()) {
-        await this.selectMenuHandler.handle(interaction);
-      } else if (interaction.isModalSubmit()) {
-        await this.modalHandler.handle(interaction);
+      } else if (InteractionRouter.getKind(interaction)) {
+        await this.router.dispatch(interaction);
       }
     } catch (error) {
       logger.error("Interaction handler error:", error);
@@ -73,12 +117,50 @@ class InteractionHandler {
     }
   }
 
-  async handleSlashCommand(interaction) {
-    // Skip role check for DMs
+  // During maintenance only admins and admin-only interactions get through
+  isBlockedByMaintenance(interaction) {
+    if (!this.discordService.state.isMaintenanceActive()) return false;
+    if (this.discordService.hasPermission(interaction, Permission.ADMIN_READ)) {
+      return false;
+    }
+
+    if (interaction.isChatInputCommand() || interaction.isAutocomplete()) {
+      return !["admin", "config"].includes(
+        interaction.options.getSubcommandGroup(false)
+      );
+    }
+
+    if (InteractionRouter.getKind(interaction)) {
+      const route = CustomId.decode(interaction.customId)?.route;
+      return !route?.startsWith("admin.");
+    }
+
+    return false;
+  }
+
+  async handleAutocomplete(interaction) {
+    const command = this.commands.get(interaction.commandName);
+
     if (
-      interaction.guild &&
-      !this.discordService.hasRequiredRole(interaction.member)
+      !command?.autocomplete ||
+      this.isBlockedByMaintenance(interaction) ||
+      this.discordService.getPermissions(interaction).size === 0
     ) {
+      return await interaction.respond([]).catch(() => {});
+    }
+
+    try {
+      await command.autocomplete(interaction);
+    } catch (error) {
+      logger.error("Autocomplete error:", error);
+      await interaction.respond([]).catch(() => {});
+    }
+  }
+
+  async handleSlashCommand(interaction) {
+    // Members without any permission can't use the bot at all; each
+    // subcommand then checks the specific permission it needs
+    if (this.discordService.getPermissions(interaction).size === 0) {
       return await interaction.reply({
         content: "❌ You do not have permission to use Foundry commands.",
         ephemeral: true,
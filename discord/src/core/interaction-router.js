@@ -0,0 +1,114 @@
+const { MessageFlags } = require("discord.js");
+const { logger } = require("../utils/logger");
+const { ErrorHandler } = require("../utils/error-handler");
+const { CustomId } = require("../utils/custom-id");
+const { Permission } = require("../utils/permissions");
+
+const EXPIRED_MESSAGE =
+  "⌛ This control has expired. Use `/foundry user dashboard` for up-to-date controls.";
+
+/**
+ * Maps decoded custom IDs to handlers, one table per component kind.
+ *
+ * Route options:
+ * - permission: needed on the user's own instance (or for routes without one)
+ * - othersPermission: needed when the route's userId is someone else;
+ *   null means nobody may act for another user (default: destructive admin)
+ */
+class InteractionRouter {
+  constructor(discordService) {
+    this.discordService = discordService;
+    this.routes = {
+      button: new Map(),
+      select: new Map(),
+      modal: new Map(),
+    };
+  }
+
+  register(kind, route, handler, options = {}) {
+    if (!CustomId.isRoute(route)) {
+      throw new Error(`Unknown custom ID route: ${route}`);
+    }
+    if (this.routes[kind].has(route)) {
+      throw new Error(`Route ${route} already has a ${kind} handler`);
+    }
+    this.routes[kind].set(route, { handler, ...options });
+  }
+
+  button(route, handler, options) {
+    this.register("button", route, handler, options);
+  }
+
+  select(route, handler, options) {
+    this.register("select", route, handler, options);
+  }
+
+  modal(route, handler, options) {
+    this.register("modal", route, handler, options);
+  }
+
+  static getKind(interaction) {
+    if (interaction.isButton()) return "button";
+    if (interaction.isStringSelectMenu()) return "select";
+    if (interaction.isModalSubmit()) return "modal";
+    return null;
+  }
+
+  async dispatch(interaction) {
+    const kind = InteractionRouter.getKind(interaction);
+    const decoded = CustomId.decode(interaction.customId);
+    const entry = decoded && this.routes[kind]?.get(decoded.route);
+
+    // Answer instead of letting Discord show "interaction failed"
+    if (!entry) {
+      logger.warn(`Unknown ${kind} interaction: ${interaction.customId}`);
+      return await interaction.reply({
+        content: EXPIRED_MESSAGE,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    if (!(await this.checkAccess(interaction, decoded.values, entry))) return;
+
+    try {
+      await entry.handler(interaction, decoded.values);
+    } catch (error) {
+      logger.error(`Handler error for ${kind} ${decoded.route}:`, error);
+      if (kind === "button") {
+        await ErrorHandler.handleButtonError(
+          interaction,
+          error,
+          decoded.values.userId || decoded.route
+        );
+      } else {
+        await ErrorHandler.handleInteractionError(interaction, error);
+      }
+    }
+  }
+
+  async checkAccess(
+    interaction,
+    { userId },
+    { permission, othersPermission = Permission.ADMIN_DESTRUCTIVE }
+  ) {
+    if (userId && userId !== interaction.user.id) {
+      if (
+        othersPermission &&
+        this.discordService.hasPermission(interaction, othersPermission)
+      ) {
+        return true;
+      }
+
+      await interaction.reply({
+        content: "❌ You can only control your own instance.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return false;
+    }
+
+    if (!permission) return true;
+    return this.discordService.requirePermission(interaction, permission);
+  }
+}
+
+module.exports = { InteractionRouter };
@@ -1,34 +1,195 @@
-const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
 const { logger } = require("../utils/logger");
+const { StorageFactory } = require("./storage/storage-factory");
+
+// Maps that survive restarts. Everything else is runtime-only.
+const PERSISTED_MAPS = [
+  "userChannels",
+  "registrationStats",
+  "adminStatusMapping",
+  "userStatusMessages",
+  "userDashboardMessages",
+];
+
+const STATE_KEY_PREFIX = "state#";
+const PREFERENCES_KEY_PREFIX = "prefs#";
+const MAINTENANCE_KEY = "config#maintenance";
+const GUILD_CONFIG_KEY_PREFIX = "guild#";
+
+// Discord API error codes that mean the resource is gone for good
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
 
 class StateManager {
-  constructor(config) {
+  constructor(config, storage = null) {
     this.config = config;
-    this.dynamoClient = null;
+    this.storage = storage;
     this.state = {
       userChannels: new Map(), // userId -> channelId
       statusMonitors: new Map(), // userId -> interval
+      versionSwitchMonitors: new Map(), // userId -> interval while a backup or restore runs
       registrationStats: new Map(), // channelId -> statsMessageId
       adminStatusMapping: new Map(), // channelId -> adminStatusMessageId
       userStatusMessages: new Map(), // userId -> messageId
       userDashboardMessages: new Map(), // userId -> dashboard messageId
       lastKnownStatus: new Map(), // userId -> { status, updatedAt, url }
+      userPreferences: new Map(), // userId -> { timezone, ... } (lazy cache)
+      pendingSessions: new Map(), // userId -> session awaiting confirmation
+      notificationFailures: new Map(), // eventId -> failed delivery attempts
+      unacknowledgedNotifications: new Map(), // eventId -> handledAt, until the ack succeeds
+      pendingAdminActions: new Map(), // adminId -> emergency action awaiting confirmation
     };
+    this.maintenance = null; // { message, eta, startedBy, startedAt } while active
+    this.guildConfigs = new Map(); // guildId -> per-guild overrides of the env config
   }
 
   async initialize() {
     logger.info("🗄️ Initializing state management...");
 
-    const awsConfig = this.config.getAWSConfig();
-    if (awsConfig.botConfigTableName) {
-      this.dynamoClient = DynamoDBDocumentClient.from(
-        new DynamoDBClient({ region: awsConfig.region })
+    if (!this.storage) {
+      this.storage = StorageFactory.create(this.config);
+    }
+    logger.info(`✅ Using ${this.storage.name} state storage`);
+
+    if (this.storage.name === "memory") {
+      logger.warn("⚠️ Memory state storage - mappings won't persist");
+    }
+
+    await this.hydrate();
+    await this.loadMaintenance();
+    await this.loadGuildConfigs();
+    await this.pruneOrphanedMappings();
+  }
+
+  async hydrate() {
+    try {
+      const items = await this.storage.list(STATE_KEY_PREFIX);
+      let loaded = 0;
+
+      for (const item of items) {
+        if (!PERSISTED_MAPS.includes(item.mapName) || !item.value) continue;
+        this.state[item.mapName].set(item.mapKey, item.value);
+        loaded++;
+      }
+
+      logger.info(`✅ Restored ${loaded} persisted mappings`);
+    } catch (error) {
+      logger.error("❌ Failed to restore persisted mappings:", error.message);
+    }
+  }
+
+  // Drop message mappings whose owning channel mapping is gone
+  async pruneOrphanedMappings() {
+    const pending = [];
+
+    for (const mapName of ["userStatusMessages", "userDashboardMessages"]) {
+      for (const userId of this.state[mapName].keys()) {
+        if (!this.state.userChannels.has(userId)) {
+          pending.push(this.deleteMapping(mapName, userId));
+        }
+      }
+    }
+
+    const results = await Promise.allSettled(pending);
+    const failed = results.filter((result) => result.status === "rejected");
+
+    if (pending.length > 0) {
+      logger.info(`🧹 Pruned ${pending.length} orphaned message mappings`);
+    }
+    if (failed.length > 0) {
+      logger.error(
+        `❌ ${failed.length} orphaned mappings could not be deleted from storage:`,
+        failed[0].reason.message
+      );
+    }
+  }
+
+  /**
+   * Verify persisted mappings against Discord and drop the ones pointing at
+   * deleted channels or messages. Transient API errors leave entries intact.
+   */
+  async reconcile(client) {
+    logger.info("🔍 Reconciling persisted mappings with Discord...");
+    const stale = [];
+
+    const fetchChannel = async (channelId) => {
+      try {
+        return await client.channels.fetch(channelId);
+      } catch (error) {
+        if (error.code === UNKNOWN_CHANNEL) return null;
+        throw error;
+      }
+    };
+
+    const messageExists = async (channelId, messageId) => {
+      const channel = await fetchChannel(channelId);
+      if (!channel) return false;
+      try {
+        await channel.messages.fetch(messageId);
+        return true;
+      } catch (error) {
+        if (error.code === UNKNOWN_MESSAGE) return false;
+        throw error;
+      }
+    };
+
+    const check = async (mapName, key, isValid) => {
+      try {
+        if (!(await isValid())) stale.push({ mapName, key });
+      } catch (error) {
+        logger.warn(
+          `Could not verify ${mapName} mapping for ${key}:`,
+          error.message
+        );
+      }
+    };
+
+    for (const [userId, channelId] of this.state.userChannels) {
+      await check("userChannels", userId, async () =>
+        Boolean(await fetchChannel(channelId))
+      );
+    }
+
+    for (const mapName of ["registrationStats", "adminStatusMapping"]) {
+      for (const [channelId, messageId] of this.state[mapName]) {
+        await check(mapName, channelId, () =>
+          messageExists(channelId, messageId)
+        );
+      }
+    }
+
+    for (const mapName of ["userStatusMessages", "userDashboardMessages"]) {
+      for (const [userId, messageId] of this.state[mapName]) {
+        const channelId = this.state.userChannels.get(userId);
+        await check(mapName, userId, async () =>
+          channelId ? messageExists(channelId, messageId) : false
+        );
+      }
+    }
+
+    // Entries that failed to delete are gone from memory but would come back
+    // on the next restart, so they are reported rather than counted as removed
+    const failed = [];
+    for (const entry of stale) {
+      try {
+        if (entry.mapName === "userChannels") {
+          await this.removeUserChannel(entry.key);
+        } else {
+          await this.deleteMapping(entry.mapName, entry.key);
+        }
+      } catch (error) {
+        failed.push({ ...entry, error: error.message });
+      }
+    }
+
+    const removed = stale.length - failed.length;
+    if (failed.length > 0) {
+      logger.error(
+        `❌ ${failed.length} stale mappings could not be deleted from storage:`,
+        failed[0].error
       );
-      logger.info("✅ DynamoDB client initialized");
-    } else {
-      logger.warn("⚠️ BOT_CONFIG_TABLE_NAME not set - mappings won't persist");
     }
+    logger.info(`✅ Reconciliation complete, removed ${removed} stale mappings`);
+    return { removed, stale, failed };
   }
 
   // State getters
@@ -60,19 +221,61 @@ class StateManager {
     return this.state.lastKnownStatus;
   }
 
-  getDynamoClient() {
-    return this.dynamoClient;
+  getStorage() {
+    return this.storage;
+  }
+
+  // Persistence helpers (write-through). Failed writes are logged; failed
+  // deletes throw, since the mapping would otherwise return on restart
+  mappingKey(mapName, key) {
+    return `${STATE_KEY_PREFIX}${mapName}#${key}`;
+  }
+
+  async setMapping(mapName, key, value) {
+    if (this.state[mapName].get(key) === value) return;
+    this.state[mapName].set(key, value);
+
+    if (!this.storage) return;
+    try {
+      await this.storage.put(this.mappingKey(mapName, key), {
+        mapName,
+        mapKey: key,
+        value,
+      });
+    } catch (error) {
+      logger.error(`Failed to persist ${mapName} mapping ${key}:`, error.message);
+    }
+  }
+
+  // Storage first, so a failed delete leaves the entry in both places
+  async deleteMapping(mapName, key) {
+    if (!this.state[mapName].has(key)) return;
+
+    if (this.storage) {
+      try {
+        await this.storage.delete(this.mappingKey(mapName, key));
+      } catch (error) {
+        throw new Error(
+          `Failed to delete ${mapName} mapping ${key}: ${error.message}`
+        );
+      }
+    }
+    this.state[mapName].delete(key);
   }
 
   // State management methods
   setUserChannel(userId, channelId) {
-    this.state.userChannels.set(userId, channelId);
+    return this.setMapping("userChannels", userId, channelId);
   }
 
-  removeUserChannel(userId) {
-    this.state.userChannels.delete(userId);
-    this.state.userStatusMessages.delete(userId);
-    this.state.userDashboardMessages.delete(userId);
+  async removeUserChannel(userId) {
+    const results = await Promise.allSettled([
+      this.deleteMapping("userChannels", userId),
+      this.deleteMapping("userStatusMessages", userId),
+      this.deleteMapping("userDashboardMessages", userId),
+    ]);
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) throw failure.reason;
   }
 
   setStatusMonitor(userId, interval) {
@@ -92,45 +295,279 @@ class StateManager {
     for (const [userId] of this.state.statusMonitors) {
       this.clearStatusMonitor(userId);
     }
+    for (const [userId] of this.state.versionSwitchMonitors) {
+      this.clearVersionSwitchMonitor(userId);
+    }
+  }
+
+  // Kept apart from start monitors, which are cleared whenever a start fails
+  setVersionSwitchMonitor(userId, interval) {
+    this.clearVersionSwitchMonitor(userId);
+    this.state.versionSwitchMonitors.set(userId, interval);
+  }
+
+  clearVersionSwitchMonitor(userId) {
+    const interval = this.state.versionSwitchMonitors.get(userId);
+    if (interval) {
+      clearInterval(interval);
+      this.state.versionSwitchMonitors.delete(userId);
+    }
   }
 
   setRegistrationStatsMapping(channelId, messageId) {
-    this.state.registrationStats.set(channelId, messageId);
+    return this.setMapping("registrationStats", channelId, messageId);
+  }
+
+  removeRegistrationStatsMapping(channelId) {
+    return this.deleteMapping("registrationStats", channelId);
   }
 
   setAdminStatusMapping(channelId, messageId) {
-    this.state.adminStatusMapping.set(channelId, messageId);
+    return this.setMapping("adminStatusMapping", channelId, messageId);
+  }
+
+  removeAdminStatusMapping(channelId) {
+    return this.deleteMapping("adminStatusMapping", channelId);
   }
 
   setUserStatusMessage(userId, messageId) {
-    this.state.userStatusMessages.set(userId, messageId);
+    return this.setMapping("userStatusMessages", userId, messageId);
+  }
+
+  removeUserStatusMessage(userId) {
+    return this.deleteMapping("userStatusMessages", userId);
   }
 
   setUserDashboardMessage(userId, messageId) {
-    this.state.userDashboardMessages.set(userId, messageId);
+    return this.setMapping("userDashboardMessages", userId, messageId);
+  }
+
+  removeUserDashboardMessage(userId) {
+    return this.deleteMapping("userDashboardMessages", userId);
   }
 
   setLastKnownStatus(userId, status) {
     this.state.lastKnownStatus.set(userId, status);
   }
 
-  // Cleanup methods
+  removeLastKnownStatus(userId) {
+    this.state.lastKnownStatus.delete(userId);
+  }
+
+  setPendingSession(userId, session) {
+    this.state.pendingSessions.set(userId, {
+      ...session,
+      createdAt: Date.now(),
+    });
+  }
+
+  // Returns and clears the pending session; stale entries are discarded
+  takePendingSession(userId, maxAgeMs = 15 * 60 * 1000) {
+    const session = this.state.pendingSessions.get(userId);
+    this.state.pendingSessions.delete(userId);
+    if (!session || Date.now() - session.createdAt > maxAgeMs) return null;
+    return session;
+  }
+
+  setPendingAdminAction(adminId, action) {
+    this.state.pendingAdminActions.set(adminId, {
+      ...action,
+      createdAt: Date.now(),
+    });
+  }
+
+  // Same expiry rules as pending sessions
+  takePendingAdminAction(adminId, maxAgeMs = 5 * 60 * 1000) {
+    const action = this.state.pendingAdminActions.get(adminId);
+    this.state.pendingAdminActions.delete(adminId);
+    if (!action || Date.now() - action.createdAt > maxAgeMs) return null;
+    return action;
+  }
+
+  // Returns the attempt count so the consumer can give up on an event
+  recordNotificationFailure(eventId) {
+    const attempts = (this.state.notificationFailures.get(eventId) || 0) + 1;
+    this.state.notificationFailures.set(eventId, attempts);
+    return attempts;
+  }
+
+  clearNotificationFailure(eventId) {
+    this.state.notificationFailures.delete(eventId);
+  }
+
+  // Handled events whose ack hasn't gone through yet. The queue drops
+  // unacknowledged events after a day, so older entries are forgotten too.
+  markNotificationsHandled(eventIds, maxAgeMs = 24 * 60 * 60 * 1000) {
+    const now = Date.now();
+    for (const [eventId, handledAt] of this.state.unacknowledgedNotifications) {
+      if (now - handledAt > maxAgeMs) {
+        this.state.unacknowledgedNotifications.delete(eventId);
+      }
+    }
+    for (const eventId of eventIds) {
+      if (!this.state.unacknowledgedNotifications.has(eventId)) {
+        this.state.unacknowledgedNotifications.set(eventId, now);
+      }
+    }
+  }
+
+  isNotificationHandled(eventId) {
+    return this.state.unacknowledgedNotifications.has(eventId);
+  }
+
+  clearHandledNotifications(eventIds) {
+    for (const eventId of eventIds) {
+      this.state.unacknowledgedNotifications.delete(eventId);
+    }
+  }
+
+  // Returns true when the flag changed, e.g. another replica toggled it.
+  // A failed read keeps the cached flag.
+  async loadMaintenance() {
+    try {
+      const item = await this.storage.get(MAINTENANCE_KEY);
+      const maintenance = item?.enabled ? item.maintenance : null;
+      if (JSON.stringify(maintenance) === JSON.stringify(this.maintenance)) {
+        return false;
+      }
+
+      this.maintenance = maintenance;
+      if (maintenance) {
+        logger.warn("🛠️ Maintenance mode is active");
+      } else {
+        logger.info("✅ Maintenance mode is off");
+      }
+      return true;
+    } catch (error) {
+      logger.error("Failed to load maintenance flag:", error.message);
+      return false;
+    }
+  }
+
+  // Cached copy, refreshed with the runtime config every minute
+  getMaintenance() {
+    return this.maintenance;
+  }
+
+  isMaintenanceActive() {
+    return this.maintenance !== null;
+  }
+
+  // Pass null to end maintenance
+  async setMaintenance(maintenance) {
+    await this.storage.put(MAINTENANCE_KEY, {
+      enabled: maintenance !== null,
+      ...(maintenance && { maintenance }),
+    });
+    this.maintenance = maintenance;
+  }
+
+  // Returns guildId -> previous config for every guild whose config changed,
+  // e.g. another replica ran /foundry admin setup. A failed read keeps the
+  // cached configs.
+  async loadGuildConfigs() {
+    const changed = new Map();
+    try {
+      const items = await this.storage.list(GUILD_CONFIG_KEY_PREFIX);
+      const configs = new Map();
+      for (const item of items) {
+        if (item.guildId && item.config) {
+          configs.set(item.guildId, item.config);
+        }
+      }
+
+      for (const [guildId, config] of configs) {
+        const previous = this.getGuildConfig(guildId);
+        if (JSON.stringify(config) !== JSON.stringify(previous)) {
+          changed.set(guildId, previous);
+        }
+      }
+      this.guildConfigs = configs;
+
+      if (changed.size > 0) {
+        logger.info(`✅ Loaded configuration for ${changed.size} guilds`);
+      }
+    } catch (error) {
+      logger.error("Failed to load guild configuration:", error.message);
+    }
+    return changed;
+  }
+
+  // Only the settings a guild overrides; GuildManager merges in the defaults
+  getGuildConfig(guildId) {
+    return this.guildConfigs.get(guildId) || {};
+  }
+
+  async setGuildConfig(guildId, config) {
+    await this.storage.put(`${GUILD_CONFIG_KEY_PREFIX}${guildId}`, {
+      guildId,
+      config,
+    });
+    this.guildConfigs.set(guildId, config);
+  }
+
+  // User preferences are loaded on first use rather than at startup
+  async getUserPreferences(userId) {
+    if (this.state.userPreferences.has(userId)) {
+      return this.state.userPreferences.get(userId);
+    }
+
+    let preferences = {};
+    if (this.storage) {
+      try {
+        const item = await this.storage.get(`${PREFERENCES_KEY_PREFIX}${userId}`);
+        preferences = item?.preferences || {};
+      } catch (error) {
+        logger.error(`Failed to load preferences for ${userId}:`, error.message);
+        return preferences;
+      }
+    }
+
+    this.state.userPreferences.set(userId, preferences);
+    return preferences;
+  }
+
+  async setUserPreference(userId, key, value) {
+    const preferences = {
+      ...(await this.getUserPreferences(userId)),
+      [key]: value,
+    };
+    this.state.userPreferences.set(userId, preferences);
+
+    if (!this.storage) return;
+    try {
+      await this.storage.put(`${PREFERENCES_KEY_PREFIX}${userId}`, {
+        userId,
+        preferences,
+      });
+    } catch (error) {
+      logger.error(`Failed to persist preferences for ${userId}:`, error.message);
+    }
+  }
+
+  // Cleanup methods (in-memory only; persisted mappings are kept for restart)
   cleanup() {
     logger.info("🧹 Cleaning up state...");
-    
+
     try {
       // Clear all status monitors
       this.clearAllStatusMonitors();
-      
+
       // Clear all state maps
       this.state.userChannels.clear();
       this.state.statusMonitors.clear();
+      this.state.versionSwitchMonitors.clear();
       this.state.registrationStats.clear();
       this.state.adminStatusMapping.clear();
       this.state.userStatusMessages.clear();
       this.state.userDashboardMessages.clear();
       this.state.lastKnownStatus.clear();
-      
+      this.state.userPreferences.clear();
+      this.state.pendingSessions.clear();
+      this.state.notificationFailures.clear();
+      this.state.unacknowledgedNotifications.clear();
+      this.state.pendingAdminActions.clear();
+
       logger.info("✅ State cleanup completed");
     } catch (error) {
       logger.error("❌ Error during state cleanup:", error.message);
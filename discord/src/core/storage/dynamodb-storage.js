@@ -0,0 +1,81 @@
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * Storage backend for the bot config table (hash key `configKey`).
+ */
+class DynamoDBStorage {
+  constructor(tableName, region, docClient = null) {
+    this.name = "dynamodb";
+    this.tableName = tableName;
+    this.docClient =
+      docClient ||
+      DynamoDBDocumentClient.from(new DynamoDBClient({ region }));
+  }
+
+  async get(configKey) {
+    const response = await this.docClient.send(
+      new GetCommand({
+        TableName: this.tableName,
+        Key: { configKey },
+      })
+    );
+    return response.Item || null;
+  }
+
+  async put(configKey, attributes) {
+    const item = {
+      ...attributes,
+      configKey,
+      updatedAt: Math.floor(Date.now() / 1000),
+    };
+
+    await this.docClient.send(
+      new PutCommand({
+        TableName: this.tableName,
+        Item: item,
+      })
+    );
+    return item;
+  }
+
+  async delete(configKey) {
+    await this.docClient.send(
+      new DeleteCommand({
+        TableName: this.tableName,
+        Key: { configKey },
+      })
+    );
+  }
+
+  async list(prefix = "") {
+    const items = [];
+    let ExclusiveStartKey;
+
+    do {
+      const response = await this.docClient.send(
+        new ScanCommand({
+          TableName: this.tableName,
+          ExclusiveStartKey,
+          ...(prefix && {
+            FilterExpression: "begins_with(configKey, :prefix)",
+            ExpressionAttributeValues: { ":prefix": prefix },
+          }),
+        })
+      );
+
+      items.push(...(response.Items || []));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return items;
+  }
+}
+
+module.exports = { DynamoDBStorage };
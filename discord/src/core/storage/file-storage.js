@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { MemoryStorage } = require("./memory-storage");
+
+/**
+ * Local JSON file storage backend for development and tests. Keeps items in
+ * memory and rewrites the whole file after every change.
+ */
+class FileStorage extends MemoryStorage {
+  constructor(filePath) {
+    super();
+    this.name = "file";
+    this.filePath = path.resolve(filePath);
+    this.loaded = false;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.loaded) return;
+
+    try {
+      const raw = await fs.readFile(this.filePath, "utf8");
+      const items = JSON.parse(raw);
+      for (const item of items) {
+        this.items.set(item.configKey, item);
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(
+          `Failed to read state file ${this.filePath}: ${error.message}`
+        );
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  async get(configKey) {
+    await this.load();
+    return super.get(configKey);
+  }
+
+  async put(configKey, attributes) {
+    await this.load();
+    const item = await super.put(configKey, attributes);
+    await this.flush();
+    return item;
+  }
+
+  async delete(configKey) {
+    await this.load();
+    await super.delete(configKey);
+    await this.flush();
+  }
+
+  async list(prefix = "") {
+    await this.load();
+    return super.list(prefix);
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk
+  flush() {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(
+          tempPath,
+          JSON.stringify([...this.items.values()], null, 2)
+        );
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,37 @@
+/**
+ * In-memory storage backend. Items live only as long as the process and are
+ * keyed by `configKey`, mirroring the layout of the bot config DynamoDB table.
+ */
+class MemoryStorage {
+  constructor() {
+    this.name = "memory";
+    this.items = new Map(); // configKey -> item
+  }
+
+  async get(configKey) {
+    const item = this.items.get(configKey);
+    return item ? { ...item } : null;
+  }
+
+  async put(configKey, attributes) {
+    const item = {
+      ...attributes,
+      configKey,
+      updatedAt: Math.floor(Date.now() / 1000),
+    };
+    this.items.set(configKey, item);
+    return { ...item };
+  }
+
+  async delete(configKey) {
+    this.items.delete(configKey);
+  }
+
+  async list(prefix = "") {
+    return [...this.items.values()]
+      .filter((item) => item.configKey.startsWith(prefix))
+      .map((item) => ({ ...item }));
+  }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,31 @@
+const { DynamoDBStorage } = require("./dynamodb-storage");
+const { FileStorage } = require("./file-storage");
+const { MemoryStorage } = require("./memory-storage");
+
+class StorageFactory {
+  static create(config) {
+    const { backend, filePath } = config.getStorageConfig();
+    const awsConfig = config.getAWSConfig();
+
+    switch (backend) {
+      case "dynamodb":
+        if (!awsConfig.botConfigTableName) {
+          throw new Error(
+            "STATE_STORAGE=dynamodb requires BOT_CONFIG_TABLE_NAME to be set"
+          );
+        }
+        return new DynamoDBStorage(
+          awsConfig.botConfigTableName,
+          awsConfig.region
+        );
+      case "file":
+        return new FileStorage(filePath);
+      case "memory":
+        return new MemoryStorage();
+      default:
+        throw new Error(`Unknown state storage backend: ${backend}`);
+    }
+  }
+}
+
+module.exports = { StorageFactory };
@@ -2,21 +2,159 @@ const {
   SlashCommandBuilder,
   MessageFlags,
   EmbedBuilder,
+  ChannelType,
 } = require("discord.js");
 const { logger } = require("../../utils/logger");
 const { ErrorHandler } = require("../../utils/error-handler");
 const {
   RegistrationEmbedBuilder,
 } = require("../../components/embeds/registration-embed");
+const { TimeParser } = require("../../utils/time-parser");
+const { ConfigManager } = require("../../core/config-manager");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+const {
+  SupporterTiers,
+  MIN_RUNTIME_HOURS,
+  MAX_RUNTIME_HOURS,
+} = require("../../utils/supporter-tiers");
+const {
+  Permissions,
+  Permission,
+  ALL_PERMISSIONS,
+} = require("../../utils/permissions");
 const { StatusEmbedBuilder } = require("../../components/embeds/status-embed");
+const { AdminEmbedBuilder } = require("../../components/embeds/admin-embed");
+const {
+  LicenseSharingEmbedBuilder,
+} = require("../../components/embeds/license-sharing-embed");
 const {
   InstanceButtonBuilder,
 } = require("../../components/buttons/instance-buttons");
 
+const ROLE_ACCESS_CHOICES = [
+  { name: "Admin", value: "adminRoles" },
+  { name: "User", value: "allowedRoles" },
+];
+
+// Permission each subcommand needs; anything that changes state is destructive
+const COMMAND_PERMISSIONS = {
+  user: {
+    dashboard: Permission.USE_INSTANCE,
+    start: Permission.USE_INSTANCE,
+    stop: Permission.USE_INSTANCE,
+    restart: Permission.USE_INSTANCE,
+    status: Permission.USE_INSTANCE,
+    "admin-key": Permission.USE_INSTANCE,
+    version: Permission.USE_INSTANCE,
+    schedule: Permission.SCHEDULE,
+    sessions: Permission.SCHEDULE,
+    "cancel-session": Permission.SCHEDULE,
+    "reschedule-session": Permission.SCHEDULE,
+    "license-sharing": Permission.SHARE_LICENSE,
+  },
+  admin: {
+    overview: Permission.ADMIN_READ,
+    setup: Permission.ADMIN_READ, // Changes are checked in handleGuildSetup
+    "supporter-tier": Permission.ADMIN_DESTRUCTIVE,
+    permission: Permission.ADMIN_DESTRUCTIVE,
+    "setup-registration": Permission.ADMIN_DESTRUCTIVE,
+    "recreate-registration": Permission.ADMIN_DESTRUCTIVE,
+    maintenance: Permission.ADMIN_DESTRUCTIVE,
+    "force-shutdown": Permission.ADMIN_DESTRUCTIVE,
+    "cleanup-mappings": Permission.ADMIN_DESTRUCTIVE,
+    "test-log": Permission.ADMIN_DESTRUCTIVE,
+  },
+  config: {
+    view: Permission.ADMIN_READ,
+    set: Permission.ADMIN_DESTRUCTIVE,
+    "add-role": Permission.ADMIN_DESTRUCTIVE,
+    "remove-role": Permission.ADMIN_DESTRUCTIVE,
+    "supporter-tier": Permission.ADMIN_DESTRUCTIVE,
+    permission: Permission.ADMIN_DESTRUCTIVE,
+    version: Permission.ADMIN_DESTRUCTIVE,
+    "minimum-version": Permission.ADMIN_DESTRUCTIVE,
+    reset: Permission.ADMIN_DESTRUCTIVE,
+  },
+};
+
+// Shared by the bot-wide and per-server permission subcommands
+function addPermissionOptions(subcommand) {
+  return subcommand
+    .addRoleOption((option) =>
+      option
+        .setName("role")
+        .setDescription("Role to grant or revoke the permission for")
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("permission")
+        .setDescription("Permission")
+        .setRequired(true)
+        .addChoices(
+          ...ALL_PERMISSIONS.map((permission) => ({
+            name: Permissions.label(permission),
+            value: permission,
+          }))
+        )
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("granted")
+        .setDescription("Grant (default) or revoke")
+        .setRequired(false)
+    );
+}
+
+// Shared by the bot-wide and per-server supporter-tier subcommands
+function addSupporterTierOptions(subcommand) {
+  return subcommand
+    .addRoleOption((option) =>
+      option
+        .setName("role")
+        .setDescription("Supporter role")
+        .setRequired(true)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("amount")
+        .setDescription("Monthly credit in $, 0 removes the tier")
+        .setMinValue(0)
+        .setMaxValue(1000)
+        .setRequired(true)
+    )
+    .addStringOption((option) =>
+      option
+        .setName("name")
+        .setDescription("Tier name, defaults to the role name")
+        .setMaxLength(50)
+        .setRequired(false)
+    )
+    .addIntegerOption((option) =>
+      option
+        .setName("max_runtime_hours")
+        .setDescription("On-demand runtime before auto-shutdown (default 6)")
+        .setMinValue(MIN_RUNTIME_HOURS)
+        .setMaxValue(MAX_RUNTIME_HOURS)
+        .setRequired(false)
+    )
+    .addBooleanOption((option) =>
+      option
+        .setName("priority_scheduling")
+        .setDescription("Book sessions beyond the normal booking window")
+        .setRequired(false)
+    );
+}
+
 class FoundryCommandHandler {
-  constructor(lambdaService, discordService) {
+  /**
+   * handlers: { button, selectMenu, modal } interaction handlers. User
+   * subcommands that mirror a button run the same handler method.
+   */
+  constructor(lambdaService, discordService, handlers) {
     this.lambdaService = lambdaService;
     this.discordService = discordService;
+    this.handlers = handlers;
 
     this.data = new SlashCommandBuilder()
       .setName("foundry")
@@ -40,6 +178,132 @@ class FoundryCommandHandler {
               .setName("license-sharing")
               .setDescription("Manage your license sharing status")
           )
+          .addSubcommand((subcommand) =>
+            subcommand.setName("start").setDescription("Start your instance")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand.setName("stop").setDescription("Stop your instance")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("restart")
+              .setDescription("Stop and start your instance again")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("status")
+              .setDescription("Show your instance status")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("admin-key")
+              .setDescription("Send your Foundry admin key to your DMs")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("version")
+              .setDescription("Switch your instance's Foundry version")
+              .addStringOption((option) =>
+                option
+                  .setName("version")
+                  .setDescription("Foundry version")
+                  .setRequired(true)
+                  .setAutocomplete(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("schedule")
+              .setDescription(
+                "Schedule a session; without a start time shows availability"
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("start")
+                  .setDescription(
+                    "Start time, e.g. 2024-01-15 19:00, tomorrow 19:30, friday 8pm"
+                  )
+                  .setRequired(false)
+              )
+              .addNumberOption((option) =>
+                option
+                  .setName("duration")
+                  .setDescription("Length in hours (default 4)")
+                  .setMinValue(0.5)
+                  .setMaxValue(24)
+                  .setRequired(false)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("timezone")
+                  .setDescription(
+                    "Timezone, e.g. Europe/Berlin (default: your last one)"
+                  )
+                  .setRequired(false)
+                  .setAutocomplete(true)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("title")
+                  .setDescription("Session title")
+                  .setMaxLength(100)
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("sessions")
+              .setDescription("List your scheduled sessions")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("cancel-session")
+              .setDescription("Cancel one of your scheduled sessions")
+              .addStringOption((option) =>
+                option
+                  .setName("session_id")
+                  .setDescription("Session to cancel")
+                  .setRequired(true)
+                  .setAutocomplete(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("reschedule-session")
+              .setDescription("Move one of your scheduled sessions")
+              .addStringOption((option) =>
+                option
+                  .setName("session_id")
+                  .setDescription("Session to move")
+                  .setRequired(true)
+                  .setAutocomplete(true)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("start")
+                  .setDescription(
+                    "New start time, e.g. 2024-01-15 19:00, tomorrow 19:30"
+                  )
+                  .setRequired(true)
+              )
+              .addNumberOption((option) =>
+                option
+                  .setName("duration")
+                  .setDescription("Length in hours (default: unchanged)")
+                  .setMinValue(0.5)
+                  .setMaxValue(24)
+                  .setRequired(false)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("timezone")
+                  .setDescription(
+                    "Timezone, e.g. Europe/Berlin (default: your last one)"
+                  )
+                  .setRequired(false)
+                  .setAutocomplete(true)
+              )
+          )
       )
       .addSubcommandGroup((group) =>
         group
@@ -50,6 +314,73 @@ class FoundryCommandHandler {
               .setName("overview")
               .setDescription("View system status and monitoring details")
           )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("setup")
+              .setDescription(
+                "Configure this server; run without options to view settings"
+              )
+              .addChannelOption((option) =>
+                option
+                  .setName("log_channel")
+                  .setDescription("Channel for bot logs and audit entries")
+                  .addChannelTypes(ChannelType.GuildText)
+                  .setRequired(false)
+              )
+              .addChannelOption((option) =>
+                option
+                  .setName("category")
+                  .setDescription("Category for user command channels")
+                  .addChannelTypes(ChannelType.GuildCategory)
+                  .setRequired(false)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("admin_role")
+                  .setDescription("Add a role with admin access")
+                  .setRequired(false)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("allowed_role")
+                  .setDescription("Add a role allowed to use the bot")
+                  .setRequired(false)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("remove_admin_role")
+                  .setDescription("Remove a role's admin access")
+                  .setRequired(false)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("remove_allowed_role")
+                  .setDescription("Remove a role allowed to use the bot")
+                  .setRequired(false)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("kofi_url")
+                  .setDescription("Ko-fi page for support buttons")
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            addSupporterTierOptions(
+              subcommand
+                .setName("supporter-tier")
+                .setDescription(
+                  "Add, change or remove a supporter tier for this server"
+                )
+            )
+          )
+          .addSubcommand((subcommand) =>
+            addPermissionOptions(
+              subcommand
+                .setName("permission")
+                .setDescription("Grant or revoke a permission for a role here")
+            )
+          )
           .addSubcommand((subcommand) =>
             subcommand
               .setName("setup-registration")
@@ -72,6 +403,51 @@ class FoundryCommandHandler {
                   .setRequired(false)
               )
           )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("maintenance")
+              .setDescription("Turn bot-wide maintenance mode on or off")
+              .addBooleanOption((option) =>
+                option
+                  .setName("enabled")
+                  .setDescription("Block user actions while true")
+                  .setRequired(true)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("message")
+                  .setDescription("Banner shown to users during maintenance")
+                  .setRequired(false)
+                  .setMaxLength(500)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("eta")
+                  .setDescription(
+                    "When the service is expected back, e.g. 22:00 or tomorrow 9am"
+                  )
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("force-shutdown")
+              .setDescription("Stop a user's running instance")
+              .addStringOption((option) =>
+                option
+                  .setName("user")
+                  .setDescription("Instance owner")
+                  .setRequired(true)
+                  .setAutocomplete(true)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("reason")
+                  .setDescription("Shown in the audit log")
+                  .setRequired(true)
+                  .setMaxLength(500)
+              )
+          )
           .addSubcommand((subcommand) =>
             subcommand
               .setName("cleanup-mappings")
@@ -88,6 +464,172 @@ class FoundryCommandHandler {
                   .setRequired(true)
               )
           )
+      )
+      .addSubcommandGroup((group) =>
+        group
+          .setName("config")
+          .setDescription("Bot-wide default settings (Admin only)")
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("view")
+              .setDescription("Show the current bot-wide settings")
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("set")
+              .setDescription("Change the default category or Ko-fi page")
+              .addChannelOption((option) =>
+                option
+                  .setName("category")
+                  .setDescription("Category for user command channels")
+                  .addChannelTypes(ChannelType.GuildCategory)
+                  .setRequired(false)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("kofi_url")
+                  .setDescription("Ko-fi page for support buttons")
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("add-role")
+              .setDescription("Grant a role admin or user access")
+              .addStringOption((option) =>
+                option
+                  .setName("access")
+                  .setDescription("Access level")
+                  .setRequired(true)
+                  .addChoices(...ROLE_ACCESS_CHOICES)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("role")
+                  .setDescription("Role to add")
+                  .setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("remove-role")
+              .setDescription("Revoke a role's admin or user access")
+              .addStringOption((option) =>
+                option
+                  .setName("access")
+                  .setDescription("Access level")
+                  .setRequired(true)
+                  .addChoices(...ROLE_ACCESS_CHOICES)
+              )
+              .addRoleOption((option) =>
+                option
+                  .setName("role")
+                  .setDescription("Role to remove")
+                  .setRequired(true)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            addSupporterTierOptions(
+              subcommand
+                .setName("supporter-tier")
+                .setDescription(
+                  "Add, change or remove a default supporter tier"
+                )
+            )
+          )
+          .addSubcommand((subcommand) =>
+            addPermissionOptions(
+              subcommand
+                .setName("permission")
+                .setDescription("Grant or revoke a permission for a role")
+            )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("version")
+              .setDescription(
+                "Add, change or remove a Foundry version users can pick"
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("tag")
+                  .setDescription("Image tag, e.g. 13, 13.346.0 or release")
+                  .setMaxLength(20)
+                  .setRequired(true)
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("label")
+                  .setDescription("Name shown in the version menu")
+                  .setMaxLength(100)
+                  .setRequired(false)
+              )
+              .addIntegerOption((option) =>
+                option
+                  .setName("major")
+                  .setDescription(
+                    "Major version a release or latest tag stands for"
+                  )
+                  .setMinValue(1)
+                  .setMaxValue(99)
+                  .setRequired(false)
+              )
+              .addBooleanOption((option) =>
+                option
+                  .setName("stable")
+                  .setDescription("Stable release (default) or pre-release")
+                  .setRequired(false)
+              )
+              .addBooleanOption((option) =>
+                option
+                  .setName("deprecated")
+                  .setDescription("Hide from registration and warn in the menu")
+                  .setRequired(false)
+              )
+              .addBooleanOption((option) =>
+                option
+                  .setName("remove")
+                  .setDescription("Remove the version from the catalogue")
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("minimum-version")
+              .setDescription(
+                "Oldest version users can pick; omit to allow all"
+              )
+              .addStringOption((option) =>
+                option
+                  .setName("version")
+                  .setDescription("Version, e.g. 12 or 12.331")
+                  .setMaxLength(20)
+                  .setRequired(false)
+              )
+          )
+          .addSubcommand((subcommand) =>
+            subcommand
+              .setName("reset")
+              .setDescription("Go back to the environment value for a setting")
+              .addStringOption((option) =>
+                option
+                  .setName("setting")
+                  .setDescription("Setting to reset")
+                  .setRequired(true)
+                  .addChoices(
+                    { name: "Category", value: "bot.foundryCategory" },
+                    { name: "Ko-fi URL", value: "bot.kofiUrl" },
+                    { name: "Admin roles", value: "bot.adminRoles" },
+                    { name: "Allowed roles", value: "bot.allowedRoles" },
+                    {
+                      name: "Role permissions",
+                      value: "bot.rolePermissions",
+                    },
+                    { name: "Supporter tiers", value: "supporterTiers" },
+                    { name: "Version catalogue", value: "versionCatalogue" }
+                  )
+              )
+          )
       );
   }
 
@@ -96,10 +638,20 @@ class FoundryCommandHandler {
     const subcommand = interaction.options.getSubcommand();
 
     try {
+      const permission = COMMAND_PERMISSIONS[subcommandGroup]?.[subcommand];
+      if (
+        permission &&
+        !(await this.discordService.requirePermission(interaction, permission))
+      ) {
+        return;
+      }
+
       if (subcommandGroup === "user") {
         await this.handleUserCommands(interaction, subcommand);
       } else if (subcommandGroup === "admin") {
         await this.handleAdminCommands(interaction, subcommand);
+      } else if (subcommandGroup === "config") {
+        await this.handleConfigCommands(interaction, subcommand);
       } else {
         await interaction.reply({
           content:
@@ -113,7 +665,44 @@ class FoundryCommandHandler {
     }
   }
 
+  // Suggestions for the options marked with setAutocomplete
+  async autocomplete(interaction) {
+    const permission =
+      COMMAND_PERMISSIONS[interaction.options.getSubcommandGroup(false)]?.[
+        interaction.options.getSubcommand(false)
+      ];
+    if (
+      permission &&
+      !this.discordService.hasPermission(interaction, permission)
+    ) {
+      return await interaction.respond([]);
+    }
+
+    const userId = interaction.user.id;
+    const { autocomplete } = this.handlers;
+
+    switch (interaction.options.getFocused(true).name) {
+      case "session_id":
+        await autocomplete.suggestSessions(interaction, userId);
+        break;
+      case "version":
+        await autocomplete.suggestVersions(interaction, userId);
+        break;
+      case "timezone":
+        await autocomplete.suggestTimezones(interaction, userId);
+        break;
+      case "user":
+        await autocomplete.suggestInstanceOwners(interaction);
+        break;
+      default:
+        await interaction.respond([]);
+    }
+  }
+
   async handleUserCommands(interaction, subcommand) {
+    const userId = interaction.user.id;
+    const { button, selectMenu, modal } = this.handlers;
+
     switch (subcommand) {
       case "dashboard":
         await this.handleDashboard(interaction);
@@ -124,6 +713,58 @@ class FoundryCommandHandler {
       case "license-sharing":
         await this.handleLicenseSharing(interaction);
         break;
+      case "start":
+        await button.handleStart(interaction, userId);
+        break;
+      case "stop":
+        await button.handleStop(interaction, userId);
+        break;
+      case "restart":
+        await button.handleRestart(interaction, userId);
+        break;
+      case "status":
+        await button.handleStatus(interaction, userId);
+        break;
+      case "admin-key":
+        await button.handleAdminKey(interaction, userId);
+        break;
+      case "version":
+        // Autocomplete only suggests; changeVersion checks the catalogue
+        await selectMenu.changeVersion(
+          interaction,
+          userId,
+          interaction.options.getString("version")
+        );
+        break;
+      case "schedule":
+        await this.handleSchedule(interaction, userId, { button, modal });
+        break;
+      case "sessions":
+        await button.handleSessions(interaction, userId);
+        break;
+      case "cancel-session":
+        await button.handleSessionCancel(
+          interaction,
+          userId,
+          interaction.options.getString("session_id")
+        );
+        break;
+      case "reschedule-session":
+        await modal.rescheduleSession(
+          interaction,
+          userId,
+          interaction.options.getString("session_id"),
+          {
+            startTimeStr: interaction.options.getString("start"),
+            timezoneStr:
+              interaction.options.getString("timezone") ||
+              (await this.discordService.state.getUserPreferences(userId))
+                .timezone ||
+              "UTC",
+            durationStr: interaction.options.getNumber("duration")?.toString(),
+          }
+        );
+        break;
       default:
         await interaction.reply({
           content: "❌ Unknown user command.",
@@ -133,24 +774,31 @@ class FoundryCommandHandler {
   }
 
   async handleAdminCommands(interaction, subcommand) {
-    // Check admin permissions
-    if (!this.discordService.hasAdminRole(interaction.member)) {
-      return await interaction.reply({
-        content: "❌ Admin access required for this command.",
-        flags: MessageFlags.Ephemeral,
-      });
-    }
-
     switch (subcommand) {
       case "overview":
         await this.handleAdminOverview(interaction);
         break;
+      case "setup":
+        await this.handleGuildSetup(interaction);
+        break;
+      case "supporter-tier":
+        await this.handleGuildSupporterTier(interaction);
+        break;
+      case "permission":
+        await this.handleGuildPermission(interaction);
+        break;
       case "setup-registration":
         await this.handleSetupRegistration(interaction);
         break;
       case "recreate-registration":
         await this.handleRecreateRegistration(interaction);
         break;
+      case "maintenance":
+        await this.handleMaintenance(interaction);
+        break;
+      case "force-shutdown":
+        await this.handleForceShutdown(interaction);
+        break;
       case "cleanup-mappings":
         await this.handleCleanupMappings(interaction);
         break;
@@ -165,6 +813,186 @@ class FoundryCommandHandler {
     }
   }
 
+  async handleConfigCommands(interaction, subcommand) {
+    // Defaults apply to every server, so only the primary one may change them
+    const primaryGuild = this.discordService.getPrimaryGuild();
+    if (subcommand !== "view" && interaction.guildId !== primaryGuild?.id) {
+      return await interaction.reply({
+        content: `❌ Bot-wide settings can only be changed from **${
+          primaryGuild?.name || "the primary server"
+        }**. Use \`/foundry admin setup\` for this server's settings.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const config = this.discordService.config;
+    const adminId = interaction.user.id;
+
+    try {
+      const changed = [];
+
+      switch (subcommand) {
+        case "view":
+          break;
+        case "set": {
+          const category = interaction.options.getChannel("category");
+          const kofiUrl = interaction.options.getString("kofi_url");
+
+          if (!category && !kofiUrl) {
+            return await interaction.editReply({
+              content: "❌ Provide `category`, `kofi_url` or both.",
+            });
+          }
+          if (kofiUrl && !ConfigManager.isValidKofiUrl(kofiUrl)) {
+            return await interaction.editReply({
+              content:
+                "❌ The Ko-fi URL must be a page like `https://ko-fi.com/yourname`.",
+            });
+          }
+
+          if (category) {
+            await config.setOverride(
+              "bot",
+              "foundryCategory",
+              category.id,
+              adminId
+            );
+            changed.push("category");
+          }
+          if (kofiUrl) {
+            await config.setOverride("bot", "kofiUrl", kofiUrl, adminId);
+            changed.push("Ko-fi URL");
+          }
+          break;
+        }
+        case "add-role":
+        case "remove-role": {
+          const access = interaction.options.getString("access");
+          const role = interaction.options.getRole("role");
+          const roles = config.getBotConfig()[access];
+          const hasRole = roles.includes(role.id);
+
+          if (subcommand === "add-role" ? hasRole : !hasRole) {
+            return await interaction.editReply({
+              content: `ℹ️ **${role.name}** is ${
+                hasRole ? "already" : "not"
+              } in the list.`,
+            });
+          }
+
+          await config.setOverride(
+            "bot",
+            access,
+            subcommand === "add-role"
+              ? [...roles, role.id]
+              : roles.filter((roleId) => roleId !== role.id),
+            adminId
+          );
+          changed.push(access === "adminRoles" ? "admin roles" : "user roles");
+          break;
+        }
+        case "supporter-tier": {
+          const tiers = this.applySupporterTierOptions(
+            interaction,
+            config.getSupporterTiers()
+          );
+          await config.setOverride("supporterTiers", null, tiers, adminId);
+          changed.push("supporter tiers");
+          break;
+        }
+        case "permission": {
+          await config.setOverride(
+            "bot",
+            "rolePermissions",
+            this.applyPermissionOptions(
+              interaction,
+              config.getBotConfig().rolePermissions
+            ),
+            adminId
+          );
+          changed.push("role permissions");
+          break;
+        }
+        case "version": {
+          await config.setOverride(
+            "versionCatalogue",
+            null,
+            this.applyVersionOptions(
+              interaction,
+              config.getVersionCatalogue()
+            ),
+            adminId
+          );
+          changed.push("version catalogue");
+          break;
+        }
+        case "minimum-version": {
+          const minimumVersion =
+            interaction.options.getString("version")?.trim() || null;
+          if (minimumVersion && !/^\d+(\.\d+){0,2}$/.test(minimumVersion)) {
+            return await interaction.editReply({
+              content:
+                "❌ The minimum version must be a major like `12` or a build like `12.331`.",
+            });
+          }
+
+          await config.setOverride(
+            "versionCatalogue",
+            null,
+            { ...config.getVersionCatalogue(), minimumVersion },
+            adminId
+          );
+          changed.push("minimum version");
+          break;
+        }
+        case "reset": {
+          const [section, key = null] = interaction.options
+            .getString("setting")
+            .split(".");
+          await config.setOverride(section, key, null, adminId);
+          changed.push(`${key || section} (reset)`);
+          break;
+        }
+        default:
+          return await interaction.editReply({
+            content: "❌ Unknown config command.",
+          });
+      }
+
+      if (changed.length > 0) {
+        logger.info(
+          `⚙️ ${interaction.user.username} changed bot config: ${changed.join(
+            ", "
+          )}`
+        );
+        await this.discordService.sendAuditLog(
+          new EmbedBuilder()
+            .setColor("#0099ff")
+            .setTitle("⚙️ Bot Configuration Changed")
+            .addFields([
+              { name: "Changed", value: changed.join(", "), inline: true },
+              { name: "By", value: `<@${adminId}>`, inline: true },
+            ])
+            .setTimestamp()
+        );
+      }
+
+      await interaction.editReply({
+        ...(changed.length > 0 && {
+          content: "✅ Settings saved and applied.",
+        }),
+        embeds: [AdminEmbedBuilder.createBotConfig(config)],
+      });
+    } catch (error) {
+      logger.error("Config command error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to update settings: ${error.message}`,
+      });
+    }
+  }
+
   async handleDashboard(interaction) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
@@ -172,20 +1000,35 @@ class FoundryCommandHandler {
       const userId = interaction.user.id;
       const result = await this.lambdaService.getInstanceStatus(userId);
 
+      const otherGuild = this.discordService.getOtherGuildMessage(
+        result,
+        interaction.guildId
+      );
+      if (otherGuild) {
+        return await interaction.editReply({ content: otherGuild });
+      }
+
       // User has an instance - show dashboard
-      const embed = StatusEmbedBuilder.createDashboard(result);
-      const instanceButtons =
-        InstanceButtonBuilder.createInstanceControlButtons(userId, result);
+      const embed = StatusEmbedBuilder.createDashboard(
+        result,
+        await this.getCostData(interaction, userId)
+      );
+      const components = InstanceButtonBuilder.createInstanceComponents(
+        userId,
+        result
+      );
 
       await interaction.editReply({
         embeds: [embed],
-        components: [instanceButtons],
+        components,
       });
     } catch (error) {
-      if (error.message.includes("not found")) {
+      if (error.code === "RESOURCE_NOT_FOUND") {
         // User doesn't have an instance - show registration
         const embed = RegistrationEmbedBuilder.create();
-        const buttons = InstanceButtonBuilder.createRegistrationButtons();
+        const buttons = InstanceButtonBuilder.createRegistrationButtons(
+          this.getKofiUrl(interaction)
+        );
 
         await interaction.editReply({
           embeds: [embed],
@@ -197,6 +1040,54 @@ class FoundryCommandHandler {
     }
   }
 
+  // Without a start time this is the Schedule Session button, otherwise the
+  // options fill in the schedule form
+  async handleSchedule(interaction, userId, { button, modal }) {
+    const startTimeStr = interaction.options.getString("start");
+    if (!startTimeStr) {
+      return await button.handleSchedule(interaction, userId);
+    }
+
+    const timezoneStr =
+      interaction.options.getString("timezone") ||
+      (await this.discordService.state.getUserPreferences(userId)).timezone ||
+      "UTC";
+
+    await modal.showSchedulePreview(interaction, userId, {
+      title: interaction.options.getString("title"),
+      startTimeStr,
+      timezoneStr,
+      durationStr: String(interaction.options.getNumber("duration") ?? 4),
+    });
+  }
+
+  // This month's costs after supporter credit, if the member may see them
+  async getCostData(interaction, userId) {
+    if (
+      !this.discordService.hasPermission(interaction, Permission.VIEW_COSTS)
+    ) {
+      return null;
+    }
+
+    const costs = await this.lambdaService
+      .getUserCosts(userId)
+      .catch(() => null);
+    if (!costs) return null;
+
+    const supporterAmount = this.discordService.getUserSupporterAmount(
+      interaction.member
+    );
+    return {
+      ...costs,
+      isSupporter: supporterAmount > 0,
+      supporterAmount,
+      adjustedUncoveredCost: Math.max(
+        0,
+        costs.uncoveredCost - supporterAmount
+      ),
+    };
+  }
+
   async handleHelp(interaction) {
     const embed = new EmbedBuilder()
       .setColor("#0099ff")
@@ -216,8 +1107,19 @@ class FoundryCommandHandler {
             "`/foundry user dashboard` – personal control panel\n" +
             "`/foundry user help` – this help message\n" +
             "`/foundry user license-sharing` – manage license sharing\n" +
+            "`/foundry user start|stop|restart|status` – control your instance\n" +
+            "`/foundry user admin-key` / `version` – admin key, Foundry version\n" +
+            "`/foundry user schedule` / `sessions` – book and list sessions\n" +
+            "`/foundry user cancel-session` / `reschedule-session` – change a booking\n" +
             "`/foundry admin overview` – system-wide status (admin)\n" +
-            "`/foundry admin setup-registration` – post registration embed (admin)",
+            "`/foundry admin setup` – configure this server (admin)\n" +
+            "`/foundry admin supporter-tier` – supporter perks for this server (admin)\n" +
+            "`/foundry admin permission` – grant a role a permission here (admin)\n" +
+            "`/foundry config view` – bot-wide defaults (admin)\n" +
+            "`/foundry config version` – Foundry versions users can pick (admin)\n" +
+            "`/foundry admin setup-registration` – post registration embed (admin)\n" +
+            "`/foundry admin maintenance` – toggle maintenance mode (admin)\n" +
+            "`/foundry admin force-shutdown` – stop a user's instance (admin)",
         },
       ])
       .setFooter({ text: "Need more information? Contact an administrator." })
@@ -240,6 +1142,14 @@ class FoundryCommandHandler {
         });
       }
 
+      const otherGuild = this.discordService.getOtherGuildMessage(
+        result,
+        interaction.guildId
+      );
+      if (otherGuild) {
+        return await interaction.editReply({ content: otherGuild });
+      }
+
       if (result.licenseType !== "byol") {
         return await interaction.editReply({
           content:
@@ -247,54 +1157,14 @@ class FoundryCommandHandler {
         });
       }
 
-      const isCurrentlySharing = result.allowLicenseSharing || false;
-
-      const embed = new EmbedBuilder()
-        .setColor("#0099ff")
-        .setTitle("🔑 License Sharing Management")
-        .setDescription(
-          isCurrentlySharing
-            ? "Your license is currently **pooled with the community** and available for others to use."
-            : "Your license is currently **private** and only used by your own instance."
-        )
-        .addFields([
-          {
-            name: "🤝 What is License Pooling?",
-            value:
-              "• Share your Foundry license with the community\n" +
-              "• Others can schedule sessions using your license\n" +
-              "• You get priority access to your own license\n" +
-              "• Help others who don't have their own license",
-          },
-          {
-            name: "📋 Current Status",
-            value: isCurrentlySharing
-              ? "🟢 **License Pooled**"
-              : "🔴 **License Private**",
-            inline: true,
-          },
-          {
-            name: "🎯 Your Priority",
-            value:
-              "You always get priority access to your own license, even when shared",
-            inline: true,
-          },
-        ])
-        .setFooter({
-          text: isCurrentlySharing
-            ? "Click 'Stop Pooling' to make your license private again"
-            : "Click 'Start Pooling' to share your license with the community",
-        })
-        .setTimestamp();
-
-      const buttons = InstanceButtonBuilder.createLicenseSharingButtons(
-        userId,
-        isCurrentlySharing
-      );
-
       await interaction.editReply({
-        embeds: [embed],
-        components: [buttons],
+        embeds: [LicenseSharingEmbedBuilder.create(result)],
+        components: [
+          InstanceButtonBuilder.createLicenseSharingButtons(
+            userId,
+            LicenseSharingEmbedBuilder.getState(result)
+          ),
+        ],
       });
     } catch (error) {
       logger.error("License sharing command error:", error);
@@ -313,23 +1183,7 @@ class FoundryCommandHandler {
         interaction.user.id
       );
 
-      const embed = new EmbedBuilder()
-        .setTitle("🔧 System Administration Dashboard")
-        .setDescription("Current system status overview")
-        .setColor(0x00ff00)
-        .addFields([
-          {
-            name: "📊 System Summary",
-            value: [
-              `**Total Instances:** ${data.summary.totalInstances}`,
-              `**Running:** ${data.summary.runningInstances} | **BYOL:** ${data.summary.byolInstances} | **Pooled:** ${data.summary.pooledInstances}`,
-              `**Shared Licenses:** ${data.summary.sharedLicenses}`,
-              `**Active Sessions:** ${data.summary.activeSessions} | **Upcoming:** ${data.summary.upcomingSessions}`,
-            ].join("\n"),
-            inline: false,
-          },
-        ])
-        .setTimestamp();
+      const embed = AdminEmbedBuilder.createOverview(data);
 
       const buttons = InstanceButtonBuilder.createAdminButtons();
 
@@ -345,13 +1199,327 @@ class FoundryCommandHandler {
     }
   }
 
+  async handleMaintenance(interaction) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const adminId = interaction.user.id;
+    const enabled = interaction.options.getBoolean("enabled");
+    const state = this.discordService.state;
+
+    if (!enabled) {
+      if (!state.isMaintenanceActive()) {
+        return await interaction.editReply({
+          content: "ℹ️ Maintenance mode is not active.",
+        });
+      }
+
+      await this.discordService.setMaintenanceMode(null, adminId);
+      return await interaction.editReply({
+        content: "✅ Maintenance mode disabled. Users have been notified.",
+      });
+    }
+
+    let eta;
+    const etaInput = interaction.options.getString("eta");
+    if (etaInput) {
+      const { timezone = "UTC" } = await state.getUserPreferences(adminId);
+      try {
+        eta = Math.floor(
+          TimeParser.parseStartTime(etaInput, timezone).getTime() / 1000
+        );
+      } catch (error) {
+        return await interaction.editReply({ content: `❌ ${error.message}` });
+      }
+    }
+
+    const maintenance = {
+      message: interaction.options.getString("message") || undefined,
+      eta,
+      startedBy: adminId,
+      startedAt: Math.floor(Date.now() / 1000),
+    };
+    await this.discordService.setMaintenanceMode(
+      // Keep the stored item free of undefined attributes
+      Object.fromEntries(
+        Object.entries(maintenance).filter(([, value]) => value !== undefined)
+      ),
+      adminId
+    );
+
+    await interaction.editReply({
+      content:
+        "🛠️ Maintenance mode enabled. User actions are blocked until you run " +
+        "`/foundry admin maintenance enabled:false`." +
+        (eta ? `\nUsers see an ETA of <t:${eta}:f>.` : ""),
+    });
+  }
+
+  getKofiUrl(interaction) {
+    return this.discordService.guildManager.getGuildSettings(
+      interaction.guildId
+    ).kofiUrl;
+  }
+
+  async handleGuildSetup(interaction) {
+    if (!interaction.guild) {
+      return await interaction.reply({
+        content: "❌ Server setup must be run in a server.",
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const guild = interaction.guild;
+    const guildManager = this.discordService.guildManager;
+    const current = guildManager.getGuildSettings(guild.id);
+    const changes = {};
+
+    const logChannel = interaction.options.getChannel("log_channel");
+    if (logChannel) changes.logChannelId = logChannel.id;
+
+    const category = interaction.options.getChannel("category");
+    if (category) changes.foundryCategory = category.id;
+
+    for (const [setting, option] of [
+      ["adminRoles", "admin_role"],
+      ["allowedRoles", "allowed_role"],
+    ]) {
+      const added = interaction.options.getRole(option);
+      const removed = interaction.options.getRole(`remove_${option}`);
+      const roles = current[setting].filter((id) => id !== removed?.id);
+      if (added && !roles.includes(added.id)) roles.push(added.id);
+      if (roles.join() !== current[setting].join()) changes[setting] = roles;
+    }
+
+    const kofiUrl = interaction.options.getString("kofi_url");
+    if (kofiUrl) {
+      if (!ConfigManager.isValidKofiUrl(kofiUrl)) {
+        return await interaction.editReply({
+          content:
+            "❌ The Ko-fi URL must be a page like `https://ko-fi.com/yourname`.",
+        });
+      }
+      changes.kofiUrl = kofiUrl;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return await interaction.editReply({
+        embeds: [AdminEmbedBuilder.createGuildSettings(guild, current)],
+      });
+    }
+
+    // Viewing is read-only; changing settings is not
+    if (
+      !this.discordService.hasPermission(
+        interaction,
+        Permission.ADMIN_DESTRUCTIVE
+      )
+    ) {
+      return await interaction.editReply({
+        content: `❌ Changing server settings needs the **${Permissions.label(
+          Permission.ADMIN_DESTRUCTIVE
+        )}** permission.`,
+      });
+    }
+
+    try {
+      const settings = await guildManager.updateGuildSettings(
+        guild.id,
+        changes
+      );
+
+      if (changes.logChannelId) {
+        await this.discordService.setupGuildLoggingChannel(guild);
+      }
+
+      logger.info(
+        `⚙️ ${interaction.user.username} updated settings for ${guild.name}: ${Object.keys(
+          changes
+        ).join(", ")}`
+      );
+
+      await interaction.editReply({
+        content: "✅ Server settings updated.",
+        embeds: [AdminEmbedBuilder.createGuildSettings(guild, settings)],
+      });
+    } catch (error) {
+      logger.error("Guild setup error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to save server settings: ${error.message}`,
+      });
+    }
+  }
+
+  /**
+   * Returns the tier list with the role from the command options added,
+   * updated or (amount 0) removed. Options left out keep their current value.
+   */
+  applyVersionOptions(interaction, catalogue) {
+    const tag = interaction.options.getString("tag").trim().toLowerCase();
+    const existing = FoundryVersions.find(catalogue, tag);
+
+    if (interaction.options.getBoolean("remove")) {
+      if (!existing) throw new Error(`\`${tag}\` is not in the catalogue`);
+      if (catalogue.versions.length === 1) {
+        throw new Error("The catalogue needs at least one version");
+      }
+      return FoundryVersions.remove(catalogue, tag);
+    }
+
+    // Select menus hold at most 25 options
+    if (!existing && catalogue.versions.length >= 25) {
+      throw new Error("The catalogue is full, remove a version first");
+    }
+
+    const major = interaction.options.getInteger("major") ?? existing?.major;
+    const version = {
+      tag,
+      label:
+        interaction.options.getString("label") ||
+        existing?.label ||
+        `v${tag}`,
+      ...(major !== undefined && { major }),
+      stable:
+        interaction.options.getBoolean("stable") ?? existing?.stable ?? true,
+      deprecated:
+        interaction.options.getBoolean("deprecated") ??
+        existing?.deprecated ??
+        false,
+    };
+    FoundryVersions.validate(version);
+
+    return FoundryVersions.upsert(catalogue, version);
+  }
+
+  applySupporterTierOptions(interaction, tiers) {
+    const role = interaction.options.getRole("role");
+    const amount = interaction.options.getInteger("amount");
+
+    if (amount === 0) {
+      return SupporterTiers.remove(tiers, role.id);
+    }
+
+    const existing = tiers.find((tier) => tier.roleId === role.id);
+    const maxRuntimeHours =
+      interaction.options.getInteger("max_runtime_hours") ??
+      existing?.perks?.maxRuntimeHours;
+    const priorityScheduling =
+      interaction.options.getBoolean("priority_scheduling") ??
+      existing?.perks?.priorityScheduling;
+
+    const tier = {
+      roleId: role.id,
+      name:
+        interaction.options.getString("name") || existing?.name || role.name,
+      monthlyCredit: amount,
+      perks: {
+        ...(maxRuntimeHours && { maxRuntimeHours }),
+        ...(priorityScheduling && { priorityScheduling }),
+      },
+    };
+    SupporterTiers.validate(tier);
+
+    return SupporterTiers.upsert(tiers, tier);
+  }
+
+  async handleGuildSupporterTier(interaction) {
+    if (!interaction.guild) {
+      return await interaction.reply({
+        content: "❌ Supporter tiers must be set up in a server.",
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const guild = interaction.guild;
+    const guildManager = this.discordService.guildManager;
+
+    try {
+      const supporterTiers = this.applySupporterTierOptions(
+        interaction,
+        guildManager.getGuildSettings(guild.id).supporterTiers
+      );
+      const settings = await guildManager.updateGuildSettings(guild.id, {
+        supporterTiers,
+      });
+
+      logger.info(
+        `⚙️ ${interaction.user.username} updated supporter tiers for ${guild.name}`
+      );
+
+      await interaction.editReply({
+        content: "✅ Supporter tiers updated.",
+        embeds: [AdminEmbedBuilder.createGuildSettings(guild, settings)],
+      });
+    } catch (error) {
+      logger.error("Supporter tier error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to update supporter tiers: ${error.message}`,
+      });
+    }
+  }
+
+  // Returns role permissions with the grant or revoke from the command options
+  applyPermissionOptions(interaction, rolePermissions) {
+    return Permissions.grant(
+      rolePermissions,
+      interaction.options.getRole("role").id,
+      interaction.options.getString("permission"),
+      interaction.options.getBoolean("granted") ?? true
+    );
+  }
+
+  async handleGuildPermission(interaction) {
+    if (!interaction.guild) {
+      return await interaction.reply({
+        content: "❌ Permissions must be set up in a server.",
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const guild = interaction.guild;
+    const guildManager = this.discordService.guildManager;
+
+    try {
+      const rolePermissions = this.applyPermissionOptions(
+        interaction,
+        guildManager.getGuildSettings(guild.id).rolePermissions
+      );
+      const settings = await guildManager.updateGuildSettings(guild.id, {
+        rolePermissions,
+      });
+
+      logger.info(
+        `⚙️ ${interaction.user.username} updated role permissions for ${guild.name}`
+      );
+
+      await interaction.editReply({
+        content: "✅ Role permissions updated.",
+        embeds: [AdminEmbedBuilder.createGuildSettings(guild, settings)],
+      });
+    } catch (error) {
+      logger.error("Role permission error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to update role permissions: ${error.message}`,
+      });
+    }
+  }
+
   async handleSetupRegistration(interaction) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
     const channel =
       interaction.options.getChannel("channel") || interaction.channel;
-    const embed = RegistrationEmbedBuilder.create();
-    const buttons = InstanceButtonBuilder.createRegistrationButtons();
+    const embed = RegistrationEmbedBuilder.create(
+      this.discordService.state.getMaintenance()
+    );
+    const buttons = InstanceButtonBuilder.createRegistrationButtons(
+      this.getKofiUrl(interaction)
+    );
 
     try {
       const message = await channel.send({
@@ -359,6 +1527,12 @@ class FoundryCommandHandler {
         components: [buttons],
       });
 
+      // Track the message so the stats cron keeps it up to date
+      await this.discordService.state.setRegistrationStatsMapping(
+        channel.id,
+        message.id
+      );
+
       await interaction.editReply({
         content: `✅ Registration message posted in ${channel}!\n\nMessage ID: \`${message.id}\``,
       });
@@ -375,14 +1549,36 @@ class FoundryCommandHandler {
     await this.handleSetupRegistration(interaction);
   }
 
+  // Same confirmation step as the Force Shutdown emergency action
+  async handleForceShutdown(interaction) {
+    const rawTarget = interaction.options.getString("user");
+    const targetId = rawTarget.match(/\d{17,20}/)?.[0];
+
+    if (!targetId) {
+      return await interaction.reply({
+        content: `❌ "${rawTarget}" is not a Discord user ID. Pick an owner from the suggestions.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await this.handlers.modal.confirmEmergencyAction(
+      interaction,
+      "forceshutdown",
+      targetId,
+      interaction.options.getString("reason").trim()
+    );
+  }
+
   async handleCleanupMappings(interaction) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
     try {
-      // Implement cleanup logic
+      const result = await this.discordService.cleanupInvalidMappings();
+
       await interaction.editReply({
-        content:
-          "✅ Cleanup completed! Mappings have been validated and cleaned.",
+        content: result.failed.length
+          ? `⚠️ Cleanup removed ${result.removed} stale entries, but ${result.failed.length} could not be deleted from storage and will return on restart: ${result.failed[0].error}`
+          : `✅ Cleanup completed! Mappings have been validated and ${result.removed} stale entries removed.`,
       });
     } catch (error) {
       logger.error("Cleanup mappings error:", error);
@@ -0,0 +1,183 @@
+const { logger } = require("../../utils/logger");
+const { TimeParser, TIMEZONE_ALIASES } = require("../../utils/time-parser");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+const {
+  DEFAULT_FOUNDRY_VERSION,
+} = require("../../components/menus/instance-menus");
+
+// Discord shows at most 25 suggestions with names up to 100 characters
+const MAX_CHOICES = 25;
+const MAX_NAME_LENGTH = 100;
+
+// Autocomplete fires on every keystroke, so Lambda lookups are reused briefly
+const CACHE_TTL_MS = 15 * 1000;
+
+const TIMEZONES = ["UTC", ...Intl.supportedValuesOf("timeZone")];
+
+class AutocompleteHandler {
+  constructor(client, lambdaService, discordService) {
+    this.client = client;
+    this.lambdaService = lambdaService;
+    this.discordService = discordService;
+    this.cache = new Map();
+  }
+
+  /**
+   * Answers with the choices getChoices returns for the typed text. Discord
+   * only waits 3 seconds and autocomplete can't be deferred, so a failed
+   * lookup answers with no suggestions instead of an error.
+   */
+  async respond(interaction, getChoices) {
+    const query = interaction.options.getFocused().trim().toLowerCase();
+
+    let choices = [];
+    try {
+      choices = await getChoices(query);
+    } catch (error) {
+      logger.warn(
+        `Autocomplete for ${interaction.options.getFocused(true).name} failed:`,
+        error.message
+      );
+    }
+
+    await interaction
+      .respond(
+        choices.slice(0, MAX_CHOICES).map(({ name, value }) => ({
+          name:
+            name.length > MAX_NAME_LENGTH
+              ? `${name.slice(0, MAX_NAME_LENGTH - 1)}…`
+              : name,
+          value,
+        }))
+      )
+      .catch((error) =>
+        logger.warn("Autocomplete response failed:", error.message)
+      );
+  }
+
+  async cached(key, load) {
+    const now = Date.now();
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > now) return entry.value;
+
+    // Drop every expired entry on a miss, so the cache only ever holds the
+    // users who typed in the last CACHE_TTL_MS
+    for (const [cachedKey, { expiresAt }] of this.cache) {
+      if (expiresAt <= now) this.cache.delete(cachedKey);
+    }
+
+    const value = await load();
+    this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+    return value;
+  }
+
+  // Sessions that can still be cancelled or moved, soonest first
+  async suggestSessions(interaction, userId) {
+    await this.respond(interaction, async (query) => {
+      const [result, preferences] = await Promise.all([
+        this.cached(`sessions:${userId}`, () =>
+          this.lambdaService.listSessions(userId)
+        ),
+        this.discordService.state.getUserPreferences(userId),
+      ]);
+      const timeZone = preferences.timezone || "UTC";
+
+      return result.sessions
+        .filter((session) => session.status === "scheduled")
+        .sort((a, b) => a.startTime - b.startTime)
+        .map((session) => ({
+          name: `${TimeParser.formatInZone(
+            new Date(session.startTime * 1000),
+            timeZone
+          )} – ${session.title || "Foundry VTT Session"}`,
+          value: session.sessionId,
+        }))
+        .filter(
+          ({ name, value }) =>
+            name.toLowerCase().includes(query) || value.startsWith(query)
+        );
+    });
+  }
+
+  // Catalogue versions the user's instance may switch to
+  async suggestVersions(interaction, userId) {
+    await this.respond(interaction, async (query) => {
+      const status = await this.cached(`status:${userId}`, () =>
+        this.lambdaService.getInstanceStatus(userId)
+      );
+
+      return FoundryVersions.getSwitchTargets(
+        this.discordService.config.getVersionCatalogue(),
+        status.foundryVersion || DEFAULT_FOUNDRY_VERSION
+      )
+        .filter(
+          (version) =>
+            version.tag.toLowerCase().startsWith(query) ||
+            version.label.toLowerCase().includes(query)
+        )
+        .map((version) => ({
+          name: `${FoundryVersions.getEmoji(version)} ${version.label}`,
+          value: version.tag,
+        }));
+    });
+  }
+
+  // IANA zones whose name or city starts with the typed text; the user's
+  // last timezone, or the zone for an abbreviation like "CET", comes first
+  async suggestTimezones(interaction, userId) {
+    await this.respond(interaction, async (query) => {
+      const preferences =
+        await this.discordService.state.getUserPreferences(userId);
+      const zoneQuery = query.replace(/ /g, "_");
+
+      const matches = TIMEZONES.filter((zone) => {
+        const name = zone.toLowerCase();
+        return (
+          name.startsWith(zoneQuery) ||
+          name.slice(name.lastIndexOf("/") + 1).startsWith(zoneQuery)
+        );
+      });
+
+      const preferred = query
+        ? TIMEZONE_ALIASES[query.toUpperCase()]
+        : preferences.timezone;
+
+      return [
+        ...new Set([preferred, ...matches].filter(Boolean)),
+      ].map((zone) => ({
+        name: zone,
+        value: zone,
+      }));
+    });
+  }
+
+  // Owners of registered instances, matched by Discord name, instance name or ID
+  async suggestInstanceOwners(interaction) {
+    await this.respond(interaction, async (query) => {
+      const result = await this.cached("instances", () =>
+        this.lambdaService.getAllInstances()
+      );
+
+      return result.instances
+        .map((instance) => {
+          const username = this.client.users.cache.get(
+            instance.userId
+          )?.username;
+          const label = username
+            ? `${username} (${instance.sanitizedUsername})`
+            : instance.sanitizedUsername;
+          return {
+            name: `${label} – ${instance.status}`,
+            value: instance.userId,
+          };
+        })
+        .filter(
+          ({ name, value }) =>
+            name.toLowerCase().includes(query) || value.startsWith(query)
+        )
+        .sort((a, b) => a.name.localeCompare(b.name));
+    });
+  }
+}
+
+module.exports = { AutocompleteHandler };
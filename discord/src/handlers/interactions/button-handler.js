@@ -1,6 +1,29 @@
 const { MessageFlags, EmbedBuilder } = require("discord.js");
 const { logger } = require("../../utils/logger");
-const { ErrorHandler } = require("../../utils/error-handler");
+const { TimeParser } = require("../../utils/time-parser");
+const { Permission } = require("../../utils/permissions");
+const { CustomId } = require("../../utils/custom-id");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+const { StatusEmbedBuilder } = require("../../components/embeds/status-embed");
+const { AdminEmbedBuilder } = require("../../components/embeds/admin-embed");
+const {
+  LicenseSharingEmbedBuilder,
+} = require("../../components/embeds/license-sharing-embed");
+const {
+  InstanceMenuBuilder,
+  DEFAULT_FOUNDRY_VERSION,
+} = require("../../components/menus/instance-menus");
+const {
+  InstanceButtonBuilder,
+  EMERGENCY_ACTIONS,
+} = require("../../components/buttons/instance-buttons");
+const {
+  InstanceModalBuilder,
+} = require("../../components/modals/instance-modals");
+
+const SESSIONS_PER_PAGE = 5;
+const VERSION_SWITCH_RUNNING =
+  "⏳ **Version change in progress**\n\nYour data is still being copied for the last version switch or rollback. Try again when it's done.";
 
 class ButtonHandler {
   constructor(client, lambdaService, discordService) {
@@ -9,91 +32,264 @@ class ButtonHandler {
     this.discordService = discordService;
   }
 
-  async handle(interaction) {
-    const parts = interaction.customId.split("_");
-    const [action, subAction] = parts;
+  registerRoutes(router) {
+    const { USE_INSTANCE, SCHEDULE, SHARE_LICENSE, ADMIN_READ } = Permission;
+    const use = { permission: USE_INSTANCE };
+    const schedule = { permission: SCHEDULE };
+    const sharing = { permission: SHARE_LICENSE };
+    // On someone else's instance these only look, so read-only admins may too
+    const view = (permission) => ({ permission, othersPermission: ADMIN_READ });
 
-    if (action === "foundry") {
-      await this.handleFoundryButton(interaction, parts);
-    } else if (action === "admin") {
-      await this.handleAdminButton(interaction, parts);
-    }
-  }
+    router.button(
+      "register",
+      (interaction) => this.handleRegister(interaction, interaction.user.id),
+      use
+    );
+    router.button(
+      "start",
+      (interaction, { userId }) => this.handleStart(interaction, userId),
+      use
+    );
+    router.button(
+      "stop",
+      (interaction, { userId }) => this.handleStop(interaction, userId),
+      use
+    );
+    router.button(
+      "status",
+      (interaction, { userId }) => this.handleStatus(interaction, userId),
+      view(USE_INSTANCE)
+    );
+    router.button(
+      "adminkey",
+      (interaction, { userId }) => this.handleAdminKey(interaction, userId),
+      use
+    );
+    router.button(
+      "changeversion",
+      (interaction, { userId }) =>
+        this.handleChangeVersion(interaction, userId),
+      use
+    );
+    router.button(
+      "versionrollback",
+      (interaction, { userId }) =>
+        this.handleVersionRollback(interaction, userId),
+      use
+    );
+    router.button(
+      "versionrollbackconfirm",
+      (interaction, { userId }) =>
+        this.handleVersionRollbackConfirm(interaction, userId),
+      use
+    );
+    router.button(
+      "versionrollbackcancel",
+      (interaction) =>
+        interaction.update({
+          content: "✅ Rollback cancelled. Your instance is untouched.",
+          embeds: [],
+          components: [],
+        }),
+      use
+    );
+    router.button(
+      "extend",
+      (interaction, { userId }) => this.handleExtend(interaction, userId),
+      use
+    );
+    router.button(
+      "destroy",
+      (interaction, { userId }) => this.handleDestroy(interaction, userId),
+      use
+    );
+    router.button(
+      "destroyconfirm",
+      (interaction, { userId, keepSharing }) =>
+        this.handleDestroyConfirm(interaction, userId, keepSharing),
+      use
+    );
+    router.button(
+      "destroycancel",
+      (interaction) =>
+        interaction.update({
+          content: "✅ Destroy cancelled. Your instance is untouched.",
+          embeds: [],
+          components: [],
+        }),
+      use
+    );
 
-  async handleFoundryButton(interaction, parts) {
-    const [, subAction] = parts;
-    let userId;
-
-    // Parse button ID formats
-    if (parts.length === 2 && subAction === "register") {
-      userId = interaction.user.id;
-    } else if (parts.length === 3) {
-      userId = parts[2];
-    } else if (parts.length >= 4) {
-      // Handle complex button formats
-      userId = this.parseComplexButtonId(parts);
-    }
+    router.button(
+      "schedule",
+      (interaction, { userId }) => this.handleSchedule(interaction, userId),
+      schedule
+    );
+    router.button(
+      "scheduleform",
+      (interaction, { userId }) => this.handleScheduleForm(interaction, userId),
+      schedule
+    );
+    router.button(
+      "scheduleconfirm",
+      (interaction, { userId }) =>
+        this.handleScheduleConfirm(interaction, userId),
+      schedule
+    );
+    router.button(
+      "recurringform",
+      (interaction, { userId }) =>
+        this.handleRecurringForm(interaction, userId),
+      schedule
+    );
+    router.button(
+      "recurringconfirm",
+      (interaction, { userId }) =>
+        this.handleRecurringConfirm(interaction, userId),
+      schedule
+    );
+    router.button(
+      "schedulecancel",
+      (interaction, { userId }) => {
+        this.discordService.state.takePendingSession(userId);
+        return interaction.update({
+          content: "❌ Session not booked.",
+          embeds: [],
+          components: [],
+        });
+      },
+      schedule
+    );
+    router.button(
+      "sessions",
+      (interaction, { userId }) => this.handleSessions(interaction, userId),
+      view(SCHEDULE)
+    );
+    router.button(
+      "sessionspage",
+      (interaction, { userId, page }) =>
+        this.handleSessionsPage(interaction, userId, page),
+      view(SCHEDULE)
+    );
+    router.button(
+      "sessioncancel",
+      (interaction, { userId, sessionId }) =>
+        this.handleSessionCancel(interaction, userId, sessionId),
+      schedule
+    );
+    router.button(
+      "sessionreschedule",
+      (interaction, { userId, sessionId, minutes }) =>
+        this.handleSessionReschedule(interaction, userId, sessionId, minutes),
+      schedule
+    );
+    router.button(
+      "seriescancel",
+      (interaction, { userId, seriesId }) =>
+        this.handleSeriesCancel(interaction, userId, seriesId),
+      schedule
+    );
 
-    // Check permissions
-    if (
-      userId !== interaction.user.id &&
-      interaction.guild &&
-      !this.discordService.hasAdminRole(interaction.member)
-    ) {
-      return await interaction.reply({
-        content: "❌ You can only control your own instance.",
-        flags: MessageFlags.Ephemeral,
-      });
+    router.button(
+      "licensesharing",
+      (interaction, { userId }) =>
+        this.handleLicenseSharing(interaction, userId),
+      sharing
+    );
+    router.button(
+      "sharingstart",
+      (interaction, { userId }) =>
+        this.handleLicenseSharingChange(interaction, userId, () =>
+          this.lambdaService.setLicenseSharing(userId, "byol", true)
+        ),
+      sharing
+    );
+    // Each of these maps straight onto a Lambda license state operation
+    for (const [route, operation] of [
+      ["sharingreactivate", "reactivate_sharing"],
+      ["sharingstopafter", "schedule_stop_after_sessions"],
+      ["sharingcancelstop", "cancel_scheduled_stop"],
+      ["sharingstopconfirm", "immediate_stop"],
+    ]) {
+      router.button(
+        route,
+        (interaction, { userId }) =>
+          this.handleLicenseSharingChange(interaction, userId, () =>
+            this.lambdaService.manageLicenseState(userId, operation)
+          ),
+        sharing
+      );
     }
+    router.button(
+      "sharingstop",
+      (interaction, { userId }) =>
+        this.handleLicenseSharingStop(interaction, userId),
+      sharing
+    );
+    router.button(
+      "sharingback",
+      (interaction, { userId }) =>
+        this.handleLicenseSharingChange(interaction, userId, null),
+      sharing
+    );
+    router.button(
+      "sharingcancel",
+      (interaction) =>
+        interaction.update({
+          content: "✅ License sharing unchanged.",
+          embeds: [],
+          components: [],
+        }),
+      sharing
+    );
 
-    try {
-      switch (subAction) {
-        case "register":
-          await this.handleRegister(interaction, userId);
-          break;
-        case "start":
-          await this.handleStart(interaction, userId);
-          break;
-        case "stop":
-          await this.handleStop(interaction, userId);
-          break;
-        case "status":
-          await this.handleStatus(interaction, userId);
-          break;
-        case "adminkey":
-          await this.handleAdminKey(interaction, userId);
-          break;
-        case "destroy":
-          await this.handleDestroy(interaction, userId);
-          break;
-        case "schedule":
-          await this.handleSchedule(interaction, userId);
-          break;
-        case "sessions":
-          await this.handleSessions(interaction, userId);
-          break;
-        case "license":
-          if (parts[2] === "sharing") {
-            await this.handleLicenseSharing(interaction, userId);
-          }
-          break;
-        default:
-          logger.warn(`Unknown button action: ${subAction}`);
-      }
-    } catch (error) {
-      logger.error(`Button handler error for ${subAction}:`, error);
-      await ErrorHandler.handleButtonError(interaction, error, userId);
-    }
-  }
+    const adminRead = { permission: ADMIN_READ };
+    const adminDestructive = { permission: Permission.ADMIN_DESTRUCTIVE };
 
-  parseComplexButtonId(parts) {
-    // Handle various button ID formats
-    if (parts.length === 4) {
-      return parts[3]; // foundry_action_param_userId
-    } else if (parts.length === 5) {
-      return parts[4]; // foundry_action_param1_param2_userId
-    }
-    return null;
+    router.button(
+      "admin.refresh",
+      (interaction) => this.handleAdminRefresh(interaction),
+      adminRead
+    );
+    router.button(
+      "admin.detailed",
+      (interaction) => this.handleAdminDetailed(interaction),
+      adminRead
+    );
+    router.button(
+      "admin.detailedpage",
+      (interaction, { page }) => this.handleAdminDetailed(interaction, page),
+      adminRead
+    );
+    router.button(
+      "admin.emergency",
+      (interaction) => this.handleAdminEmergency(interaction),
+      adminDestructive
+    );
+    router.button(
+      "admin.emergencyop",
+      (interaction, { operation }) =>
+        this.handleEmergencyOperation(interaction, operation),
+      adminDestructive
+    );
+    router.button(
+      "admin.emergencyconfirm",
+      (interaction, { operation }) =>
+        this.handleEmergencyConfirm(interaction, operation),
+      adminDestructive
+    );
+    router.button(
+      "admin.emergencycancel",
+      (interaction) => {
+        this.discordService.state.takePendingAdminAction(interaction.user.id);
+        return interaction.update({
+          content: "✅ Emergency action aborted. Nothing was changed.",
+          embeds: [],
+          components: [],
+        });
+      },
+      adminDestructive
+    );
   }
 
   async handleRegister(interaction, userId) {
@@ -106,20 +302,67 @@ class ButtonHandler {
     }
 
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-
-    // Implementation will delegate to registration handler
     logger.info(`Registration button clicked by user ${userId}`);
+
+    try {
+      const existing = await this.lambdaService.getInstanceStatus(userId);
+      return await interaction.editReply({
+        content: `ℹ️ You already have an instance (**${existing.status}**). Use \`/foundry user dashboard\` to manage it.`,
+      });
+    } catch (error) {
+      if (error.code !== "RESOURCE_NOT_FOUND") throw error;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle("📝 Register Your Instance - Step 1/3")
+      .setDescription("How should your instance get its Foundry VTT license?")
+      .addFields([
+        {
+          name: "🔑 BYOL - Private",
+          value: "Your own license, used only by your instance.",
+        },
+        {
+          name: "🤝 BYOL - Shared",
+          value:
+            "Your own license, also pooled so others can schedule sessions with it. You keep priority access.",
+        },
+        {
+          name: "🎟️ Pooled",
+          value:
+            "No license of your own. Your instance runs scheduled sessions on licenses shared by the community.",
+        },
+      ])
+      .setTimestamp();
+
     await interaction.editReply({
-      content: "🔄 Registration flow starting... (Implementation in progress)",
+      embeds: [embed],
+      components: [InstanceMenuBuilder.createLicenseSelectMenu(userId)],
     });
   }
 
   async handleStart(interaction, userId) {
     await interaction.deferReply();
+    await this.startInstance(interaction, userId);
+  }
 
-    try {
-      const result = await this.lambdaService.startInstance(userId);
+  // Stop then start, e.g. to pick up a new version; a stopped one just starts
+  async handleRestart(interaction, userId) {
+    await interaction.deferReply();
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    if (status.status === "running" || status.status === "starting") {
+      this.discordService.state.clearStatusMonitor(userId);
+      await this.lambdaService.stopInstance(userId);
+      logger.info(`Instance stopped for restart for user ${userId}`);
+    }
+
+    await this.startInstance(interaction, userId);
+  }
 
+  // Expects a deferred interaction
+  async startInstance(interaction, userId) {
+    try {
       // Get or create user command channel
       let channel;
       const user = await this.client.users.fetch(userId);
@@ -138,27 +381,52 @@ class ButtonHandler {
         );
       }
 
+      // Post progress first so the monitor can follow the whole start
+      let progressMessage = null;
       if (channel) {
+        progressMessage = await this.discordService.safeChannelSend(channel, {
+          embeds: [
+            StatusEmbedBuilder.createStartProgress({
+              phase: "provisioning",
+              startedAt: Date.now(),
+            }),
+          ],
+        });
+
         await interaction.editReply({
           content: `🚀 Starting... Check ${channel}`,
         });
 
-        const embed = new EmbedBuilder()
-          .setColor("#ffff00")
-          .setTitle("🚀 Starting Instance")
-          .setDescription("Starting up, takes 2-3 minutes.")
-          .addFields([
-            { name: "Status", value: "🟡 Starting", inline: true },
-            { name: "Estimated Time", value: "2-3 minutes", inline: true },
-            {
-              name: "Your URL",
-              value: result.url || "Will be available shortly",
-              inline: false,
-            },
-          ])
-          .setTimestamp();
-
-        await this.discordService.safeChannelSend(channel, { embeds: [embed] });
+        this.discordService.monitorInstanceStart(
+          userId,
+          progressMessage,
+          this.lambdaService
+        );
+      }
+
+      try {
+        await this.lambdaService.startInstance(
+          userId,
+          this.discordService.getSupporterPerks(interaction.member)
+        );
+      } catch (error) {
+        this.discordService.state.clearStatusMonitor(userId);
+        await progressMessage
+          ?.edit({
+            embeds: [
+              StatusEmbedBuilder.createStartProgress({
+                phase: "failed",
+                detail: error.message,
+                startedAt: progressMessage.createdTimestamp,
+              }),
+            ],
+          })
+          .catch(() => {});
+        throw error;
+      }
+
+      if (!channel) {
+        await interaction.editReply({ content: "🚀 Instance is starting." });
       }
 
       logger.info(`Instance start requested for user ${userId}`);
@@ -170,6 +438,7 @@ class ButtonHandler {
 
   async handleStop(interaction, userId) {
     await interaction.deferReply();
+    this.discordService.state.clearStatusMonitor(userId);
 
     try {
       await this.lambdaService.stopInstance(userId);
@@ -184,6 +453,25 @@ class ButtonHandler {
     }
   }
 
+  async handleExtend(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const result = await this.lambdaService.extendShutdown(userId, 1);
+    if (!result.success) {
+      await interaction.editReply({
+        content: `❌ Couldn't extend: ${result.message}`,
+      });
+      return;
+    }
+
+    logger.info(
+      `⏱️ Auto-shutdown for ${userId} extended to ${result.autoShutdownAt}`
+    );
+    await interaction.editReply({
+      content: `⏱️ ${result.message}. The instance now shuts down <t:${result.autoShutdownAt}:t> (<t:${result.autoShutdownAt}:R>).`,
+    });
+  }
+
   async handleStatus(interaction, userId) {
     await interaction.deferReply();
 
@@ -231,127 +519,827 @@ class ButtonHandler {
     }
   }
 
+  // Offers the versions this instance may switch to; picking one runs
+  // SelectMenuHandler.changeVersion
+  async handleChangeVersion(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    if (status.versionSwitch?.state === "running") {
+      return await interaction.editReply({ content: VERSION_SWITCH_RUNNING });
+    }
+
+    const catalogue = this.discordService.config.getVersionCatalogue();
+    const currentVersion = status.foundryVersion || DEFAULT_FOUNDRY_VERSION;
+    const versions = FoundryVersions.getSwitchTargets(
+      catalogue,
+      currentVersion
+    );
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle("🏷️ Change Foundry Version")
+      .setDescription(
+        `Your instance uses **${FoundryVersions.getLabel(
+          catalogue,
+          currentVersion
+        )}** (\`${currentVersion}\`).`
+      )
+      .setTimestamp();
+
+    // Data is backed up before a switch, which needs the files at rest
+    const isStopped = ["stopped", "created"].includes(status.status);
+    if (!isStopped) {
+      embed.addFields([
+        {
+          name: "⏹️ Stop First",
+          value:
+            "Your instance must be stopped while its data is backed up and the version switched.",
+        },
+      ]);
+    }
+    if (versions.length < catalogue.versions.length) {
+      embed.addFields([
+        {
+          name: "ℹ️ Not Offered",
+          value:
+            "Older major versions and unsupported ones are hidden. Foundry migrates worlds to the version that opens them, and they can't be migrated back.",
+        },
+      ]);
+    }
+
+    const components = isStopped
+      ? [
+          InstanceMenuBuilder.createVersionSelectMenu(
+            CustomId.encode("menu.version", { userId }),
+            versions,
+            currentVersion
+          ),
+        ]
+      : [];
+    if (status.versionBackup) {
+      embed.addFields([
+        {
+          name: "↩️ Previous Version",
+          value: `Your data was saved <t:${
+            status.versionBackup.createdAt
+          }:R> before switching from **${FoundryVersions.getLabel(
+            catalogue,
+            status.versionBackup.version
+          )}**. Roll back if your worlds don't work on this version.`,
+        },
+      ]);
+      if (isStopped) {
+        components.push(
+          InstanceButtonBuilder.createVersionRollbackButton(userId)
+        );
+      }
+    }
+
+    await interaction.editReply({ embeds: [embed], components });
+  }
+
+  // Explains what a rollback restores and asks to confirm
+  async handleVersionRollback(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    if (status.versionSwitch?.state === "running") {
+      return await interaction.editReply({ content: VERSION_SWITCH_RUNNING });
+    }
+
+    const backup = status.versionBackup;
+    if (!backup) {
+      return await interaction.editReply({
+        content:
+          "ℹ️ There's no version switch to roll back. A snapshot is only kept for the most recent switch.",
+      });
+    }
+
+    const catalogue = this.discordService.config.getVersionCatalogue();
+    const label = FoundryVersions.getLabel(catalogue, backup.version);
+    const isStopped = ["stopped", "created"].includes(status.status);
+
+    const embed = new EmbedBuilder()
+      .setColor(isStopped ? "#ffa500" : "#ff0000")
+      .setTitle("↩️ Roll Back Version")
+      .setDescription(
+        `Restores the snapshot taken <t:${backup.createdAt}:f> and switches back to **${label}** (\`${backup.version}\`).`
+      )
+      .addFields([
+        {
+          name: "⚠️ Changes Are Lost",
+          value:
+            "Your worlds, modules and uploads are replaced with the snapshot. Anything changed since the version switch is gone.",
+        },
+      ])
+      .setTimestamp();
+
+    if (!isStopped) {
+      embed.addFields([
+        {
+          name: "⏹️ Stop First",
+          value: "Your instance must be stopped while its data is restored.",
+        },
+      ]);
+    }
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: isStopped
+        ? [InstanceButtonBuilder.createVersionRollbackConfirmButtons(userId)]
+        : [],
+    });
+  }
+
+  async handleVersionRollbackConfirm(interaction, userId) {
+    await interaction.deferUpdate();
+
+    let result;
+    try {
+      result = await this.lambdaService.rollbackVersion(userId);
+    } catch (error) {
+      logger.error(`Version rollback error for ${userId}:`, error);
+      return await interaction.editReply({
+        content: `❌ **Rollback failed**\n\n${error.message}`,
+        embeds: [],
+        components: [],
+      });
+    }
+
+    const label = FoundryVersions.getLabel(
+      this.discordService.config.getVersionCatalogue(),
+      result.foundryVersion
+    );
+    await interaction.editReply({
+      content: `⏳ **Restoring your data from the snapshot**\n\nThis can take a while for large worlds, and your instance can't start until it's done. This message updates when the rollback is complete.`,
+      embeds: [],
+      components: [],
+    });
+    logger.info(
+      `Version rollback started for user ${userId}: ${result.rolledBackFrom} -> ${result.foundryVersion}`
+    );
+
+    this.discordService.monitorVersionSwitch(
+      userId,
+      this.lambdaService,
+      (status) =>
+        this.discordService.editReplyOrPost(
+          interaction,
+          userId,
+          this.describeRollbackResult(status, label, result.backupCreatedAt)
+        )
+    );
+  }
+
+  describeRollbackResult(status, label, backupCreatedAt) {
+    if (!status) {
+      return {
+        content: `⌛ **Still restoring**\n\nThe rollback to ${label} is taking longer than expected. Check your instance status later.`,
+      };
+    }
+    if (status.versionSwitch?.state === "failed") {
+      return {
+        content: `❌ **Rollback failed**\n\n${status.versionSwitch.error}\n\nThe snapshot is kept, so you can try again.`,
+      };
+    }
+    return {
+      content: `✅ **Rolled back to ${label}**\n\nYour data is back to how it was <t:${backupCreatedAt}:R>. Start your instance to use it.`,
+    };
+  }
+
   async handleDestroy(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
     logger.info(`Destroy button clicked by user ${userId}`);
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    const canKeepLicenseSharing =
+      status.licenseType === "byol" && status.allowLicenseSharing;
+
+    const embed = new EmbedBuilder()
+      .setColor("#ff0000")
+      .setTitle("⚠️ Destroy Instance - Step 1/2")
+      .setDescription(
+        `This permanently deletes instance **${status.sanitizedUsername}** and cannot be undone.`
+      )
+      .addFields([
+        {
+          name: "🗑️ Removed",
+          value:
+            "• Your Foundry instance and its data\n• All scheduled sessions\n• Your command channel",
+        },
+        {
+          name: "🔑 License Credentials",
+          value: canKeepLicenseSharing
+            ? "Choose **Keep License Shared** to leave your license in the community pool. Otherwise your credentials are deleted."
+            : "Your stored credentials are deleted.",
+        },
+        {
+          name: "Next",
+          value: `You'll be asked to type \`${status.sanitizedUsername}\` to confirm.`,
+        },
+      ])
+      .setTimestamp();
+
     await interaction.editReply({
-      content: "🔄 Destroy flow starting... (Implementation in progress)",
+      embeds: [embed],
+      components: [
+        InstanceButtonBuilder.createDestroyConfirmButtons(
+          userId,
+          canKeepLicenseSharing
+        ),
+      ],
     });
   }
 
+  async handleDestroyConfirm(interaction, userId, keepSharing) {
+    // Modals must be the first response, so no defer here
+    await interaction.showModal(
+      InstanceModalBuilder.createDestroyConfirmModal(userId, keepSharing)
+    );
+  }
+
   async handleSchedule(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
     logger.info(`Schedule button clicked by user ${userId}`);
-    // Will show modal for scheduling
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    const licenseType = status.licenseType || "byol";
+
+    // Warm the preference cache so the form opens within the interaction window
+    const [windows] = await Promise.all([
+      this.lambdaService.checkAvailabilityWindows({
+        userId,
+        licenseType,
+        preferredLicenseId:
+          licenseType === "byol" ? `byol-${userId}` : undefined,
+      }),
+      this.discordService.state.getUserPreferences(userId),
+    ]);
+
+    const describeWindow = ({ startTime, endTime, result }) => {
+      const range = `<t:${startTime}:t> - <t:${endTime}:t>`;
+      if (!result) return `❔ ${range} · unknown`;
+      if (licenseType === "byol") {
+        return result.available
+          ? `🟢 ${range} · your license is free`
+          : `🔴 ${range} · your license is in use`;
+      }
+      const free = result.availableLicenses?.length || 0;
+      return free > 0
+        ? `🟢 ${range} · ${free} shared license${free === 1 ? "" : "s"} free`
+        : `🔴 ${range} · all shared licenses booked`;
+    };
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle("📅 Schedule a Session")
+      .setDescription(
+        `License availability for the next 24 hours (starting <t:${windows[0].startTime}:D>). Pick a free window, then open the form.`
+      )
+      .addFields([
+        {
+          name: licenseType === "byol" ? "🔑 Your License" : "🎟️ Shared Licenses",
+          value: windows.map(describeWindow).join("\n"),
+        },
+      ])
+      .setTimestamp();
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [InstanceButtonBuilder.createScheduleFormButton(userId)],
+    });
+  }
+
+  async handleScheduleForm(interaction, userId) {
+    const preferences =
+      await this.discordService.state.getUserPreferences(userId);
+
+    await interaction.showModal(
+      InstanceModalBuilder.createScheduleModal(userId, {
+        timezone: preferences.timezone,
+      })
+    );
+  }
+
+  async handleScheduleConfirm(interaction, userId) {
+    const pending = this.discordService.state.takePendingSession(userId);
+    if (!pending) {
+      return await interaction.update({
+        content:
+          "⌛ This booking expired. Click **Schedule Session** to start again.",
+        embeds: [],
+        components: [],
+      });
+    }
+
+    await interaction.deferUpdate();
+
+    const statusResult = await this.lambdaService.getInstanceStatus(userId);
+    const licenseType = statusResult.licenseType || "byol";
+    const preferredLicenseId =
+      licenseType === "byol" ? `byol-${userId}` : undefined;
+
+    const result = await this.lambdaService.scheduleSession({
+      userId,
+      startTime: pending.startTime,
+      endTime: pending.endTime,
+      licenseType,
+      sessionTitle: pending.title,
+      sessionDescription: `Scheduled in ${pending.timeZone}`,
+      preferredLicenseId,
+      supporterPerks: this.discordService.getSupporterPerks(
+        interaction.member
+      ),
+    });
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to schedule session");
+    }
+
+    await this.discordService.state.setUserPreference(
+      userId,
+      "timezone",
+      pending.timeZone
+    );
+
+    logger.info(`Session ${result.sessionId} scheduled for user ${userId}`);
+
+    await interaction.editReply({
+      content: `✅ **Session scheduled successfully!**\n\nSession ID: \`${result.sessionId}\`\nStarts: <t:${pending.startTime}:F>`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  async handleRecurringForm(interaction, userId) {
+    const preferences =
+      await this.discordService.state.getUserPreferences(userId);
+
+    await interaction.showModal(
+      InstanceModalBuilder.createRecurringModal(userId, {
+        timezone: preferences.timezone,
+      })
+    );
+  }
+
+  async handleRecurringConfirm(interaction, userId) {
+    const pending = this.discordService.state.takePendingSession(userId);
+    if (!pending?.recurrence) {
+      return await interaction.update({
+        content:
+          "⌛ This booking expired. Click **Schedule Session** to start again.",
+        embeds: [],
+        components: [],
+      });
+    }
+
+    await interaction.deferUpdate();
+
+    const statusResult = await this.lambdaService.getInstanceStatus(userId);
+    const licenseType = statusResult.licenseType || "byol";
+
+    const result = await this.lambdaService.scheduleRecurringSession({
+      userId,
+      startTime: pending.startTime,
+      endTime: pending.endTime,
+      licenseType,
+      preferredLicenseId:
+        licenseType === "byol" ? `byol-${userId}` : undefined,
+      sessionTitle: pending.title,
+      sessionDescription: `Recurring series in ${pending.timeZone}`,
+      recurrence: pending.recurrence,
+      supporterPerks: this.discordService.getSupporterPerks(
+        interaction.member
+      ),
+    });
+
+    if (!result.success) {
+      throw new Error(result.message || "Failed to schedule series");
+    }
+
+    await this.discordService.state.setUserPreference(
+      userId,
+      "timezone",
+      pending.timeZone
+    );
+
+    logger.info(
+      `Series ${result.seriesId} scheduled for user ${userId}: ${result.message}`
+    );
+
+    const skipped = result.conflicts.length
+      ? `\n⚠️ Skipped (no free license): ${result.conflicts
+          .map((c) => `<t:${c.startTime}:d>`)
+          .join(", ")}`
+      : "";
+
+    await interaction.editReply({
+      content: `✅ **Series scheduled!** ${result.message}.\nFirst session: <t:${result.booked[0].startTime}:F>${skipped}\n\nManage it from **My Sessions**.`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  async handleSeriesCancel(interaction, userId, seriesId) {
+    await interaction.deferUpdate();
+
+    const result = await this.lambdaService.cancelSeries(userId, seriesId);
+    logger.info(`Series ${seriesId} cancelled for user ${userId}`);
+
+    await interaction.editReply({
+      content: `🗑️ ${result.message}`,
+      embeds: [],
+      components: [],
+    });
   }
 
   async handleSessions(interaction, userId) {
     await interaction.deferReply();
 
     try {
-      const result = await this.lambdaService.listSessions(userId);
+      await interaction.editReply(await this.buildSessionsView(userId, 0));
+    } catch (error) {
+      logger.error(`Sessions list error for ${userId}:`, error);
+      throw error;
+    }
+  }
 
-      if (result.count === 0) {
-        const embed = new EmbedBuilder()
-          .setColor("#888888")
-          .setTitle("📋 Your Scheduled Sessions")
-          .setDescription("You have no scheduled sessions.")
-          .setTimestamp();
+  async handleSessionsPage(interaction, userId, page) {
+    await interaction.deferUpdate();
+    await interaction.editReply(await this.buildSessionsView(userId, page));
+  }
 
-        return await interaction.editReply({ embeds: [embed] });
-      }
+  async buildSessionsView(userId, page) {
+    const [result, preferences] = await Promise.all([
+      this.lambdaService.listSessions(userId),
+      this.discordService.state.getUserPreferences(userId),
+    ]);
 
-      // Create sessions list embed
+    if (result.count === 0) {
       const embed = new EmbedBuilder()
-        .setColor("#0099ff")
-        .setTitle(`📋 Your Scheduled Sessions (${result.count})`)
+        .setColor("#888888")
+        .setTitle("📋 Your Scheduled Sessions")
+        .setDescription("You have no scheduled sessions.")
         .setTimestamp();
 
-      const sessionsText = result.sessions
-        .map((session, index) => {
-          const statusMap = {
-            scheduled: "🕒 Scheduled",
-            active: "🟢 Active",
-            completed: "✅ Completed",
-            cancelled: "❌ Cancelled",
-          };
-          const status = statusMap[session.status] || "❔ Unknown";
-
-          return [
-            `**${index + 1}. ${session.title || "Gaming Session"}**`,
-            `${status} | <t:${session.startTime}:F> - <t:${session.endTime}:t>`,
-            session.description ? `*${session.description}*` : "",
-            "",
-          ]
-            .filter((line) => line)
-            .join("\n");
-        })
-        .join("\n");
-
-      embed.setDescription(
-        sessionsText.length > 4000
-          ? sessionsText.substring(0, 3950) + "\n\n... (list truncated)"
-          : sessionsText
+      return { embeds: [embed], components: [] };
+    }
+
+    // Upcoming sessions first (soonest on top), then history (newest on top)
+    const isUpcoming = (session) =>
+      session.status === "scheduled" || session.status === "active";
+    const sessions = [
+      ...result.sessions
+        .filter(isUpcoming)
+        .sort((a, b) => a.startTime - b.startTime),
+      ...result.sessions
+        .filter((session) => !isUpcoming(session))
+        .sort((a, b) => b.startTime - a.startTime),
+    ];
+
+    const totalPages = Math.ceil(sessions.length / SESSIONS_PER_PAGE);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    const pageSessions = sessions.slice(
+      currentPage * SESSIONS_PER_PAGE,
+      (currentPage + 1) * SESSIONS_PER_PAGE
+    );
+
+    const statusMap = {
+      scheduled: "🕒 Scheduled",
+      active: "🟢 Active",
+      completed: "✅ Completed",
+      cancelled: "❌ Cancelled",
+    };
+
+    const sessionsText = pageSessions
+      .map((session, index) => {
+        const status = statusMap[session.status] || "❔ Unknown";
+
+        return [
+          `**${currentPage * SESSIONS_PER_PAGE + index + 1}. ${
+            session.title || "Gaming Session"
+          }**${session.seriesId ? " 🔁" : ""}`,
+          `${status} | <t:${session.startTime}:F> - <t:${session.endTime}:t>`,
+          session.description ? `*${session.description}*` : "",
+          "",
+        ]
+          .filter((line) => line)
+          .join("\n");
+      })
+      .join("\n");
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle(`📋 Your Scheduled Sessions (${result.count})`)
+      .setDescription(sessionsText)
+      .setFooter({ text: `Page ${currentPage + 1}/${totalPages}` })
+      .setTimestamp();
+
+    const components = [];
+    const timeZone = preferences.timezone || "UTC";
+
+    const manageable = pageSessions.filter(isUpcoming);
+    if (manageable.length > 0) {
+      components.push(
+        InstanceMenuBuilder.createSessionSelectMenu(
+          userId,
+          manageable.map((session) => ({
+            sessionId: session.sessionId,
+            title: session.title || "Gaming Session",
+            summary: `${statusMap[session.status]} · ${TimeParser.formatInZone(
+              new Date(session.startTime * 1000),
+              timeZone
+            )}`,
+          }))
+        )
+      );
+    }
+
+    // One entry per series that still has upcoming sessions
+    const series = new Map();
+    for (const session of sessions) {
+      if (!session.seriesId || session.status !== "scheduled") continue;
+      const entry = series.get(session.seriesId) || {
+        seriesId: session.seriesId,
+        title: session.title || "Recurring Series",
+        upcoming: [],
+      };
+      entry.upcoming.push(session);
+      series.set(session.seriesId, entry);
+    }
+
+    if (series.size > 0) {
+      components.push(
+        InstanceMenuBuilder.createSeriesSelectMenu(
+          userId,
+          [...series.values()].map((entry) => ({
+            seriesId: entry.seriesId,
+            title: entry.title,
+            summary: `${entry.upcoming.length} upcoming · next ${TimeParser.formatInZone(
+              new Date(entry.upcoming[0].startTime * 1000),
+              entry.upcoming[0].recurrence?.timeZone || timeZone
+            )}`,
+          }))
+        )
       );
+    }
 
-      await interaction.editReply({ embeds: [embed] });
-    } catch (error) {
-      logger.error(`Sessions list error for ${userId}:`, error);
-      throw error;
+    if (totalPages > 1) {
+      components.push(
+        InstanceButtonBuilder.createSessionsPageButtons(
+          userId,
+          currentPage,
+          totalPages
+        )
+      );
     }
+
+    return { embeds: [embed], components };
   }
 
-  async handleLicenseSharing(interaction, userId) {
-    logger.info(`License sharing button clicked by user ${userId}`);
+  async handleSessionCancel(interaction, userId, sessionId) {
+    // The slash command has no sessions message to replace
+    if (interaction.isButton()) await interaction.deferUpdate();
+    else await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    await this.lambdaService.cancelSession(userId, sessionId);
+    logger.info(`Session ${sessionId} cancelled by user ${interaction.user.id}`);
+
     await interaction.editReply({
-      content: "🔄 License sharing management... (Implementation in progress)",
+      content: "❌ Session cancelled and its license released.",
+      embeds: [],
+      components: [],
     });
   }
 
-  async handleAdminButton(interaction, parts) {
-    if (!this.discordService.hasAdminRole(interaction.member)) {
-      return await interaction.reply({
-        content: "❌ Admin access required.",
-        flags: MessageFlags.Ephemeral,
+  async handleSessionReschedule(interaction, userId, sessionId, minutes) {
+    const preferences =
+      await this.discordService.state.getUserPreferences(userId);
+
+    await interaction.showModal(
+      InstanceModalBuilder.createRescheduleModal(userId, sessionId, {
+        timezone: preferences.timezone,
+        durationHours: minutes / 60,
+      })
+    );
+  }
+
+  createLicenseSharingPanel(userId, status) {
+    return {
+      embeds: [LicenseSharingEmbedBuilder.create(status)],
+      components: [
+        InstanceButtonBuilder.createLicenseSharingButtons(
+          userId,
+          LicenseSharingEmbedBuilder.getState(status)
+        ),
+      ],
+    };
+  }
+
+  async handleLicenseSharing(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    logger.info(`License sharing button clicked by user ${userId}`);
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    if (status.licenseType !== "byol") {
+      return await interaction.editReply({
+        content:
+          "❌ Only BYOL (Bring Your Own License) instances can share licenses.",
       });
     }
 
-    const [, action] = parts;
+    await interaction.editReply(this.createLicenseSharingPanel(userId, status));
+  }
 
-    try {
-      switch (action) {
-        case "refresh":
-          await this.handleAdminRefresh(interaction);
-          break;
-        case "detailed":
-          await this.handleAdminDetailed(interaction);
-          break;
-        case "emergency":
-          await this.handleAdminEmergency(interaction);
-          break;
-        default:
-          logger.warn(`Unknown admin action: ${action}`);
-      }
-    } catch (error) {
-      logger.error(`Admin button error for ${action}:`, error);
-      await ErrorHandler.handleButtonError(interaction, error, "admin");
+  // Runs a sharing change, if any, then redraws the panel in place
+  async handleLicenseSharingChange(interaction, userId, change) {
+    await interaction.deferUpdate();
+
+    let content = "";
+    if (change) {
+      const result = await change();
+      logger.info(
+        `License sharing changed for ${userId} by ${interaction.user.id}: ${result.message}`
+      );
+      content = `${result.success === false ? "❌" : "✅"} ${result.message}`;
     }
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    await interaction.editReply({
+      content,
+      ...this.createLicenseSharingPanel(userId, status),
+    });
+  }
+
+  async handleLicenseSharingStop(interaction, userId) {
+    await interaction.deferUpdate();
+
+    const { sessions } = await this.lambdaService.getSessionsForLicense(userId);
+    await interaction.editReply({
+      content: "",
+      embeds: [LicenseSharingEmbedBuilder.createStopConfirm(sessions)],
+      components: [
+        InstanceButtonBuilder.createLicenseSharingStopButtons(userId),
+      ],
+    });
   }
 
   async handleAdminRefresh(interaction) {
     await interaction.deferUpdate();
-    logger.info("Admin refresh requested");
-    // Implementation will refresh admin status
+    logger.info(`Admin refresh requested by ${interaction.user.id}`);
+
+    const data = await this.lambdaService.getAdminOverview(interaction.user.id);
+    await interaction.editReply({
+      embeds: [AdminEmbedBuilder.createOverview(data)],
+      components: [InstanceButtonBuilder.createAdminButtons()],
+    });
   }
 
-  async handleAdminDetailed(interaction) {
-    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-    logger.info("Admin detailed view requested");
-    // Implementation will show detailed view
+  // Without a page this opens page one in a new reply, with one it pages
+  async handleAdminDetailed(interaction, pageArg = null) {
+    const isPaging = pageArg !== null;
+    if (isPaging) {
+      await interaction.deferUpdate();
+    } else {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    }
+    logger.info(`Admin detailed view requested by ${interaction.user.id}`);
+
+    const data = await this.lambdaService.getAdminOverview(interaction.user.id);
+    const totalPages = AdminEmbedBuilder.getPageCount(data);
+    const page = Math.min(
+      Math.max(pageArg ?? 0, 0),
+      totalPages - 1
+    );
+
+    const components =
+      totalPages > 1
+        ? [InstanceButtonBuilder.createAdminDetailedPageButtons(page, totalPages)]
+        : [];
+
+    await interaction.editReply({
+      embeds: [AdminEmbedBuilder.createDetailedView(data, page)],
+      components,
+    });
   }
 
   async handleAdminEmergency(interaction) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
-    logger.info("Admin emergency actions requested");
-    // Implementation will show emergency options
+    logger.info(`Admin emergency actions requested by ${interaction.user.id}`);
+
+    const embed = new EmbedBuilder()
+      .setColor("#ff0000")
+      .setTitle("🚨 Emergency Actions")
+      .setDescription(
+        "Each action asks for a reason and a final confirmation before it runs. " +
+          "Results are posted to #foundry-bot-logs."
+      )
+      .addFields(
+        Object.values(EMERGENCY_ACTIONS).map((action) => ({
+          name: `${action.emoji} ${action.label}`,
+          value: action.description,
+        }))
+      )
+      .setTimestamp();
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [InstanceButtonBuilder.createEmergencyActionButtons()],
+    });
+  }
+
+  async handleEmergencyOperation(interaction, operation) {
+    const action = EMERGENCY_ACTIONS[operation];
+    if (!action) {
+      logger.warn(`Unknown emergency action: ${operation}`);
+      return;
+    }
+
+    await interaction.showModal(
+      InstanceModalBuilder.createEmergencyReasonModal(operation, action)
+    );
+  }
+
+  async handleEmergencyConfirm(interaction, operation) {
+    const adminId = interaction.user.id;
+    const pending = this.discordService.state.takePendingAdminAction(adminId);
+
+    if (!pending || pending.operation !== operation) {
+      return await interaction.update({
+        content:
+          "⌛ This confirmation expired. Open Emergency Actions again to retry.",
+        embeds: [],
+        components: [],
+      });
+    }
+
+    await interaction.deferUpdate();
+
+    const { targetId, reason } = pending;
+    let result;
+    switch (operation) {
+      case "forceshutdown":
+        result = await this.lambdaService.forceShutdown(adminId, targetId, reason);
+        break;
+      case "cancelsession":
+        result = await this.lambdaService.adminCancelSession(
+          adminId,
+          targetId,
+          reason
+        );
+        break;
+      case "cancelall":
+        result = await this.lambdaService.cancelAllSessions(adminId, reason);
+        break;
+      case "maintenance":
+        result = await this.lambdaService.systemMaintenance(adminId, reason);
+        break;
+      case "reset":
+        result = await this.lambdaService.maintenanceReset(adminId, reason);
+        break;
+    }
+
+    const action = EMERGENCY_ACTIONS[operation];
+    logger.info(
+      `🚨 Emergency ${operation} by ${adminId}${
+        targetId ? ` on ${targetId}` : ""
+      }: ${result.message}`
+    );
+
+    const fields = [
+      { name: "Admin", value: `<@${adminId}>`, inline: true },
+      { name: "Reason", value: reason },
+    ];
+    if (targetId) {
+      fields.splice(1, 0, {
+        name: action.target === "user" ? "Target User" : "Session",
+        value: action.target === "user" ? `<@${targetId}>` : targetId,
+        inline: true,
+      });
+    }
+    if (result.errors?.length) {
+      fields.push({
+        name: `⚠️ ${result.errors.length} error(s)`,
+        value: result.errors.slice(0, 5).join("\n").slice(0, 1024),
+      });
+    }
+
+    const summary = new EmbedBuilder()
+      .setColor(result.errors?.length ? "#ff9900" : "#ff0000")
+      .setTitle(`🚨 ${action.label}`)
+      .setDescription(result.message)
+      .addFields(fields)
+      .setTimestamp();
+
+    const audited = await this.discordService.sendAuditLog(summary);
+    await interaction.editReply({
+      content: audited
+        ? null
+        : "⚠️ **Not recorded in the audit log.** Posting to the log channel failed, so keep a note of this action yourself.",
+      embeds: [summary],
+      components: [],
+    });
   }
 }
 
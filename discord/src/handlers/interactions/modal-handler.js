@@ -1,6 +1,11 @@
-const { MessageFlags } = require("discord.js");
+const { MessageFlags, EmbedBuilder } = require("discord.js");
 const { logger } = require("../../utils/logger");
-const { ErrorHandler } = require("../../utils/error-handler");
+const { TimeParser } = require("../../utils/time-parser");
+const { Permission } = require("../../utils/permissions");
+const {
+  InstanceButtonBuilder,
+  EMERGENCY_ACTIONS,
+} = require("../../components/buttons/instance-buttons");
 
 class ModalHandler {
   constructor(client, lambdaService, discordService) {
@@ -9,33 +14,59 @@ class ModalHandler {
     this.discordService = discordService;
   }
 
-  async handle(interaction) {
-    try {
-      if (interaction.customId.startsWith("foundry_credentials_")) {
-        await this.handleCredentialsModal(interaction);
-      } else if (interaction.customId.startsWith("foundry_schedule_modal_")) {
-        await this.handleScheduleModal(interaction);
-      } else {
-        logger.warn(`Unknown modal: ${interaction.customId}`);
-      }
-    } catch (error) {
-      logger.error("Modal handler error:", error);
-      await ErrorHandler.handleInteractionError(interaction, error);
-    }
-  }
+  registerRoutes(router) {
+    // Registration and new bookings are only ever made for yourself
+    const ownOnly = (permission) => ({ permission, othersPermission: null });
 
-  async handleCredentialsModal(interaction) {
-    const modalIdParts = interaction.customId.split("_");
-    const userId = modalIdParts[2];
-    const licenseType = modalIdParts[3];
-    const allowLicenseSharing = modalIdParts[4] === "true";
+    router.modal(
+      "modal.credentials",
+      (interaction, values) => this.handleCredentialsModal(interaction, values),
+      ownOnly(Permission.USE_INSTANCE)
+    );
+    router.modal(
+      "modal.schedule",
+      (interaction, { userId }) =>
+        this.handleScheduleModal(interaction, userId),
+      ownOnly(Permission.SCHEDULE)
+    );
+    router.modal(
+      "modal.recurring",
+      (interaction, { userId }) =>
+        this.handleRecurringModal(interaction, userId),
+      ownOnly(Permission.SCHEDULE)
+    );
+    router.modal(
+      "modal.reschedule",
+      (interaction, { userId, sessionId }) =>
+        this.handleRescheduleModal(interaction, userId, sessionId),
+      { permission: Permission.SCHEDULE }
+    );
+    router.modal(
+      "modal.destroy",
+      (interaction, { userId, keepSharing }) =>
+        this.handleDestroyModal(interaction, userId, keepSharing),
+      { permission: Permission.USE_INSTANCE }
+    );
+    router.modal(
+      "admin.emergencymodal",
+      (interaction, { operation }) =>
+        this.handleEmergencyModal(interaction, operation),
+      { permission: Permission.ADMIN_DESTRUCTIVE }
+    );
+  }
 
-    // Verify user
-    if (userId !== interaction.user.id) {
-      return await interaction.reply({
-        content: "❌ You can only register your own instance.",
-        flags: MessageFlags.Ephemeral,
-      });
+  async handleCredentialsModal(
+    interaction,
+    { userId, licenseType, share: allowLicenseSharing, version: foundryVersion }
+  ) {
+    if (
+      allowLicenseSharing &&
+      !(await this.discordService.requirePermission(
+        interaction,
+        Permission.SHARE_LICENSE
+      ))
+    ) {
+      return;
     }
 
     if (!interaction.guild) {
@@ -62,12 +93,14 @@ class ModalHandler {
 
       const result = await this.lambdaService.createInstance({
         userId,
+        guildId: interaction.guildId,
         sanitizedUsername,
         foundryUsername: username,
         foundryPassword: password,
         licenseType,
         allowLicenseSharing,
         maxConcurrentUsers: 1,
+        foundryVersion,
       });
 
       // Create command channel
@@ -81,8 +114,18 @@ class ModalHandler {
         `Instance created for user ${userId} in channel ${channel.id}`
       );
 
+      const keySent = await this.discordService.sendAdminKeyDM(user, result);
+
       await interaction.editReply({
-        content: `✅ **Instance created**\n\nChannel: ${channel}\nAdmin key sent to DMs`,
+        content: `✅ **Instance created**\n\nChannel: ${channel}\nURL: ${
+          result.url
+        }\n${
+          keySent
+            ? "Admin key sent to DMs"
+            : "⚠️ Could not DM your admin key - use **Get Admin Key** in your channel"
+        }`,
+        embeds: [],
+        components: [],
       });
     } catch (error) {
       logger.error("Registration error:", error);
@@ -92,77 +135,254 @@ class ModalHandler {
     }
   }
 
-  async handleScheduleModal(interaction) {
-    const userId = interaction.customId.split("_")[3];
+  async handleScheduleModal(interaction, userId) {
+    await this.showSchedulePreview(interaction, userId, {
+      title: interaction.fields.getTextInputValue("session_title"),
+      startTimeStr: interaction.fields.getTextInputValue("start_time"),
+      timezoneStr: interaction.fields.getTextInputValue("timezone"),
+      durationStr: interaction.fields.getTextInputValue("duration"),
+    });
+  }
 
-    if (userId !== interaction.user.id) {
-      return await interaction.reply({
-        content: "❌ You can only schedule sessions for your own instance.",
-        flags: MessageFlags.Ephemeral,
+  // Also used by /foundry user schedule, whose options mirror the form
+  async showSchedulePreview(
+    interaction,
+    userId,
+    { title, startTimeStr, timezoneStr, durationStr }
+  ) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    title = title || "Gaming Session";
+
+    try {
+      // Parse and validate input
+      const { startTime, endTime, timeZone } = this.parseScheduleInput(
+        startTimeStr,
+        timezoneStr,
+        durationStr
+      );
+
+      // Nothing is booked until the user confirms the interpreted time
+      this.discordService.state.setPendingSession(userId, {
+        title,
+        startTime: Math.floor(startTime.getTime() / 1000),
+        endTime: Math.floor(endTime.getTime() / 1000),
+        timeZone,
+      });
+
+      const embed = new EmbedBuilder()
+        .setColor("#0099ff")
+        .setTitle("📅 Confirm Your Session")
+        .setDescription(`You entered **${startTimeStr}** in **${timeZone}**.`)
+        .addFields([
+          { name: "Title", value: title, inline: false },
+          {
+            name: "Starts",
+            value: `${TimeParser.formatInZone(
+              startTime,
+              timeZone
+            )}\n<t:${Math.floor(startTime.getTime() / 1000)}:F> your local time`,
+            inline: true,
+          },
+          {
+            name: "Ends",
+            value: TimeParser.formatInZone(endTime, timeZone),
+            inline: true,
+          },
+        ])
+        .setFooter({ text: "Wrong time? Cancel and open the form again." })
+        .setTimestamp();
+
+      await interaction.editReply({
+        embeds: [embed],
+        components: [InstanceButtonBuilder.createScheduleConfirmButtons(userId)],
+      });
+    } catch (error) {
+      logger.error("Schedule modal error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to schedule session: ${error.message}`,
       });
     }
+  }
 
+  async handleRecurringModal(interaction, userId) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
     try {
       const title =
         interaction.fields.getTextInputValue("session_title") ||
-        "Gaming Session";
+        "Weekly Campaign";
       const startTimeStr = interaction.fields.getTextInputValue("start_time");
-      const timezoneStr = interaction.fields.getTextInputValue("timezone");
-      const durationStr = interaction.fields.getTextInputValue("duration");
 
-      // Parse and validate input
-      const { startTime, endTime } = this.parseScheduleInput(
+      const { startTime, endTime, timeZone } = this.parseScheduleInput(
         startTimeStr,
-        timezoneStr,
-        durationStr
+        interaction.fields.getTextInputValue("timezone"),
+        interaction.fields.getTextInputValue("duration")
+      );
+      const recurrence = TimeParser.parseRecurrence(
+        interaction.fields.getTextInputValue("repeat"),
+        timeZone
       );
 
       const statusResult = await this.lambdaService.getInstanceStatus(userId);
       const licenseType = statusResult.licenseType || "byol";
-      const preferredLicenseId =
-        licenseType === "byol" ? `byol-${userId}` : undefined;
 
-      const result = await this.lambdaService.scheduleSession({
-        userId,
+      const pending = {
+        title,
         startTime: Math.floor(startTime.getTime() / 1000),
         endTime: Math.floor(endTime.getTime() / 1000),
+        timeZone,
+        recurrence,
+      };
+
+      // Preview every occurrence against license availability before booking
+      const preview = await this.lambdaService.scheduleRecurringSession({
+        userId,
+        startTime: pending.startTime,
+        endTime: pending.endTime,
         licenseType,
+        preferredLicenseId:
+          licenseType === "byol" ? `byol-${userId}` : undefined,
         sessionTitle: title,
-        sessionDescription: `Scheduled from ${timezoneStr} timezone`,
-        preferredLicenseId,
+        recurrence,
+        supporterPerks: this.discordService.getSupporterPerks(
+          interaction.member
+        ),
+        dryRun: true,
       });
 
-      if (result.success) {
-        await interaction.editReply({
-          content: `✅ **Session scheduled successfully!**\n\nSession ID: \`${
-            result.sessionId
-          }\`\nStarts: <t:${Math.floor(startTime.getTime() / 1000)}:F>`,
+      const occurrences = [
+        ...preview.booked.map((o) => ({ ...o, free: true })),
+        ...preview.conflicts.map((o) => ({ ...o, free: false })),
+      ].sort((a, b) => a.startTime - b.startTime);
+
+      const occurrenceLines = occurrences
+        .map(
+          (o) =>
+            `${o.free ? "🟢" : "🔴"} ${TimeParser.formatInZone(
+              new Date(o.startTime * 1000),
+              timeZone
+            )}`
+        )
+        .join("\n");
+
+      const embed = new EmbedBuilder()
+        .setColor(preview.conflicts.length > 0 ? "#ffaa00" : "#0099ff")
+        .setTitle("🔁 Confirm Your Recurring Series")
+        .setDescription(
+          `You entered **${startTimeStr}** in **${timeZone}**.\n${TimeParser.describeRecurrence(
+            recurrence,
+            timeZone
+          )}.`
+        )
+        .addFields([
+          { name: "Title", value: title, inline: false },
+          {
+            name: `Sessions (${preview.booked.length} bookable, ${preview.conflicts.length} conflicting)`,
+            value:
+              occurrenceLines.length > 1024
+                ? occurrenceLines.substring(0, 1000) + "\n..."
+                : occurrenceLines || "None",
+          },
+        ])
+        .setFooter({
+          text: "🔴 sessions have no free license and will be skipped.",
+        })
+        .setTimestamp();
+
+      if (!preview.success) {
+        return await interaction.editReply({
+          content: "❌ None of these sessions have a free license.",
+          embeds: [embed],
         });
-      } else {
-        throw new Error(result.message || "Failed to schedule session");
       }
+
+      this.discordService.state.setPendingSession(userId, pending);
+
+      await interaction.editReply({
+        embeds: [embed],
+        components: [
+          InstanceButtonBuilder.createScheduleConfirmButtons(userId, true),
+        ],
+      });
     } catch (error) {
-      logger.error("Schedule modal error:", error);
+      logger.error("Recurring schedule modal error:", error);
       await interaction.editReply({
-        content: `❌ Failed to schedule session: ${error.message}`,
+        content: `❌ Failed to schedule series: ${error.message}`,
       });
     }
   }
 
-  parseScheduleInput(startTimeStr, timezoneStr, durationStr) {
-    // Parse start time (YYYY-MM-DD HH:MM format)
-    const startTimeMatch = startTimeStr.match(
-      /(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})/
-    );
-    if (!startTimeMatch) {
-      throw new Error(
-        "Invalid start time format. Use YYYY-MM-DD HH:MM (e.g., '2024-01-15 19:00')"
+  async handleRescheduleModal(interaction, userId, sessionId) {
+    await this.rescheduleSession(interaction, userId, sessionId, {
+      startTimeStr: interaction.fields.getTextInputValue("start_time"),
+      timezoneStr: interaction.fields.getTextInputValue("timezone"),
+      durationStr: interaction.fields.getTextInputValue("duration"),
+    });
+  }
+
+  /**
+   * Also used by /foundry user reschedule-session. Without durationStr the
+   * session keeps its current length.
+   */
+  async rescheduleSession(
+    interaction,
+    userId,
+    sessionId,
+    { startTimeStr, timezoneStr, durationStr }
+  ) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    try {
+      if (!durationStr) {
+        const { sessions } = await this.lambdaService.listSessions(userId);
+        const session = sessions.find((s) => s.sessionId === sessionId);
+        if (!session || session.status !== "scheduled") {
+          return await interaction.editReply({
+            content: "ℹ️ This session doesn't exist or has already started.",
+          });
+        }
+        durationStr = String((session.endTime - session.startTime) / 3600);
+      }
+
+      const { startTime, endTime, timeZone } = this.parseScheduleInput(
+        startTimeStr,
+        timezoneStr,
+        durationStr
       );
+
+      // The Lambda re-checks license availability for the new slot
+      const result = await this.lambdaService.rescheduleSession(
+        userId,
+        sessionId,
+        Math.floor(startTime.getTime() / 1000),
+        Math.floor(endTime.getTime() / 1000),
+        this.discordService.getSupporterPerks(interaction.member)
+      );
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Couldn't reschedule: ${result.message}\nYour session keeps its original time.`,
+        });
+      }
+
+      logger.info(`Session ${sessionId} rescheduled for user ${userId}`);
+      await interaction.editReply({
+        content: `📅 **Session rescheduled**\n\nYou entered **${startTimeStr}** in **${timeZone}**.\nNow: ${TimeParser.formatInZone(
+          startTime,
+          timeZone
+        )} (<t:${Math.floor(startTime.getTime() / 1000)}:F> your time)`,
+      });
+    } catch (error) {
+      logger.error("Reschedule error:", error);
+      await interaction.editReply({
+        content: `❌ Failed to reschedule session: ${error.message}`,
+      });
     }
+  }
 
-    const [, year, month, day, hour, minute] = startTimeMatch;
+  parseScheduleInput(startTimeStr, timezoneStr, durationStr) {
+    const timeZone = TimeParser.resolveTimezone(timezoneStr);
+    const startTime = TimeParser.parseStartTime(startTimeStr, timeZone);
 
     // Parse duration
     const duration = parseFloat(durationStr);
@@ -170,57 +390,141 @@ class ModalHandler {
       throw new Error("Duration must be a number between 0 and 24 hours");
     }
 
-    // Simple timezone parsing (basic implementation)
-    const timezoneMap = {
-      EST: -5,
-      EDT: -4,
-      CST: -6,
-      CDT: -5,
-      MST: -7,
-      MDT: -6,
-      PST: -8,
-      PDT: -7,
-      GMT: 0,
-      UTC: 0,
-      BST: 1,
-      CET: 1,
-      CEST: 2,
-    };
-
-    let offsetHours = timezoneMap[timezoneStr.toUpperCase()] || 0;
-
-    // Create local time and convert to UTC
-    const localTime = new Date(
-      parseInt(year),
-      parseInt(month) - 1,
-      parseInt(day),
-      parseInt(hour),
-      parseInt(minute)
+    if (startTime <= new Date()) {
+      throw new Error("Start time must be in the future");
+    }
+
+    const endTime = new Date(startTime.getTime() + duration * 60 * 60 * 1000);
+
+    return { startTime, endTime, timeZone };
+  }
+
+  async handleDestroyModal(interaction, userId, keepLicenseSharing) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const status = await this.lambdaService.getInstanceStatus(userId);
+    const typedName = interaction.fields
+      .getTextInputValue("instance_name")
+      .trim()
+      .toLowerCase();
+
+    if (typedName !== status.sanitizedUsername) {
+      return await interaction.editReply({
+        content: `❌ Name didn't match \`${status.sanitizedUsername}\`. Your instance was **not** destroyed.`,
+      });
+    }
+
+    this.discordService.state.clearStatusMonitor(userId);
+    const result = await this.lambdaService.destroyInstance(userId, {
+      keepLicenseSharing,
+    });
+
+    logger.info(
+      `Instance destroyed for user ${userId} (keepLicenseSharing: ${keepLicenseSharing})`
     );
 
-    const startTime = new Date(
-      localTime.getTime() - offsetHours * 60 * 60 * 1000
+    // Reply before the channel goes away, the interaction may live in it
+    await interaction.editReply({
+      content: `💀 **Instance destroyed**\n\n${result.message}${
+        keepLicenseSharing ? "\nYour license remains in the community pool." : ""
+      }`,
+    });
+
+    const guild =
+      this.discordService.getInstanceGuild(status) || interaction.guild;
+    if (guild) {
+      await this.discordService.deleteUserCommandChannel(guild, userId);
+    }
+    this.discordService.state.removeLastKnownStatus(userId);
+
+    await this.discordService.sendAuditLog(
+      new EmbedBuilder()
+        .setColor("#ff0000")
+        .setTitle("💀 Instance Destroyed")
+        .addFields([
+          { name: "Owner", value: `<@${userId}>`, inline: true },
+          {
+            name: "Destroyed By",
+            value: `<@${interaction.user.id}>`,
+            inline: true,
+          },
+          { name: "Instance", value: status.sanitizedUsername, inline: true },
+          {
+            name: "License Sharing",
+            value: keepLicenseSharing ? "Kept active" : "Removed",
+            inline: true,
+          },
+          {
+            name: "Sessions Cancelled",
+            value: String(result.cancelledSessionsCount || 0),
+            inline: true,
+          },
+        ])
+        .setTimestamp(),
+      guild?.id
     );
+  }
 
-    if (startTime <= new Date()) {
-      throw new Error("Start time must be in the future");
+  // Step 1 of an emergency action: collect target and reason, then ask to confirm
+  async handleEmergencyModal(interaction, operation) {
+    const action = EMERGENCY_ACTIONS[operation];
+    if (!action) {
+      logger.warn(`Unknown emergency action: ${operation}`);
+      return;
     }
 
-    const endTime = new Date(startTime.getTime() + duration * 60 * 60 * 1000);
+    const reason = interaction.fields.getTextInputValue("reason").trim();
+    let targetId = null;
+
+    if (action.target) {
+      const rawTarget = interaction.fields.getTextInputValue("target_id").trim();
+      targetId =
+        action.target === "user"
+          ? rawTarget.match(/\d{17,20}/)?.[0]
+          : rawTarget;
 
-    return { startTime, endTime };
+      if (!targetId) {
+        return await interaction.reply({
+          content: `❌ "${rawTarget}" is not a Discord user ID or mention.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+
+    await this.confirmEmergencyAction(interaction, operation, targetId, reason);
   }
 
-  async handleAdminButton(interaction, parts) {
-    if (!this.discordService.hasAdminRole(interaction.member)) {
-      return await interaction.reply({
-        content: "❌ Admin access required.",
-        flags: MessageFlags.Ephemeral,
+  // Also used by /foundry admin force-shutdown
+  async confirmEmergencyAction(interaction, operation, targetId, reason) {
+    const action = EMERGENCY_ACTIONS[operation];
+
+    this.discordService.state.setPendingAdminAction(interaction.user.id, {
+      operation,
+      targetId,
+      reason,
+    });
+
+    const fields = [{ name: "Reason", value: reason }];
+    if (targetId) {
+      fields.unshift({
+        name: action.target === "user" ? "Target User" : "Session",
+        value: action.target === "user" ? `<@${targetId}>` : targetId,
       });
     }
 
-    logger.info("Admin button interaction:", parts.join("_"));
-    // Implementation for admin buttons
+    const embed = new EmbedBuilder()
+      .setColor("#ff0000")
+      .setTitle(`⚠️ Confirm ${action.label}`)
+      .setDescription(`${action.description}. This cannot be undone.`)
+      .addFields(fields)
+      .setFooter({ text: "Step 2/2 • Confirmation expires in 5 minutes" })
+      .setTimestamp();
+
+    await interaction.reply({
+      embeds: [embed],
+      components: [InstanceButtonBuilder.createEmergencyConfirmButtons(operation)],
+      flags: MessageFlags.Ephemeral,
+    });
   }
 }
 
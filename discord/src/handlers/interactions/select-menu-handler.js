@@ -1,6 +1,19 @@
-const { MessageFlags } = require("discord.js");
+const { MessageFlags, EmbedBuilder } = require("discord.js");
 const { logger } = require("../../utils/logger");
-const { ErrorHandler } = require("../../utils/error-handler");
+const { TimeParser } = require("../../utils/time-parser");
+const { Permission } = require("../../utils/permissions");
+const { CustomId } = require("../../utils/custom-id");
+const { FoundryVersions } = require("../../utils/foundry-versions");
+const {
+  InstanceMenuBuilder,
+  DEFAULT_FOUNDRY_VERSION,
+} = require("../../components/menus/instance-menus");
+const {
+  InstanceModalBuilder,
+} = require("../../components/modals/instance-modals");
+const {
+  InstanceButtonBuilder,
+} = require("../../components/buttons/instance-buttons");
 
 class SelectMenuHandler {
   constructor(client, lambdaService, discordService) {
@@ -9,125 +22,585 @@ class SelectMenuHandler {
     this.discordService = discordService;
   }
 
-  async handle(interaction) {
-    const parts = interaction.customId.split("_");
+  registerRoutes(router) {
+    const use = { permission: Permission.USE_INSTANCE };
+    const schedule = { permission: Permission.SCHEDULE };
 
-    if (parts[0] !== "foundry") return;
+    router.select(
+      "menu.version",
+      (interaction, { userId }) =>
+        this.handleVersionSelection(interaction, userId),
+      use
+    );
+    router.select(
+      "menu.license",
+      (interaction, { userId }) =>
+        this.handleLicenseSelection(interaction, userId),
+      use
+    );
+    router.select(
+      "menu.regversion",
+      (interaction, { userId, licenseType, share }) =>
+        this.handleRegistrationVersionSelection(
+          interaction,
+          userId,
+          licenseType,
+          share
+        ),
+      use
+    );
+    router.select(
+      "menu.series",
+      (interaction, { userId }) =>
+        this.handleSeriesSelection(interaction, userId),
+      schedule
+    );
+    router.select(
+      "menu.session",
+      (interaction, { userId }) =>
+        this.handleSessionSelection(interaction, userId),
+      schedule
+    );
+    router.select(
+      "menu.sessionextend",
+      (interaction, { userId, sessionId }) =>
+        this.handleSessionExtend(interaction, userId, sessionId),
+      schedule
+    );
+    router.select(
+      "menu.occurrenceskip",
+      (interaction, { userId }) =>
+        this.handleOccurrenceSkip(interaction, userId),
+      schedule
+    );
+  }
+
+  async handleVersionSelection(interaction, userId) {
+    await this.changeVersion(interaction, userId, interaction.values[0]);
+  }
+
+  // Also used by /foundry user version
+  async changeVersion(interaction, userId, selectedVersion) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
     try {
-      let menuType, userId;
-
-      if (parts[1] === "version") {
-        menuType = "version";
-        userId = parts[2];
-      } else if (parts[1] === "license" && parts[2] === "select") {
-        menuType = "license";
-        userId = parts[3];
-      } else {
-        logger.warn(`Unknown select menu: ${interaction.customId}`);
-        return;
+      const catalogue = this.discordService.config.getVersionCatalogue();
+      const label = FoundryVersions.getLabel(catalogue, selectedVersion);
+      const currentStatus = await this.lambdaService.getInstanceStatus(userId);
+      const currentVersion =
+        currentStatus.foundryVersion || DEFAULT_FOUNDRY_VERSION;
+
+      if (currentVersion === selectedVersion) {
+        return await interaction.editReply({
+          content: `ℹ️ Your instance is already using **${label}**`,
+        });
       }
 
-      // Check permissions
-      if (
-        userId !== interaction.user.id &&
-        interaction.guild &&
-        !this.discordService.hasAdminRole(interaction.member)
-      ) {
-        return await interaction.reply({
-          content: "❌ You can only control your own instance.",
-          flags: MessageFlags.Ephemeral,
+      // The menu only offers allowed versions, but it can be stale and the
+      // slash command takes any text
+      const blocker = FoundryVersions.getSwitchBlocker(
+        catalogue,
+        currentVersion,
+        selectedVersion
+      );
+      if (blocker) {
+        return await interaction.editReply({
+          content: `❌ **Can't switch to ${label}**\n\n${blocker}`,
         });
       }
 
-      if (menuType === "version") {
-        await this.handleVersionSelection(interaction, userId);
-      } else if (menuType === "license") {
-        await this.handleLicenseSelection(interaction, userId);
+      if (!["stopped", "created"].includes(currentStatus.status)) {
+        return await interaction.editReply({
+          content: `⏹️ **Stop your instance first**\n\nYour data is backed up before switching to ${label}, which needs the instance stopped.`,
+        });
       }
+
+      let result;
+      try {
+        result = await this.lambdaService.updateVersion(
+          userId,
+          selectedVersion,
+          FoundryVersions.getRules(catalogue)
+        );
+      } catch (error) {
+        logger.error(`Version update failed for ${userId}:`, error);
+        return await interaction.editReply({
+          content: `❌ **Couldn't switch to ${label}**\n\n${error.message}`,
+        });
+      }
+
+      // Instances without a bucket switch at once, without a backup
+      if (!result.pending) {
+        await interaction.editReply({
+          content: `✅ **Version updated to ${label}**\n\nStart your instance to use the new version.`,
+        });
+        logger.info(`Version updated for user ${userId}: ${selectedVersion}`);
+        return;
+      }
+
+      await interaction.editReply({
+        content: `⏳ **Backing up your data before switching to ${label}**\n\nThis can take a while for large worlds, and your instance can't start until it's done. This message updates when the switch is complete.`,
+      });
+      logger.info(
+        `Version switch started for user ${userId}: ${selectedVersion}`
+      );
+
+      this.discordService.monitorVersionSwitch(
+        userId,
+        this.lambdaService,
+        (status) =>
+          this.discordService.editReplyOrPost(
+            interaction,
+            userId,
+            this.describeVersionSwitchResult(status, userId, label)
+          )
+      );
     } catch (error) {
-      logger.error("Select menu handler error:", error);
-      await ErrorHandler.handleInteractionError(interaction, error);
+      logger.error(`Version selection error for ${userId}:`, error);
+      throw error;
     }
   }
 
-  async handleVersionSelection(interaction, userId) {
+  describeVersionSwitchResult(status, userId, label) {
+    if (!status) {
+      return {
+        content: `⌛ **Still backing up**\n\nThe switch to ${label} is taking longer than expected. Check your instance status later.`,
+      };
+    }
+    if (status.versionSwitch?.state === "failed") {
+      return {
+        content: `❌ **Couldn't switch to ${label}**\n\nThe backup failed, so your instance is unchanged: ${status.versionSwitch.error}`,
+      };
+    }
+    return {
+      content: `✅ **Version updated to ${label}**\n\nStart your instance to use the new version.\n\n↩️ Your data was saved first. If your worlds don't work on the new version, roll back to restore them.`,
+      components: status.versionBackup
+        ? [InstanceButtonBuilder.createVersionRollbackButton(userId)]
+        : [],
+    };
+  }
+
+  async handleSessionSelection(interaction, userId) {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-    try {
-      const selectedVersion = interaction.values[0];
+    const sessionId = interaction.values[0];
+    const { sessions } = await this.lambdaService.listSessions(userId);
+    const session = sessions.find((s) => s.sessionId === sessionId);
 
-      // Check current version
-      const currentStatus = await this.lambdaService.getInstanceStatus(userId);
+    if (!session || !["scheduled", "active"].includes(session.status)) {
+      return await interaction.editReply({
+        content: "ℹ️ This session is no longer upcoming.",
+      });
+    }
 
-      if (currentStatus.foundryVersion === selectedVersion) {
-        return await interaction.editReply({
-          content: `ℹ️ Your instance is already using version **${selectedVersion}**`,
-        });
-      }
+    const embed = new EmbedBuilder()
+      .setColor(session.status === "active" ? "#00ff00" : "#0099ff")
+      .setTitle(`🗓️ ${session.title || "Gaming Session"}`)
+      .addFields([
+        { name: "Starts", value: `<t:${session.startTime}:F>`, inline: true },
+        { name: "Ends", value: `<t:${session.endTime}:F>`, inline: true },
+        {
+          name: "Status",
+          value: session.status === "active" ? "🟢 Active" : "🕒 Scheduled",
+          inline: true,
+        },
+      ])
+      .setTimestamp();
+
+    if (session.seriesId) {
+      embed.setFooter({
+        text: "Part of a recurring series - changes apply to this session only.",
+      });
+    }
 
-      // Update version
-      await this.lambdaService.updateVersion(userId, selectedVersion);
+    const components = [
+      InstanceMenuBuilder.createSessionExtendMenu(userId, sessionId),
+    ];
+    const actions = InstanceButtonBuilder.createSessionActionButtons(
+      userId,
+      session
+    );
+    if (actions) components.push(actions);
 
-      const versionLabels = {
-        13: "v13 - Latest Stable",
-        release: "Release - Current Stable",
-        12: "v12 - Previous Major",
-        11: "v11 - Legacy Major",
-        "13.346.0": "v13.346.0 - Specific Build",
-        latest: "Latest - Bleeding Edge",
-      };
+    await interaction.editReply({ embeds: [embed], components });
+  }
 
-      await interaction.editReply({
-        content: `✅ **Version updated to ${versionLabels[selectedVersion]}**\n\nStart/restart your instance to use the new version.`,
+  async handleSessionExtend(interaction, userId, sessionId) {
+    await interaction.deferUpdate();
+
+    const hours = parseInt(interaction.values[0]);
+    const result = await this.lambdaService.extendSession(
+      userId,
+      sessionId,
+      hours
+    );
+
+    if (!result.success) {
+      return await interaction.editReply({
+        content: `❌ Couldn't extend: ${result.message}`,
       });
+    }
 
-      logger.info(`Version updated for user ${userId}: ${selectedVersion}`);
-    } catch (error) {
-      logger.error(`Version selection error for ${userId}:`, error);
-      throw error;
+    logger.info(`Session ${sessionId} extended by ${hours}h for ${userId}`);
+    await interaction.editReply({
+      content: `⏱️ ${result.message}. Now ends <t:${result.endTime}:F>.`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  async handleSeriesSelection(interaction, userId) {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const seriesId = interaction.values[0];
+    const { sessions } = await this.lambdaService.listSessions(userId);
+    const upcoming = sessions
+      .filter((s) => s.seriesId === seriesId && s.status === "scheduled")
+      .sort((a, b) => a.startTime - b.startTime);
+
+    if (upcoming.length === 0) {
+      return await interaction.editReply({
+        content: "ℹ️ This series has no upcoming sessions left.",
+      });
     }
+
+    const { recurrence, title } = upcoming[0];
+    const timeZone = recurrence?.timeZone || "UTC";
+    const formatStart = (session) =>
+      TimeParser.formatInZone(new Date(session.startTime * 1000), timeZone);
+
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle(`🔁 ${title || "Recurring Series"}`)
+      .setDescription(
+        recurrence
+          ? `${TimeParser.describeRecurrence(recurrence, timeZone)} (${timeZone})`
+          : "Recurring series"
+      )
+      .addFields([
+        {
+          name: `Upcoming Sessions (${upcoming.length})`,
+          value: upcoming
+            .slice(0, 15)
+            .map((session) => `• <t:${session.startTime}:F>`)
+            .join("\n"),
+        },
+      ])
+      .setFooter({
+        text: "Skip a single session below, or cancel everything that's left.",
+      })
+      .setTimestamp();
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [
+        InstanceMenuBuilder.createOccurrenceSkipMenu(
+          userId,
+          upcoming.map((session) => ({
+            sessionId: session.sessionId,
+            label: formatStart(session),
+          }))
+        ),
+        InstanceButtonBuilder.createSeriesCancelButton(userId, seriesId),
+      ],
+    });
+  }
+
+  async handleOccurrenceSkip(interaction, userId) {
+    await interaction.deferUpdate();
+
+    const sessionId = interaction.values[0];
+    await this.lambdaService.cancelSession(userId, sessionId);
+    logger.info(`Skipped series occurrence ${sessionId} for user ${userId}`);
+
+    await interaction.editReply({
+      content:
+        "⏭️ Session skipped. The rest of the series is unchanged.",
+      embeds: [],
+      components: [],
+    });
   }
 
   async handleLicenseSelection(interaction, userId) {
     const selectedValue = interaction.values[0];
-    const [licenseType, sharing] = selectedValue.split("_");
+    const [licenseType, sharing = "private"] = selectedValue.split("_");
+
+    logger.info(
+      `License selected by user ${userId}: ${licenseType} (${sharing})`
+    );
+
+    // Step 2: pick the Foundry version before credentials/pool assignment
+    const embed = new EmbedBuilder()
+      .setColor("#0099ff")
+      .setTitle("📝 Register Your Instance - Step 2/3")
+      .setDescription(
+        `License: **${this.describeLicenseChoice(
+          licenseType,
+          sharing === "share"
+        )}**\n\nWhich Foundry VTT version should your instance run? You can change this later.`
+      )
+      .setTimestamp();
+
+    const versionMenu = InstanceMenuBuilder.createVersionSelectMenu(
+      CustomId.encode("menu.regversion", {
+        userId,
+        licenseType,
+        share: sharing === "share",
+      }),
+      FoundryVersions.getRegistrationChoices(
+        this.discordService.config.getVersionCatalogue()
+      )
+    );
 
+    if (licenseType !== "pooled") {
+      return await interaction.update({
+        embeds: [embed],
+        components: [versionMenu],
+      });
+    }
+
+    // Pooled users depend on shared licenses, so show what's available first
     await interaction.deferUpdate();
+    try {
+      const availability = await this.getPooledAvailability(userId);
+      this.addPooledAvailabilityFields(embed, availability);
+    } catch (error) {
+      logger.warn("Could not load license pool availability:", error.message);
+    }
+
+    await interaction.editReply({
+      embeds: [embed],
+      components: [versionMenu],
+    });
+  }
+
+  async getPooledAvailability(userId) {
+    const { pools } = await this.lambdaService.getLicensePoolStatus(userId);
+
+    // Six 4-hour windows covering the next 24 hours
+    const windows = await this.lambdaService.checkAvailabilityWindows({
+      userId,
+      licenseType: "pooled",
+    });
+
+    return {
+      pools: pools.map((pool) => ({
+        ...pool,
+        freeWindows: windows.map(({ result }) =>
+          result
+            ? (result.availableLicenses || []).includes(pool.licenseId)
+            : null
+        ),
+      })),
+      windows,
+    };
+  }
+
+  addPooledAvailabilityFields(embed, { pools, windows }) {
+    if (pools.length === 0) {
+      embed.addFields([
+        {
+          name: "⚠️ No Shared Licenses Right Now",
+          value:
+            "Nobody is pooling a license at the moment. You can still create your instance and schedule sessions once a license is shared.",
+        },
+      ]);
+      return;
+    }
+
+    const describePool = (pool) => {
+      const grid = pool.freeWindows
+        .map((free, i) => {
+          const icon = free === null ? "❔" : free ? "🟢" : "🔴";
+          return `${icon} <t:${windows[i].startTime}:t>`;
+        })
+        .join(" ");
+      const nextFree = pool.freeWindows.findIndex((free) => free);
+      const summary =
+        nextFree === -1
+          ? "Fully booked for the next 24h"
+          : `Next free window <t:${windows[nextFree].startTime}:R>`;
+      return `${grid}\n${summary}`;
+    };
+
+    embed.addFields([
+      {
+        name: `🤝 Shared Licenses (${pools.length})`,
+        value:
+          "Free (🟢) or booked (🔴) in 4-hour windows over the next 24 hours. Sessions are assigned to a free license when you schedule.",
+      },
+      ...pools.slice(0, 5).map((pool) => ({
+        name: `🔑 ${pool.ownerUsername}`,
+        value: describePool(pool),
+      })),
+    ]);
+
+    if (pools.length > 5) {
+      embed.addFields([
+        {
+          name: "\u200b",
+          value: `*+${pools.length - 5} more shared licenses...*`,
+        },
+      ]);
+    }
+  }
+
+  async handleRegistrationVersionSelection(
+    interaction,
+    userId,
+    licenseType,
+    allowSharing
+  ) {
+    const foundryVersion = interaction.values[0];
 
     try {
       if (licenseType === "pooled") {
-        await this.createPooledInstance(interaction, userId);
+        await interaction.deferUpdate();
+        await this.createPooledInstance(interaction, userId, foundryVersion);
       } else {
         await this.showCredentialsModal(
           interaction,
           userId,
           licenseType,
-          sharing === "share"
+          allowSharing,
+          foundryVersion
         );
       }
     } catch (error) {
-      logger.error(`License selection error for ${userId}:`, error);
-      await interaction.editReply({
-        content: `❌ Failed to process license selection: ${error.message}`,
+      logger.error(`Registration version selection error for ${userId}:`, error);
+      const errorMessage = {
+        content: `❌ Failed to process your selection: ${error.message}`,
+        embeds: [],
         components: [],
-      });
+      };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply(errorMessage);
+      } else {
+        await interaction.update(errorMessage);
+      }
     }
   }
 
-  async createPooledInstance(interaction, userId) {
-    logger.info(`Creating pooled instance for user ${userId}`);
+  async createPooledInstance(interaction, userId, foundryVersion) {
+    logger.info(
+      `Creating pooled instance for user ${userId} (version ${foundryVersion})`
+    );
+
+    if (!interaction.guild) {
+      throw new Error("Instance creation must be done in the server");
+    }
+
     await interaction.editReply({
-      content: "🔄 Creating pooled instance... (Implementation in progress)",
+      content:
+        "🔄 **Creating your pooled instance...**\n\nThis takes a few moments. Please wait...",
+      embeds: [],
       components: [],
     });
+
+    const user = await this.client.users.fetch(userId);
+    const sanitizedUsername =
+      this.discordService.guildManager.sanitizeUsername(user.username);
+
+    // No credentials: the Lambda assigns a shared license when a session starts
+    const result = await this.lambdaService.createInstance({
+      userId,
+      guildId: interaction.guildId,
+      sanitizedUsername,
+      licenseType: "pooled",
+      allowLicenseSharing: false,
+      maxConcurrentUsers: 1,
+      foundryVersion,
+    });
+
+    const channel =
+      (await this.discordService.findExistingCommandChannel(
+        interaction.guild,
+        userId,
+        user.username
+      )) ||
+      (await this.discordService.createUserCommandChannel(
+        interaction.guild,
+        userId,
+        user.username
+      ));
+
+    const embed = new EmbedBuilder()
+      .setColor("#00ff00")
+      .setTitle("🎟️ Pooled Instance Ready")
+      .setDescription(
+        "Your instance uses licenses shared by the community, so it runs during **scheduled sessions** instead of on demand."
+      )
+      .addFields([
+        { name: "URL", value: result.url, inline: false },
+        {
+          name: "Version",
+          value: FoundryVersions.getLabel(
+            this.discordService.config.getVersionCatalogue(),
+            foundryVersion
+          ),
+          inline: true,
+        },
+        {
+          name: "Next Step",
+          value: "Click **Schedule Session** to book your first game.",
+          inline: true,
+        },
+      ])
+      .setTimestamp();
+
+    await this.discordService.safeChannelSend(channel, {
+      embeds: [embed],
+      components: [
+        InstanceButtonBuilder.createUserControlButtons(
+          userId,
+          { licenseType: "pooled" },
+          null,
+          this.discordService.guildManager.getGuildSettings(interaction.guildId)
+            .kofiUrl
+        ),
+      ],
+    });
+
+    const keySent = await this.discordService.sendAdminKeyDM(user, result);
+
+    logger.info(`Pooled instance created for user ${userId} in ${channel.id}`);
+
+    await interaction.editReply({
+      content: `✅ **Pooled instance created**\n\nChannel: ${channel}\nURL: ${
+        result.url
+      }\n${
+        keySent
+          ? "Admin key sent to DMs"
+          : "⚠️ Could not DM your admin key - use **Get Admin Key** in your channel"
+      }`,
+    });
   }
 
-  async showCredentialsModal(interaction, userId, licenseType, allowSharing) {
+  async showCredentialsModal(
+    interaction,
+    userId,
+    licenseType,
+    allowSharing,
+    foundryVersion
+  ) {
     logger.info(
-      `Showing credentials modal for user ${userId}, type: ${licenseType}, sharing: ${allowSharing}`
+      `Showing credentials modal for user ${userId}, type: ${licenseType}, sharing: ${allowSharing}, version: ${foundryVersion}`
     );
-    // Implementation will show the credentials modal
+
+    // Step 3 happens in the modal; ModalHandler.handleCredentialsModal creates the instance
+    await interaction.showModal(
+      InstanceModalBuilder.createCredentialsModal(
+        userId,
+        licenseType,
+        allowSharing,
+        foundryVersion
+      )
+    );
+  }
+
+  describeLicenseChoice(licenseType, allowSharing) {
+    if (licenseType === "pooled") return "🎟️ Pooled";
+    return allowSharing ? "🤝 BYOL - Shared" : "🔑 BYOL - Private";
   }
 }
 
@@ -5,9 +5,19 @@ const {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  MessageFlags,
 } = require("discord.js");
 const { logger } = require("../utils/logger");
-const { PutCommand } = require("@aws-sdk/lib-dynamodb");
+const { Permissions, USER_PERMISSIONS } = require("../utils/permissions");
+const { CustomId } = require("../utils/custom-id");
+
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+const START_POLL_INTERVAL_MS = 10 * 1000;
+// Keep in step with START_TIMEOUT_SECONDS in the Lambda, which reports
+// startup progress for as long
+const START_TIMEOUT_MS = 10 * 60 * 1000;
+const VERSION_SWITCH_POLL_INTERVAL_MS = 15 * 1000;
+const VERSION_SWITCH_TIMEOUT_MS = 60 * 60 * 1000;
 
 class DiscordService {
   constructor(client) {
@@ -15,7 +25,8 @@ class DiscordService {
     this.state = null; // Will be injected by Bot
     this.config = null; // Will be injected by Bot
     this.guildManager = null; // Will be injected by Bot
-    this.loggingChannel = null;
+    this.loggingChannel = null; // Primary guild's log channel, receives console output
+    this.loggingChannels = new Map(); // guildId -> log channel for audit entries
     this.logQueue = [];
     this.isProcessingLogs = false;
   }
@@ -28,18 +39,70 @@ class DiscordService {
   }
 
   // Permission checking (delegated to GuildManager)
-  hasRequiredRole(member) {
-    return this.guildManager.hasRequiredRole(member);
+  getPermissions(interaction) {
+    // DMs carry no roles to check; they keep the user-level access they had
+    if (!interaction.guild) return new Set(USER_PERMISSIONS);
+    return this.guildManager.getMemberPermissions(interaction.member);
+  }
+
+  hasPermission(interaction, permission) {
+    return this.getPermissions(interaction).has(permission);
   }
 
-  hasAdminRole(member) {
-    return this.guildManager.hasAdminRole(member);
+  /**
+   * Replies with an ephemeral denial when the interaction lacks the
+   * permission. Returns whether the handler may go on.
+   */
+  async requirePermission(interaction, permission) {
+    if (this.hasPermission(interaction, permission)) return true;
+
+    const denial = {
+      content: `❌ This needs the **${Permissions.label(
+        permission
+      )}** permission.`,
+      flags: MessageFlags.Ephemeral,
+    };
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(denial);
+    } else {
+      await interaction.reply(denial);
+    }
+    return false;
   }
 
   getUserSupporterAmount(member) {
     return this.guildManager.getUserSupporterAmount(member);
   }
 
+  getSupporterPerks(member) {
+    return this.guildManager.getSupporterPerks(member);
+  }
+
+  // The guild configured by DISCORD_GUILD_ID, or the first one the bot joined
+  getPrimaryGuild() {
+    const { guildId } = this.config.getDiscordConfig();
+    return (
+      (guildId && this.client.guilds.cache.get(guildId)) ||
+      this.client.guilds.cache.first() ||
+      null
+    );
+  }
+
+  // Instances registered before guild tracking belong to the primary guild
+  getInstanceGuild(instance) {
+    if (!instance.guildId) return this.getPrimaryGuild();
+    return this.client.guilds.cache.get(instance.guildId) || null;
+  }
+
+  // Instances are managed from the guild they were registered in
+  getOtherGuildMessage(instance, guildId) {
+    const instanceGuild = this.getInstanceGuild(instance);
+    if (!guildId || !instanceGuild || instanceGuild.id === guildId) {
+      return null;
+    }
+    return `ℹ️ Your instance is registered in **${instanceGuild.name}**. Manage it from your command channel there.`;
+  }
+
   // Channel management
   async findExistingCommandChannel(guild, userId, username) {
     await guild.channels.fetch();
@@ -68,7 +131,7 @@ class DiscordService {
 
     if (channel) {
       logger.info(`✅ Found existing channel: ${channel.name}`);
-      this.state.setUserChannel(userId, channel.id);
+      await this.state.setUserChannel(userId, channel.id);
     }
 
     return channel;
@@ -100,14 +163,14 @@ class DiscordService {
       ],
     };
 
-    const botConfig = this.config.getBotConfig();
-    if (botConfig.foundryCategory) {
-      channelOptions.parent = botConfig.foundryCategory;
+    const { foundryCategory } = this.guildManager.getGuildSettings(guild.id);
+    if (foundryCategory) {
+      channelOptions.parent = foundryCategory;
     }
 
     try {
       const channel = await guild.channels.create(channelOptions);
-      this.state.setUserChannel(userId, channel.id);
+      await this.state.setUserChannel(userId, channel.id);
 
       // Send welcome message
       const welcomeEmbed = new EmbedBuilder()
@@ -125,7 +188,7 @@ class DiscordService {
 
       const actionRow = new ActionRowBuilder().addComponents(
         new ButtonBuilder()
-          .setCustomId(`foundry_status_${userId}`)
+          .setCustomId(CustomId.encode("status", { userId }))
           .setLabel("Check Status")
           .setStyle(ButtonStyle.Secondary)
           .setEmoji("🔄")
@@ -155,13 +218,33 @@ class DiscordService {
         if (channel) {
           await channel.delete();
         }
-        this.state.removeUserChannel(userId);
+        await this.state.removeUserChannel(userId);
       } catch (error) {
         logger.error("Error deleting user channel:", error);
       }
     }
   }
 
+  async sendAdminKeyDM(user, instance) {
+    const embed = new EmbedBuilder()
+      .setColor("#ff9900")
+      .setTitle("🔑 Your Foundry VTT Instance")
+      .setDescription("Keep this administrator password private.")
+      .addFields([
+        { name: "URL", value: instance.url, inline: false },
+        { name: "Admin Key", value: `\`${instance.adminKey}\``, inline: false },
+      ])
+      .setTimestamp();
+
+    try {
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch (error) {
+      logger.warn(`Could not DM admin key to ${user.id}:`, error.message);
+      return false;
+    }
+  }
+
   async clearChannelMessages(channel) {
     try {
       logger.info(`Clearing messages in ${channel.name}...`);
@@ -226,26 +309,71 @@ class DiscordService {
     }
   }
 
+  /**
+   * Audit entries go straight to the log channel, bypassing the console queue.
+   * Without a guildId the entry is bot-wide and goes to every guild's log.
+   * Returns false unless every log channel got the entry, so callers can
+   * tell the admin their action went unrecorded.
+   */
+  async sendAuditLog(embed, guildId = null) {
+    const channels = guildId
+      ? [this.loggingChannels.get(guildId)].filter(Boolean)
+      : [...this.loggingChannels.values()];
+
+    if (channels.length === 0) {
+      logger.warn(`Audit log skipped (no log channel): ${embed.data.title}`);
+      return false;
+    }
+
+    let delivered = true;
+    for (const channel of channels) {
+      try {
+        await channel.send({ embeds: [embed] });
+      } catch (error) {
+        delivered = false;
+        logger.error(
+          `Failed to send audit log entry to ${channel.id}:`,
+          error.message
+        );
+      }
+    }
+    return delivered;
+  }
+
   // Logging setup
   async setupLoggingChannel() {
-    try {
-      const guild = this.client.guilds.cache.first();
-      if (!guild) {
-        logger.warn("⚠️ No guilds found, cannot create logging channel");
-        return;
-      }
+    if (this.client.guilds.cache.size === 0) {
+      logger.warn("⚠️ No guilds found, cannot create logging channel");
+      return;
+    }
 
-      let existingChannel = guild.channels.cache.find(
-        (c) => c.name === "foundry-bot-logs"
-      );
+    for (const guild of this.client.guilds.cache.values()) {
+      await this.setupGuildLoggingChannel(guild);
+    }
 
-      if (existingChannel) {
-        this.loggingChannel = existingChannel;
-        logger.info(
-          `📝 Using existing logging channel: #${this.loggingChannel.name}`
+    const primaryGuild = this.getPrimaryGuild();
+    this.loggingChannel = this.loggingChannels.get(primaryGuild?.id) || null;
+    this.setupConsoleOverride();
+  }
+
+  // Uses the guild's configured log channel, else finds or creates #foundry-bot-logs
+  async setupGuildLoggingChannel(guild) {
+    try {
+      const { logChannelId } = this.guildManager.getGuildSettings(guild.id);
+      let channel = logChannelId
+        ? await guild.channels.fetch(logChannelId).catch(() => null)
+        : null;
+
+      if (!channel) {
+        channel = guild.channels.cache.find(
+          (c) => c.name === "foundry-bot-logs"
         );
+      }
+
+      if (channel) {
+        logger.info(`📝 Using logging channel #${channel.name} in ${guild.name}`);
       } else {
-        this.loggingChannel = await guild.channels.create({
+        channel = await guild.channels.create({
           name: "foundry-bot-logs",
           type: ChannelType.GuildText,
           permissionOverwrites: [
@@ -263,11 +391,11 @@ class DiscordService {
           ],
           topic: "Foundry VTT Bot logs and debugging information",
         });
-        logger.info(
-          `📝 Created new logging channel: #${this.loggingChannel.name}`
-        );
+        logger.info(`📝 Created logging channel #${channel.name} in ${guild.name}`);
       }
 
+      this.loggingChannels.set(guild.id, channel);
+
       // Send startup message
       const startupEmbed = new EmbedBuilder()
         .setColor("#00ff00")
@@ -287,10 +415,14 @@ class DiscordService {
         ])
         .setTimestamp();
 
-      await this.loggingChannel.send({ embeds: [startupEmbed] });
-      this.setupConsoleOverride();
+      await channel.send({ embeds: [startupEmbed] });
+      return channel;
     } catch (error) {
-      logger.error("❌ Failed to setup logging channel:", error);
+      logger.error(
+        `❌ Failed to setup logging channel in ${guild.name}:`,
+        error
+      );
+      return null;
     }
   }
 
@@ -417,8 +549,13 @@ class DiscordService {
 
       for (const instance of result.instances) {
         try {
-          const guild = this.client.guilds.cache.first();
-          if (!guild) continue;
+          const guild = this.getInstanceGuild(instance);
+          if (!guild) {
+            logger.info(
+              `Guild for ${instance.userId}'s instance is unavailable, skipping...`
+            );
+            continue;
+          }
 
           const user = await this.client.users
             .fetch(instance.userId)
@@ -435,9 +572,7 @@ class DiscordService {
           );
 
           if (channel) {
-            this.state.setUserChannel(instance.userId, channel.id);
-            await this.clearChannelMessages(channel);
-            this.state.getUserStatusMessages().delete(instance.userId);
+            await this.state.setUserChannel(instance.userId, channel.id);
 
             // Send sync message using status embed
             const {
@@ -447,16 +582,35 @@ class DiscordService {
               InstanceButtonBuilder,
             } = require("../components/buttons/instance-buttons");
 
-            const embed = StatusEmbedBuilder.create(instance, "sync");
-            const buttons = InstanceButtonBuilder.createInstanceControlButtons(
+            const embed = StatusEmbedBuilder.create(
+              instance,
+              "sync",
+              this.state.getMaintenance()
+            );
+            const components = InstanceButtonBuilder.createInstanceComponents(
               instance.userId,
               instance
             );
 
-            await channel.send({
-              embeds: [embed],
-              components: [buttons],
-            });
+            // Reuse the persisted status message when it survived the restart
+            const existingMessage = await this.fetchUserStatusMessage(
+              channel,
+              instance.userId
+            );
+
+            if (existingMessage) {
+              await existingMessage.edit({
+                embeds: [embed],
+                components,
+              });
+            } else {
+              await this.clearChannelMessages(channel);
+              const message = await channel.send({
+                embeds: [embed],
+                components,
+              });
+              await this.state.setUserStatusMessage(instance.userId, message.id);
+            }
 
             logger.info(
               `✅ Synced ${user.username}'s instance (${instance.status})`
@@ -506,18 +660,26 @@ class DiscordService {
         logger.warn("Could not fetch license pools for stats:", error);
       }
 
-      // Calculate supporter data
-      const supporterData = this.calculateSupporterCredits();
-
       const {
         RegistrationEmbedBuilder,
       } = require("../components/embeds/registration-embed");
-      const embed = RegistrationEmbedBuilder.createStatsEmbed(
-        summary.summary,
-        allCosts,
-        licensePools,
-        supporterData
-      );
+
+      // Supporter roles differ per guild, so each guild gets its own embed
+      const statsEmbeds = new Map();
+      const getStatsEmbed = (guild) => {
+        if (!statsEmbeds.has(guild?.id)) {
+          statsEmbeds.set(
+            guild?.id,
+            RegistrationEmbedBuilder.createStatsEmbed(
+              summary.summary,
+              allCosts,
+              licensePools,
+              this.calculateSupporterCredits(guild)
+            )
+          );
+        }
+        return statsEmbeds.get(guild?.id);
+      };
 
       const invalidMappings = [];
 
@@ -537,7 +699,7 @@ class DiscordService {
             continue;
           }
 
-          await message.edit({ embeds: [embed] });
+          await message.edit({ embeds: [getStatsEmbed(channel.guild)] });
           logger.debug(`✅ Refreshed stats in channel ${channelId}`);
         } catch (err) {
           logger.error(`Failed to refresh stats in ${channelId}:`, err.message);
@@ -555,8 +717,7 @@ class DiscordService {
         logger.info(
           `🧹 Cleaning up invalid registration stats mapping: ${channelId}`
         );
-        registrationStats.delete(channelId);
-        await this.clearMappingFromDB("registrationStats");
+        await this.state.removeRegistrationStatsMapping(channelId);
       }
 
       logger.info(
@@ -596,53 +757,7 @@ class DiscordService {
             lastStatus.url !== instance.url;
 
           if (statusChanged) {
-            this.state.setLastKnownStatus(instance.userId, {
-              status: instance.status,
-              updatedAt: instance.updatedAt,
-              url: instance.url,
-            });
-
-            // Update status message
-            const {
-              StatusEmbedBuilder,
-            } = require("../components/embeds/status-embed");
-            const {
-              InstanceButtonBuilder,
-            } = require("../components/buttons/instance-buttons");
-
-            const embed = StatusEmbedBuilder.create(instance);
-            const buttons = InstanceButtonBuilder.createInstanceControlButtons(
-              instance.userId,
-              instance
-            );
-
-            const existingMessageId = this.state
-              .getUserStatusMessages()
-              .get(instance.userId);
-            if (existingMessageId) {
-              try {
-                const existingMessage = await channel.messages.fetch(
-                  existingMessageId
-                );
-                await existingMessage.edit({
-                  embeds: [embed],
-                  components: [buttons],
-                });
-              } catch {
-                const newMessage = await channel.send({
-                  embeds: [embed],
-                  components: [buttons],
-                });
-                this.state.setUserStatusMessage(instance.userId, newMessage.id);
-              }
-            } else {
-              const newMessage = await channel.send({
-                embeds: [embed],
-                components: [buttons],
-              });
-              this.state.setUserStatusMessage(instance.userId, newMessage.id);
-            }
-
+            await this.updateUserStatusMessage(channel, instance);
             updatedCount++;
           }
         } catch (error) {
@@ -663,6 +778,54 @@ class DiscordService {
     }
   }
 
+  // Re-render a user's status message in their command channel
+  async updateUserStatusMessage(channel, instance) {
+    this.state.setLastKnownStatus(instance.userId, {
+      status: instance.status,
+      updatedAt: instance.updatedAt,
+      url: instance.url,
+    });
+
+    const {
+      StatusEmbedBuilder,
+    } = require("../components/embeds/status-embed");
+    const {
+      InstanceButtonBuilder,
+    } = require("../components/buttons/instance-buttons");
+
+    const embed = StatusEmbedBuilder.create(
+      instance,
+      "status",
+      this.state.getMaintenance()
+    );
+    const components = InstanceButtonBuilder.createInstanceComponents(
+      instance.userId,
+      instance
+    );
+
+    const existingMessageId = this.state
+      .getUserStatusMessages()
+      .get(instance.userId);
+    if (existingMessageId) {
+      try {
+        const existingMessage = await channel.messages.fetch(existingMessageId);
+        await existingMessage.edit({
+          embeds: [embed],
+          components,
+        });
+        return;
+      } catch {
+        // Fall through and post a fresh message
+      }
+    }
+
+    const newMessage = await channel.send({
+      embeds: [embed],
+      components,
+    });
+    await this.state.setUserStatusMessage(instance.userId, newMessage.id);
+  }
+
   async cleanupOldCache(lambdaService) {
     logger.debug("🧹 Cleaning up old status cache entries...");
 
@@ -674,8 +837,8 @@ class DiscordService {
       const lastKnownStatus = this.state.getLastKnownStatus();
       for (const userId of lastKnownStatus.keys()) {
         if (!activeUserIds.has(userId)) {
-          lastKnownStatus.delete(userId);
-          this.state.getUserStatusMessages().delete(userId);
+          this.state.removeLastKnownStatus(userId);
+          await this.state.removeUserStatusMessage(userId);
           removedCount++;
         }
       }
@@ -688,54 +851,431 @@ class DiscordService {
     }
   }
 
-  async checkNotifications(lambdaService) {
+  /**
+   * Drain the Lambda's notification queue. Handled events are acknowledged;
+   * failed ones stay queued and are retried until MAX_NOTIFICATION_ATTEMPTS.
+   * Events whose ack failed are remembered so they aren't handled twice.
+   */
+  async consumeNotifications(lambdaService) {
+    if (this.consumingNotifications) return;
+    this.consumingNotifications = true;
+
     try {
-      const result = await lambdaService.getAllInstances();
-      const now = Math.floor(Date.now() / 1000);
-      const twoMinutesAgo = now - 120;
+      let cursor;
+      let hasMore = true;
+
+      while (hasMore) {
+        const batch = await lambdaService.getNotifications(cursor);
+        if (batch.notifications.length === 0) break;
+
+        const handled = [];
+        const touchedUsers = new Set();
+
+        for (const notification of batch.notifications) {
+          // Handled on an earlier poll but the ack failed; just ack again
+          if (this.state.isNotificationHandled(notification.eventId)) {
+            handled.push(notification.eventId);
+            continue;
+          }
 
-      for (const instance of result.instances) {
-        if (
-          instance.linkedSessionId &&
-          instance.status === "running" &&
-          instance.startedAt &&
-          instance.startedAt >= twoMinutesAgo
-        ) {
           try {
-            const sessionResult = await lambdaService.listSessions(
-              instance.userId
+            await this.handleNotification(notification);
+            handled.push(notification.eventId);
+            touchedUsers.add(notification.userId);
+            this.state.clearNotificationFailure(notification.eventId);
+          } catch (error) {
+            const attempts = this.state.recordNotificationFailure(
+              notification.eventId
             );
-            const session = sessionResult.sessions?.find(
-              (s) => s.sessionId === instance.linkedSessionId
+            logger.warn(
+              `Failed to handle ${notification.type} notification (attempt ${attempts}):`,
+              error.message
             );
-
-            if (session && session.status === "active") {
-              await this.sendScheduledSessionNotification(
-                instance.userId,
-                session,
-                instance
+            if (attempts >= MAX_NOTIFICATION_ATTEMPTS) {
+              logger.error(
+                `❌ Dropping ${notification.type} notification ${notification.eventId} after ${attempts} attempts`
               );
+              handled.push(notification.eventId);
+              this.state.clearNotificationFailure(notification.eventId);
             }
+          }
+        }
+
+        if (handled.length > 0) {
+          this.state.markNotificationsHandled(handled);
+          try {
+            await lambdaService.ackNotifications(handled);
+            this.state.clearHandledNotifications(handled);
           } catch (error) {
             logger.warn(
-              `Failed to send notification for user ${instance.userId}:`,
+              `⚠️ Failed to acknowledge ${handled.length} notification(s), retrying next poll:`,
               error.message
             );
           }
         }
+
+        // Update status messages now rather than on the next reconcile
+        for (const userId of touchedUsers) {
+          await this.refreshUserStatus(userId, lambdaService);
+        }
+
+        cursor = batch.notifications.at(-1).eventId;
+        hasMore = batch.hasMore;
       }
     } catch (error) {
-      logger.warn("⚠️ Failed to check for notifications:", error.message);
+      logger.warn("⚠️ Failed to consume notifications:", error.message);
+    } finally {
+      this.consumingNotifications = false;
+    }
+  }
+
+  async handleNotification(notification) {
+    const { type, userId } = notification;
+
+    switch (type) {
+      case "session-ready":
+        await this.sendScheduledSessionNotification(
+          userId,
+          {
+            title: notification.sessionTitle,
+            startTime: notification.startTime,
+            endTime: notification.endTime,
+            licenseType: notification.licenseType,
+          },
+          {
+            url: notification.instanceUrl,
+            status: "running",
+            autoShutdownAt: notification.autoShutdownAt,
+          }
+        );
+        break;
+      case "session-failed":
+        await this.sendUserChannelEmbed(
+          userId,
+          new EmbedBuilder()
+            .setColor("#ff0000")
+            .setTitle("❌ Scheduled Session Failed to Start")
+            .setDescription(
+              `**${notification.sessionTitle || "Foundry VTT Session"}** couldn't be started.`
+            )
+            .addFields([
+              {
+                name: "Reason",
+                value: notification.reason || "Unknown error",
+              },
+            ])
+            .setTimestamp(),
+          `<@${userId}> Your scheduled session couldn't start.`
+        );
+        break;
+      case "instance-shutdown":
+        this.state.clearStatusMonitor(userId);
+        await this.sendUserChannelEmbed(
+          userId,
+          new EmbedBuilder()
+            .setColor("#ff9900")
+            .setTitle("⏹️ Instance Stopped")
+            .setDescription(notification.reason || "Your instance was stopped.")
+            .setTimestamp()
+        );
+        break;
+      case "auto-shutdown-warning":
+        await this.sendShutdownWarning(
+          { userId, autoShutdownAt: notification.autoShutdownAt },
+          notification.minutesLeft
+        );
+        break;
+      default:
+        logger.warn(`Unknown notification type: ${type}`);
+    }
+  }
+
+  async sendUserChannelEmbed(userId, embed, content) {
+    const channelId = this.state.getUserChannels().get(userId);
+    if (!channelId) return;
+
+    const channel = this.client.channels.cache.get(channelId);
+    if (!channel) return;
+
+    await this.safeChannelSend(channel, {
+      ...(content && { content }),
+      embeds: [embed],
+    });
+  }
+
+  async refreshUserStatus(userId, lambdaService) {
+    const channelId = this.state.getUserChannels().get(userId);
+    const channel = channelId && this.client.channels.cache.get(channelId);
+    if (!channel) return;
+
+    try {
+      const status = await lambdaService.getInstanceStatus(userId);
+      await this.updateUserStatusMessage(channel, status);
+    } catch (error) {
+      logger.warn(`Failed to refresh status for ${userId}:`, error.message);
     }
   }
 
+  /**
+   * Poll a starting instance and keep its progress message up to date until
+   * Foundry answers on its URL, the start fails or START_TIMEOUT_MS passes.
+   */
+  monitorInstanceStart(userId, message, lambdaService) {
+    const {
+      StatusEmbedBuilder,
+    } = require("../components/embeds/status-embed");
+
+    const startedAt = Date.now();
+    let lastRendered = null;
+    let lastPhase = "provisioning";
+    let polling = false;
+
+    const render = async (progress) => {
+      const key = JSON.stringify([progress.phase, progress.detail]);
+      if (key === lastRendered) return;
+      lastRendered = key;
+      await message.edit({
+        embeds: [
+          StatusEmbedBuilder.createStartProgress({ ...progress, startedAt }),
+        ],
+      });
+    };
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+
+      try {
+        if (Date.now() - startedAt > START_TIMEOUT_MS) {
+          this.state.clearStatusMonitor(userId);
+          await render({ phase: "timeout", detail: lastPhase });
+          logger.warn(`⌛ Start monitor for ${userId} timed out`);
+          return;
+        }
+
+        const status = await lambdaService.getInstanceStatus(userId);
+        // No startup info until the Lambda has launched the task
+        const progress = status.startup || { phase: "provisioning" };
+        lastPhase = progress.phase;
+
+        if (progress.phase === "failed") {
+          this.state.clearStatusMonitor(userId);
+          await render(progress);
+          logger.warn(`❌ Start failed for ${userId}: ${progress.detail}`);
+          return;
+        }
+
+        if (
+          progress.phase === "ready" &&
+          (await this.isUrlReachable(status.url))
+        ) {
+          this.state.clearStatusMonitor(userId);
+          await render({ ...progress, url: status.url, reachable: true });
+          await this.safeChannelSend(message.channel, {
+            content: `<@${userId}> Your instance is ready: ${status.url}`,
+          });
+          logger.info(
+            `✅ Instance for ${userId} ready after ${Math.round(
+              (Date.now() - startedAt) / 1000
+            )}s`
+          );
+          return;
+        }
+
+        await render({ ...progress, url: status.url });
+      } catch (error) {
+        logger.warn(`Start monitor poll failed for ${userId}:`, error.message);
+        // A deleted progress message can't be updated any more
+        if (error.code === 10008) this.state.clearStatusMonitor(userId);
+      } finally {
+        polling = false;
+      }
+    };
+
+    this.state.setStatusMonitor(
+      userId,
+      setInterval(poll, START_POLL_INTERVAL_MS)
+    );
+  }
+
+  /**
+   * Poll a version switch or rollback until its backup or restore task has
+   * finished, then call onSettled with the instance status. Gets null once
+   * VERSION_SWITCH_TIMEOUT_MS passes; the Lambda still finishes the switch.
+   */
+  monitorVersionSwitch(userId, lambdaService, onSettled) {
+    const startedAt = Date.now();
+    let polling = false;
+
+    const settle = async (status) => {
+      this.state.clearVersionSwitchMonitor(userId);
+      await onSettled(status);
+      await this.refreshUserStatus(userId, lambdaService);
+    };
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+
+      try {
+        if (Date.now() - startedAt > VERSION_SWITCH_TIMEOUT_MS) {
+          logger.warn(`⌛ Version switch monitor for ${userId} timed out`);
+          await settle(null);
+          return;
+        }
+
+        const status = await lambdaService.getInstanceStatus(userId);
+        if (status.versionSwitch?.state !== "running") {
+          await settle(status);
+        }
+      } catch (error) {
+        logger.warn(
+          `Version switch monitor poll failed for ${userId}:`,
+          error.message
+        );
+      } finally {
+        polling = false;
+      }
+    };
+
+    this.state.setVersionSwitchMonitor(
+      userId,
+      setInterval(poll, VERSION_SWITCH_POLL_INTERVAL_MS)
+    );
+  }
+
+  // Interaction replies can only be edited for 15 minutes, which a large
+  // backup outlasts; post the result in the user's channel instead
+  async editReplyOrPost(interaction, userId, reply) {
+    try {
+      await interaction.editReply(reply);
+    } catch (error) {
+      const channelId = this.state.getUserChannels().get(userId);
+      const channel = channelId && this.client.channels.cache.get(channelId);
+      if (!channel) throw error;
+      await this.safeChannelSend(channel, {
+        ...reply,
+        content: `<@${userId}> ${reply.content}`,
+      });
+    }
+  }
+
+  // The ALB answers 5xx until Foundry itself is serving
+  async isUrlReachable(url) {
+    if (!url) return false;
+    try {
+      const response = await fetch(url, {
+        method: "HEAD",
+        redirect: "manual",
+        signal: AbortSignal.timeout(5000),
+      });
+      return response.status < 500;
+    } catch {
+      return false;
+    }
+  }
+
+  // Turn maintenance on (maintenance object) or off (null) and tell everyone
+  async setMaintenanceMode(maintenance, adminId) {
+    const previous = this.state.getMaintenance();
+    await this.state.setMaintenance(maintenance);
+
+    // Force command channel status messages to re-render with/without the notice
+    this.state.getLastKnownStatus().clear();
+
+    const {
+      MaintenanceEmbedBuilder,
+    } = require("../components/embeds/maintenance-embed");
+
+    if (maintenance) {
+      logger.warn(`🛠️ Maintenance mode enabled by ${adminId}`);
+      await this.sendAuditLog(
+        MaintenanceEmbedBuilder.createBanner(maintenance).addFields([
+          { name: "Started By", value: `<@${adminId}>`, inline: true },
+        ])
+      );
+      return;
+    }
+
+    logger.info(`✅ Maintenance mode disabled by ${adminId}`);
+    const announcement =
+      MaintenanceEmbedBuilder.createEndedAnnouncement(previous);
+
+    // Registration channels are where users are watching for the service
+    for (const channelId of this.state.getRegistrationStats().keys()) {
+      try {
+        const channel = await this.client.channels.fetch(channelId);
+        await this.safeChannelSend(channel, { embeds: [announcement] });
+      } catch (error) {
+        logger.warn(
+          `Failed to announce maintenance end in ${channelId}:`,
+          error.message
+        );
+      }
+    }
+
+    await this.sendAuditLog(
+      MaintenanceEmbedBuilder.createEndedAnnouncement(previous).addFields([
+        { name: "Ended By", value: `<@${adminId}>`, inline: true },
+      ])
+    );
+  }
+
+  // Warnings are queued by the Lambda 15 and 5 minutes before auto-shutdown
+  async sendShutdownWarning(instance, minutesLeft) {
+    const channelId = this.state.getUserChannels().get(instance.userId);
+    if (!channelId) return;
+
+    const channel = this.client.channels.cache.get(channelId);
+    if (!channel) return;
+
+    const {
+      InstanceButtonBuilder,
+    } = require("../components/buttons/instance-buttons");
+
+    const embed = new EmbedBuilder()
+      .setColor("#ff9900")
+      .setTitle("⏰ Instance Shutting Down Soon")
+      .setDescription(
+        `Your instance shuts down <t:${instance.autoShutdownAt}:R>. ` +
+          "Extend it now if your game is still going."
+      )
+      .setTimestamp();
+
+    await this.safeChannelSend(channel, {
+      content: `<@${instance.userId}> ${minutesLeft} minutes until auto-shutdown`,
+      embeds: [embed],
+      components: [InstanceButtonBuilder.createExtendButton(instance.userId)],
+    });
+
+    logger.info(
+      `⏰ Sent ${minutesLeft}m shutdown warning to user ${instance.userId}`
+    );
+  }
+
   async cleanupInvalidMappings() {
     logger.info("🧹 Running periodic cleanup of invalid message mappings...");
     try {
-      await this.refreshRegistrationStats(this.lambdaService);
+      const result = await this.state.reconcile(this.client);
       logger.info("✅ Periodic cleanup completed");
+      return result;
     } catch (error) {
       logger.error("❌ Periodic cleanup failed:", error.message);
+      throw error;
+    }
+  }
+
+  async fetchUserStatusMessage(channel, userId) {
+    const messageId = this.state.getUserStatusMessages().get(userId);
+    if (!messageId) return null;
+
+    try {
+      return await channel.messages.fetch(messageId);
+    } catch {
+      await this.state
+        .removeUserStatusMessage(userId)
+        .catch((error) => logger.error(error.message));
+      return null;
     }
   }
 
@@ -804,12 +1344,11 @@ class DiscordService {
   }
 
   // Helper methods
-  calculateSupporterCredits() {
+  calculateSupporterCredits(guild) {
     let totalSupporterCredits = 0;
     let supporterCount = 0;
 
-    if (this.client.guilds.cache.size > 0) {
-      const guild = this.client.guilds.cache.first();
+    if (guild) {
       const members = guild.members.cache;
 
       for (const [, member] of members) {
@@ -824,27 +1363,6 @@ class DiscordService {
     return { supporterCount, totalSupporterCredits };
   }
 
-  async clearMappingFromDB(configKey) {
-    const dynamoClient = this.state.getDynamoClient();
-    if (!dynamoClient) return;
-
-    try {
-      await dynamoClient.send(
-        new PutCommand({
-          TableName: this.config.getAWSConfig().botConfigTableName,
-          Item: {
-            configKey,
-            channelId: null,
-            messageId: null,
-            updatedAt: Math.floor(Date.now() / 1000),
-          },
-        })
-      );
-    } catch (error) {
-      logger.error(`Failed to clear mapping ${configKey} from DB:`, error);
-    }
-  }
-
   async safeChannelSend(
     channel,
     messageOptions,
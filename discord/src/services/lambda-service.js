@@ -32,7 +32,9 @@ class LambdaService {
           typeof result.body === "string"
             ? JSON.parse(result.body)
             : result.body;
-        throw new Error(errorBody.error || "Unknown Lambda error");
+        const error = new Error(errorBody.error || "Unknown Lambda error");
+        error.code = errorBody.errorCode; // e.g. "RESOURCE_NOT_FOUND"
+        throw error;
       }
 
       return typeof result.body === "string"
@@ -49,8 +51,9 @@ class LambdaService {
     return this.invoke({ action: "status", userId });
   }
 
-  async startInstance(userId) {
-    return this.invoke({ action: "start", userId });
+  // supporterPerks come from DiscordService.getSupporterPerks(member)
+  async startInstance(userId, supporterPerks) {
+    return this.invoke({ action: "start", userId, supporterPerks });
   }
 
   async stopInstance(userId) {
@@ -72,14 +75,21 @@ class LambdaService {
     });
   }
 
-  async updateVersion(userId, foundryVersion) {
+  // versionRules come from FoundryVersions.getRules(catalogue)
+  async updateVersion(userId, foundryVersion, versionRules) {
     return this.invoke({
       action: "update-version",
       userId,
       foundryVersion,
+      versionRules,
     });
   }
 
+  // Restores the data snapshot and version from before the last switch
+  async rollbackVersion(userId) {
+    return this.invoke({ action: "rollback-version", userId });
+  }
+
   // Session management methods
   async listSessions(userId) {
     return this.invoke({ action: "list-sessions", userId });
@@ -92,6 +102,14 @@ class LambdaService {
     });
   }
 
+  // Pass dryRun: true to preview occurrences and conflicts without booking
+  async scheduleRecurringSession(options) {
+    return this.invoke({
+      action: "schedule-recurring-session",
+      ...options,
+    });
+  }
+
   async cancelSession(userId, sessionId) {
     return this.invoke({
       action: "cancel-session",
@@ -100,6 +118,48 @@ class LambdaService {
     });
   }
 
+  async rescheduleSession(
+    userId,
+    sessionId,
+    startTime,
+    endTime,
+    supporterPerks
+  ) {
+    return this.invoke({
+      action: "reschedule-session",
+      userId,
+      sessionId,
+      startTime,
+      endTime,
+      supporterPerks,
+    });
+  }
+
+  async extendSession(userId, sessionId, extendHours) {
+    return this.invoke({
+      action: "extend-session",
+      userId,
+      sessionId,
+      extendHours,
+    });
+  }
+
+  async extendShutdown(userId, extendHours) {
+    return this.invoke({
+      action: "extend-shutdown",
+      userId,
+      extendHours,
+    });
+  }
+
+  async cancelSeries(userId, seriesId) {
+    return this.invoke({
+      action: "cancel-series",
+      userId,
+      seriesId,
+    });
+  }
+
   // License management methods
   async manageLicenseState(userId, operation) {
     return this.invoke({
@@ -118,10 +178,50 @@ class LambdaService {
     });
   }
 
-  async getSessionsForLicense(licenseId) {
+  // Active shared licenses, without the admin-only detail of the overview
+  async getLicensePoolStatus(userId) {
+    return this.invoke({ action: "license-pool-status", userId });
+  }
+
+  async checkAvailability(options) {
+    return this.invoke({
+      action: "check-availability",
+      ...options,
+    });
+  }
+
+  // Check consecutive windows from the next full hour; failed checks yield null
+  async checkAvailabilityWindows(options, count = 6, windowHours = 4) {
+    const windowLength = windowHours * 60 * 60;
+    const firstStart = Math.ceil(Date.now() / 1000 / 3600) * 3600;
+
+    return Promise.all(
+      Array.from({ length: count }, async (_, i) => {
+        const startTime = firstStart + i * windowLength;
+        const endTime = startTime + windowLength;
+        try {
+          const result = await this.checkAvailability({
+            ...options,
+            startTime,
+            endTime,
+          });
+          return { startTime, endTime, result };
+        } catch (error) {
+          logger.warn(
+            `Availability check failed for window ${startTime}:`,
+            error.message
+          );
+          return { startTime, endTime, result: null };
+        }
+      })
+    );
+  }
+
+  // Other users' sessions booked on this user's shared license
+  async getSessionsForLicense(userId) {
     return this.invoke({
       action: "get-sessions-for-license",
-      licenseId,
+      userId,
     });
   }
 
@@ -152,6 +252,15 @@ class LambdaService {
     });
   }
 
+  async adminCancelSession(adminUserId, sessionId, reason) {
+    return this.invoke({
+      action: "admin-cancel-session",
+      userId: adminUserId,
+      sessionId,
+      forceReason: reason,
+    });
+  }
+
   async cancelAllSessions(adminUserId, reason) {
     return this.invoke({
       action: "admin-cancel-all-sessions",
@@ -168,6 +277,24 @@ class LambdaService {
     });
   }
 
+  // Notification queue methods
+  async getNotifications(cursor, limit = 25) {
+    return this.invoke({
+      action: "get-notifications",
+      userId: "system",
+      notificationCursor: cursor,
+      notificationLimit: limit,
+    });
+  }
+
+  async ackNotifications(eventIds) {
+    return this.invoke({
+      action: "ack-notifications",
+      userId: "system",
+      eventIds,
+    });
+  }
+
   async maintenanceReset(adminUserId, reason) {
     return this.invoke({
       action: "admin-maintenance-reset",
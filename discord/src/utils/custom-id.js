@@ -0,0 +1,204 @@
+// Bump when a route's fields change; IDs from another version decode as unknown
+const CUSTOM_ID_VERSION = "1";
+const SEPARATOR = ":";
+const MAX_LENGTH = 100; // Discord's custom ID limit
+
+// Every custom ID the bot issues: route -> ordered, typed fields
+const ROUTES = {
+  // Instance buttons
+  register: {},
+  start: { userId: "snowflake" },
+  stop: { userId: "snowflake" },
+  status: { userId: "snowflake" },
+  adminkey: { userId: "snowflake" },
+  changeversion: { userId: "snowflake" },
+  versionrollback: { userId: "snowflake" },
+  versionrollbackconfirm: { userId: "snowflake" },
+  versionrollbackcancel: { userId: "snowflake" },
+  extend: { userId: "snowflake" },
+  destroy: { userId: "snowflake" },
+  destroyconfirm: { userId: "snowflake", keepSharing: "bool" },
+  destroycancel: { userId: "snowflake" },
+
+  // Scheduling buttons
+  schedule: { userId: "snowflake" },
+  scheduleform: { userId: "snowflake" },
+  scheduleconfirm: { userId: "snowflake" },
+  recurringform: { userId: "snowflake" },
+  recurringconfirm: { userId: "snowflake" },
+  schedulecancel: { userId: "snowflake" },
+  sessions: { userId: "snowflake" },
+  sessionspage: { userId: "snowflake", page: "int" },
+  sessioncancel: { userId: "snowflake", sessionId: "string" },
+  sessionreschedule: {
+    userId: "snowflake",
+    sessionId: "string",
+    minutes: "int",
+  },
+  seriescancel: { userId: "snowflake", seriesId: "string" },
+
+  // License sharing buttons
+  licensesharing: { userId: "snowflake" },
+  sharingstart: { userId: "snowflake" },
+  sharingreactivate: { userId: "snowflake" },
+  sharingstopafter: { userId: "snowflake" },
+  sharingcancelstop: { userId: "snowflake" },
+  sharingstop: { userId: "snowflake" },
+  sharingstopconfirm: { userId: "snowflake" },
+  sharingback: { userId: "snowflake" },
+  sharingcancel: { userId: "snowflake" },
+
+  // Select menus
+  "menu.version": { userId: "snowflake" },
+  "menu.license": { userId: "snowflake" },
+  "menu.regversion": {
+    userId: "snowflake",
+    licenseType: "string",
+    share: "bool",
+  },
+  "menu.series": { userId: "snowflake" },
+  "menu.session": { userId: "snowflake" },
+  "menu.sessionextend": { userId: "snowflake", sessionId: "string" },
+  "menu.occurrenceskip": { userId: "snowflake" },
+
+  // Modals
+  "modal.credentials": {
+    userId: "snowflake",
+    licenseType: "string",
+    share: "bool",
+    version: "string",
+  },
+  "modal.schedule": { userId: "snowflake" },
+  "modal.recurring": { userId: "snowflake" },
+  "modal.reschedule": { userId: "snowflake", sessionId: "string" },
+  "modal.destroy": { userId: "snowflake", keepSharing: "bool" },
+
+  // Admin controls; the "admin." prefix lets them through maintenance mode
+  "admin.refresh": {},
+  "admin.detailed": {},
+  "admin.detailedpage": { page: "int" },
+  "admin.emergency": {},
+  "admin.emergencyop": { operation: "string" },
+  "admin.emergencyconfirm": { operation: "string" },
+  "admin.emergencycancel": {},
+  "admin.emergencymodal": { operation: "string" },
+};
+
+const TYPES = {
+  snowflake: {
+    encode: (value) => String(value),
+    decode: (raw) => (/^\d{17,20}$/.test(raw) ? raw : undefined),
+  },
+  string: {
+    encode: (value) => String(value),
+    decode: (raw) => raw,
+  },
+  int: {
+    encode: (value) => String(Math.trunc(value)),
+    decode: (raw) => (/^-?\d+$/.test(raw) ? parseInt(raw, 10) : undefined),
+  },
+  bool: {
+    encode: (value) => (value ? "1" : "0"),
+    decode: (raw) => (raw === "1" ? true : raw === "0" ? false : undefined),
+  },
+};
+
+// Buttons on long-lived messages (registration, user channel status) were
+// posted as foundry_<action>[_<userId>] before IDs were versioned.
+// Legacy action -> route
+const LEGACY_USER_ROUTES = {
+  start: "start",
+  stop: "stop",
+  status: "status",
+  adminkey: "adminkey",
+  extend: "extend",
+  destroy: "destroy",
+  schedule: "schedule",
+  sessions: "sessions",
+  license_sharing: "licensesharing",
+  license_sharing_cancel: "sharingcancel",
+};
+
+const escape = (value) => value.replace(/%/g, "%25").replace(/:/g, "%3A");
+const unescape = (value) =>
+  value.replace(/%(25|3A)/g, (match, code) => (code === "25" ? "%" : ":"));
+
+/**
+ * Encodes and decodes the custom IDs on buttons, select menus and modals as
+ * `<version>:<route>:<field>:...`, checking every field against its type.
+ */
+class CustomId {
+  static isRoute(route) {
+    return Object.prototype.hasOwnProperty.call(ROUTES, route);
+  }
+
+  static encode(route, values = {}) {
+    if (!CustomId.isRoute(route)) {
+      throw new Error(`Unknown custom ID route: ${route}`);
+    }
+
+    const fields = Object.entries(ROUTES[route]).map(([name, type]) => {
+      const value = values[name];
+      if (value === undefined || value === null) {
+        throw new Error(`Custom ID ${route} is missing ${name}`);
+      }
+      const raw = TYPES[type].encode(value);
+      if (TYPES[type].decode(raw) === undefined) {
+        throw new Error(`Custom ID ${route} has an invalid ${name}: ${value}`);
+      }
+      return escape(raw);
+    });
+
+    const customId = [CUSTOM_ID_VERSION, route, ...fields].join(SEPARATOR);
+    if (customId.length > MAX_LENGTH) {
+      throw new Error(`Custom ID ${route} is longer than ${MAX_LENGTH} chars`);
+    }
+    return customId;
+  }
+
+  // Returns { route, values }, or null for IDs this version doesn't understand
+  static decode(customId) {
+    const [version, route, ...rawFields] = customId.split(SEPARATOR);
+    if (route === undefined) {
+      return CustomId.decodeLegacy(customId);
+    }
+    if (version !== CUSTOM_ID_VERSION || !CustomId.isRoute(route)) {
+      return null;
+    }
+
+    const schema = Object.entries(ROUTES[route]);
+    if (rawFields.length !== schema.length) return null;
+
+    const values = {};
+    for (const [index, [name, type]] of schema.entries()) {
+      const value = TYPES[type].decode(unescape(rawFields[index]));
+      if (value === undefined) return null;
+      values[name] = value;
+    }
+
+    return { route, values };
+  }
+
+  static decodeLegacy(customId) {
+    if (customId === "foundry_register") {
+      return { route: "register", values: {} };
+    }
+
+    // Actions can contain underscores, the user ID is always last
+    const match = /^foundry_([a-z_]+)_([^_]+)$/.exec(customId);
+    if (
+      match &&
+      Object.prototype.hasOwnProperty.call(LEGACY_USER_ROUTES, match[1]) &&
+      TYPES.snowflake.decode(match[2])
+    ) {
+      return {
+        route: LEGACY_USER_ROUTES[match[1]],
+        values: { userId: match[2] },
+      };
+    }
+
+    return null;
+  }
+}
+
+module.exports = { CustomId, CUSTOM_ID_VERSION };
@@ -0,0 +1,141 @@
+// Same tags the Lambda accepts: floating tags or a major, x.y or x.y.z build
+const TAG_PATTERN = /^(release|latest|\d+(\.\d+){0,2})$/;
+
+/**
+ * The version catalogue is plain data:
+ * { versions: [{ tag, label, major, stable, deprecated }], minimumVersion }
+ * major is only needed for floating tags like "release"; numeric tags carry
+ * their own. minimumVersion (e.g. "12") hides and rejects anything older.
+ */
+class FoundryVersions {
+  static find(catalogue, tag) {
+    return catalogue.versions.find((version) => version.tag === tag);
+  }
+
+  static getLabel(catalogue, tag) {
+    return this.find(catalogue, tag)?.label || `v${tag}`;
+  }
+
+  // Null when the tag floats and the catalogue doesn't say which major it is
+  static getMajor(catalogue, tag) {
+    const major = this.find(catalogue, tag)?.major ?? parseInt(tag);
+    return Number.isInteger(major) ? major : null;
+  }
+
+  // Numeric parts of a tag, with floating tags standing for their major
+  static getParts(catalogue, tag) {
+    if (/^\d/.test(tag)) return tag.split(".").map(Number);
+    const major = this.getMajor(catalogue, tag);
+    return major === null ? null : [major];
+  }
+
+  static isBelowMinimum(catalogue, tag) {
+    if (!catalogue.minimumVersion) return false;
+
+    const parts = this.getParts(catalogue, tag);
+    if (!parts) return false;
+
+    const minimum = catalogue.minimumVersion.split(".").map(Number);
+    for (let i = 0; i < minimum.length; i++) {
+      if ((parts[i] ?? 0) !== minimum[i]) return (parts[i] ?? 0) < minimum[i];
+    }
+    return false;
+  }
+
+  /**
+   * Why an instance on currentTag can't switch to targetTag, or null if it
+   * can. Worlds migrated to a newer major can't be opened by an older one.
+   */
+  static getSwitchBlocker(catalogue, currentTag, targetTag) {
+    if (!this.find(catalogue, targetTag)) {
+      return `\`${targetTag}\` is not in the version catalogue.`;
+    }
+    if (this.isBelowMinimum(catalogue, targetTag)) {
+      return `Versions older than v${catalogue.minimumVersion} are no longer supported.`;
+    }
+
+    const currentMajor = this.getMajor(catalogue, currentTag);
+    const targetMajor = this.getMajor(catalogue, targetTag);
+    if (
+      currentMajor !== null &&
+      targetMajor !== null &&
+      targetMajor < currentMajor
+    ) {
+      return `Your worlds have been migrated to v${currentMajor} and can't be opened by v${targetMajor}.`;
+    }
+
+    return null;
+  }
+
+  // What the Lambda needs to enforce the switch rules itself
+  static getRules(catalogue) {
+    const majors = {};
+    for (const version of catalogue.versions) {
+      if (Number.isInteger(version.major)) majors[version.tag] = version.major;
+    }
+    return { minimumVersion: catalogue.minimumVersion, majors };
+  }
+
+  // Versions an instance on currentTag may switch to, deprecated ones last
+  static getSwitchTargets(catalogue, currentTag) {
+    return catalogue.versions
+      .filter(
+        (version) =>
+          version.tag === currentTag ||
+          !this.getSwitchBlocker(catalogue, currentTag, version.tag)
+      )
+      .sort((a, b) => Number(!!a.deprecated) - Number(!!b.deprecated));
+  }
+
+  // New instances don't start on deprecated versions
+  static getRegistrationChoices(catalogue) {
+    return catalogue.versions.filter(
+      (version) =>
+        !version.deprecated && !this.isBelowMinimum(catalogue, version.tag)
+    );
+  }
+
+  static upsert(catalogue, version) {
+    const versions = catalogue.versions.filter((v) => v.tag !== version.tag);
+    return { ...catalogue, versions: [...versions, version] };
+  }
+
+  static remove(catalogue, tag) {
+    return {
+      ...catalogue,
+      versions: catalogue.versions.filter((version) => version.tag !== tag),
+    };
+  }
+
+  static isValidTag(tag) {
+    return TAG_PATTERN.test(tag);
+  }
+
+  static validate(version) {
+    if (!this.isValidTag(version.tag)) {
+      throw new Error(
+        "Version tags are release, latest, a major like 13 or a build like 13.346.0"
+      );
+    }
+    if (!version.label) throw new Error("A version needs a label");
+    if (!/^\d/.test(version.tag) && !Number.isInteger(version.major)) {
+      throw new Error(`Set the major version "${version.tag}" stands for`);
+    }
+  }
+
+  static getEmoji(version) {
+    if (version.deprecated) return "⚠️";
+    return version.stable ? "🟢" : "🧪";
+  }
+
+  static describe(version) {
+    const flags = [version.stable ? "stable" : "testing"];
+    if (version.deprecated) flags.push("deprecated");
+    if (!/^\d/.test(version.tag)) flags.push(`v${version.major}`);
+    return `${this.getEmoji(version)} \`${version.tag}\` **${
+      version.label
+    }** – ${flags.join(", ")}`;
+  }
+}
+
+module.exports = { FoundryVersions };
@@ -0,0 +1,76 @@
+// Capabilities handlers check. Roles grant them, see GuildManager.getMemberPermissions
+const Permission = Object.freeze({
+  USE_INSTANCE: "use-instance",
+  SCHEDULE: "schedule",
+  SHARE_LICENSE: "share-license",
+  VIEW_COSTS: "view-costs",
+  ADMIN_READ: "admin-read",
+  ADMIN_DESTRUCTIVE: "admin-destructive",
+});
+
+const PERMISSION_LABELS = {
+  [Permission.USE_INSTANCE]: "Use instance",
+  [Permission.SCHEDULE]: "Schedule sessions",
+  [Permission.SHARE_LICENSE]: "Share license",
+  [Permission.VIEW_COSTS]: "View costs",
+  [Permission.ADMIN_READ]: "Admin (read-only)",
+  [Permission.ADMIN_DESTRUCTIVE]: "Admin (destructive)",
+};
+
+const ALL_PERMISSIONS = Object.values(Permission);
+
+// What allowed roles (or everyone, when none are set) get
+const USER_PERMISSIONS = [
+  Permission.USE_INSTANCE,
+  Permission.SCHEDULE,
+  Permission.SHARE_LICENSE,
+  Permission.VIEW_COSTS,
+];
+
+/**
+ * Roles are stored by ID so renaming a role, or creating another one with the
+ * same name, never changes who has access.
+ * rolePermissions: { [roleId]: [permission, ...] } grants on top of the
+ * allowed/admin role lists.
+ */
+class Permissions {
+  static isRoleId(value) {
+    return /^\d{17,20}$/.test(value);
+  }
+
+  static label(permission) {
+    return PERMISSION_LABELS[permission] || permission;
+  }
+
+  static grant(rolePermissions, roleId, permission, granted) {
+    if (!ALL_PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    const current = new Set(rolePermissions[roleId]);
+    if (granted) current.add(permission);
+    else current.delete(permission);
+
+    const updated = { ...rolePermissions, [roleId]: [...current] };
+    if (current.size === 0) delete updated[roleId];
+    return updated;
+  }
+
+  static describeRoles(roleIds) {
+    return roleIds.map((roleId) => `<@&${roleId}>`).join(", ");
+  }
+
+  static describeGrants(rolePermissions) {
+    return Object.entries(rolePermissions).map(
+      ([roleId, permissions]) =>
+        `<@&${roleId}> – ${permissions.map(Permissions.label).join(", ")}`
+    );
+  }
+}
+
+module.exports = {
+  Permissions,
+  Permission,
+  ALL_PERMISSIONS,
+  USER_PERMISSIONS,
+};
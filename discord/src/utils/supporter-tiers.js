@@ -0,0 +1,71 @@
+// Bounds match the Lambda, which clamps maxRuntimeHours to the same range
+const MIN_RUNTIME_HOURS = 6;
+const MAX_RUNTIME_HOURS = 12;
+
+/**
+ * Supporter tiers are plain data:
+ * { roleId, name, monthlyCredit, perks: { maxRuntimeHours, priorityScheduling } }
+ */
+class SupporterTiers {
+  // A member with several supporter roles gets the highest one, not the first
+  static findHighest(member, tiers) {
+    if (!member?.roles) return null;
+
+    return tiers
+      .filter((tier) => member.roles.cache.has(tier.roleId))
+      .reduce(
+        (best, tier) =>
+          !best || tier.monthlyCredit > best.monthlyCredit ? tier : best,
+        null
+      );
+  }
+
+  static upsert(tiers, tier) {
+    return [
+      ...tiers.filter((t) => t.roleId !== tier.roleId),
+      tier,
+    ].sort((a, b) => b.monthlyCredit - a.monthlyCredit);
+  }
+
+  static remove(tiers, roleId) {
+    return tiers.filter((t) => t.roleId !== roleId);
+  }
+
+  static validate(tier) {
+    if (!tier.roleId) throw new Error("A supporter tier needs a role");
+    if (!Number.isInteger(tier.monthlyCredit) || tier.monthlyCredit <= 0) {
+      throw new Error("Monthly credit must be a whole number of dollars");
+    }
+
+    const hours = tier.perks?.maxRuntimeHours;
+    if (
+      hours !== undefined &&
+      (!Number.isInteger(hours) ||
+        hours < MIN_RUNTIME_HOURS ||
+        hours > MAX_RUNTIME_HOURS)
+    ) {
+      throw new Error(
+        `Max runtime must be between ${MIN_RUNTIME_HOURS} and ${MAX_RUNTIME_HOURS} hours`
+      );
+    }
+  }
+
+  // What the Lambda gets with start and scheduling requests
+  static toLambdaPerks(tier) {
+    if (!tier) return undefined;
+    return { tierName: tier.name, ...tier.perks };
+  }
+
+  static describe(tier) {
+    const perks = [`$${tier.monthlyCredit}/month credit`];
+    if (tier.perks?.maxRuntimeHours) {
+      perks.push(`${tier.perks.maxRuntimeHours}h runtime`);
+    }
+    if (tier.perks?.priorityScheduling) {
+      perks.push("priority scheduling");
+    }
+    return `<@&${tier.roleId}> **${tier.name}** – ${perks.join(", ")}`;
+  }
+}
+
+module.exports = { SupporterTiers, MIN_RUNTIME_HOURS, MAX_RUNTIME_HOURS };
@@ -0,0 +1,287 @@
+// Common abbreviations people type, mapped to DST-aware IANA zones
+const TIMEZONE_ALIASES = {
+  UTC: "UTC",
+  GMT: "UTC",
+  Z: "UTC",
+  ET: "America/New_York",
+  EST: "America/New_York",
+  EDT: "America/New_York",
+  CT: "America/Chicago",
+  CST: "America/Chicago",
+  CDT: "America/Chicago",
+  MT: "America/Denver",
+  MST: "America/Denver",
+  MDT: "America/Denver",
+  PT: "America/Los_Angeles",
+  PST: "America/Los_Angeles",
+  PDT: "America/Los_Angeles",
+  BST: "Europe/London",
+  CET: "Europe/Berlin",
+  CEST: "Europe/Berlin",
+  EET: "Europe/Athens",
+  EEST: "Europe/Athens",
+  AEST: "Australia/Sydney",
+  AEDT: "Australia/Sydney",
+};
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class TimeParser {
+  /**
+   * Resolve user input to a canonical IANA zone name. Accepts IANA names in
+   * any case, common abbreviations and fixed offsets like "UTC+2".
+   */
+  static resolveTimezone(input) {
+    const value = (input || "").trim();
+    if (!value) throw new Error("Please enter a timezone, e.g. Europe/Berlin");
+
+    const alias = TIMEZONE_ALIASES[value.toUpperCase()];
+    if (alias) return alias;
+
+    // Fixed offsets; Etc/GMT zones use inverted signs
+    const offsetMatch = value.match(/^(?:UTC|GMT)\s*([+-])\s*(\d{1,2})$/i);
+    if (offsetMatch) {
+      const hours = parseInt(offsetMatch[2]);
+      if (hours > 14) throw new Error(`Invalid UTC offset: ${value}`);
+      if (hours === 0) return "UTC";
+      return `Etc/GMT${offsetMatch[1] === "+" ? "-" : "+"}${hours}`;
+    }
+
+    const canonical = Intl.supportedValuesOf("timeZone").find(
+      (zone) => zone.toLowerCase() === value.toLowerCase().replace(/ /g, "_")
+    );
+    if (canonical) return canonical;
+
+    // Zones Intl accepts but doesn't list (e.g. legacy links)
+    try {
+      return new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions()
+        .timeZone;
+    } catch {
+      throw new Error(
+        `Unknown timezone "${value}". Use a name like Europe/Berlin or America/New_York.`
+      );
+    }
+  }
+
+  static getZonedParts(date, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "long",
+      })
+        .formatToParts(date)
+        .map(({ type, value }) => [type, value])
+    );
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      hour: parseInt(parts.hour),
+      minute: parseInt(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    };
+  }
+
+  static getOffsetMs(date, timeZone) {
+    const p = TimeParser.getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    return wallClock - Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS;
+  }
+
+  // Convert a wall-clock time in a zone to a UTC Date, honouring DST
+  static zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    let time = wallClock - TimeParser.getOffsetMs(new Date(wallClock), timeZone);
+    const offset = TimeParser.getOffsetMs(new Date(time), timeZone);
+    time = wallClock - offset;
+    return new Date(time);
+  }
+
+  static parseClock(text) {
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3]?.toLowerCase();
+
+    // A bare number is ambiguous ("8" could be a date), require am/pm or minutes
+    if (!match[2] && !meridiem) return null;
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem === "pm" ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+
+    return { hour, minute };
+  }
+
+  /**
+   * Parse a start time in the given zone. Supports "2024-01-15 19:00",
+   * "19:30", "today 8pm", "tomorrow 19:30", "friday 8pm" and "next friday 20:00".
+   */
+  static parseStartTime(input, timeZone, now = new Date()) {
+    const text = (input || "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .replace(/^at /, "");
+    const formatError = new Error(
+      `Couldn't understand "${input}". Try 2024-01-15 19:00, tomorrow 19:30 or friday 8pm.`
+    );
+
+    const isoMatch = text.match(
+      /^(\d{4})-(\d{1,2})-(\d{1,2})(?:t|\s)(\d{1,2}:\d{2}(?:\s*[ap]m)?)$/
+    );
+    if (isoMatch) {
+      const clock = TimeParser.parseClock(isoMatch[4]);
+      if (!clock) throw formatError;
+      const date = {
+        year: parseInt(isoMatch[1]),
+        month: parseInt(isoMatch[2]),
+        day: parseInt(isoMatch[3]),
+        ...clock,
+      };
+      TimeParser.assertValidDate(date, input);
+      return TimeParser.zonedTimeToDate(date, timeZone);
+    }
+
+    const relativeMatch = text.match(
+      /^(?:(today|tonight|tomorrow)|(next )?([a-z]+))?\s*(?:at )?(.+)$/
+    );
+    if (!relativeMatch) throw formatError;
+
+    const [, relativeDay, nextKeyword, dayName, clockText] = relativeMatch;
+    const clock = TimeParser.parseClock(clockText);
+    if (!clock) throw formatError;
+
+    const today = TimeParser.getZonedParts(now, timeZone);
+    let daysAhead = 0;
+
+    if (relativeDay === "tomorrow") {
+      daysAhead = 1;
+    } else if (dayName) {
+      const weekday = WEEKDAYS.findIndex(
+        (day) => dayName.length >= 3 && day.startsWith(dayName)
+      );
+      if (weekday === -1) throw formatError;
+      daysAhead = (weekday - today.weekday + 7) % 7;
+      if (daysAhead === 0 && nextKeyword) daysAhead = 7;
+    }
+
+    // Work on a UTC calendar date so month/year rollover is handled for us
+    const target = new Date(
+      Date.UTC(today.year, today.month - 1, today.day) + daysAhead * DAY_MS
+    );
+    const resolve = (date) =>
+      TimeParser.zonedTimeToDate(
+        {
+          year: date.getUTCFullYear(),
+          month: date.getUTCMonth() + 1,
+          day: date.getUTCDate(),
+          ...clock,
+        },
+        timeZone
+      );
+
+    let result = resolve(target);
+
+    // A bare time or weekday that already passed today means the next one
+    if (result <= now && !relativeDay) {
+      result = resolve(new Date(target.getTime() + (dayName ? 7 : 1) * DAY_MS));
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse a repeat rule like "weekly x10", "biweekly until 2025-06-01" or
+   * "monthly 6". Monthly repeats on the same nth weekday as the first session.
+   */
+  static parseRecurrence(input, timeZone) {
+    const text = (input || "").trim().toLowerCase().replace(/\s+/g, " ");
+    const match = text.match(
+      /^(weekly|biweekly|monthly)(?: (?:x ?(\d+)|(\d+)(?: times)?|until (\d{4})-(\d{1,2})-(\d{1,2})))?$/
+    );
+    if (!match) {
+      throw new Error(
+        `Couldn't understand repeat "${input}". Try weekly x10, biweekly until 2025-06-01 or monthly x6.`
+      );
+    }
+
+    const [, frequency, countX, countPlain, year, month, day] = match;
+    const rule = { frequency, timeZone };
+
+    if (year) {
+      const date = {
+        year: parseInt(year),
+        month: parseInt(month),
+        day: parseInt(day),
+        hour: 23,
+        minute: 59,
+      };
+      TimeParser.assertValidDate(date, input);
+      rule.until = Math.floor(
+        TimeParser.zonedTimeToDate(date, timeZone).getTime() / 1000
+      );
+    } else {
+      rule.count = parseInt(countX || countPlain || "10");
+    }
+
+    return rule;
+  }
+
+  static describeRecurrence({ frequency, count, until }, timeZone) {
+    const label = { weekly: "Weekly", biweekly: "Every 2 weeks", monthly: "Monthly" }[
+      frequency
+    ];
+    return until
+      ? `${label} until ${TimeParser.formatInZone(new Date(until * 1000), timeZone)}`
+      : `${label}, ${count} sessions`;
+  }
+
+  static assertValidDate({ year, month, day, hour, minute }, input) {
+    const check = new Date(Date.UTC(year, month - 1, day, hour, minute));
+    if (
+      check.getUTCFullYear() !== year ||
+      check.getUTCMonth() !== month - 1 ||
+      check.getUTCDate() !== day
+    ) {
+      throw new Error(`"${input}" is not a valid date`);
+    }
+  }
+
+  // Human-readable wall time in the zone, e.g. "Fri, Jan 15, 19:30 CET"
+  static formatInZone(date, timeZone) {
+    return new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      timeZoneName: "short",
+    }).format(date);
+  }
+}
+
+module.exports = { TimeParser, TIMEZONE_ALIASES };
@@ -0,0 +1,33 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  AutocompleteHandler,
+} = require("../src/handlers/interactions/autocomplete-handler");
+
+describe("AutocompleteHandler.cached", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["Date"] }));
+  afterEach(() => mock.timers.reset());
+
+  it("reuses a lookup until it expires", async () => {
+    const handler = new AutocompleteHandler(null, null, null);
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.equal(await handler.cached("status:1", load), 1);
+    assert.equal(await handler.cached("status:1", load), 1);
+
+    mock.timers.tick(15 * 1000);
+    assert.equal(await handler.cached("status:1", load), 2);
+  });
+
+  it("drops expired entries for users who stopped typing", async () => {
+    const handler = new AutocompleteHandler(null, null, null);
+    await handler.cached("status:1", async () => "one");
+    await handler.cached("status:2", async () => "two");
+
+    mock.timers.tick(15 * 1000);
+    await handler.cached("status:3", async () => "three");
+
+    assert.deepEqual([...handler.cache.keys()], ["status:3"]);
+  });
+});
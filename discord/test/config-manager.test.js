@@ -0,0 +1,59 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigManager } = require("../src/core/config-manager");
+
+const ROLE_ID = "699727231794020353";
+
+describe("ConfigManager.validate role lists", () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = { ...process.env };
+    Object.assign(process.env, {
+      DISCORD_TOKEN: "token",
+      DISCORD_CLIENT_ID: "client",
+      LAMBDA_FUNCTION_NAME: "lambda",
+    });
+    delete process.env.ALLOWED_ROLES;
+    delete process.env.ADMIN_ROLES;
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+  });
+
+  it("accepts role IDs", async () => {
+    process.env.ALLOWED_ROLES = ` ${ROLE_ID} , 699727011979067484`;
+    process.env.ADMIN_ROLES = ROLE_ID;
+    const config = new ConfigManager();
+
+    await config.validate();
+    assert.deepEqual(config.get("bot.allowedRoles"), [
+      ROLE_ID,
+      "699727011979067484",
+    ]);
+  });
+
+  it("accepts unset role lists", async () => {
+    await new ConfigManager().validate();
+  });
+
+  it("refuses to start when a role is given by name", async () => {
+    // Dropping "Players" would leave an empty list, which allows everyone
+    process.env.ALLOWED_ROLES = "Players";
+
+    await assert.rejects(
+      new ConfigManager().validate(),
+      /ALLOWED_ROLES must list role IDs, not names: Players/
+    );
+  });
+
+  it("refuses to start when a valid ID is mixed with a name", async () => {
+    process.env.ADMIN_ROLES = `${ROLE_ID},Admin`;
+
+    await assert.rejects(
+      new ConfigManager().validate(),
+      /ADMIN_ROLES must list role IDs, not names: Admin/
+    );
+  });
+});
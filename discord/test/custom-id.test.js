@@ -0,0 +1,109 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { CustomId, CUSTOM_ID_VERSION } = require("../src/utils/custom-id");
+
+const USER_ID = "123456789012345678";
+
+describe("CustomId", () => {
+  it("round-trips every field type", () => {
+    const customId = CustomId.encode("modal.credentials", {
+      userId: USER_ID,
+      licenseType: "byol",
+      share: true,
+      version: "13",
+    });
+
+    assert.equal(
+      customId,
+      `${CUSTOM_ID_VERSION}:modal.credentials:${USER_ID}:byol:1:13`
+    );
+    assert.deepEqual(CustomId.decode(customId), {
+      route: "modal.credentials",
+      values: {
+        userId: USER_ID,
+        licenseType: "byol",
+        share: true,
+        version: "13",
+      },
+    });
+    assert.deepEqual(
+      CustomId.decode(CustomId.encode("admin.detailedpage", { page: 2 })),
+      { route: "admin.detailedpage", values: { page: 2 } }
+    );
+  });
+
+  it("escapes separators inside string fields", () => {
+    const sessionId = "session:with%chars";
+    const customId = CustomId.encode("sessioncancel", {
+      userId: USER_ID,
+      sessionId,
+    });
+
+    assert.equal(customId.split(":").length, 4);
+    assert.equal(CustomId.decode(customId).values.sessionId, sessionId);
+  });
+
+  it("refuses to encode unknown routes and invalid or missing fields", () => {
+    assert.throws(() => CustomId.encode("nope"), /Unknown custom ID route/);
+    assert.throws(() => CustomId.encode("start", {}), /missing userId/);
+    assert.throws(
+      () => CustomId.encode("start", { userId: "Admin" }),
+      /invalid userId/
+    );
+    assert.throws(
+      () =>
+        CustomId.encode("sessioncancel", {
+          userId: USER_ID,
+          sessionId: "x".repeat(100),
+        }),
+      /longer than 100/
+    );
+  });
+
+  it("rejects IDs it doesn't understand", () => {
+    assert.equal(CustomId.decode(`0:start:${USER_ID}`), null);
+    assert.equal(CustomId.decode(`${CUSTOM_ID_VERSION}:nope:${USER_ID}`), null);
+    assert.equal(CustomId.decode(`${CUSTOM_ID_VERSION}:start`), null);
+    assert.equal(CustomId.decode(`${CUSTOM_ID_VERSION}:start:abc`), null);
+    assert.equal(
+      CustomId.decode(`${CUSTOM_ID_VERSION}:sessionspage:${USER_ID}:two`),
+      null
+    );
+  });
+
+  describe("legacy IDs", () => {
+    it("decodes foundry_<action>_<userId> buttons", () => {
+      assert.deepEqual(CustomId.decode("foundry_register"), {
+        route: "register",
+        values: {},
+      });
+      assert.deepEqual(CustomId.decode(`foundry_start_${USER_ID}`), {
+        route: "start",
+        values: { userId: USER_ID },
+      });
+      assert.deepEqual(CustomId.decode(`foundry_sessions_${USER_ID}`), {
+        route: "sessions",
+        values: { userId: USER_ID },
+      });
+    });
+
+    it("decodes license sharing buttons to their new routes", () => {
+      assert.deepEqual(CustomId.decode(`foundry_license_sharing_${USER_ID}`), {
+        route: "licensesharing",
+        values: { userId: USER_ID },
+      });
+      assert.deepEqual(
+        CustomId.decode(`foundry_license_sharing_cancel_${USER_ID}`),
+        { route: "sharingcancel", values: { userId: USER_ID } }
+      );
+    });
+
+    it("ignores actions that were never on long-lived messages", () => {
+      assert.equal(CustomId.decode(`foundry_destroy_modal_${USER_ID}`), null);
+      assert.equal(CustomId.decode(`foundry_sessionspage_${USER_ID}_2`), null);
+      assert.equal(CustomId.decode("foundry_start_Admin"), null);
+      assert.equal(CustomId.decode(`foundry_constructor_${USER_ID}`), null);
+      assert.equal(CustomId.decode(`other_start_${USER_ID}`), null);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ButtonHandler } = require("../src/handlers/interactions/button-handler");
+const { StateManager } = require("../src/core/state-manager");
+const { MemoryStorage } = require("../src/core/storage/memory-storage");
+
+const ADMIN_ID = "123456789012345678";
+
+const confirmCancelAll = async (sendAuditLog) => {
+  const state = new StateManager({}, new MemoryStorage());
+  state.setPendingAdminAction(ADMIN_ID, {
+    operation: "cancelall",
+    reason: "Testing",
+  });
+
+  const replies = [];
+  const interaction = {
+    user: { id: ADMIN_ID },
+    deferUpdate: async () => {},
+    editReply: async (reply) => replies.push(reply),
+  };
+  const lambdaService = {
+    cancelAllSessions: async () => ({ message: "Cancelled 3 sessions" }),
+  };
+
+  const handler = new ButtonHandler(null, lambdaService, {
+    state,
+    sendAuditLog,
+  });
+  await handler.handleEmergencyConfirm(interaction, "cancelall");
+  return replies;
+};
+
+describe("ButtonHandler.handleEmergencyConfirm", () => {
+  it("shows the result once the audit entry is posted", async () => {
+    const audited = [];
+    const replies = await confirmCancelAll(async (embed) => {
+      audited.push(embed.data.description);
+      return true;
+    });
+
+    assert.deepEqual(audited, ["Cancelled 3 sessions"]);
+    assert.equal(replies.at(-1).content, null);
+  });
+
+  it("warns the admin when the audit entry could not be posted", async () => {
+    const replies = await confirmCancelAll(async () => false);
+
+    assert.match(replies.at(-1).content, /Not recorded in the audit log/);
+    assert.equal(replies.at(-1).embeds.length, 1);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { FoundryVersions } = require("../src/utils/foundry-versions");
+
+const catalogue = {
+  versions: [
+    { tag: "13", label: "v13", stable: true },
+    { tag: "release", label: "Release", major: 13, stable: true },
+    { tag: "12", label: "v12", stable: true },
+    { tag: "11", label: "v11", stable: true, deprecated: true },
+    { tag: "13.346.0", label: "v13.346.0", stable: true },
+    { tag: "latest", label: "Latest", major: 14 },
+  ],
+  minimumVersion: "12",
+};
+
+describe("FoundryVersions.getSwitchBlocker", () => {
+  const blocker = (current, target) =>
+    FoundryVersions.getSwitchBlocker(catalogue, current, target);
+
+  it("allows upgrades and switches within a major", () => {
+    assert.equal(blocker("12", "13"), null);
+    assert.equal(blocker("13", "13.346.0"), null);
+    assert.equal(blocker("13.346.0", "13"), null);
+    assert.equal(blocker("13", "latest"), null);
+  });
+
+  it("blocks major downgrades", () => {
+    assert.match(blocker("13", "12"), /migrated to v13 and can't be opened/);
+    assert.match(blocker("13.346.0", "12"), /migrated to v13/);
+  });
+
+  it("resolves floating tags through the catalogue", () => {
+    assert.equal(blocker("release", "13"), null);
+    assert.match(blocker("latest", "release"), /migrated to v14/);
+    assert.match(blocker("release", "12"), /migrated to v13/);
+  });
+
+  it("doesn't guess the major of a tag missing from the catalogue", () => {
+    assert.equal(FoundryVersions.getMajor(catalogue, "nightly"), null);
+    assert.equal(blocker("nightly", "12"), null);
+  });
+
+  it("rejects versions below the minimum or outside the catalogue", () => {
+    assert.match(blocker("11", "11"), /older than v12/);
+    assert.match(blocker("12", "14"), /not in the version catalogue/);
+  });
+});
+
+describe("FoundryVersions.isBelowMinimum", () => {
+  it("compares builds part by part", () => {
+    const withMinimum = { ...catalogue, minimumVersion: "13.340" };
+
+    assert.equal(
+      FoundryVersions.isBelowMinimum(withMinimum, "13.346.0"),
+      false
+    );
+    assert.equal(FoundryVersions.isBelowMinimum(withMinimum, "13.339.9"), true);
+    assert.equal(FoundryVersions.isBelowMinimum(withMinimum, "13"), true);
+    assert.equal(FoundryVersions.isBelowMinimum(withMinimum, "latest"), false);
+  });
+
+  it("lets everything through without a minimum", () => {
+    const noMinimum = { ...catalogue, minimumVersion: undefined };
+    assert.equal(FoundryVersions.isBelowMinimum(noMinimum, "11"), false);
+  });
+});
+
+describe("FoundryVersions switch choices", () => {
+  it("offers allowed versions with deprecated ones last", () => {
+    assert.deepEqual(
+      FoundryVersions.getSwitchTargets(catalogue, "12").map((v) => v.tag),
+      ["13", "release", "12", "13.346.0", "latest"]
+    );
+    assert.deepEqual(
+      FoundryVersions.getSwitchTargets(catalogue, "latest").map((v) => v.tag),
+      ["latest"]
+    );
+  });
+
+  it("passes the floating tag majors and minimum on to the Lambda", () => {
+    assert.deepEqual(FoundryVersions.getRules(catalogue), {
+      minimumVersion: "12",
+      majors: { release: 13, latest: 14 },
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { StateManager } = require("../src/core/state-manager");
+const { MemoryStorage } = require("../src/core/storage/memory-storage");
+
+describe("StateManager maintenance", () => {
+  it("picks up maintenance toggled by another replica", async () => {
+    const storage = new MemoryStorage();
+    const replicaA = new StateManager({}, storage);
+    const replicaB = new StateManager({}, storage);
+    await replicaA.initialize();
+    await replicaB.initialize();
+
+    const maintenance = { message: "Upgrading", startedBy: "1" };
+    await replicaA.setMaintenance(maintenance);
+
+    assert.equal(await replicaB.loadMaintenance(), true);
+    assert.deepEqual(replicaB.getMaintenance(), maintenance);
+    // Unchanged on the next reload
+    assert.equal(await replicaB.loadMaintenance(), false);
+
+    await replicaA.setMaintenance(null);
+
+    assert.equal(await replicaB.loadMaintenance(), true);
+    assert.equal(replicaB.isMaintenanceActive(), false);
+  });
+
+  it("keeps the cached flag when storage can't be read", async () => {
+    const storage = new MemoryStorage();
+    const state = new StateManager({}, storage);
+    await state.initialize();
+    await state.setMaintenance({ message: "Upgrading" });
+
+    storage.get = async () => {
+      throw new Error("Network error");
+    };
+
+    assert.equal(await state.loadMaintenance(), false);
+    assert.equal(state.isMaintenanceActive(), true);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { DiscordService } = require("../src/services/discord-service");
+const { StateManager } = require("../src/core/state-manager");
+const { MemoryStorage } = require("../src/core/storage/memory-storage");
+
+const event = (eventId) => ({
+  eventId,
+  type: "instance-shutdown",
+  userId: "123456789012345678",
+});
+
+// Lambda stand-in: events stay queued until an ack goes through
+const fakeQueue = (events) => {
+  const queue = [...events];
+  const lambdaService = {
+    acks: [],
+    failAcks: false,
+    getNotifications: async (cursor) => ({
+      notifications: queue.filter((e) => !cursor || e.eventId > cursor),
+      hasMore: false,
+    }),
+    ackNotifications: async (eventIds) => {
+      lambdaService.acks.push(eventIds);
+      if (lambdaService.failAcks) throw new Error("AccessDenied");
+      for (const eventId of eventIds) {
+        queue.splice(
+          queue.findIndex((e) => e.eventId === eventId),
+          1
+        );
+      }
+    },
+  };
+  return { queue, lambdaService };
+};
+
+const createService = () => {
+  const service = new DiscordService(null);
+  service.setDependencies(new StateManager({}, new MemoryStorage()), {}, null);
+  service.handled = [];
+  service.handleNotification = async (notification) => {
+    service.handled.push(notification.eventId);
+  };
+  service.refreshUserStatus = async () => {};
+  return service;
+};
+
+describe("DiscordService.consumeNotifications", () => {
+  it("acknowledges handled events", async () => {
+    const service = createService();
+    const { queue, lambdaService } = fakeQueue([event("1"), event("2")]);
+
+    await service.consumeNotifications(lambdaService);
+
+    assert.deepEqual(service.handled, ["1", "2"]);
+    assert.deepEqual(lambdaService.acks, [["1", "2"]]);
+    assert.equal(queue.length, 0);
+  });
+
+  it("doesn't handle an event twice when its ack failed", async () => {
+    const service = createService();
+    const { queue, lambdaService } = fakeQueue([event("1")]);
+
+    lambdaService.failAcks = true;
+    await service.consumeNotifications(lambdaService);
+    await service.consumeNotifications(lambdaService);
+    assert.deepEqual(service.handled, ["1"]);
+    assert.equal(queue.length, 1);
+
+    lambdaService.failAcks = false;
+    await service.consumeNotifications(lambdaService);
+    assert.deepEqual(service.handled, ["1"]);
+    assert.deepEqual(lambdaService.acks, [["1"], ["1"], ["1"]]);
+    assert.equal(queue.length, 0);
+    assert.equal(service.state.isNotificationHandled("1"), false);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SelectMenuHandler,
+} = require("../src/handlers/interactions/select-menu-handler");
+
+const USER_ID = "123456789012345678";
+
+describe("SelectMenuHandler.getPooledAvailability", () => {
+  it("lists shared licenses without the admin overview", async () => {
+    const calls = [];
+    const lambdaService = {
+      getAdminOverview: async () => assert.fail("admin overview requested"),
+      getLicensePoolStatus: async (userId) => {
+        calls.push(userId);
+        return {
+          totalLicenses: 2,
+          pools: [
+            { licenseId: "byol-1", ownerUsername: "alice" },
+            { licenseId: "byol-2", ownerUsername: "bob" },
+          ],
+        };
+      },
+      checkAvailabilityWindows: async () => [
+        {
+          startTime: 100,
+          endTime: 200,
+          result: { availableLicenses: ["byol-1"] },
+        },
+        { startTime: 200, endTime: 300, result: null },
+      ],
+    };
+
+    const handler = new SelectMenuHandler(null, lambdaService, {});
+    const { pools, windows } = await handler.getPooledAvailability(USER_ID);
+
+    assert.deepEqual(calls, [USER_ID]);
+    assert.equal(windows.length, 2);
+    assert.deepEqual(
+      pools.map((pool) => [pool.licenseId, pool.freeWindows]),
+      [
+        ["byol-1", [true, null]],
+        ["byol-2", [false, null]],
+      ]
+    );
+  });
+});
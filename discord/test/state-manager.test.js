@@ -0,0 +1,158 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { StateManager } = require("../src/core/state-manager");
+const { MemoryStorage } = require("../src/core/storage/memory-storage");
+const { FileStorage } = require("../src/core/storage/file-storage");
+
+const USER_ID = "123456789012345678";
+
+// Each backend is exercised through the same StateManager round trips
+const backends = {
+  memory: async () => {
+    const storage = new MemoryStorage();
+    return { storage, reopen: async () => storage };
+  },
+  file: async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "foundry-state-"));
+    const filePath = path.join(dir, "state.json");
+    return {
+      storage: new FileStorage(filePath),
+      // A fresh instance has to read everything back from disk
+      reopen: async () => new FileStorage(filePath),
+      cleanup: () => fs.rm(dir, { recursive: true, force: true }),
+    };
+  },
+};
+
+const restart = async (storage) => {
+  const state = new StateManager({}, storage);
+  await state.initialize();
+  return state;
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+  describe(`StateManager with ${name} storage`, () => {
+    let backend;
+
+    beforeEach(async () => {
+      backend = await createBackend();
+    });
+
+    afterEach(async () => {
+      await backend.cleanup?.();
+    });
+
+    it("restores persisted mappings after a restart", async () => {
+      const state = await restart(backend.storage);
+      await state.setUserChannel(USER_ID, "channel-1");
+      await state.setUserStatusMessage(USER_ID, "message-1");
+      await state.setRegistrationStatsMapping("channel-2", "message-2");
+      state.setLastKnownStatus(USER_ID, { status: "running" });
+
+      const restored = await restart(await backend.reopen());
+
+      assert.equal(restored.getUserChannels().get(USER_ID), "channel-1");
+      assert.equal(restored.getUserStatusMessages().get(USER_ID), "message-1");
+      assert.equal(restored.getRegistrationStats().get("channel-2"), "message-2");
+      // Runtime-only state is not persisted
+      assert.equal(restored.getLastKnownStatus().size, 0);
+    });
+
+    it("keeps deleted mappings deleted after a restart", async () => {
+      const state = await restart(backend.storage);
+      await state.setUserChannel(USER_ID, "channel-1");
+      await state.setUserDashboardMessage(USER_ID, "dashboard-1");
+      await state.removeUserChannel(USER_ID);
+
+      const restored = await restart(await backend.reopen());
+
+      assert.equal(restored.getUserChannels().has(USER_ID), false);
+      assert.equal(restored.getUserDashboardMessages().has(USER_ID), false);
+    });
+
+    it("prunes message mappings whose channel mapping is gone", async () => {
+      const state = await restart(backend.storage);
+      await state.setUserStatusMessage(USER_ID, "message-1");
+
+      const restored = await restart(await backend.reopen());
+
+      assert.equal(restored.getUserStatusMessages().has(USER_ID), false);
+      assert.deepEqual(await (await backend.reopen()).list("state#"), []);
+    });
+
+    it("persists user preferences", async () => {
+      const state = await restart(backend.storage);
+      await state.setUserPreference(USER_ID, "timezone", "Europe/Berlin");
+
+      const restored = await restart(await backend.reopen());
+
+      assert.deepEqual(await restored.getUserPreferences(USER_ID), {
+        timezone: "Europe/Berlin",
+      });
+    });
+  });
+}
+
+describe("StateManager delete failures", () => {
+  it("reports mappings reconcile could not delete from storage", async () => {
+    const storage = new MemoryStorage();
+    const state = await restart(storage);
+    await state.setUserChannel(USER_ID, "deleted-channel");
+
+    storage.delete = async () => {
+      throw new Error("AccessDeniedException");
+    };
+    const client = {
+      channels: {
+        fetch: async () => {
+          throw Object.assign(new Error("Unknown Channel"), { code: 10003 });
+        },
+      },
+    };
+
+    const result = await state.reconcile(client);
+
+    assert.equal(result.removed, 0);
+    assert.equal(result.failed.length, 1);
+    assert.match(result.failed[0].error, /AccessDeniedException/);
+    // Still persisted, so it would come back on restart
+    assert.ok(await storage.get(`state#userChannels#${USER_ID}`));
+  });
+
+  it("throws when a mapping can't be deleted from storage", async () => {
+    const storage = new MemoryStorage();
+    const state = await restart(storage);
+    await state.setUserStatusMessage(USER_ID, "message-1");
+    storage.delete = async () => {
+      throw new Error("AccessDeniedException");
+    };
+
+    await assert.rejects(
+      state.removeUserStatusMessage(USER_ID),
+      /Failed to delete userStatusMessages mapping/
+    );
+    // Memory keeps matching storage
+    assert.equal(state.getUserStatusMessages().get(USER_ID), "message-1");
+  });
+});
+
+describe("StateManager guild configs", () => {
+  it("picks up setup changes made on another replica", async () => {
+    const storage = new MemoryStorage();
+    const replicaA = await restart(storage);
+    const replicaB = await restart(storage);
+
+    await replicaA.setGuildConfig("guild-1", { adminRoles: ["role-1"] });
+
+    const changed = await replicaB.loadGuildConfigs();
+    assert.deepEqual([...changed], [["guild-1", {}]]);
+    assert.deepEqual(replicaB.getGuildConfig("guild-1"), {
+      adminRoles: ["role-1"],
+    });
+    // Unchanged on the next reload
+    assert.equal((await replicaB.loadGuildConfigs()).size, 0);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { TimeParser } = require("../src/utils/time-parser");
+
+const BERLIN = "Europe/Berlin";
+
+const iso = (date) => date.toISOString();
+
+describe("TimeParser.resolveTimezone", () => {
+  it("accepts IANA names in any case, abbreviations and offsets", () => {
+    assert.equal(TimeParser.resolveTimezone("europe/berlin"), BERLIN);
+    assert.equal(
+      TimeParser.resolveTimezone("America/New York"),
+      "America/New_York"
+    );
+    assert.equal(TimeParser.resolveTimezone("est"), "America/New_York");
+    assert.equal(TimeParser.resolveTimezone("UTC+2"), "Etc/GMT-2");
+    assert.equal(TimeParser.resolveTimezone("GMT-5"), "Etc/GMT+5");
+    assert.equal(TimeParser.resolveTimezone("UTC+0"), "UTC");
+  });
+
+  it("rejects names it can't resolve", () => {
+    assert.throws(
+      () => TimeParser.resolveTimezone("Mars/Olympus_Mons"),
+      /Unknown timezone "Mars\/Olympus_Mons"/
+    );
+    assert.throws(
+      () => TimeParser.resolveTimezone("UTC+15"),
+      /Invalid UTC offset/
+    );
+    assert.throws(() => TimeParser.resolveTimezone("  "), /Please enter/);
+  });
+});
+
+describe("TimeParser.zonedTimeToDate", () => {
+  const berlin = (month, day, hour, minute = 0) =>
+    iso(
+      TimeParser.zonedTimeToDate(
+        { year: 2025, month, day, hour, minute },
+        BERLIN
+      )
+    );
+
+  it("uses the offset in effect on either side of a DST change", () => {
+    assert.equal(berlin(3, 29, 12), "2025-03-29T11:00:00.000Z");
+    assert.equal(berlin(3, 30, 12), "2025-03-30T10:00:00.000Z");
+  });
+
+  it("moves a time skipped by spring-forward past the gap", () => {
+    // 02:30 doesn't exist on 2025-03-30 in Berlin; it lands on 03:30 CEST
+    assert.equal(berlin(3, 30, 2, 30), "2025-03-30T01:30:00.000Z");
+    assert.equal(berlin(3, 30, 3), "2025-03-30T01:00:00.000Z");
+  });
+
+  it("picks the later of the two fall-back times", () => {
+    // 02:30 happens twice on 2025-10-26 in Berlin; CET is the second one
+    assert.equal(berlin(10, 26, 2, 30), "2025-10-26T01:30:00.000Z");
+    assert.equal(berlin(10, 26, 1, 30), "2025-10-25T23:30:00.000Z");
+  });
+});
+
+describe("TimeParser.parseStartTime", () => {
+  // Friday 2025-03-28, 13:00 in Berlin, two days before spring-forward
+  const now = new Date("2025-03-28T12:00:00Z");
+  const parse = (input, timeZone = BERLIN) =>
+    iso(TimeParser.parseStartTime(input, timeZone, now));
+
+  it("parses absolute dates in the given zone", () => {
+    assert.equal(parse("2025-04-01 19:00"), "2025-04-01T17:00:00.000Z");
+    assert.equal(parse("2025-03-29 7:30pm"), "2025-03-29T18:30:00.000Z");
+    assert.equal(
+      parse("2025-04-01 19:00", "America/New_York"),
+      "2025-04-01T23:00:00.000Z"
+    );
+  });
+
+  it("parses relative days and weekdays", () => {
+    assert.equal(parse("today 8pm"), "2025-03-28T19:00:00.000Z");
+    assert.equal(parse("tomorrow 19:30"), "2025-03-29T18:30:00.000Z");
+    assert.equal(parse("at friday 8pm"), "2025-03-28T19:00:00.000Z");
+    assert.equal(parse("next friday 20:00"), "2025-04-04T18:00:00.000Z");
+  });
+
+  it("rolls past times forward to the next occurrence", () => {
+    assert.equal(parse("19:30"), "2025-03-28T18:30:00.000Z");
+    assert.equal(parse("11:00"), "2025-03-29T10:00:00.000Z");
+    assert.equal(parse("fri 10am"), "2025-04-04T08:00:00.000Z");
+  });
+
+  it("applies the offset of the target day across a DST change", () => {
+    // Sunday is already on summer time
+    assert.equal(parse("sunday 8pm"), "2025-03-30T18:00:00.000Z");
+  });
+
+  it("rejects input it can't read", () => {
+    assert.throws(() => parse("someday 8pm"), /Couldn't understand/);
+    assert.throws(() => parse("tomorrow 8"), /Couldn't understand/);
+    assert.throws(() => parse("2025-02-30 10:00"), /not a valid date/);
+    assert.throws(() => parse("13pm"), /Couldn't understand/);
+  });
+});
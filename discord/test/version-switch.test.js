@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { DiscordService } = require("../src/services/discord-service");
+const { StateManager } = require("../src/core/state-manager");
+const { MemoryStorage } = require("../src/core/storage/memory-storage");
+
+const USER_ID = "123456789012345678";
+
+const createService = () => {
+  const service = new DiscordService(null);
+  service.setDependencies(new StateManager({}, new MemoryStorage()), {}, null);
+  service.refreshUserStatus = async () => {};
+  return service;
+};
+
+// Runs one poll and lets its awaits finish
+const tick = async (ms) => {
+  mock.timers.tick(ms);
+  await new Promise((resolve) => setImmediate(resolve));
+};
+
+describe("DiscordService.monitorVersionSwitch", () => {
+  beforeEach(() => mock.timers.enable({ apis: ["setInterval", "Date"] }));
+  afterEach(() => mock.timers.reset());
+
+  it("reports once the switch is no longer running", async () => {
+    const service = createService();
+    const statuses = [
+      { versionSwitch: { state: "running" } },
+      { versionSwitch: { state: "failed", error: "exit code 1" } },
+    ];
+    const lambdaService = { getInstanceStatus: async () => statuses.shift() };
+    const settled = [];
+
+    service.monitorVersionSwitch(USER_ID, lambdaService, (status) =>
+      settled.push(status)
+    );
+    await tick(15 * 1000);
+    assert.deepEqual(settled, []);
+
+    await tick(15 * 1000);
+    assert.deepEqual(settled, [
+      { versionSwitch: { state: "failed", error: "exit code 1" } },
+    ]);
+
+    // The monitor stops polling once settled
+    await tick(15 * 1000);
+    assert.equal(settled.length, 1);
+  });
+
+  it("gives up with no status after an hour", async () => {
+    const service = createService();
+    const lambdaService = {
+      getInstanceStatus: async () => ({ versionSwitch: { state: "running" } }),
+    };
+    const settled = [];
+
+    service.monitorVersionSwitch(USER_ID, lambdaService, (status) =>
+      settled.push(status)
+    );
+    await tick(60 * 60 * 1000);
+    await tick(15 * 1000);
+
+    assert.deepEqual(settled, [null]);
+  });
+});
+
+describe("DiscordService.editReplyOrPost", () => {
+  it("posts in the user's channel once the reply has expired", async () => {
+    const service = createService();
+    const sent = [];
+    const channel = { send: async (message) => sent.push(message) };
+    service.client = { channels: { cache: new Map([["channel-1", channel]]) } };
+    service.state.getUserChannels().set(USER_ID, "channel-1");
+    const interaction = {
+      editReply: async () => {
+        throw new Error("Unknown Webhook");
+      },
+    };
+
+    await service.editReplyOrPost(interaction, USER_ID, { content: "Done" });
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].content, `<@${USER_ID}> Done`);
+  });
+});
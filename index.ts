@@ -325,6 +325,45 @@ new aws.iam.RolePolicy(`${projectName}-task-efs-policy`, {
   ),
 });
 
+// Role for the EFS backup and restore tasks the Lambda runs around version
+// switches. Only reaches the backups/ prefix of the per-user buckets, so the
+// tasks never need a user's bucket keys.
+const efsTransferTaskRole = new aws.iam.Role(
+  `${projectName}-efs-transfer-task-role`,
+  {
+    assumeRolePolicy: JSON.stringify({
+      Version: "2012-10-17",
+      Statement: [
+        {
+          Action: "sts:AssumeRole",
+          Effect: "Allow",
+          Principal: {
+            Service: "ecs-tasks.amazonaws.com",
+          },
+        },
+      ],
+    }),
+    tags: {
+      Name: `${projectName}-efs-transfer-task-role`,
+    },
+  }
+);
+
+new aws.iam.RolePolicy(`${projectName}-efs-transfer-s3-policy`, {
+  role: efsTransferTaskRole.id,
+  policy: JSON.stringify({
+    Version: "2012-10-17",
+    Statement: [
+      {
+        Effect: "Allow",
+        Action: ["s3:GetObject", "s3:PutObject", "s3:AbortMultipartUpload"],
+        // User buckets are named foundry-<username>-<id>
+        Resource: "arn:aws:s3:::foundry-*/backups/*",
+      },
+    ],
+  }),
+});
+
 // =================
 // SECURITY GROUP FOR ECS TASKS
 // =================
@@ -533,6 +572,27 @@ const botConfigTable = new aws.dynamodb.Table(`${projectName}-bot-config`, {
   },
 });
 
+// Notification queue consumed by the Discord bot (events expire via TTL)
+const notificationsTable = new aws.dynamodb.Table(
+  `${projectName}-notifications`,
+  {
+    name: `${projectName}-notifications`,
+    billingMode: "PAY_PER_REQUEST",
+    hashKey: "queue",
+    rangeKey: "eventId",
+    attributes: [
+      { name: "queue", type: "S" },
+      { name: "eventId", type: "S" },
+    ],
+    ttl: { attributeName: "expiresAt", enabled: true },
+    serverSideEncryption: { enabled: true },
+    tags: {
+      Name: `${projectName}-notifications`,
+      Environment: environment,
+    },
+  }
+);
+
 // Legacy schedule tracking table (keeping for backward compatibility)
 const scheduleTable = new aws.dynamodb.Table(`${projectName}-schedules`, {
   name: `${projectName}-schedules`,
@@ -617,6 +677,8 @@ new aws.iam.RolePolicy(`${projectName}-lambda-permissions`, {
               "dynamodb:DeleteItem",
               "dynamodb:Query",
               "dynamodb:Scan",
+              "dynamodb:BatchGetItem",
+              "dynamodb:BatchWriteItem",
               // Secrets Manager permissions
               "secretsmanager:CreateSecret",
               "secretsmanager:GetSecretValue",
@@ -696,11 +758,13 @@ const instanceManagementLambda = new aws.lambda.Function(
         SCHEDULED_SESSIONS_TABLE_NAME: scheduledSessionsTable.name,
         LICENSE_RESERVATIONS_TABLE_NAME: licenseReservationsTable.name,
         USAGE_TABLE_NAME: usageTable.name,
+        NOTIFICATIONS_TABLE_NAME: notificationsTable.name,
         FILE_SYSTEM_ID: fileSystem.id,
         VPC_ID: vpc.vpcId,
         PRIVATE_SUBNET_IDS: vpc.privateSubnetIds.apply((ids) => ids.join(",")),
         TASK_SECURITY_GROUP_ID: taskSecurityGroup.id,
         TASK_ROLE_ARN: taskRole.arn,
+        EFS_TRANSFER_TASK_ROLE_ARN: efsTransferTaskRole.arn,
         EXECUTION_ROLE_ARN: executionRole.arn,
         LOAD_BALANCER_ARN: loadBalancer.arn,
         ALB_DNS_NAME: loadBalancer.dnsName,
@@ -713,6 +777,8 @@ const instanceManagementLambda = new aws.lambda.Function(
         KOFI_URL: config.get("kofiUrl") || "",
         // Cost configuration
         INSTANCE_COST_PER_HOUR: "1.00",
+        // How far ahead sessions can be booked without priority scheduling (unset = unlimited)
+        BOOKING_WINDOW_DAYS: config.get("bookingWindowDays") || "",
       },
     },
     tags: {
@@ -792,7 +858,7 @@ const discordBotSecretVersion = new aws.secretsmanager.SecretVersion(
       DISCORD_GUILD_ID: discordConfig.get("guildId") || "", // Optional for global deployment
       FOUNDRY_CATEGORY_ID: discordConfig.get("categoryId") || "", // Optional category for organizing channels
       ALLOWED_ROLES: discordConfig.get("allowedRoles") || "",
-      ADMIN_ROLES: discordConfig.get("adminRoles") || "Admin",
+      ADMIN_ROLES: discordConfig.get("adminRoles") || "", // Role IDs
       KOFI_URL: config.get("kofiUrl") || "",
     }),
   }
@@ -872,10 +938,6 @@ const discordBotTaskDefinition = new aws.ecs.TaskDefinition(
                 name: "BOT_CONFIG_TABLE_NAME",
                 value: tableName,
               },
-              {
-                name: "INSTANCE_COST_PER_HOUR",
-                value: "1.00",
-              },
             ],
             secrets: [
               {
@@ -1003,6 +1065,7 @@ new aws.iam.RolePolicy(`${projectName}-task-botconfig-policy`, {
             "dynamodb:GetItem",
             "dynamodb:PutItem",
             "dynamodb:UpdateItem",
+            "dynamodb:DeleteItem",
             "dynamodb:Scan",
             "dynamodb:Query",
           ],
@@ -1146,6 +1209,7 @@ export const licensePoolTableName = licensePoolTable.name;
 export const scheduledSessionsTableName = scheduledSessionsTable.name;
 export const licenseReservationsTableName = licenseReservationsTable.name;
 export const botConfigTableName = botConfigTable.name;
+export const notificationsTableName = notificationsTable.name;
 export const lambdaFunctionName = instanceManagementLambda.name;
 export const vpcId = vpc.vpcId;
 export const privateSubnetIds = vpc.privateSubnetIds;
@@ -1176,6 +1240,7 @@ export const outputs = {
     licenseReservationsTable: licenseReservationsTableName,
     botConfigTable: botConfigTableName,
     usageTable: usageTable.name,
+    notificationsTable: notificationsTableName,
   },
   lambda: {
     functionName: lambdaFunctionName,
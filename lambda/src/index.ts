@@ -18,8 +18,20 @@ import { TaskManager } from "./utils/task-manager";
 import { S3Manager } from "./utils/s3-manager";
 import { IAMManager } from "./utils/iam-manager";
 import { LicenseScheduler } from "./utils/license-scheduler";
+import { RecurrenceRule } from "./utils/recurrence";
 import { AutoShutdownManager } from "./utils/auto-shutdown-manager";
+import {
+  NotificationQueue,
+  NotificationType,
+} from "./utils/notification-queue";
+import { SupporterPerks, getBookingWindowEnd } from "./utils/supporter-perks";
 import { UsageManager } from "./utils/usage-manager";
+import { VersionSwitchManager } from "./utils/version-switch-manager";
+import {
+  VersionRules,
+  getSwitchBlocker,
+  isValidFoundryVersion,
+} from "./utils/foundry-versions";
 
 interface FoundryEvent {
   action:
@@ -31,12 +43,20 @@ interface FoundryEvent {
     | "status"
     | "list-all"
     | "update-version"
+    | "rollback-version"
     | "schedule-session"
+    | "schedule-recurring-session"
     | "cancel-session"
+    | "cancel-series"
+    | "reschedule-session"
+    | "extend-session"
+    | "extend-shutdown"
     | "list-sessions"
     | "set-license-sharing"
     | "manage-license-state"
+    | "get-sessions-for-license"
     | "check-availability"
+    | "license-pool-status"
     | "start-scheduled-session"
     | "end-scheduled-session"
     | "auto-shutdown-check"
@@ -51,8 +71,11 @@ interface FoundryEvent {
     | "kofi-webhook"
     | "get-user-costs"
     | "get-all-costs"
-    | "send-notification";
+    | "send-notification"
+    | "get-notifications"
+    | "ack-notifications";
   userId: string;
+  guildId?: string; // Discord server the instance is registered in
   sanitizedUsername?: string;
   foundryUsername?: string;
   foundryPassword?: string;
@@ -68,6 +91,13 @@ interface FoundryEvent {
   sessionTitle?: string;
   sessionDescription?: string;
   preferredLicenseId?: string;
+  // Recurring series fields
+  recurrence?: RecurrenceRule;
+  seriesId?: string;
+  dryRun?: boolean;
+  extendHours?: number;
+  supporterPerks?: SupporterPerks;
+  versionRules?: VersionRules;
   // Admin fields
   targetUserId?: string;
   forceReason?: string;
@@ -86,9 +116,12 @@ interface FoundryEvent {
   body?: string;
   headers?: Record<string, string>;
   // Notification fields
-  notificationType?: "session-ready" | "session-failed" | "instance-shutdown";
+  notificationType?: NotificationType;
   message?: string;
   instanceUrl?: string;
+  notificationCursor?: string;
+  notificationLimit?: number;
+  eventIds?: string[];
 }
 
 const ecsManager = new ECSManager(process.env.CLUSTER_NAME!);
@@ -106,16 +139,27 @@ const route53Manager = new Route53Manager(
 const taskManager = new TaskManager(process.env.CLUSTER_NAME!);
 const s3Manager = new S3Manager();
 const iamManager = new IAMManager();
+const versionSwitchManager = new VersionSwitchManager(
+  dynamoManager,
+  ecsManager,
+  efsManager,
+  s3Manager
+);
 const licenseScheduler = new LicenseScheduler(
   dynamoManager,
   ecsManager,
-  secretsManager
+  secretsManager,
+  versionSwitchManager
+);
+const notificationQueue = new NotificationQueue(
+  process.env.NOTIFICATIONS_TABLE_NAME!
 );
 const autoShutdownManager = new AutoShutdownManager(
   dynamoManager,
   ecsManager,
   albManager,
-  licenseScheduler
+  licenseScheduler,
+  notificationQueue
 );
 
 const usageManager = new UsageManager(process.env.USAGE_TABLE_NAME!);
@@ -139,7 +183,7 @@ export const handler = async (
         result = await createInstance(userId, event);
         break;
       case "start":
-        result = await startInstance(userId);
+        result = await startInstance(userId, event.supporterPerks);
         break;
       case "stop":
         result = await stopInstance(userId);
@@ -157,13 +201,42 @@ export const handler = async (
         result = await getAllInstances();
         break;
       case "update-version":
-        result = await updateInstanceVersion(userId, event.foundryVersion!);
+        result = await updateInstanceVersion(
+          userId,
+          event.foundryVersion!,
+          event.versionRules
+        );
+        break;
+      case "rollback-version":
+        result = await rollbackInstanceVersion(userId);
         break;
       case "schedule-session":
         result = await scheduleSession(userId, event);
         break;
+      case "schedule-recurring-session":
+        result = await scheduleRecurringSession(userId, event);
+        break;
       case "cancel-session":
-        result = await cancelSession(event.sessionId!);
+        result = await cancelSession(event.sessionId!, userId);
+        break;
+      case "cancel-series":
+        result = await cancelSeries(userId, event.seriesId!);
+        break;
+      case "reschedule-session":
+        result = await rescheduleSession(userId, event);
+        break;
+      case "extend-shutdown":
+        result = await licenseScheduler.extendInstanceShutdown(
+          userId,
+          event.extendHours ?? 1
+        );
+        break;
+      case "extend-session":
+        result = await licenseScheduler.extendSession(
+          event.sessionId!,
+          userId,
+          event.extendHours!
+        );
         break;
       case "list-sessions":
         result = await listUserSessions(userId);
@@ -174,9 +247,15 @@ export const handler = async (
       case "manage-license-state":
         result = await manageLicenseState(userId, event);
         break;
+      case "get-sessions-for-license":
+        result = await getSessionsForLicense(userId);
+        break;
       case "check-availability":
         result = await checkLicenseAvailability(event);
         break;
+      case "license-pool-status":
+        result = await getLicensePoolStatus();
+        break;
       case "start-scheduled-session":
         result = await startScheduledSession(event.sessionId!);
         break;
@@ -189,6 +268,19 @@ export const handler = async (
       case "send-notification":
         result = await sendNotification(event);
         break;
+      case "get-notifications":
+        result = await notificationQueue.fetchPending(
+          event.notificationLimit,
+          event.notificationCursor
+        );
+        break;
+      case "ack-notifications":
+        result = {
+          acknowledged: await notificationQueue.acknowledge(
+            event.eventIds || []
+          ),
+        };
+        break;
       case "prepare-sessions":
         result = await prepareUpcomingSessions();
         break;
@@ -234,6 +326,9 @@ export const handler = async (
     console.error("Error handling request:", error);
     const errorMessage =
       error instanceof Error ? error.message : "Unknown error occurred";
+    if (error instanceof InstanceNotFoundError) {
+      return errorResponse(404, errorMessage, "RESOURCE_NOT_FOUND");
+    }
     return errorResponse(500, `Internal error: ${errorMessage}`);
   }
 };
@@ -262,8 +357,16 @@ async function createInstance(userId: string, event: FoundryEvent) {
     allowLicenseSharing,
     maxConcurrentUsers,
     selectedLicenseId,
+    foundryVersion,
+    guildId,
   } = event;
 
+  // Default to latest stable version
+  const initialFoundryVersion = foundryVersion || "13";
+  if (!isValidFoundryVersion(initialFoundryVersion)) {
+    throw new Error("Invalid version format");
+  }
+
   let actualFoundryUsername: string | null;
   let actualFoundryPassword: string | null;
 
@@ -462,7 +565,7 @@ async function createInstance(userId: string, event: FoundryEvent) {
     status: "created",
     accessPointId,
     adminKey,
-    foundryVersion: "13", // Default to latest stable version
+    foundryVersion: initialFoundryVersion,
     s3BucketName,
     s3AccessKeyId: s3Credentials.accessKeyId,
     s3SecretAccessKey: s3Credentials.secretAccessKey,
@@ -481,6 +584,10 @@ async function createInstance(userId: string, event: FoundryEvent) {
     instanceData.secretArn = secretArn;
   }
 
+  if (guildId) {
+    instanceData.guildId = guildId;
+  }
+
   const instance = await dynamoManager.createInstance(instanceData);
 
   // Debug logging after DynamoDB call
@@ -537,12 +644,13 @@ async function createInstance(userId: string, event: FoundryEvent) {
     targetGroupArn,
     url: route53Manager.getUserFoundryUrl(sanitizedUsername),
     adminKey,
+    foundryVersion: initialFoundryVersion,
     s3BucketName,
     s3BucketUrl: s3Manager.getBucketUrl(s3BucketName),
   };
 }
 
-async function startInstance(userId: string) {
+async function startInstance(userId: string, perks?: SupporterPerks) {
   const instance = await dynamoManager.getInstance(userId);
   if (!instance || !instance.targetGroupArn) {
     throw new Error("Instance not found or missing target group");
@@ -552,6 +660,9 @@ async function startInstance(userId: string) {
     throw new Error("Instance is already running");
   }
 
+  // Foundry must not start on files that are being backed up or restored
+  await versionSwitchManager.checkNotInProgress(instance);
+
   // For BYOL users, check if starting on-demand would conflict with scheduled sessions
   if (instance.licenseType === "byol") {
     const canStart = await licenseScheduler.canStartOnDemandInstance(userId);
@@ -585,6 +696,13 @@ async function startInstance(userId: string) {
     [process.env.TASK_SECURITY_GROUP_ID!]
   );
 
+  // Record the task straight away so status polls can report start progress
+  await dynamoManager.updateInstance(userId, {
+    status: "starting",
+    taskArn,
+    updatedAt: Math.floor(Date.now() / 1000),
+  });
+
   // Wait for task to be running
   await taskManager.waitForTaskRunning(taskArn);
 
@@ -611,8 +729,14 @@ async function startInstance(userId: string) {
   const autoShutdownAt = autoShutdownManager.calculateAutoShutdownTime(
     now,
     licenseType,
-    instance.linkedSessionId
+    instance.linkedSessionId,
+    perks
   );
+  if (perks?.tierName) {
+    console.log(
+      `Applying ${perks.tierName} perks to ${userId}: auto-shutdown at ${autoShutdownAt}`
+    );
+  }
 
   // Update instance status
   await dynamoManager.updateInstance(userId, {
@@ -640,7 +764,7 @@ async function startInstance(userId: string) {
 async function stopInstance(userId: string) {
   const instance = await dynamoManager.getInstance(userId);
   if (!instance) {
-    throw new Error("Instance not found");
+    throw new InstanceNotFoundError();
   }
 
   const startedAt = instance.startedAt;
@@ -928,12 +1052,87 @@ async function deleteUser(userId: string) {
   };
 }
 
+type StartupPhase =
+  | "provisioning"
+  | "pulling"
+  | "health-checks"
+  | "ready"
+  | "failed";
+
+// How long after a start the status reports startup progress. The bot
+// follows a start for as long (START_TIMEOUT_MS in its discord-service.js).
+const START_TIMEOUT_SECONDS = 10 * 60;
+
+/**
+ * Work out how far a starting task has got, from ECS task state and the
+ * ALB target health once the task is registered.
+ */
+async function getStartupProgress(
+  instance: FoundryInstance
+): Promise<{ phase: StartupPhase; detail?: string }> {
+  const task = await taskManager.getTaskDetails(instance.taskArn!);
+  const lastStatus = task?.lastStatus?.toUpperCase();
+
+  if (!task || lastStatus === "PROVISIONING") {
+    return { phase: "provisioning" };
+  }
+
+  const stoppingStatuses = [
+    "DEACTIVATING",
+    "STOPPING",
+    "DEPROVISIONING",
+    "STOPPED",
+  ];
+  if (stoppingStatuses.includes(lastStatus || "")) {
+    const containerReason = task.containers?.find((c) => c.reason)?.reason;
+    return {
+      phase: "failed",
+      detail:
+        [task.stoppedReason, containerReason].filter(Boolean).join(": ") ||
+        "Task stopped during startup",
+    };
+  }
+
+  if (lastStatus !== "RUNNING") {
+    return { phase: task.pullStartedAt ? "pulling" : "provisioning" };
+  }
+
+  // The task runs before it's registered with the ALB
+  if (!instance.taskPrivateIp || !instance.targetGroupArn) {
+    return { phase: "health-checks", detail: "Registering with load balancer" };
+  }
+
+  const health = await albManager.getTargetHealth(
+    instance.targetGroupArn,
+    instance.taskPrivateIp
+  );
+  return health?.state === "healthy"
+    ? { phase: "ready" }
+    : { phase: "health-checks", detail: health?.description };
+}
+
 async function getInstanceStatus(userId: string) {
-  const instance = await dynamoManager.getInstance(userId);
+  let instance = await dynamoManager.getInstance(userId);
   if (!instance) {
-    throw new Error("Instance not found");
+    throw new InstanceNotFoundError();
+  }
+
+  // The bot polls the status to follow version switch backups and restores
+  try {
+    instance = await versionSwitchManager.settle(instance);
+  } catch (error) {
+    console.error(`Error checking version switch for ${userId}:`, error);
   }
 
+  // Startup progress is only worth the extra AWS calls around a start
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const isStarting =
+    instance.taskArn &&
+    (instance.status === "starting" ||
+      (instance.status === "running" &&
+        (!instance.startedAt ||
+          nowSeconds - instance.startedAt < START_TIMEOUT_SECONDS)));
+
   console.log(
     `Getting status for user ${userId}: current status = ${instance.status}, taskArn = ${instance.taskArn}`
   );
@@ -944,7 +1143,19 @@ async function getInstanceStatus(userId: string) {
       const taskStatus = await ecsManager.getTaskStatus(instance.taskArn);
       console.log(`ECS task status for ${userId}: ${taskStatus}`);
 
-      if (taskStatus) {
+      // startInstance marks it running once the ALB rule is in place; a
+      // start older than the window means that Lambda died halfway
+      const startInProgress =
+        instance.status === "starting" &&
+        nowSeconds - instance.updatedAt < START_TIMEOUT_SECONDS &&
+        taskStatus !== "stopped" &&
+        taskStatus !== "stopping";
+
+      if (startInProgress) {
+        console.log(
+          `Start of ${userId} still in progress, keeping status: ${instance.status}`
+        );
+      } else if (taskStatus) {
         console.log(
           `Updating instance status for ${userId} from ${instance.status} to ${taskStatus}`
         );
@@ -965,6 +1176,15 @@ async function getInstanceStatus(userId: string) {
     );
   }
 
+  let startup;
+  if (isStarting) {
+    try {
+      startup = await getStartupProgress(instance);
+    } catch (error) {
+      console.error(`Error getting startup progress for ${userId}:`, error);
+    }
+  }
+
   // Get upcoming scheduled sessions for this user
   let nextScheduledSession = null;
   try {
@@ -985,7 +1205,9 @@ async function getInstanceStatus(userId: string) {
 
   return {
     userId,
+    guildId: instance.guildId,
     status: instance.status,
+    sanitizedUsername: instance.sanitizedUsername,
     createdAt: instance.createdAt,
     updatedAt: instance.updatedAt,
     url: route53Manager.getUserFoundryUrl(instance.sanitizedUsername),
@@ -998,9 +1220,15 @@ async function getInstanceStatus(userId: string) {
     licenseType: instance.licenseType,
     licenseOwnerId: instance.licenseOwnerId,
     allowLicenseSharing: instance.allowLicenseSharing,
+    licenseSharingState: instance.licenseSharingState,
+    stopSharingAfterSessions: instance.stopSharingAfterSessions,
+    licenseSharingScheduledStop: instance.licenseSharingScheduledStop,
     autoShutdownAt: instance.autoShutdownAt,
     linkedSessionId: instance.linkedSessionId,
+    versionBackup: instance.versionBackup,
+    versionSwitch: instance.versionSwitch,
     nextScheduledSession,
+    startup,
   };
 }
 
@@ -1010,6 +1238,7 @@ async function getAllInstances() {
   return {
     instances: instances.map((instance) => ({
       userId: instance.userId,
+      guildId: instance.guildId,
       sanitizedUsername: instance.sanitizedUsername,
       status: instance.status,
       createdAt: instance.createdAt,
@@ -1026,64 +1255,91 @@ async function getAllInstances() {
       licenseOwnerId: instance.licenseOwnerId,
       allowLicenseSharing: instance.allowLicenseSharing,
       maxConcurrentUsers: instance.maxConcurrentUsers,
+      // Shutdown and session fields for bot warnings and notifications
+      startedAt: instance.startedAt,
+      autoShutdownAt: instance.autoShutdownAt,
+      linkedSessionId: instance.linkedSessionId,
     })),
     count: instances.length,
   };
 }
 
-async function updateInstanceVersion(userId: string, foundryVersion: string) {
-  const instance = await dynamoManager.getInstance(userId);
-  if (!instance) {
-    throw new Error("Instance not found");
+async function updateInstanceVersion(
+  userId: string,
+  foundryVersion: string,
+  versionRules?: VersionRules
+) {
+  const stored = await dynamoManager.getInstance(userId);
+  if (!stored) {
+    throw new InstanceNotFoundError();
   }
+  const instance = await versionSwitchManager.settle(stored);
 
-  // Validate version format (basic validation)
-  const validVersions = ["13", "12", "11", "release", "latest"];
-  const versionRegex = /^\d+\.\d+(\.\d+)?$/; // Matches x.y or x.y.z format
-
-  if (
-    !validVersions.includes(foundryVersion) &&
-    !versionRegex.test(foundryVersion)
-  ) {
+  if (!isValidFoundryVersion(foundryVersion)) {
     throw new Error("Invalid version format");
   }
 
-  // Check if permission reset is needed for version compatibility
   const currentVersion = instance.foundryVersion || "13";
-  const needsPermissionReset =
-    (foundryVersion.startsWith("11") || foundryVersion.startsWith("12")) &&
-    !(currentVersion.startsWith("11") || currentVersion.startsWith("12"));
+  if (foundryVersion === currentVersion) {
+    return {
+      message: "Instance is already on this version",
+      userId,
+      foundryVersion,
+    };
+  }
 
-  if (needsPermissionReset) {
-    console.log(
-      `Permission reset needed: switching from v${currentVersion} to v${foundryVersion}`
-    );
-    try {
-      await efsManager.resetPermissionsForVersionSwitch(
-        instance.accessPointId,
+  // The bot checks this too, but migrated worlds break whoever the caller is
+  const blocker = getSwitchBlocker(
+    currentVersion,
+    foundryVersion,
+    versionRules
+  );
+  if (blocker) {
+    throw new Error(blocker);
+  }
+
+  // Snapshots the data first so a failed world migration can be rolled back
+  const { pending, previousVersion } = await versionSwitchManager.startSwitch(
+    instance,
+    foundryVersion
+  );
+
+  return pending
+    ? {
+        message: "Backing up before switching version",
         userId,
-        ecsManager,
-        foundryVersion
-      );
-      console.log(`✅ Permissions reset completed for version switch`);
-    } catch (error) {
-      console.error(`Failed to reset permissions:`, error);
-      // Continue with version update even if permission reset fails
-      // User can manually recreate instance if needed
-    }
+        foundryVersion,
+        previousVersion,
+        pending,
+        note: "The version changes once the backup finishes, check the instance status",
+      }
+    : {
+        message: "Version updated successfully",
+        userId,
+        foundryVersion,
+        previousVersion,
+        pending,
+        note: "Start your instance to use the new version",
+      };
+}
+
+async function rollbackInstanceVersion(userId: string) {
+  const stored = await dynamoManager.getInstance(userId);
+  if (!stored) {
+    throw new InstanceNotFoundError();
   }
+  const instance = await versionSwitchManager.settle(stored);
 
-  // Update the instance record with the new version
-  await dynamoManager.updateInstance(userId, {
-    foundryVersion,
-    updatedAt: Math.floor(Date.now() / 1000),
-  });
+  const backup = await versionSwitchManager.startRollback(instance);
 
   return {
-    message: "Version updated successfully",
+    message: "Restoring the version switch backup",
     userId,
-    foundryVersion,
-    note: "Restart your instance to use the new version",
+    foundryVersion: backup.version,
+    rolledBackFrom: instance.foundryVersion || "13",
+    backupCreatedAt: backup.createdAt,
+    pending: true,
+    note: "The version changes once the restore finishes, check the instance status",
   };
 }
 
@@ -1106,6 +1362,7 @@ async function scheduleSession(userId: string, event: FoundryEvent) {
     title: event.sessionTitle,
     description: event.sessionDescription,
     preferredLicenseId: event.preferredLicenseId,
+    bookingWindowEnd: getBookingWindowEnd(event.supporterPerks),
   });
 
   return {
@@ -1116,9 +1373,91 @@ async function scheduleSession(userId: string, event: FoundryEvent) {
   };
 }
 
-async function cancelSession(sessionId: string) {
+async function scheduleRecurringSession(userId: string, event: FoundryEvent) {
+  if (
+    !event.startTime ||
+    !event.endTime ||
+    !event.licenseType ||
+    !event.recurrence
+  ) {
+    throw new Error(
+      "Missing required fields: startTime, endTime, licenseType, recurrence"
+    );
+  }
+
+  const instance = await dynamoManager.getInstance(userId);
+  if (!instance) {
+    throw new Error("User must have an instance to schedule sessions");
+  }
+
+  return licenseScheduler.scheduleRecurringSession(
+    {
+      userId,
+      username: instance.sanitizedUsername,
+      startTime: event.startTime,
+      endTime: event.endTime,
+      licenseType: event.licenseType,
+      title: event.sessionTitle,
+      description: event.sessionDescription,
+      preferredLicenseId: event.preferredLicenseId,
+      recurrence: event.recurrence,
+      bookingWindowEnd: getBookingWindowEnd(event.supporterPerks),
+    },
+    event.dryRun === true
+  );
+}
+
+// Cancels the remaining scheduled occurrences; past and active ones are kept
+async function cancelSeries(userId: string, seriesId: string) {
+  if (!seriesId) {
+    throw new Error("Missing required field: seriesId");
+  }
+
+  const sessions = (await dynamoManager.getUserScheduledSessions(userId)).filter(
+    (session) => session.seriesId === seriesId
+  );
+  if (sessions.length === 0) {
+    throw new Error("Series not found");
+  }
+
+  const upcoming = sessions.filter((session) => session.status === "scheduled");
+  for (const session of upcoming) {
+    await cancelSession(session.sessionId);
+  }
+
+  return {
+    message: `Series cancelled (${upcoming.length} upcoming sessions cancelled)`,
+    seriesId,
+    cancelledCount: upcoming.length,
+  };
+}
+
+async function rescheduleSession(userId: string, event: FoundryEvent) {
+  if (!event.sessionId || !event.startTime || !event.endTime) {
+    throw new Error("Missing required fields: sessionId, startTime, endTime");
+  }
+
+  if (event.endTime <= event.startTime) {
+    throw new Error("Session must end after it starts");
+  }
+
+  if (event.startTime <= Math.floor(Date.now() / 1000)) {
+    throw new Error("Start time must be in the future");
+  }
+
+  return licenseScheduler.rescheduleSession(
+    event.sessionId,
+    userId,
+    event.startTime,
+    event.endTime,
+    getBookingWindowEnd(event.supporterPerks)
+  );
+}
+
+// With a userId, only that user's own sessions can be cancelled
+async function cancelSession(sessionId: string, userId?: string) {
   const session = await dynamoManager.getScheduledSession(sessionId);
-  if (!session) {
+  if (!session || (userId && session.userId !== userId)) {
     throw new Error("Session not found");
   }
 
@@ -1184,6 +1523,9 @@ async function setLicenseSharing(userId: string, event: FoundryEvent) {
       licenseType,
       allowLicenseSharing: event.allowLicenseSharing,
       maxConcurrentUsers: event.maxConcurrentUsers,
+      licenseSharingState: event.allowLicenseSharing ? "active" : "inactive",
+      stopSharingAfterSessions: false,
+      licenseSharingScheduledStop: undefined,
       updatedAt: Math.floor(Date.now() / 1000),
     });
   } else {
@@ -1316,9 +1658,28 @@ async function scheduleLicenseSharingStop(
     };
   }
 
-  // Set the scheduled stop flag
+  if (!instance.allowLicenseSharing) {
+    return {
+      success: false,
+      message: "License sharing is not active",
+    };
+  }
+
+  const affectedSessions = await licenseScheduler.getBorrowedSessions(userId);
+  if (affectedSessions.length === 0) {
+    const result = await stopLicenseSharingImmediately(userId, instance, now);
+    return {
+      ...result,
+      message: "No sessions are booked on your license, so sharing stopped now",
+    };
+  }
+
+  // Set the scheduled stop flag; prepare-sessions finishes the stop once the
+  // last booked session is over
+  const scheduledStop = Math.max(...affectedSessions.map((s) => s.endTime));
   await dynamoManager.updateInstance(userId, {
     stopSharingAfterSessions: true,
+    licenseSharingScheduledStop: scheduledStop,
     licenseSharingState: "scheduled_stop",
     lastLicenseSharingChange: now,
     updatedAt: now,
@@ -1328,6 +1689,8 @@ async function scheduleLicenseSharingStop(
     success: true,
     message: "License sharing scheduled to stop after current sessions end",
     licenseSharingState: "scheduled_stop",
+    licenseSharingScheduledStop: scheduledStop,
+    affectedSessions,
   };
 }
 
@@ -1371,7 +1734,10 @@ async function stopLicenseSharingImmediately(
     };
   }
 
-  // Stop license sharing immediately
+  const affectedSessions = await licenseScheduler.getBorrowedSessions(userId);
+
+  // Stop license sharing immediately. Booked sessions move to another free
+  // license when they start, or fail if there is none
   await dynamoManager.updateInstance(userId, {
     allowLicenseSharing: false,
     stopSharingAfterSessions: false,
@@ -1399,6 +1765,7 @@ async function stopLicenseSharingImmediately(
     success: true,
     message: "License sharing stopped immediately",
     licenseSharingState: "inactive",
+    affectedSessions,
   };
 }
 
@@ -1499,6 +1866,44 @@ async function cleanupOrphanedLicenseState(
   };
 }
 
+async function getSessionsForLicense(userId: string) {
+  const sessions = await licenseScheduler.getBorrowedSessions(userId);
+  return {
+    licenseId: `byol-${userId}`,
+    sessions,
+    count: sessions.length,
+  };
+}
+
+// Finishes "stop after sessions" once nobody else has a session booked
+async function completeScheduledSharingStops() {
+  const now = Math.floor(Date.now() / 1000);
+  const instances = await dynamoManager.getAllInstances();
+  let completed = 0;
+
+  for (const instance of instances) {
+    if (!instance.stopSharingAfterSessions) continue;
+
+    try {
+      const remaining = await licenseScheduler.getBorrowedSessions(
+        instance.userId
+      );
+      if (remaining.length > 0) continue;
+
+      await stopLicenseSharingImmediately(instance.userId, instance, now);
+      console.log(`Completed scheduled sharing stop for ${instance.userId}`);
+      completed++;
+    } catch (error) {
+      console.error(
+        `Failed to complete sharing stop for ${instance.userId}:`,
+        error
+      );
+    }
+  }
+
+  return completed;
+}
+
 async function checkLicenseAvailability(event: FoundryEvent) {
   if (!event.startTime || !event.endTime || !event.licenseType) {
     throw new Error("Missing required fields: startTime, endTime, licenseType");
@@ -1520,6 +1925,20 @@ async function checkLicenseAvailability(event: FoundryEvent) {
   };
 }
 
+// Shared licenses as any user may see them; owner IDs and usage stay admin-only
+async function getLicensePoolStatus() {
+  const pools = await dynamoManager.getAllActiveLicenses();
+
+  return {
+    totalLicenses: pools.length,
+    pools: pools.map((pool) => ({
+      licenseId: pool.licenseId,
+      ownerUsername: pool.ownerUsername,
+      maxConcurrentUsers: pool.maxConcurrentUsers,
+    })),
+  };
+}
+
 async function startScheduledSession(sessionId: string) {
   const result = await licenseScheduler.startScheduledSession(sessionId);
   return result;
@@ -1541,10 +1960,15 @@ async function performAutoShutdownCheck() {
 
 async function prepareUpcomingSessions() {
   const result = await autoShutdownManager.prepareForUpcomingSessions();
+  // Runs every minute, which is the resolution shutdown warnings need
+  const warningsQueued = await autoShutdownManager.queueShutdownWarnings();
+  const sharingStopsCompleted = await completeScheduledSharingStops();
   return {
     message: `Prepared ${result.sessionsStarted} sessions, resolved ${result.conflictsResolved} conflicts`,
     sessionsStarted: result.sessionsStarted,
     conflictsResolved: result.conflictsResolved,
+    warningsQueued,
+    sharingStopsCompleted,
   };
 }
 
@@ -1647,7 +2071,20 @@ async function getAdminOverview() {
         .map((i) => ({
           userId: i.userId,
           username: i.sanitizedUsername,
+          status: i.status,
+          licenseType: i.licenseType,
+          foundryVersion: i.foundryVersion,
+          updatedAt: i.updatedAt,
+        })),
+      // Created, starting, stopping and unknown instances
+      other: allInstances
+        .filter((i) => i.status !== "running" && i.status !== "stopped")
+        .map((i) => ({
+          userId: i.userId,
+          username: i.sanitizedUsername,
+          status: i.status,
           licenseType: i.licenseType,
+          foundryVersion: i.foundryVersion,
           updatedAt: i.updatedAt,
         })),
     },
@@ -1724,6 +2161,11 @@ async function adminForceShutdown(targetUserId: string, reason?: string) {
   }, Reason: ${reason || "No reason provided"}`;
   console.log(logMessage);
 
+  await notificationQueue.publish("instance-shutdown", targetUserId, {
+    reason: `Stopped by an admin: ${reason || "No reason provided"}`,
+    sessionId: instance.linkedSessionId,
+  });
+
   return {
     message: "Instance force shutdown completed",
     targetUserId,
@@ -2246,15 +2688,25 @@ function successResponse(data: any): APIGatewayProxyResult {
 
 function errorResponse(
   statusCode: number,
-  message: string
+  message: string,
+  errorCode?: string
 ): APIGatewayProxyResult {
   return {
     statusCode,
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ error: message }),
+    body: JSON.stringify({ error: message, errorCode }),
   };
 }
 
+// Lets callers tell a missing instance from other failures by errorCode
+// instead of matching on the message
+class InstanceNotFoundError extends Error {
+  constructor() {
+    super("Instance not found");
+    this.name = "InstanceNotFoundError";
+  }
+}
+
 async function sendNotification(event: FoundryEvent) {
   const { notificationType, targetUserId, message, sessionId, instanceUrl } =
     event;
@@ -2263,17 +2715,21 @@ async function sendNotification(event: FoundryEvent) {
     throw new Error("Missing required fields: notificationType, targetUserId");
   }
 
-  // For now, we'll just return success - the actual Discord notification
-  // will be handled by the Discord bot when it polls for notifications
-  console.log(
-    `Notification queued: ${notificationType} for user ${targetUserId}: ${message}`
+  const notification = await notificationQueue.publish(
+    notificationType,
+    targetUserId,
+    { message, sessionId, instanceUrl }
   );
+  if (!notification) {
+    throw new Error("Failed to queue notification");
+  }
 
   return {
     success: true,
     message: "Notification queued successfully",
     notificationType,
     targetUserId,
+    eventId: notification.eventId,
   };
 }
 
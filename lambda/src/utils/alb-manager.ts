@@ -9,6 +9,7 @@ import {
   DescribeTargetGroupsCommand,
   DescribeRulesCommand,
   ModifyRuleCommand,
+  DescribeTargetHealthCommand,
 } from "@aws-sdk/client-elastic-load-balancing-v2";
 
 export class ALBManager {
@@ -105,6 +106,25 @@ export class ALBManager {
     await this.elbv2.send(command);
   }
 
+  async getTargetHealth(
+    targetGroupArn: string,
+    taskPrivateIp: string
+  ): Promise<{ state: string; description?: string } | null> {
+    const response = await this.elbv2.send(
+      new DescribeTargetHealthCommand({
+        TargetGroupArn: targetGroupArn,
+        Targets: [{ Id: taskPrivateIp, Port: 30000 }],
+      })
+    );
+
+    const health = response.TargetHealthDescriptions?.[0]?.TargetHealth;
+    if (!health?.State) {
+      return null;
+    }
+
+    return { state: health.State, description: health.Description };
+  }
+
   async createListenerRule(
     sanitizedUsername: string,
     targetGroupArn: string,
@@ -6,6 +6,10 @@ import {
 import { ECSManager } from "./ecs-manager";
 import { ALBManager } from "./alb-manager";
 import { LicenseScheduler } from "./license-scheduler";
+import { NotificationQueue } from "./notification-queue";
+import { SupporterPerks, getRuntimeHours } from "./supporter-perks";
+
+const SHUTDOWN_WARNING_MINUTES = [15, 5];
 
 interface ShutdownResult {
   userId: string;
@@ -19,7 +23,8 @@ export class AutoShutdownManager {
     private dynamoManager: DynamoDBManager,
     private ecsManager: ECSManager,
     private albManager: ALBManager,
-    private licenseScheduler: LicenseScheduler
+    private licenseScheduler: LicenseScheduler,
+    private notificationQueue: NotificationQueue
   ) {}
 
   /**
@@ -28,11 +33,12 @@ export class AutoShutdownManager {
   calculateAutoShutdownTime(
     startTime: number,
     licenseType: "byol" | "pooled" = "byol",
-    linkedSessionId?: string
+    linkedSessionId?: string,
+    perks?: SupporterPerks
   ): number {
     if (licenseType === "byol") {
-      // On-demand instances: 6 hours from start
-      return startTime + 6 * 60 * 60; // 6 hours in seconds
+      // On-demand instances: 6 hours from start, longer for some supporter tiers
+      return startTime + getRuntimeHours(perks) * 60 * 60;
     } else {
       // Scheduled instances: will be calculated based on session end time + 1 hour
       // For now, default to 4 hours if no session info available
@@ -159,7 +165,11 @@ export class AutoShutdownManager {
       const hoursRunning = Math.floor(
         (currentTime - (instance.startedAt || 0)) / 3600
       );
-      return `Auto-shutdown: On-demand instance ran for ${hoursRunning} hours (6h limit)`;
+      const limitHours = Math.round(
+        ((instance.autoShutdownAt || currentTime) - (instance.startedAt || 0)) /
+          3600
+      );
+      return `Auto-shutdown: On-demand instance ran for ${hoursRunning} hours (${limitHours}h limit)`;
     } else if (instance.licenseType === "pooled" || instance.linkedSessionId) {
       return "Auto-shutdown: Scheduled session ended + 1 hour grace period";
     } else {
@@ -207,10 +217,16 @@ export class AutoShutdownManager {
       albRuleArn: undefined,
       autoShutdownAt: undefined,
       startedAt: undefined,
+      shutdownWarning: undefined,
       linkedSessionId: undefined,
       updatedAt: Math.floor(Date.now() / 1000),
     });
 
+    await this.notificationQueue.publish("instance-shutdown", userId, {
+      reason,
+      sessionId: instance.linkedSessionId,
+    });
+
     // If this was a scheduled session instance, mark the session as completed
     if (instance.linkedSessionId) {
       try {
@@ -283,38 +299,42 @@ export class AutoShutdownManager {
             );
             sessionsStarted++;
 
-            // Send Discord notification to user that their session has started
-            try {
-              const notificationPayload = {
-                action: "send-notification",
-                userId: "system", // System call
-                notificationType: "session-ready",
-                targetUserId: session.userId,
+            // Tell the user their session has started
+            const startedInstance = await this.dynamoManager.getInstance(
+              session.userId
+            );
+            await this.notificationQueue.publish(
+              "session-ready",
+              session.userId,
+              {
                 message: `Your scheduled session "${
                   session.title || "Foundry VTT Session"
                 }" is now ready!`,
                 sessionId: session.sessionId,
+                sessionTitle: session.title,
+                startTime: session.startTime,
+                endTime: session.endTime,
+                licenseType: session.licenseType,
                 instanceUrl: startResult.instanceUrl,
-              };
-
-              // Note: In a real implementation, this would call the Discord bot
-              // For now, we'll log it and the Discord bot can poll for notifications
-              console.log(
-                "📢 Session ready notification:",
-                notificationPayload
-              );
-            } catch (notificationError) {
-              console.error(
-                "Failed to send session ready notification:",
-                notificationError
-              );
-            }
+                autoShutdownAt: startedInstance?.autoShutdownAt,
+              }
+            );
           } else {
             console.error(
               `❌ Failed to start scheduled session ${session.sessionId}: ${startResult.message}`
             );
 
-            // TODO: Send Discord notification to user about the failure
+            await this.notificationQueue.publish(
+              "session-failed",
+              session.userId,
+              {
+                reason: startResult.message,
+                sessionId: session.sessionId,
+                sessionTitle: session.title,
+                startTime: session.startTime,
+              }
+            );
+
             // Mark session as failed/cancelled
             await this.dynamoManager.updateScheduledSession(session.sessionId, {
               status: "cancelled",
@@ -323,6 +343,16 @@ export class AutoShutdownManager {
           }
         } catch (error) {
           console.error(`Failed to start session ${session.sessionId}:`, error);
+          await this.notificationQueue.publish(
+            "session-failed",
+            session.userId,
+            {
+              reason: error instanceof Error ? error.message : "Unknown error",
+              sessionId: session.sessionId,
+              sessionTitle: session.title,
+              startTime: session.startTime,
+            }
+          );
         }
       }
     }
@@ -330,6 +360,59 @@ export class AutoShutdownManager {
     return { sessionsStarted, conflictsResolved };
   }
 
+  /**
+   * Queue a warning 15 and 5 minutes before each running instance's
+   * auto-shutdown. Only the closest threshold is sent, and extending the
+   * shutdown time re-arms the warnings.
+   */
+  async queueShutdownWarnings(): Promise<number> {
+    const currentTime = Math.floor(Date.now() / 1000);
+    const allInstances = await this.dynamoManager.getAllInstances();
+    let queued = 0;
+
+    for (const instance of allInstances) {
+      if (instance.status !== "running" || !instance.autoShutdownAt) continue;
+
+      const minutesLeft = Math.ceil(
+        (instance.autoShutdownAt - currentTime) / 60
+      );
+      if (minutesLeft <= 0) continue;
+
+      const threshold = SHUTDOWN_WARNING_MINUTES.filter(
+        (minutes) => minutesLeft <= minutes
+      ).pop();
+      const previous =
+        instance.shutdownWarning?.autoShutdownAt === instance.autoShutdownAt
+          ? instance.shutdownWarning.minutes
+          : undefined;
+      if (!threshold || (previous !== undefined && previous <= threshold)) {
+        continue;
+      }
+
+      const published = await this.notificationQueue.publish(
+        "auto-shutdown-warning",
+        instance.userId,
+        {
+          autoShutdownAt: instance.autoShutdownAt,
+          minutesLeft,
+          sessionId: instance.linkedSessionId,
+        }
+      );
+      // Unrecorded, so the next run tries again
+      if (!published) continue;
+
+      await this.dynamoManager.updateInstance(instance.userId, {
+        shutdownWarning: {
+          autoShutdownAt: instance.autoShutdownAt,
+          minutes: threshold,
+        },
+      });
+      queued++;
+    }
+
+    return queued;
+  }
+
   /**
    * Get statistics about running instances and their shutdown times
    */
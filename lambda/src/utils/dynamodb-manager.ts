@@ -7,10 +7,14 @@ import {
   DeleteCommand,
   ScanCommand,
   QueryCommand,
+  BatchGetCommand,
+  BatchGetCommandOutput,
 } from "@aws-sdk/lib-dynamodb";
+import { RecurrenceRule } from "./recurrence";
 
 export interface FoundryInstance {
   userId: string;
+  guildId?: string; // Discord server the instance was registered in; unset for older instances
   sanitizedUsername: string;
   status: string;
   accessPointId: string;
@@ -42,6 +46,23 @@ export interface FoundryInstance {
   startedAt?: number; // When the instance was started (for auto-shutdown)
   autoShutdownAt?: number; // When the instance should be automatically shut down
   linkedSessionId?: string; // For scheduled instances, which session they're linked to
+  shutdownWarning?: { autoShutdownAt: number; minutes: number }; // Closest warning queued for this shutdown time
+  // Version switch rollback
+  versionBackup?: { version: string; s3Key: string; createdAt: number }; // Data snapshot taken before the last version switch
+  versionSwitch?: VersionSwitch; // Backup or restore task in progress, or the last one that failed
+}
+
+// A version switch (backup, then new version) or rollback (restore) runs as
+// an ECS task; the instance keeps its version until the task succeeds
+export interface VersionSwitch {
+  operation: "switch" | "rollback";
+  state: "running" | "failed";
+  fromVersion: string;
+  toVersion: string;
+  s3Key: string; // Archive being written (switch) or read (rollback)
+  taskArn: string;
+  startedAt: number;
+  error?: string;
 }
 
 export interface LicensePool {
@@ -66,6 +87,10 @@ export interface ScheduledSession {
   title?: string; // Optional session name
   description?: string; // Optional description
   instanceId?: string; // Associated instance when active
+  // Recurring series fields (absent for one-off sessions)
+  seriesId?: string; // Shared by all occurrences of a series
+  occurrenceIndex?: number; // 0-based position within the series
+  recurrence?: RecurrenceRule;
   createdAt: number;
   updatedAt: number;
 }
@@ -91,6 +116,7 @@ export class DynamoDBManager {
   constructor(tableName: string) {
     const client = new DynamoDBClient({
       region: process.env.AWS_REGION || "us-east-1",
+      endpoint: process.env.DYNAMODB_ENDPOINT, // DynamoDB Local for testing
     });
     this.docClient = DynamoDBDocumentClient.from(client);
     this.tableName = tableName;
@@ -120,6 +146,36 @@ export class DynamoDBManager {
     }
   }
 
+  // Instances for many users in BatchGetItem round trips (100 keys each),
+  // keyed by userId. Unlike getInstance, failures throw.
+  async getInstances(
+    userIds: string[]
+  ): Promise<Map<string, FoundryInstance>> {
+    const instances = new Map<string, FoundryInstance>();
+    const unique = [...new Set(userIds)];
+
+    for (let i = 0; i < unique.length; i += 100) {
+      let keys: Record<string, any>[] | undefined = unique
+        .slice(i, i + 100)
+        .map((userId) => ({ userId }));
+
+      // Throttled batches come back as UnprocessedKeys
+      while (keys && keys.length > 0) {
+        const response: BatchGetCommandOutput = await this.docClient.send(
+          new BatchGetCommand({
+            RequestItems: { [this.tableName]: { Keys: keys } },
+          })
+        );
+        for (const item of response.Responses?.[this.tableName] || []) {
+          instances.set(item.userId, item as FoundryInstance);
+        }
+        keys = response.UnprocessedKeys?.[this.tableName]?.Keys;
+      }
+    }
+
+    return instances;
+  }
+
   async createInstance(instance: FoundryInstance): Promise<FoundryInstance> {
     const command = new PutCommand({
       TableName: this.tableName,
@@ -346,26 +402,34 @@ export class DynamoDBManager {
     }
   }
 
+  // Throws on failure: callers decide license availability from the result,
+  // so a failed scan must not read as "no conflicting sessions"
   async getSessionsInTimeRange(
     startTime: number,
     endTime: number
   ): Promise<ScheduledSession[]> {
-    try {
-      const command = new ScanCommand({
-        TableName: this.scheduledSessionsTableName,
-        FilterExpression:
-          "(startTime BETWEEN :start AND :end) OR (endTime BETWEEN :start AND :end) OR (startTime <= :start AND endTime >= :end)",
-        ExpressionAttributeValues: {
-          ":start": startTime,
-          ":end": endTime,
-        },
-      });
-      const response = await this.docClient.send(command);
-      return (response.Items as ScheduledSession[]) || [];
-    } catch (error) {
-      console.error("Error getting sessions in time range:", error);
-      return [];
-    }
+    const sessions: ScheduledSession[] = [];
+    let ExclusiveStartKey: Record<string, any> | undefined;
+
+    // Scans stop at 1 MB per page, filter or not
+    do {
+      const response = await this.docClient.send(
+        new ScanCommand({
+          TableName: this.scheduledSessionsTableName,
+          FilterExpression:
+            "(startTime BETWEEN :start AND :end) OR (endTime BETWEEN :start AND :end) OR (startTime <= :start AND endTime >= :end)",
+          ExpressionAttributeValues: {
+            ":start": startTime,
+            ":end": endTime,
+          },
+          ExclusiveStartKey,
+        })
+      );
+      sessions.push(...((response.Items as ScheduledSession[]) || []));
+      ExclusiveStartKey = response.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return sessions;
   }
 
   async updateScheduledSession(
@@ -7,6 +7,13 @@ import {
   LogDriver,
 } from "@aws-sdk/client-ecs";
 
+// Pinned so backups and restores don't change behaviour under us
+const AWS_CLI_IMAGE = "amazon/aws-cli:2.15.30";
+// The image is Amazon Linux based and may not ship tar/gzip
+const INSTALL_TAR =
+  "(command -v tar > /dev/null && command -v gzip > /dev/null || " +
+  "yum install -y -q tar gzip > /dev/null) && ";
+
 export class ECSManager {
   private ecs: ECSClient;
   private clusterName: string;
@@ -436,4 +443,108 @@ export class ECSManager {
     console.log(`Permission reset task definition registered: ${family}`);
     return response.taskDefinition!.taskDefinitionArn!;
   }
+
+  /**
+   * Tars a user's EFS directory into BACKUP_URI on S3. A directory that
+   * doesn't exist yet is backed up as an empty archive. With TARGET_UID and
+   * TARGET_GID set, the directory is then handed to that owner, replacing
+   * the separate permission reset task for version switches.
+   */
+  async registerBackupTaskDefinition(): Promise<string> {
+    console.log("Registering EFS backup task definition");
+
+    return this.registerEfsTransferTaskDefinition("foundry-efs-backup", [
+      "set -e -o pipefail && " +
+        INSTALL_TAR +
+        'DIR="/efs/foundry-instances/$USER_ID" && ' +
+        'if [ ! -d "$DIR" ]; then mkdir -p /tmp/empty && DIR=/tmp/empty; fi && ' +
+        'echo "Backing up $DIR to $BACKUP_URI" && ' +
+        'tar -czf - -C "$DIR" . | aws s3 cp - "$BACKUP_URI" && ' +
+        'if [ -n "$TARGET_UID" ] && [ "$DIR" != /tmp/empty ]; then ' +
+        'chown -R "$TARGET_UID:$TARGET_GID" "$DIR"; fi && ' +
+        "echo 'Backup completed successfully'",
+    ]);
+  }
+
+  /**
+   * Replaces a user's EFS directory with the archive at BACKUP_URI and hands
+   * it to TARGET_UID:TARGET_GID. The archive is downloaded before anything
+   * is deleted, so a failed download leaves the data alone.
+   */
+  async registerRestoreTaskDefinition(): Promise<string> {
+    console.log("Registering EFS restore task definition");
+
+    return this.registerEfsTransferTaskDefinition("foundry-efs-restore", [
+      "set -e -o pipefail && " +
+        INSTALL_TAR +
+        'DIR="/efs/foundry-instances/$USER_ID" && ' +
+        'echo "Restoring $BACKUP_URI to $DIR" && ' +
+        'aws s3 cp "$BACKUP_URI" /tmp/backup.tar.gz && ' +
+        'mkdir -p "$DIR" && ' +
+        'find "$DIR" -mindepth 1 -delete && ' +
+        'tar -xzf /tmp/backup.tar.gz -C "$DIR" && ' +
+        'chown -R "$TARGET_UID:$TARGET_GID" "$DIR" && ' +
+        "echo 'Restore completed successfully'",
+    ]);
+  }
+
+  // Backup and restore tasks: EFS root mounted at /efs plus the AWS CLI.
+  // S3 access comes from the transfer task role, paths from env overrides
+  private async registerEfsTransferTaskDefinition(
+    family: string,
+    script: string[]
+  ): Promise<string> {
+    const command = new RegisterTaskDefinitionCommand({
+      family,
+      networkMode: "awsvpc",
+      requiresCompatibilities: ["FARGATE"],
+      cpu: "512", // Compression is CPU-bound
+      memory: "1024",
+      ephemeralStorage: { sizeInGiB: 50 }, // Restores download the archive first
+      executionRoleArn: process.env.EXECUTION_ROLE_ARN,
+      taskRoleArn: process.env.EFS_TRANSFER_TASK_ROLE_ARN,
+      runtimePlatform: {
+        cpuArchitecture: "ARM64",
+        operatingSystemFamily: "LINUX",
+      },
+      containerDefinitions: [
+        {
+          name: "transfer",
+          image: AWS_CLI_IMAGE,
+          essential: true,
+          logConfiguration: {
+            logDriver: LogDriver.AWSLOGS,
+            options: {
+              "awslogs-group": `/aws/ecs/${family}`,
+              "awslogs-region": process.env.AWS_REGION || "us-east-1",
+              "awslogs-stream-prefix": "transfer",
+              "awslogs-create-group": "true",
+            },
+          },
+          entryPoint: ["sh", "-c"], // The image's entry point is `aws`
+          command: script,
+          mountPoints: [
+            {
+              sourceVolume: "efs-root",
+              containerPath: "/efs",
+              readOnly: false,
+            },
+          ],
+        },
+      ],
+      volumes: [
+        {
+          name: "efs-root",
+          efsVolumeConfiguration: {
+            fileSystemId: process.env.FILE_SYSTEM_ID!,
+            rootDirectory: "/",
+            transitEncryption: "ENABLED",
+          },
+        },
+      ],
+    });
+
+    const response = await this.ecs.send(command);
+    return response.taskDefinition!.taskDefinitionArn!;
+  }
 }
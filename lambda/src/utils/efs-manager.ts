@@ -8,8 +8,14 @@ import {
   ECSClient,
   RunTaskCommand,
   DescribeTasksCommand,
+  KeyValuePair,
 } from "@aws-sdk/client-ecs";
 
+export type EfsTaskOutcome =
+  | { state: "running" }
+  | { state: "succeeded" }
+  | { state: "failed"; reason: string };
+
 export class EFSManager {
   private efs: EFSClient;
   private ecs: ECSClient;
@@ -72,28 +78,132 @@ export class EFSManager {
       `Resetting permissions for version switch to ${targetVersion} for user: ${userId}`
     );
 
-    // Determine the correct UID/GID for the target version
-    let targetUid = 1000;
-    let targetGid = 1000;
+    const { uid: targetUid, gid: targetGid } =
+      EFSManager.getOwnerForVersion(targetVersion);
+
+    console.log(
+      `Setting ownership to ${targetUid}:${targetGid} for version ${targetVersion}`
+    );
+
+    await this.runEfsTask(
+      userId,
+      await ecsManager.registerPermissionResetTaskDefinition(
+        targetUid,
+        targetGid
+      ),
+      "permission-reset"
+    );
+
+    console.log(`✅ Permission reset completed for user: ${userId}`);
+  }
 
-    if (targetVersion.startsWith("11") || targetVersion.startsWith("12")) {
+  // UID/GID the Foundry container runs as for a version
+  static getOwnerForVersion(version: string): { uid: number; gid: number } {
+    if (version.startsWith("11") || version.startsWith("12")) {
       // v11 and v12 use different user ID (421:421)
-      targetUid = 421;
-      targetGid = 421;
+      return { uid: 421, gid: 421 };
     }
     // v13+ uses 1000:1000 (default)
+    return { uid: 1000, gid: 1000 };
+  }
 
-    console.log(
-      `Setting ownership to ${targetUid}:${targetGid} for version ${targetVersion}`
+  /**
+   * Starts archiving the user's EFS directory to S3 as a .tar.gz and returns
+   * the task ARN; check on it with getTaskOutcome. Pass owner to hand the
+   * files to another UID/GID once the archive is written.
+   */
+  async startBackupToS3(
+    userId: string,
+    ecsManager: { registerBackupTaskDefinition: () => Promise<string> },
+    backupUri: string,
+    owner?: { uid: number; gid: number }
+  ): Promise<string> {
+    console.log(`Backing up EFS files for user ${userId} to ${backupUri}`);
+
+    return this.startEfsTask(
+      userId,
+      await ecsManager.registerBackupTaskDefinition(),
+      "transfer",
+      [
+        ...this.getTransferEnvironment(backupUri),
+        ...(owner ? this.getOwnerEnvironment(owner) : []),
+      ]
     );
+  }
 
-    // Run permission reset task (reuses cleanup infrastructure)
-    await this.runCleanupTask(userId, {
-      registerCleanupTaskDefinition: () =>
-        ecsManager.registerPermissionResetTaskDefinition(targetUid, targetGid),
-    });
+  // Starts replacing the user's EFS directory with a backup, owned for
+  // targetVersion, and returns the task ARN
+  async startRestoreFromS3(
+    userId: string,
+    ecsManager: { registerRestoreTaskDefinition: () => Promise<string> },
+    backupUri: string,
+    targetVersion: string
+  ): Promise<string> {
+    console.log(`Restoring EFS files for user ${userId} from ${backupUri}`);
+
+    return this.startEfsTask(
+      userId,
+      await ecsManager.registerRestoreTaskDefinition(),
+      "transfer",
+      [
+        ...this.getTransferEnvironment(backupUri),
+        ...this.getOwnerEnvironment(
+          EFSManager.getOwnerForVersion(targetVersion)
+        ),
+      ]
+    );
+  }
 
-    console.log(`✅ Permission reset completed for user: ${userId}`);
+  /**
+   * Where a task from startBackupToS3 or startRestoreFromS3 has got to.
+   * ECS forgets stopped tasks after about an hour, which counts as failed.
+   */
+  async getTaskOutcome(taskArn: string): Promise<EfsTaskOutcome> {
+    const response = await this.ecs.send(
+      new DescribeTasksCommand({
+        cluster: process.env.CLUSTER_NAME!,
+        tasks: [taskArn],
+      })
+    );
+
+    const task = response.tasks?.[0];
+    if (!task) {
+      return { state: "failed", reason: "Task no longer exists" };
+    }
+    if (task.lastStatus !== "STOPPED") {
+      return { state: "running" };
+    }
+
+    const exitCode = task.containers?.[0]?.exitCode;
+    return exitCode === 0
+      ? { state: "succeeded" }
+      : {
+          state: "failed",
+          reason: `Task failed with exit code: ${
+            exitCode ?? task.stoppedReason
+          }`,
+        };
+  }
+
+  // No credentials here, the task role grants access to backups/
+  private getTransferEnvironment(backupUri: string): KeyValuePair[] {
+    return [
+      { name: "BACKUP_URI", value: backupUri },
+      {
+        name: "AWS_DEFAULT_REGION",
+        value: process.env.AWS_REGION || "us-east-1",
+      },
+    ];
+  }
+
+  private getOwnerEnvironment(owner: {
+    uid: number;
+    gid: number;
+  }): KeyValuePair[] {
+    return [
+      { name: "TARGET_UID", value: String(owner.uid) },
+      { name: "TARGET_GID", value: String(owner.gid) },
+    ];
   }
 
   async cleanupAndDeleteAccessPoint(
@@ -134,9 +244,36 @@ export class EFSManager {
     const cleanupTaskDefinition =
       await ecsManager.registerCleanupTaskDefinition();
 
+    await this.runEfsTask(userId, cleanupTaskDefinition, "cleanup");
+  }
+
+  // Runs a one-off task against the EFS root and waits for it to exit
+  private async runEfsTask(
+    userId: string,
+    taskDefinition: string,
+    containerName: string,
+    environment: KeyValuePair[] = [],
+    maxWaitSeconds = 300
+  ): Promise<void> {
+    const taskArn = await this.startEfsTask(
+      userId,
+      taskDefinition,
+      containerName,
+      environment
+    );
+
+    await this.waitForTaskCompletion(taskArn, maxWaitSeconds);
+  }
+
+  private async startEfsTask(
+    userId: string,
+    taskDefinition: string,
+    containerName: string,
+    environment: KeyValuePair[] = []
+  ): Promise<string> {
     const runTaskCommand = new RunTaskCommand({
       cluster: process.env.CLUSTER_NAME!,
-      taskDefinition: cleanupTaskDefinition,
+      taskDefinition,
       launchType: "FARGATE",
       networkConfiguration: {
         awsvpcConfiguration: {
@@ -148,12 +285,13 @@ export class EFSManager {
       overrides: {
         containerOverrides: [
           {
-            name: "cleanup",
+            name: containerName,
             environment: [
               {
                 name: "USER_ID",
                 value: userId,
               },
+              ...environment,
             ],
           },
         ],
@@ -161,10 +299,7 @@ export class EFSManager {
     });
 
     const runTaskResponse = await this.ecs.send(runTaskCommand);
-    const taskArn = runTaskResponse.tasks![0].taskArn!;
-
-    // Wait for cleanup task to complete
-    await this.waitForTaskCompletion(taskArn);
+    return runTaskResponse.tasks![0].taskArn!;
   }
 
   private async waitForTaskCompletion(
@@ -174,6 +309,7 @@ export class EFSManager {
     const startTime = Date.now();
 
     while (Date.now() - startTime < maxWaitSeconds * 1000) {
+      let task;
       try {
         const command = new DescribeTasksCommand({
           cluster: process.env.CLUSTER_NAME!,
@@ -181,32 +317,28 @@ export class EFSManager {
         });
 
         const response = await this.ecs.send(command);
+        task = response.tasks?.[0];
+      } catch (error) {
+        console.error("Error checking EFS task status:", error);
+      }
 
-        if (response.tasks && response.tasks.length > 0) {
-          const task = response.tasks[0];
-          const lastStatus = task.lastStatus;
-
-          if (lastStatus === "STOPPED") {
-            const exitCode = task.containers?.[0]?.exitCode;
-            if (exitCode === 0) {
-              console.log(`✅ EFS cleanup task completed successfully`);
-              return;
-            } else {
-              throw new Error(
-                `EFS cleanup task failed with exit code: ${exitCode}`
-              );
-            }
-          }
+      // Outside the try so a failed task isn't retried until the timeout
+      if (task?.lastStatus === "STOPPED") {
+        const exitCode = task.containers?.[0]?.exitCode;
+        if (exitCode === 0) {
+          console.log(`✅ EFS task completed successfully`);
+          return;
         }
-      } catch (error) {
-        console.error("Error checking cleanup task status:", error);
+        throw new Error(
+          `EFS task failed with exit code: ${exitCode ?? task.stoppedReason}`
+        );
       }
 
       await new Promise((resolve) => setTimeout(resolve, 10000)); // Wait 10 seconds
     }
 
     throw new Error(
-      `EFS cleanup task did not complete within ${maxWaitSeconds} seconds`
+      `EFS task did not complete within ${maxWaitSeconds} seconds`
     );
   }
 
@@ -0,0 +1,57 @@
+// Rules from the Discord bot's version catalogue, sent along with
+// update-version requests. Floating tags like "release" only have a major
+// when the catalogue says which one it stands for.
+export interface VersionRules {
+  minimumVersion?: string; // e.g. "12", anything older is rejected
+  majors?: Record<string, number>; // floating tag -> major
+}
+
+// Floating tags, a major or x.y / x.y.z builds; the Discord bot keeps the
+// catalogue of versions users may actually pick
+export function isValidFoundryVersion(foundryVersion: string): boolean {
+  return /^(release|latest|\d+(\.\d+){0,2})$/.test(foundryVersion);
+}
+
+// Null when the tag floats and the rules don't say which major it is
+function getMajor(tag: string, rules?: VersionRules): number | null {
+  const major = rules?.majors?.[tag] ?? parseInt(tag);
+  return Number.isInteger(major) ? major : null;
+}
+
+function isBelowMinimum(tag: string, major: number, rules?: VersionRules) {
+  if (!rules?.minimumVersion) return false;
+
+  const parts = /^\d/.test(tag) ? tag.split(".").map(Number) : [major];
+  const minimum = rules.minimumVersion.split(".").map(Number);
+  for (let i = 0; i < minimum.length; i++) {
+    if ((parts[i] ?? 0) !== minimum[i]) return (parts[i] ?? 0) < minimum[i];
+  }
+  return false;
+}
+
+/**
+ * Why an instance on currentVersion can't switch to targetVersion, or null if
+ * it can. Worlds migrated to a newer major can't be opened by an older one, so
+ * the target's major has to be known; a current tag that floats unresolved
+ * isn't checked.
+ */
+export function getSwitchBlocker(
+  currentVersion: string,
+  targetVersion: string,
+  rules?: VersionRules
+): string | null {
+  const targetMajor = getMajor(targetVersion, rules);
+  if (targetMajor === null) {
+    return `Unknown major version for ${targetVersion}`;
+  }
+  if (isBelowMinimum(targetVersion, targetMajor, rules)) {
+    return `Versions older than v${rules!.minimumVersion} are no longer supported`;
+  }
+
+  const currentMajor = getMajor(currentVersion, rules);
+  if (currentMajor !== null && targetMajor < currentMajor) {
+    return `Worlds migrated to v${currentMajor} can't be opened by v${targetMajor}`;
+  }
+
+  return null;
+}
@@ -1,7 +1,9 @@
-import { DynamoDBManager } from "./dynamodb-manager";
+import { DynamoDBManager, ScheduledSession } from "./dynamodb-manager";
 import { ECSManager } from "./ecs-manager";
 import { SecretsManager } from "./secrets-manager";
+import { VersionSwitchManager } from "./version-switch-manager";
 import { v4 as uuidv4 } from "uuid";
+import { RecurrenceRule, expandRecurrence } from "./recurrence";
 
 interface LicenseAvailability {
   available: boolean;
@@ -19,13 +21,30 @@ interface ScheduleRequest {
   title?: string;
   description?: string;
   preferredLicenseId?: string; // For BYOL users scheduling their own license
+  seriesId?: string;
+  occurrenceIndex?: number;
+  recurrence?: RecurrenceRule;
+  bookingWindowEnd?: number; // Latest allowed start, from getBookingWindowEnd
+}
+
+const BOOKING_WINDOW_MESSAGE =
+  "Sessions can't be booked this far ahead without priority scheduling";
+
+interface RecurringScheduleResult {
+  success: boolean;
+  seriesId: string;
+  message: string;
+  dryRun: boolean;
+  booked: { occurrenceIndex: number; startTime: number; sessionId?: string }[];
+  conflicts: { occurrenceIndex: number; startTime: number; reason: string }[];
 }
 
 export class LicenseScheduler {
   constructor(
     private dynamoManager: DynamoDBManager,
     private ecsManager: ECSManager,
-    private secretsManager: SecretsManager
+    private secretsManager: SecretsManager,
+    private versionSwitchManager?: VersionSwitchManager
   ) {}
 
   /**
@@ -138,18 +157,27 @@ export class LicenseScheduler {
       }
     }
 
+    // One scan and one batch lookup cover every license below
+    const [conflictingSessions, owners] = await Promise.all([
+      this.dynamoManager.getSessionsInTimeRange(startTime, endTime),
+      this.dynamoManager.getInstances(
+        activeLicenses.map((license) => license.ownerId)
+      ),
+    ]);
+
     // Then check other available licenses (but only if user's own license isn't available)
     for (const license of activeLicenses) {
       if (license.licenseId === userOwnLicense) continue; // Already checked above
 
+      // Owners stopping after their booked sessions take no new bookings
+      if (owners.get(license.ownerId)?.stopSharingAfterSessions) continue;
+
       // For pooled sessions, we consider a license available if:
       // 1. It's active
       // 2. It has no conflicting scheduled sessions (reservations)
       // 3. Running BYOL instances are OK - they can be shut down
 
       // Check for conflicting scheduled sessions only
-      const conflictingSessions =
-        await this.dynamoManager.getSessionsInTimeRange(startTime, endTime);
       const hasConflictingSessions = conflictingSessions.some(
         (session) =>
           session.licenseId === license.licenseId &&
@@ -175,6 +203,66 @@ export class LicenseScheduler {
     };
   }
 
+  /**
+   * Other users' upcoming or running sessions booked on an owner's license,
+   * soonest first. These are the sessions that stopping sharing affects.
+   */
+  async getBorrowedSessions(ownerId: string): Promise<ScheduledSession[]> {
+    const licenseId = `byol-${ownerId}`;
+    const now = Math.floor(Date.now() / 1000);
+    const sessions = await this.dynamoManager.getSessionsInTimeRange(
+      now,
+      Number.MAX_SAFE_INTEGER
+    );
+
+    return sessions
+      .filter(
+        (session) =>
+          session.licenseId === licenseId &&
+          session.userId !== ownerId &&
+          (session.status === "scheduled" || session.status === "active") &&
+          session.endTime > now
+      )
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * A borrowed license can stop being shared after a session was booked on
+   * it. Moves such sessions to another free license; false if there is none.
+   */
+  private async ensureLicenseStillShared(
+    session: ScheduledSession
+  ): Promise<boolean> {
+    if (session.licenseType !== "pooled" || !session.licenseId) return true;
+
+    const license = await this.dynamoManager.getLicensePool(session.licenseId);
+    if (license?.isActive) return true;
+
+    const availability = await this.checkPooledLicenseAvailability(
+      session.startTime,
+      session.endTime,
+      session.userId
+    );
+    const licenseId = availability.availableLicenses?.[0];
+    if (!licenseId) return false;
+
+    console.log(
+      `License ${session.licenseId} is no longer shared, moving session ${session.sessionId} to ${licenseId}`
+    );
+    await this.replaceReservation(
+      session,
+      licenseId,
+      session.startTime,
+      session.endTime
+    );
+    await this.dynamoManager.updateScheduledSession(session.sessionId, {
+      licenseId,
+      updatedAt: Math.floor(Date.now() / 1000),
+    });
+    session.licenseId = licenseId;
+    return true;
+  }
+
   /**
    * Schedule a session and handle license conflicts
    */
@@ -187,6 +275,13 @@ export class LicenseScheduler {
     const sessionId = uuidv4();
     const now = Math.floor(Date.now() / 1000);
 
+    if (
+      request.bookingWindowEnd &&
+      request.startTime > request.bookingWindowEnd
+    ) {
+      return { success: false, message: BOOKING_WINDOW_MESSAGE };
+    }
+
     // Check availability
     const availability = await this.checkLicenseAvailability(
       request.licenseType,
@@ -283,6 +378,12 @@ export class LicenseScheduler {
       status: "scheduled" as const,
       title: request.title,
       description: request.description,
+      // Only set for recurring series; the document client rejects undefined
+      ...(request.seriesId && {
+        seriesId: request.seriesId,
+        occurrenceIndex: request.occurrenceIndex,
+        recurrence: request.recurrence,
+      }),
       createdAt: now,
       updatedAt: now,
     };
@@ -312,6 +413,381 @@ export class LicenseScheduler {
     };
   }
 
+  /**
+   * Expand a recurring session and book every occurrence that has a free
+   * license. Conflicting occurrences are reported rather than failing the
+   * whole series. With dryRun nothing is written.
+   */
+  async scheduleRecurringSession(
+    request: ScheduleRequest & { recurrence: RecurrenceRule },
+    dryRun = false
+  ): Promise<RecurringScheduleResult> {
+    const seriesId = uuidv4();
+    const occurrences = expandRecurrence(
+      request.startTime,
+      request.endTime,
+      request.recurrence
+    );
+
+    const booked: RecurringScheduleResult["booked"] = [];
+    const conflicts: RecurringScheduleResult["conflicts"] = [];
+
+    // Sequential so each occurrence sees the reservations made before it
+    for (const occurrence of occurrences) {
+      if (dryRun) {
+        if (
+          request.bookingWindowEnd &&
+          occurrence.startTime > request.bookingWindowEnd
+        ) {
+          conflicts.push({ ...occurrence, reason: BOOKING_WINDOW_MESSAGE });
+          continue;
+        }
+
+        const availability = await this.checkLicenseAvailability(
+          request.licenseType,
+          occurrence.startTime,
+          occurrence.endTime,
+          request.preferredLicenseId,
+          request.userId
+        );
+        if (availability.available) {
+          booked.push(occurrence);
+        } else {
+          conflicts.push({
+            ...occurrence,
+            reason: "No licenses available for this occurrence",
+          });
+        }
+        continue;
+      }
+
+      const result = await this.scheduleSession({
+        ...request,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        seriesId,
+        occurrenceIndex: occurrence.occurrenceIndex,
+      });
+
+      if (result.success) {
+        booked.push({ ...occurrence, sessionId: result.sessionId });
+      } else {
+        conflicts.push({ ...occurrence, reason: result.message });
+      }
+    }
+
+    return {
+      success: booked.length > 0,
+      seriesId,
+      dryRun,
+      message:
+        booked.length === 0
+          ? "No occurrences could be booked"
+          : `${dryRun ? "Can book" : "Booked"} ${booked.length} of ${
+              occurrences.length
+            } occurrences`,
+      booked,
+      conflicts,
+    };
+  }
+
+  /**
+   * Whether a license has no other sessions or reservations overlapping the
+   * window. The session being changed is ignored so it can't block itself.
+   */
+  private async isLicenseFreeFor(
+    licenseId: string,
+    startTime: number,
+    endTime: number,
+    excludeSessionId: string
+  ): Promise<boolean> {
+    const overlaps = (item: { startTime: number; endTime: number }) =>
+      item.startTime < endTime && item.endTime > startTime;
+
+    const sessions = await this.dynamoManager.getSessionsInTimeRange(
+      startTime,
+      endTime
+    );
+    const sessionConflict = sessions.some(
+      (session) =>
+        session.sessionId !== excludeSessionId &&
+        session.licenseId === licenseId &&
+        (session.status === "scheduled" || session.status === "active") &&
+        overlaps(session)
+    );
+
+    // Reservations are indexed by start time, so look back far enough to
+    // catch ones that started earlier and are still running
+    const reservations = await this.dynamoManager.getLicenseReservations(
+      licenseId,
+      startTime - 24 * 60 * 60,
+      endTime
+    );
+    const reservationConflict = reservations.some(
+      (reservation) =>
+        reservation.sessionId !== excludeSessionId && overlaps(reservation)
+    );
+
+    return !sessionConflict && !reservationConflict;
+  }
+
+  private async replaceReservation(
+    session: ScheduledSession,
+    licenseId: string,
+    startTime: number,
+    endTime: number
+  ): Promise<void> {
+    if (session.licenseId) {
+      const reservations = await this.dynamoManager.getLicenseReservations(
+        session.licenseId,
+        session.startTime,
+        session.endTime
+      );
+      for (const reservation of reservations) {
+        if (reservation.sessionId === session.sessionId) {
+          await this.dynamoManager.cancelLicenseReservation(
+            reservation.reservationId
+          );
+        }
+      }
+    }
+
+    await this.dynamoManager.createLicenseReservation({
+      reservationId: uuidv4(),
+      licenseId,
+      sessionId: session.sessionId,
+      userId: session.userId,
+      startTime,
+      endTime,
+      status: "active",
+      createdAt: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  private async getOwnedSession(
+    sessionId: string,
+    userId: string
+  ): Promise<ScheduledSession> {
+    const session = await this.dynamoManager.getScheduledSession(sessionId);
+    if (!session || session.userId !== userId) {
+      throw new Error("Session not found");
+    }
+    return session;
+  }
+
+  /**
+   * Move a scheduled session to a new time. Keeps the current license when
+   * it's free, otherwise pooled sessions fall back to any free license.
+   */
+  async rescheduleSession(
+    sessionId: string,
+    userId: string,
+    startTime: number,
+    endTime: number,
+    bookingWindowEnd?: number
+  ): Promise<{ success: boolean; message: string; licenseId?: string }> {
+    const session = await this.getOwnedSession(sessionId, userId);
+    if (session.status !== "scheduled") {
+      return {
+        success: false,
+        message: "Only sessions that haven't started can be rescheduled",
+      };
+    }
+
+    if (bookingWindowEnd && startTime > bookingWindowEnd) {
+      return { success: false, message: BOOKING_WINDOW_MESSAGE };
+    }
+
+    let licenseId: string | undefined;
+    if (
+      session.licenseId &&
+      (await this.isLicenseFreeFor(
+        session.licenseId,
+        startTime,
+        endTime,
+        sessionId
+      ))
+    ) {
+      licenseId = session.licenseId;
+    } else if (session.licenseType === "pooled") {
+      const availability = await this.checkPooledLicenseAvailability(
+        startTime,
+        endTime,
+        userId
+      );
+      licenseId = availability.availableLicenses?.[0];
+    }
+
+    if (!licenseId) {
+      return {
+        success: false,
+        message: "No licenses available for the requested time period",
+      };
+    }
+
+    await this.replaceReservation(session, licenseId, startTime, endTime);
+    await this.dynamoManager.updateScheduledSession(sessionId, {
+      startTime,
+      endTime,
+      licenseId,
+      updatedAt: Math.floor(Date.now() / 1000),
+    });
+
+    return {
+      success: true,
+      message: "Session rescheduled successfully",
+      licenseId,
+    };
+  }
+
+  /**
+   * Push a scheduled or active session's end time back, as long as the
+   * license isn't booked for the extra time.
+   */
+  async extendSession(
+    sessionId: string,
+    userId: string,
+    hours: number
+  ): Promise<{ success: boolean; message: string; endTime?: number }> {
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 12) {
+      throw new Error("Extension must be between 0 and 12 hours");
+    }
+
+    const session = await this.getOwnedSession(sessionId, userId);
+    if (session.status !== "scheduled" && session.status !== "active") {
+      return {
+        success: false,
+        message: "Only upcoming or running sessions can be extended",
+      };
+    }
+
+    const endTime = session.endTime + Math.round(hours * 60 * 60);
+    if (
+      session.licenseId &&
+      !(await this.isLicenseFreeFor(
+        session.licenseId,
+        session.endTime,
+        endTime,
+        sessionId
+      ))
+    ) {
+      return {
+        success: false,
+        message: "The license is booked by another session in that time",
+      };
+    }
+
+    if (session.licenseId) {
+      await this.replaceReservation(
+        session,
+        session.licenseId,
+        session.startTime,
+        endTime
+      );
+    }
+    await this.dynamoManager.updateScheduledSession(sessionId, {
+      endTime,
+      updatedAt: Math.floor(Date.now() / 1000),
+    });
+
+    // Running instances shut down an hour after the session ends
+    if (session.status === "active" && session.instanceId) {
+      await this.dynamoManager.updateInstance(session.instanceId, {
+        autoShutdownAt: endTime + 60 * 60,
+        updatedAt: Math.floor(Date.now() / 1000),
+      });
+    }
+
+    return {
+      success: true,
+      message: `Session extended by ${hours} hour${hours === 1 ? "" : "s"}`,
+      endTime,
+    };
+  }
+
+  /**
+   * Push a running instance's auto-shutdown back. The license it runs on
+   * must not be reserved by another session for the extra time.
+   */
+  async extendInstanceShutdown(
+    userId: string,
+    hours: number
+  ): Promise<{ success: boolean; message: string; autoShutdownAt?: number }> {
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 4) {
+      throw new Error("Extension must be between 0 and 4 hours");
+    }
+
+    const instance = await this.dynamoManager.getInstance(userId);
+    if (!instance) {
+      throw new Error("Instance not found");
+    }
+
+    if (instance.status !== "running") {
+      return { success: false, message: "Only running instances can be extended" };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const from = Math.max(instance.autoShutdownAt || now, now);
+    const autoShutdownAt = from + Math.round(hours * 60 * 60);
+
+    if (autoShutdownAt - now > 12 * 60 * 60) {
+      return {
+        success: false,
+        message: "Instances can't be scheduled to run more than 12 hours ahead",
+      };
+    }
+
+    const licenseId =
+      instance.licenseOwnerId ||
+      (instance.licenseType === "byol" ? `byol-${userId}` : undefined);
+
+    if (
+      licenseId &&
+      !(await this.isLicenseFreeFor(
+        licenseId,
+        from,
+        autoShutdownAt,
+        instance.linkedSessionId || ""
+      ))
+    ) {
+      return {
+        success: false,
+        message:
+          "Another session has reserved this license for that time, so the instance can't run longer",
+      };
+    }
+
+    await this.dynamoManager.updateInstance(userId, {
+      autoShutdownAt,
+      updatedAt: now,
+    });
+
+    // Keep the linked session's booking in step so others see the license in use
+    if (instance.linkedSessionId && licenseId) {
+      const session = await this.dynamoManager.getScheduledSession(
+        instance.linkedSessionId
+      );
+      if (session?.status === "active" && session.endTime < autoShutdownAt) {
+        await this.replaceReservation(
+          session,
+          licenseId,
+          session.startTime,
+          autoShutdownAt
+        );
+        await this.dynamoManager.updateScheduledSession(session.sessionId, {
+          endTime: autoShutdownAt,
+          updatedAt: now,
+        });
+      }
+    }
+
+    return {
+      success: true,
+      message: `Auto-shutdown extended by ${hours} hour${hours === 1 ? "" : "s"}`,
+      autoShutdownAt,
+    };
+  }
+
   /**
    * Shutdown an instance to make room for a scheduled session
    */
@@ -378,6 +854,14 @@ export class LicenseScheduler {
         };
       }
 
+      if (!(await this.ensureLicenseStillShared(session))) {
+        return {
+          success: false,
+          message:
+            "The license booked for this session is no longer shared and no other license is free",
+        };
+      }
+
       // If instance is already running, stop it first to properly configure it for the scheduled session
       if (instance.status === "running") {
         console.log(
@@ -470,6 +954,9 @@ export class LicenseScheduler {
         };
       }
 
+      // Foundry must not start on files that are being backed up or restored
+      await this.versionSwitchManager?.checkNotInProgress(instance);
+
       // For pooled instances with dynamic license assignment, we need to update credentials
       console.log(
         `Starting pooled instance for session. Instance licenseType: ${instance.licenseType}, session.licenseId: ${session.licenseId}, instance.licenseOwnerId: ${instance.licenseOwnerId}`
@@ -0,0 +1,162 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+  BatchWriteCommand,
+  BatchWriteCommandInput,
+  BatchWriteCommandOutput,
+} from "@aws-sdk/lib-dynamodb";
+import { randomUUID } from "crypto";
+
+export type NotificationType =
+  | "session-ready"
+  | "session-failed"
+  | "instance-shutdown"
+  | "auto-shutdown-warning";
+
+export interface Notification {
+  queue: string; // Partition key, one queue per consumer
+  eventId: string; // Sort key, `<ms timestamp>#<uuid>` so events sort by time
+  type: NotificationType;
+  userId: string;
+  createdAt: number;
+  expiresAt: number; // DynamoDB TTL for events nobody acknowledged
+  message?: string;
+  reason?: string;
+  sessionId?: string;
+  sessionTitle?: string;
+  startTime?: number;
+  endTime?: number;
+  licenseType?: string;
+  instanceUrl?: string;
+  autoShutdownAt?: number;
+  minutesLeft?: number;
+}
+
+export type NotificationData = Omit<
+  Notification,
+  "queue" | "eventId" | "type" | "userId" | "createdAt" | "expiresAt"
+>;
+
+const DISCORD_QUEUE = "discord";
+const EVENT_TTL = 24 * 60 * 60; // Unconsumed events are dropped after a day
+const MAX_BATCH_SIZE = 25; // DynamoDB BatchWrite limit
+
+/**
+ * Events for the Discord bot. The Lambda publishes, the bot reads pending
+ * events in order and acknowledges (deletes) the ones it has handled.
+ *
+ * Set DYNAMODB_ENDPOINT to run against DynamoDB Local.
+ */
+export class NotificationQueue {
+  private docClient: DynamoDBDocumentClient;
+
+  constructor(private tableName: string, docClient?: DynamoDBDocumentClient) {
+    this.docClient =
+      docClient ||
+      DynamoDBDocumentClient.from(
+        new DynamoDBClient({
+          region: process.env.AWS_REGION || "us-east-1",
+          endpoint: process.env.DYNAMODB_ENDPOINT,
+        }),
+        { marshallOptions: { removeUndefinedValues: true } }
+      );
+  }
+
+  /**
+   * Publish an event. Failures are logged rather than thrown so a missed
+   * notification never breaks the shutdown or session flow that raised it.
+   */
+  async publish(
+    type: NotificationType,
+    userId: string,
+    data: NotificationData = {}
+  ): Promise<Notification | null> {
+    const now = Date.now();
+    const notification: Notification = {
+      ...data,
+      queue: DISCORD_QUEUE,
+      eventId: `${String(now).padStart(13, "0")}#${randomUUID()}`,
+      type,
+      userId,
+      createdAt: Math.floor(now / 1000),
+      expiresAt: Math.floor(now / 1000) + EVENT_TTL,
+    };
+
+    try {
+      await this.docClient.send(
+        new PutCommand({ TableName: this.tableName, Item: notification })
+      );
+      console.log(`📢 Queued ${type} notification for user ${userId}`);
+      return notification;
+    } catch (error) {
+      console.error(`Failed to queue ${type} notification:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Pending events oldest first. Pass the last eventId of the previous page
+   * as `after` to continue reading within one poll.
+   */
+  async fetchPending(
+    limit = MAX_BATCH_SIZE,
+    after?: string
+  ): Promise<{ notifications: Notification[]; hasMore: boolean }> {
+    const response = await this.docClient.send(
+      new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: after
+          ? "#queue = :queue AND eventId > :after"
+          : "#queue = :queue",
+        ExpressionAttributeNames: { "#queue": "queue" },
+        ExpressionAttributeValues: {
+          ":queue": DISCORD_QUEUE,
+          ...(after && { ":after": after }),
+        },
+        ScanIndexForward: true,
+        Limit: Math.min(Math.max(limit, 1), 100),
+      })
+    );
+
+    return {
+      notifications: (response.Items as Notification[]) || [],
+      hasMore: !!response.LastEvaluatedKey,
+    };
+  }
+
+  async acknowledge(eventIds: string[]): Promise<number> {
+    for (let i = 0; i < eventIds.length; i += MAX_BATCH_SIZE) {
+      let requestItems: BatchWriteCommandInput["RequestItems"] = {
+        [this.tableName]: eventIds
+          .slice(i, i + MAX_BATCH_SIZE)
+          .map((eventId) => ({
+            DeleteRequest: { Key: { queue: DISCORD_QUEUE, eventId } },
+          })),
+      };
+
+      // Retry throttled deletes so handled events aren't delivered twice
+      for (let attempt = 0; attempt < 3 && requestItems; attempt++) {
+        const response: BatchWriteCommandOutput = await this.docClient.send(
+          new BatchWriteCommand({ RequestItems: requestItems })
+        );
+        requestItems =
+          response.UnprocessedItems &&
+          Object.keys(response.UnprocessedItems).length > 0
+            ? response.UnprocessedItems
+            : undefined;
+      }
+
+      // Surface it so the bot keeps the events marked as handled and retries
+      if (requestItems) {
+        const pending = requestItems[this.tableName]?.length ?? 0;
+        throw new Error(
+          `Failed to acknowledge ${pending} notification(s) after retries`
+        );
+      }
+    }
+
+    return eventIds.length;
+  }
+}
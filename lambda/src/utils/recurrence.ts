@@ -0,0 +1,196 @@
+export type RecurrenceFrequency = "weekly" | "biweekly" | "monthly";
+
+export interface RecurrenceRule {
+  frequency: RecurrenceFrequency;
+  timeZone: string; // IANA zone the session's wall-clock time is pinned to
+  count?: number; // Number of occurrences including the first
+  until?: number; // Unix timestamp, last occurrence may start at or before it
+}
+
+export interface Occurrence {
+  occurrenceIndex: number;
+  startTime: number;
+  endTime: number;
+}
+
+export const MAX_OCCURRENCES = 26;
+const MAX_SERIES_SPAN = 366 * 24 * 60 * 60; // One year
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+interface WallClock {
+  year: number;
+  month: number; // 1-12
+  day: number;
+  hour: number;
+  minute: number;
+}
+
+function getZonedParts(date: Date, timeZone: string): WallClock {
+  const parts: Record<string, string> = {};
+  for (const { type, value } of new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+  };
+}
+
+function getOffsetMs(date: Date, timeZone: string): number {
+  const p = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return wallClock - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// Wall-clock time in a zone to epoch ms; a second pass settles DST edges
+function zonedTimeToMs(clock: WallClock, timeZone: string): number {
+  const wallClock = Date.UTC(
+    clock.year,
+    clock.month - 1,
+    clock.day,
+    clock.hour,
+    clock.minute
+  );
+  const firstGuess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  return wallClock - getOffsetMs(new Date(firstGuess), timeZone);
+}
+
+function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function validateRecurrenceRule(
+  rule: RecurrenceRule,
+  startTime: number
+): void {
+  if (!["weekly", "biweekly", "monthly"].includes(rule.frequency)) {
+    throw new Error(`Invalid recurrence frequency: ${rule.frequency}`);
+  }
+
+  if (!rule.timeZone || !isValidTimeZone(rule.timeZone)) {
+    throw new Error(`Invalid recurrence timezone: ${rule.timeZone}`);
+  }
+
+  if (rule.count === undefined && rule.until === undefined) {
+    throw new Error("Recurrence needs either an occurrence count or an end date");
+  }
+
+  if (
+    rule.count !== undefined &&
+    (!Number.isInteger(rule.count) ||
+      rule.count < 2 ||
+      rule.count > MAX_OCCURRENCES)
+  ) {
+    throw new Error(
+      `Occurrence count must be between 2 and ${MAX_OCCURRENCES}`
+    );
+  }
+
+  if (rule.until !== undefined) {
+    if (rule.until <= startTime) {
+      throw new Error("Recurrence end date must be after the first session");
+    }
+    if (rule.until - startTime > MAX_SERIES_SPAN) {
+      throw new Error("Recurring series can span at most one year");
+    }
+  }
+}
+
+/**
+ * Find the nth weekday of a month (nth = 5 means the last one), matching
+ * "every 2nd Friday" style monthly campaigns.
+ */
+function nthWeekdayOfMonth(
+  year: number,
+  month: number,
+  weekday: number,
+  nth: number
+): number {
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  let day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+  while (day > daysInMonth) day -= 7;
+  return day;
+}
+
+/**
+ * Expand a recurring session into concrete occurrences. The wall-clock time
+ * is kept in the rule's timezone so sessions don't drift across DST changes.
+ */
+export function expandRecurrence(
+  startTime: number,
+  endTime: number,
+  rule: RecurrenceRule
+): Occurrence[] {
+  validateRecurrenceRule(rule, startTime);
+
+  const duration = endTime - startTime;
+  const first = getZonedParts(new Date(startTime * 1000), rule.timeZone);
+  const firstDate = Date.UTC(first.year, first.month - 1, first.day);
+  const weekday = new Date(firstDate).getUTCDay();
+  // A first session in the last 7 days of its month repeats on the last weekday
+  const daysInFirstMonth = new Date(
+    Date.UTC(first.year, first.month, 0)
+  ).getUTCDate();
+  const nth =
+    first.day + 7 > daysInFirstMonth ? 5 : Math.ceil(first.day / 7);
+
+  const maxCount = rule.count ?? MAX_OCCURRENCES;
+  const until = rule.until ?? startTime + MAX_SERIES_SPAN;
+  const occurrences: Occurrence[] = [];
+
+  for (let i = 0; occurrences.length < maxCount; i++) {
+    let calendarDate: Date;
+    if (rule.frequency === "monthly") {
+      const monthIndex = first.month - 1 + i;
+      const year = first.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      calendarDate = new Date(
+        Date.UTC(year, month - 1, nthWeekdayOfMonth(year, month, weekday, nth))
+      );
+    } else {
+      const stepDays = rule.frequency === "weekly" ? 7 : 14;
+      calendarDate = new Date(firstDate + i * stepDays * DAY_MS);
+    }
+
+    const occurrenceStart = Math.floor(
+      zonedTimeToMs(
+        {
+          year: calendarDate.getUTCFullYear(),
+          month: calendarDate.getUTCMonth() + 1,
+          day: calendarDate.getUTCDate(),
+          hour: first.hour,
+          minute: first.minute,
+        },
+        rule.timeZone
+      ) / 1000
+    );
+
+    if (occurrenceStart > until) break;
+
+    occurrences.push({
+      occurrenceIndex: occurrences.length,
+      startTime: occurrenceStart,
+      endTime: occurrenceStart + duration,
+    });
+  }
+
+  return occurrences;
+}
@@ -13,6 +13,9 @@ import {
   PutBucketOwnershipControlsCommand,
 } from "@aws-sdk/client-s3";
 
+// Instance data snapshots, kept out of the bucket's public read access
+export const BACKUP_PREFIX = "backups/";
+
 export class S3Manager {
   private s3: S3Client;
   private region: string;
@@ -138,7 +141,10 @@ export class S3Manager {
     await this.s3.send(command);
   }
 
-  private async configureBucketPolicy(bucketName: string): Promise<void> {
+  // Public read for Foundry assets, except instance backups under backups/,
+  // which only this account's roles can read. Also applied before each
+  // backup so buckets created earlier stop sharing them.
+  async configureBucketPolicy(bucketName: string): Promise<void> {
     const policy = {
       Version: "2012-10-17",
       Statement: [
@@ -146,7 +152,7 @@ export class S3Manager {
           Sid: "PublicReadGetObject",
           Action: "s3:GetObject",
           Effect: "Allow",
-          Resource: `arn:aws:s3:::${bucketName}/*`,
+          NotResource: `arn:aws:s3:::${bucketName}/${BACKUP_PREFIX}*`,
           Principal: "*",
         },
       ],
@@ -192,6 +198,31 @@ export class S3Manager {
     await this.s3.send(command);
   }
 
+  /**
+   * Permanently deletes a backup. The bucket is versioned, so every version
+   * of the key goes, not just the current one.
+   */
+  async deleteBackup(bucketName: string, key: string): Promise<void> {
+    const response = await this.s3.send(
+      new ListObjectVersionsCommand({ Bucket: bucketName, Prefix: key })
+    );
+    const objects = [
+      ...(response.Versions || []),
+      ...(response.DeleteMarkers || []),
+    ]
+      .filter((version) => version.Key === key)
+      .map((version) => ({ Key: key, VersionId: version.VersionId }));
+
+    if (objects.length === 0) return;
+    await this.s3.send(
+      new DeleteObjectsCommand({
+        Bucket: bucketName,
+        Delete: { Objects: objects },
+      })
+    );
+    console.log(`Deleted backup ${key} from ${bucketName}`);
+  }
+
   async deleteFoundryBucket(bucketName: string): Promise<void> {
     console.log(`Deleting S3 bucket: ${bucketName}`);
 
@@ -0,0 +1,36 @@
+// Perks of the caller's highest supporter tier, resolved by the Discord bot
+// from the member's roles and sent along with start and scheduling requests
+export interface SupporterPerks {
+  tierName?: string;
+  maxRuntimeHours?: number; // On-demand runtime before auto-shutdown
+  priorityScheduling?: boolean; // Not limited by BOOKING_WINDOW_DAYS
+}
+
+export const DEFAULT_RUNTIME_HOURS = 6;
+const MAX_RUNTIME_HOURS = 12;
+
+/**
+ * On-demand runtime in hours. Tier values are clamped so a misconfigured tier
+ * can't keep an instance running indefinitely or shorten it below the default.
+ */
+export function getRuntimeHours(perks?: SupporterPerks): number {
+  const hours = perks?.maxRuntimeHours;
+  if (!Number.isFinite(hours)) return DEFAULT_RUNTIME_HOURS;
+  return Math.min(Math.max(hours!, DEFAULT_RUNTIME_HOURS), MAX_RUNTIME_HOURS);
+}
+
+/**
+ * Latest start time the caller may book, or undefined when unlimited.
+ * BOOKING_WINDOW_DAYS is unset by default, so nobody is limited until an
+ * operator opts in; priority scheduling always skips the limit.
+ */
+export function getBookingWindowEnd(
+  perks?: SupporterPerks,
+  now = Math.floor(Date.now() / 1000)
+): number | undefined {
+  const days = parseFloat(process.env.BOOKING_WINDOW_DAYS || "");
+  if (!Number.isFinite(days) || days <= 0 || perks?.priorityScheduling) {
+    return undefined;
+  }
+  return now + Math.round(days * 24 * 60 * 60);
+}
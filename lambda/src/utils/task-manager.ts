@@ -59,7 +59,7 @@ export class TaskManager {
     throw new Error(`Private IP not found for task ${taskArn}`);
   }
 
-  private async getTaskDetails(taskArn: string): Promise<Task | null> {
+  async getTaskDetails(taskArn: string): Promise<Task | null> {
     try {
       const command = new DescribeTasksCommand({
         cluster: this.clusterName,
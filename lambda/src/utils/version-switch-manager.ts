@@ -0,0 +1,220 @@
+import {
+  DynamoDBManager,
+  FoundryInstance,
+  VersionSwitch,
+} from "./dynamodb-manager";
+import { ECSManager } from "./ecs-manager";
+import { EFSManager } from "./efs-manager";
+import { S3Manager, BACKUP_PREFIX } from "./s3-manager";
+
+/**
+ * Version switches and rollbacks. With an S3 bucket, the data is backed up
+ * (or restored) by an ECS task that can run longer than the Lambda, so the
+ * task is started and recorded on the instance as `versionSwitch`. The
+ * version changes in settle() once the task has succeeded; status checks
+ * call it, so the bot sees the result by polling the instance status.
+ * startSwitch and startRollback expect an instance that has been settled.
+ */
+export class VersionSwitchManager {
+  constructor(
+    private dynamoManager: DynamoDBManager,
+    private ecsManager: ECSManager,
+    private efsManager: EFSManager,
+    private s3Manager: S3Manager
+  ) {}
+
+  async startSwitch(
+    instance: FoundryInstance,
+    foundryVersion: string
+  ): Promise<{ pending: boolean; previousVersion: string }> {
+    const previousVersion = instance.foundryVersion || "13";
+    this.checkCanChangeFiles(instance);
+
+    // v11 and v12 run as a different user, so the files change owner
+    const needsPermissionReset =
+      (foundryVersion.startsWith("11") || foundryVersion.startsWith("12")) &&
+      !(previousVersion.startsWith("11") || previousVersion.startsWith("12"));
+
+    if (!instance.s3BucketName) {
+      console.log(
+        `No S3 bucket for ${instance.userId}, switching version without a backup`
+      );
+      if (needsPermissionReset) {
+        try {
+          await this.efsManager.resetPermissionsForVersionSwitch(
+            instance.accessPointId,
+            instance.userId,
+            this.ecsManager,
+            foundryVersion
+          );
+        } catch (error) {
+          console.error(`Failed to reset permissions:`, error);
+          // Continue with version update even if permission reset fails
+          // User can manually recreate instance if needed
+        }
+      }
+
+      // An older backup would roll back past this switch
+      await this.dynamoManager.updateInstance(instance.userId, {
+        foundryVersion,
+        versionBackup: undefined,
+        versionSwitch: undefined,
+        updatedAt: Math.floor(Date.now() / 1000),
+      });
+      return { pending: false, previousVersion };
+    }
+
+    const startedAt = Math.floor(Date.now() / 1000);
+    const s3Key = `${BACKUP_PREFIX}version-switch/${startedAt}-v${previousVersion}.tar.gz`;
+
+    // Buckets created before backups existed still make everything public
+    await this.s3Manager.configureBucketPolicy(instance.s3BucketName);
+    const taskArn = await this.efsManager.startBackupToS3(
+      instance.userId,
+      this.ecsManager,
+      `s3://${instance.s3BucketName}/${s3Key}`,
+      needsPermissionReset
+        ? EFSManager.getOwnerForVersion(foundryVersion)
+        : undefined
+    );
+
+    await this.record(instance.userId, {
+      operation: "switch",
+      state: "running",
+      fromVersion: previousVersion,
+      toVersion: foundryVersion,
+      s3Key,
+      taskArn,
+      startedAt,
+    });
+    return { pending: true, previousVersion };
+  }
+
+  async startRollback(
+    instance: FoundryInstance
+  ): Promise<NonNullable<FoundryInstance["versionBackup"]>> {
+    const backup = instance.versionBackup;
+    if (!backup) {
+      throw new Error("No version switch backup to roll back to");
+    }
+    if (!instance.s3BucketName) {
+      throw new Error("Instance has no S3 bucket to restore from");
+    }
+    this.checkCanChangeFiles(instance);
+
+    const fromVersion = instance.foundryVersion || "13";
+    console.log(
+      `Rolling back ${instance.userId} from v${fromVersion} to v${backup.version} using ${backup.s3Key}`
+    );
+
+    const taskArn = await this.efsManager.startRestoreFromS3(
+      instance.userId,
+      this.ecsManager,
+      `s3://${instance.s3BucketName}/${backup.s3Key}`,
+      backup.version
+    );
+
+    await this.record(instance.userId, {
+      operation: "rollback",
+      state: "running",
+      fromVersion,
+      toVersion: backup.version,
+      s3Key: backup.s3Key,
+      taskArn,
+      startedAt: Math.floor(Date.now() / 1000),
+    });
+    return backup;
+  }
+
+  /**
+   * Applies the result of a finished backup or restore task and returns the
+   * instance as it is now. Unchanged while the task is still running.
+   */
+  async settle(instance: FoundryInstance): Promise<FoundryInstance> {
+    const current = instance.versionSwitch;
+    if (current?.state !== "running") return instance;
+
+    const outcome = await this.efsManager.getTaskOutcome(current.taskArn);
+    if (outcome.state === "running") return instance;
+
+    let updates: Partial<FoundryInstance>;
+    // Only the latest backup can be rolled back to, so the others go
+    let unusedBackup: string | undefined;
+    if (outcome.state === "failed") {
+      console.error(
+        `Version ${current.operation} for ${instance.userId} failed: ${outcome.reason}`
+      );
+      // The version is left alone; a failed restore can be retried since
+      // the backup is kept
+      updates = {
+        versionSwitch: { ...current, state: "failed", error: outcome.reason },
+      };
+      if (current.operation === "switch") unusedBackup = current.s3Key;
+    } else if (current.operation === "switch") {
+      updates = {
+        foundryVersion: current.toVersion,
+        versionBackup: {
+          version: current.fromVersion,
+          s3Key: current.s3Key,
+          createdAt: current.startedAt,
+        },
+        versionSwitch: undefined,
+      };
+      unusedBackup = instance.versionBackup?.s3Key;
+    } else {
+      updates = {
+        foundryVersion: current.toVersion,
+        versionBackup: undefined,
+        versionSwitch: undefined,
+      };
+      unusedBackup = current.s3Key;
+    }
+
+    updates.updatedAt = Math.floor(Date.now() / 1000);
+    await this.dynamoManager.updateInstance(instance.userId, updates);
+    console.log(
+      `Version ${current.operation} for ${instance.userId} ${outcome.state}`
+    );
+
+    if (unusedBackup && instance.s3BucketName) {
+      try {
+        await this.s3Manager.deleteBackup(instance.s3BucketName, unusedBackup);
+      } catch (error) {
+        console.error(`Failed to delete backup ${unusedBackup}:`, error);
+      }
+    }
+    return { ...instance, ...updates };
+  }
+
+  // For anything that starts Foundry or touches its files
+  async checkNotInProgress(instance: FoundryInstance): Promise<void> {
+    VersionSwitchManager.checkIdle(await this.settle(instance));
+  }
+
+  private static checkIdle(instance: FoundryInstance): void {
+    if (instance.versionSwitch?.state === "running") {
+      throw new Error(
+        instance.versionSwitch.operation === "switch"
+          ? "Your data is still being backed up for a version switch, try again in a few minutes"
+          : "Your data is still being restored from a backup, try again in a few minutes"
+      );
+    }
+  }
+
+  // Foundry must not be writing to the files while they are copied
+  private checkCanChangeFiles(instance: FoundryInstance): void {
+    VersionSwitchManager.checkIdle(instance);
+    if (instance.status !== "stopped" && instance.status !== "created") {
+      throw new Error(
+        "Stop your instance before switching or rolling back versions"
+      );
+    }
+  }
+
+  private async record(userId: string, versionSwitch: VersionSwitch) {
+    await this.dynamoManager.updateInstance(userId, {
+      versionSwitch,
+      updatedAt: Math.floor(Date.now() / 1000),
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getSwitchBlocker,
+  isValidFoundryVersion,
+  VersionRules,
+} from "../src/utils/foundry-versions";
+
+const rules: VersionRules = {
+  minimumVersion: "12",
+  majors: { release: 13, latest: 14 },
+};
+
+describe("getSwitchBlocker", () => {
+  it("allows upgrades and switches within a major", () => {
+    assert.equal(getSwitchBlocker("12", "13", rules), null);
+    assert.equal(getSwitchBlocker("13", "13.346.0", rules), null);
+    assert.equal(getSwitchBlocker("release", "latest", rules), null);
+  });
+
+  it("blocks major downgrades, with or without rules", () => {
+    assert.match(getSwitchBlocker("13", "12", rules)!, /migrated to v13/);
+    assert.match(getSwitchBlocker("13.346.0", "12")!, /migrated to v13/);
+    assert.match(getSwitchBlocker("latest", "release", rules)!, /v14/);
+  });
+
+  it("needs the rules to switch to a floating tag", () => {
+    assert.match(
+      getSwitchBlocker("13", "release")!,
+      /Unknown major version for release/
+    );
+    // An unresolved current tag can't be compared, so it isn't
+    assert.equal(getSwitchBlocker("release", "12"), null);
+  });
+
+  it("rejects versions below the minimum", () => {
+    assert.match(getSwitchBlocker("13", "11", rules)!, /older than v12/);
+    assert.match(
+      getSwitchBlocker("11", "13.339", { minimumVersion: "13.340" })!,
+      /older than v13.340/
+    );
+    assert.equal(getSwitchBlocker("11", "12"), null);
+  });
+});
+
+describe("isValidFoundryVersion", () => {
+  it("accepts floating tags, majors and builds only", () => {
+    for (const tag of ["release", "latest", "13", "13.346", "13.346.0"]) {
+      assert.equal(isValidFoundryVersion(tag), true, tag);
+    }
+    for (const tag of ["v13", "13.346.0.1", "stable", ""]) {
+      assert.equal(isValidFoundryVersion(tag), false, tag);
+    }
+  });
+});
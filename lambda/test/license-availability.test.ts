@@ -0,0 +1,170 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startLocalDynamoDB, LocalDynamoDB } from "./local-dynamodb";
+import {
+  DynamoDBManager,
+  FoundryInstance,
+  ScheduledSession,
+} from "../src/utils/dynamodb-manager";
+import { LicenseScheduler } from "../src/utils/license-scheduler";
+import { ECSManager } from "../src/utils/ecs-manager";
+import { SecretsManager } from "../src/utils/secrets-manager";
+
+const TABLE = "test-instances";
+const START = 1_900_000_000;
+const END = START + 4 * 60 * 60;
+
+function instance(userId: string, extra: Partial<FoundryInstance> = {}) {
+  return {
+    userId,
+    sanitizedUsername: `user${userId}`,
+    status: "stopped",
+    accessPointId: "fsap-test",
+    adminKey: "key",
+    createdAt: START,
+    updatedAt: START,
+    ...extra,
+  };
+}
+
+function license(ownerId: string) {
+  return {
+    licenseId: `byol-${ownerId}`,
+    ownerId,
+    ownerUsername: `user${ownerId}`,
+    maxConcurrentUsers: 1,
+    isActive: true,
+    createdAt: START,
+    updatedAt: START,
+  };
+}
+
+function session(sessionId: string, licenseId: string): ScheduledSession {
+  return {
+    sessionId,
+    userId: "900",
+    username: "booker",
+    licenseType: "pooled",
+    licenseId,
+    startTime: START,
+    endTime: END,
+    status: "scheduled",
+    createdAt: START,
+    updatedAt: START,
+  } as ScheduledSession;
+}
+
+describe("pooled license availability", () => {
+  let db: LocalDynamoDB;
+  let dynamoManager: DynamoDBManager;
+  let scheduler: LicenseScheduler;
+
+  before(async () => {
+    db = await startLocalDynamoDB();
+    await db.createTable(TABLE, "userId");
+    await db.createTable(`${TABLE}-license-pool`, "licenseId");
+    await db.createTable(`${TABLE}-scheduled-sessions`, "sessionId");
+    await db.createTable(`${TABLE}-license-reservations`, "reservationId", {
+      numberAttributes: ["startTime"],
+      indexes: [
+        {
+          name: "licenseId-startTime-index",
+          hashKey: "licenseId",
+          rangeKey: "startTime",
+        },
+      ],
+    });
+
+    // 101 is free, 102 is booked, 103 stops sharing after its sessions
+    for (const ownerId of ["101", "102", "103"]) {
+      await db.put(`${TABLE}-license-pool`, license(ownerId));
+    }
+    await db.put(TABLE, instance("101"));
+    await db.put(TABLE, instance("102"));
+    await db.put(TABLE, instance("103", { stopSharingAfterSessions: true }));
+    await db.put(`${TABLE}-scheduled-sessions`, session("booked", "byol-102"));
+
+    dynamoManager = new DynamoDBManager(TABLE);
+    scheduler = new LicenseScheduler(
+      dynamoManager,
+      {} as ECSManager,
+      {} as SecretsManager
+    );
+  });
+
+  after(() => db.stop());
+
+  it("offers free licenses whose owners still take bookings", async () => {
+    const availability = await scheduler.checkLicenseAvailability(
+      "pooled",
+      START,
+      END,
+      undefined,
+      "900"
+    );
+
+    assert.deepEqual(availability.availableLicenses, ["byol-101"]);
+    assert.equal(availability.available, true);
+  });
+
+  it("looks up many instances in one call", async () => {
+    const instances = await dynamoManager.getInstances([
+      "101",
+      "103",
+      "101",
+      "missing",
+    ]);
+
+    assert.deepEqual([...instances.keys()].sort(), ["101", "103"]);
+    assert.equal(instances.get("103")?.stopSharingAfterSessions, true);
+  });
+});
+
+describe("DynamoDBManager.getSessionsInTimeRange", () => {
+  const withPages = (pages: (() => any)[]) => {
+    const manager = new DynamoDBManager(TABLE);
+    const requests: any[] = [];
+    (manager as any).docClient = {
+      send: async (command: any) => {
+        requests.push(command.input);
+        return pages[requests.length - 1]();
+      },
+    };
+    return { manager, requests };
+  };
+
+  it("follows LastEvaluatedKey through every page", async () => {
+    const { manager, requests } = withPages([
+      () => ({
+        Items: [session("a", "x")],
+        LastEvaluatedKey: { sessionId: "a" },
+      }),
+      () => ({ Items: [], LastEvaluatedKey: { sessionId: "b" } }),
+      () => ({ Items: [session("c", "x")] }),
+    ]);
+
+    const sessions = await manager.getSessionsInTimeRange(START, END);
+
+    assert.deepEqual(
+      sessions.map((s) => s.sessionId),
+      ["a", "c"]
+    );
+    assert.deepEqual(
+      requests.map((input) => input.ExclusiveStartKey),
+      [undefined, { sessionId: "a" }, { sessionId: "b" }]
+    );
+  });
+
+  it("fails instead of reporting no sessions", async () => {
+    const { manager } = withPages([
+      () => {
+        throw new Error("ProvisionedThroughputExceededException");
+      },
+    ]);
+
+    await assert.rejects(
+      manager.getSessionsInTimeRange(START, END),
+      /ProvisionedThroughputExceededException/
+    );
+  });
+});
@@ -0,0 +1,86 @@
+import { AddressInfo } from "node:net";
+import dynalite from "dynalite";
+import {
+  DynamoDBClient,
+  CreateTableCommand,
+  KeySchemaElement,
+} from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand } from "@aws-sdk/lib-dynamodb";
+
+/**
+ * In-process DynamoDB stand-in (dynalite). Code under test reaches it through
+ * DYNAMODB_ENDPOINT, so start it before constructing managers.
+ */
+export async function startLocalDynamoDB() {
+  const server = dynalite({ createTableMs: 0, deleteTableMs: 0 });
+  await new Promise<void>((resolve) => server.listen(0, () => resolve()));
+
+  const { port } = server.address() as AddressInfo;
+  const endpoint = `http://127.0.0.1:${port}`;
+  process.env.DYNAMODB_ENDPOINT = endpoint;
+  process.env.AWS_REGION ??= "us-east-1";
+  // Any credentials will do, but the SDK insists on some
+  process.env.AWS_ACCESS_KEY_ID ??= "local";
+  process.env.AWS_SECRET_ACCESS_KEY ??= "local";
+
+  const client = new DynamoDBClient({ endpoint });
+  const docClient = DynamoDBDocumentClient.from(client);
+
+  return {
+    endpoint,
+
+    // Attributes are strings unless listed in numberAttributes
+    async createTable(
+      tableName: string,
+      hashKey: string,
+      options: {
+        rangeKey?: string;
+        numberAttributes?: string[];
+        indexes?: { name: string; hashKey: string; rangeKey?: string }[];
+      } = {}
+    ) {
+      const keySchema = (hash: string, range?: string): KeySchemaElement[] => [
+        { AttributeName: hash, KeyType: "HASH" },
+        ...(range ? [{ AttributeName: range, KeyType: "RANGE" as const }] : []),
+      ];
+      const attributes = new Set([hashKey, options.rangeKey]);
+      for (const index of options.indexes || []) {
+        attributes.add(index.hashKey);
+        attributes.add(index.rangeKey);
+      }
+
+      await client.send(
+        new CreateTableCommand({
+          TableName: tableName,
+          BillingMode: "PAY_PER_REQUEST",
+          KeySchema: keySchema(hashKey, options.rangeKey),
+          AttributeDefinitions: [...attributes]
+            .filter((name): name is string => Boolean(name))
+            .map((name) => ({
+              AttributeName: name,
+              AttributeType: options.numberAttributes?.includes(name)
+                ? "N"
+                : "S",
+            })),
+          GlobalSecondaryIndexes: options.indexes?.map((index) => ({
+            IndexName: index.name,
+            KeySchema: keySchema(index.hashKey, index.rangeKey),
+            Projection: { ProjectionType: "ALL" },
+          })),
+        })
+      );
+    },
+
+    async put(tableName: string, item: Record<string, any>) {
+      await docClient.send(
+        new PutCommand({ TableName: tableName, Item: item })
+      );
+    },
+
+    stop() {
+      return new Promise<void>((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+export type LocalDynamoDB = Awaited<ReturnType<typeof startLocalDynamoDB>>;
@@ -0,0 +1,84 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startLocalDynamoDB, LocalDynamoDB } from "./local-dynamodb";
+import { NotificationQueue } from "../src/utils/notification-queue";
+
+describe("NotificationQueue", () => {
+  let db: LocalDynamoDB;
+  let queue: NotificationQueue;
+  let tableCount = 0;
+
+  before(async () => {
+    db = await startLocalDynamoDB();
+    mock.method(console, "log", () => {}); // "📢 Queued ..." per publish
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.stop();
+  });
+
+  // A fresh table per test keeps the queues independent
+  beforeEach(async () => {
+    const table = `test-notifications-${++tableCount}`;
+    await db.createTable(table, "queue", { rangeKey: "eventId" });
+    queue = new NotificationQueue(table);
+  });
+
+  it("returns published events oldest first", async () => {
+    const first = await queue.publish("instance-shutdown", "1", {
+      reason: "idle",
+    });
+    const second = await queue.publish("session-ready", "2", {
+      sessionTitle: "Campaign",
+    });
+
+    const { notifications, hasMore } = await queue.fetchPending();
+
+    assert.equal(hasMore, false);
+    assert.deepEqual(
+      notifications.map((n) => n.eventId),
+      [first!.eventId, second!.eventId]
+    );
+    assert.equal(notifications[0].reason, "idle");
+    assert.equal(notifications[1].sessionTitle, "Campaign");
+  });
+
+  it("pages with the last eventId as cursor", async () => {
+    for (let i = 0; i < 5; i++) {
+      await queue.publish("instance-shutdown", String(i));
+    }
+
+    const page1 = await queue.fetchPending(3);
+    const page2 = await queue.fetchPending(3, page1.notifications[2].eventId);
+
+    assert.equal(page1.hasMore, true);
+    assert.deepEqual(
+      [...page1.notifications, ...page2.notifications].map((n) => n.userId),
+      ["0", "1", "2", "3", "4"]
+    );
+  });
+
+  it("stops delivering acknowledged events", async () => {
+    const events = [];
+    // More than one BatchWrite worth
+    for (let i = 0; i < 30; i++) {
+      events.push(await queue.publish("instance-shutdown", String(i)));
+    }
+
+    const acked = events.slice(0, 27).map((e) => e!.eventId);
+    assert.equal(await queue.acknowledge(acked), 27);
+
+    const { notifications } = await queue.fetchPending(100);
+    assert.deepEqual(
+      notifications.map((n) => n.userId),
+      ["27", "28", "29"]
+    );
+  });
+
+  it("throws when the ack can't be written", async () => {
+    const missing = new NotificationQueue("no-such-table");
+
+    await assert.rejects(missing.acknowledge(["1#abc"]));
+  });
+});
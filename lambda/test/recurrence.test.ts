@@ -0,0 +1,229 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  expandRecurrence,
+  validateRecurrenceRule,
+  MAX_OCCURRENCES,
+  RecurrenceRule,
+} from "../src/utils/recurrence";
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const toSeconds = (iso: string) => Math.floor(Date.parse(iso) / 1000);
+
+// Local wall-clock "YYYY-MM-DD HH:MM" of an occurrence start
+function wallClock(startTime: number, timeZone: string): string {
+  return new Intl.DateTimeFormat("sv-SE", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(startTime * 1000));
+}
+
+function expand(startIso: string, rule: RecurrenceRule, hours = 4) {
+  const start = toSeconds(startIso);
+  return expandRecurrence(start, start + hours * HOUR, rule);
+}
+
+describe("expandRecurrence", () => {
+  it("keeps the wall-clock time across a DST change", () => {
+    // Berlin switches to summer time on 30 March 2025
+    const occurrences = expand("2025-03-20T18:00:00Z", {
+      frequency: "weekly",
+      timeZone: "Europe/Berlin",
+      count: 3,
+    });
+
+    assert.deepEqual(
+      occurrences.map((o) => wallClock(o.startTime, "Europe/Berlin")),
+      ["2025-03-20 19:00", "2025-03-27 19:00", "2025-04-03 19:00"]
+    );
+    // Only 167 hours between the sessions either side of the change
+    assert.equal(
+      occurrences[2].startTime - occurrences[1].startTime,
+      7 * DAY - HOUR
+    );
+    assert.ok(occurrences.every((o) => o.endTime - o.startTime === 4 * HOUR));
+  });
+
+  it("keeps the wall-clock time when DST ends", () => {
+    // New York falls back on 2 November 2025
+    const occurrences = expand("2025-10-28T23:30:00Z", {
+      frequency: "biweekly",
+      timeZone: "America/New_York",
+      count: 2,
+    });
+
+    assert.deepEqual(
+      occurrences.map((o) => wallClock(o.startTime, "America/New_York")),
+      ["2025-10-28 19:30", "2025-11-11 19:30"]
+    );
+  });
+
+  it("repeats monthly on the same nth weekday", () => {
+    // 10 January 2025 is the 2nd Friday
+    const occurrences = expand("2025-01-10T19:00:00Z", {
+      frequency: "monthly",
+      timeZone: "UTC",
+      count: 3,
+    });
+
+    assert.deepEqual(
+      occurrences.map((o) => wallClock(o.startTime, "UTC")),
+      ["2025-01-10 19:00", "2025-02-14 19:00", "2025-03-14 19:00"]
+    );
+  });
+
+  it("repeats on the last weekday when the first session is in the last week", () => {
+    // 28 January 2025 is the last Tuesday; April has five Tuesdays
+    const occurrences = expand("2025-01-28T19:00:00Z", {
+      frequency: "monthly",
+      timeZone: "UTC",
+      count: 4,
+    });
+
+    assert.deepEqual(
+      occurrences.map((o) => wallClock(o.startTime, "UTC")),
+      [
+        "2025-01-28 19:00",
+        "2025-02-25 19:00",
+        "2025-03-25 19:00",
+        "2025-04-29 19:00",
+      ]
+    );
+  });
+
+  it("falls back to the 4th weekday when a month has no 5th", () => {
+    // 29 May 2025 is the 5th Thursday and in the last week, so "last"
+    const occurrences = expand("2025-05-29T19:00:00Z", {
+      frequency: "monthly",
+      timeZone: "UTC",
+      count: 2,
+    });
+
+    assert.equal(
+      wallClock(occurrences[1].startTime, "UTC"),
+      "2025-06-26 19:00"
+    );
+  });
+
+  it("rolls monthly series over the year end", () => {
+    const occurrences = expand("2025-11-07T19:00:00Z", {
+      frequency: "monthly",
+      timeZone: "UTC",
+      count: 3,
+    });
+
+    assert.deepEqual(
+      occurrences.map((o) => wallClock(o.startTime, "UTC")),
+      ["2025-11-07 19:00", "2025-12-05 19:00", "2026-01-02 19:00"]
+    );
+  });
+
+  it("includes an occurrence starting exactly at the end date", () => {
+    const start = toSeconds("2025-01-06T19:00:00Z");
+    const occurrences = expandRecurrence(start, start + HOUR, {
+      frequency: "weekly",
+      timeZone: "UTC",
+      until: start + 14 * DAY,
+    });
+
+    assert.equal(occurrences.length, 3);
+    assert.deepEqual(
+      occurrences.map((o) => o.occurrenceIndex),
+      [0, 1, 2]
+    );
+  });
+
+  it(`caps an end-date series at ${MAX_OCCURRENCES} occurrences`, () => {
+    const start = toSeconds("2025-01-06T19:00:00Z");
+    const occurrences = expandRecurrence(start, start + HOUR, {
+      frequency: "weekly",
+      timeZone: "UTC",
+      until: start + 365 * DAY,
+    });
+
+    assert.equal(occurrences.length, MAX_OCCURRENCES);
+  });
+});
+
+describe("validateRecurrenceRule", () => {
+  const start = toSeconds("2025-01-06T19:00:00Z");
+
+  it("accepts a count up to the maximum", () => {
+    validateRecurrenceRule(
+      { frequency: "weekly", timeZone: "UTC", count: MAX_OCCURRENCES },
+      start
+    );
+  });
+
+  it("rejects counts outside 2 to the maximum", () => {
+    for (const count of [1, MAX_OCCURRENCES + 1, 2.5]) {
+      assert.throws(
+        () =>
+          validateRecurrenceRule(
+            { frequency: "weekly", timeZone: "UTC", count },
+            start
+          ),
+        /Occurrence count must be between 2/
+      );
+    }
+  });
+
+  it("rejects series longer than one year", () => {
+    assert.throws(
+      () =>
+        validateRecurrenceRule(
+          { frequency: "monthly", timeZone: "UTC", until: start + 367 * DAY },
+          start
+        ),
+      /at most one year/
+    );
+  });
+
+  it("rejects an end date before the first session", () => {
+    assert.throws(
+      () =>
+        validateRecurrenceRule(
+          { frequency: "weekly", timeZone: "UTC", until: start },
+          start
+        ),
+      /must be after the first session/
+    );
+  });
+
+  it("needs a count or an end date", () => {
+    assert.throws(
+      () =>
+        validateRecurrenceRule({ frequency: "weekly", timeZone: "UTC" }, start),
+      /either an occurrence count or an end date/
+    );
+  });
+
+  it("rejects unknown timezones and frequencies", () => {
+    assert.throws(
+      () =>
+        validateRecurrenceRule(
+          { frequency: "weekly", timeZone: "Mars/Olympus", count: 2 },
+          start
+        ),
+      /Invalid recurrence timezone/
+    );
+    assert.throws(
+      () =>
+        validateRecurrenceRule(
+          {
+            frequency: "daily" as RecurrenceRule["frequency"],
+            timeZone: "UTC",
+            count: 2,
+          },
+          start
+        ),
+      /Invalid recurrence frequency/
+    );
+  });
+});
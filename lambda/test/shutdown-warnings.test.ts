@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startLocalDynamoDB, LocalDynamoDB } from "./local-dynamodb";
+import { DynamoDBManager } from "../src/utils/dynamodb-manager";
+import { AutoShutdownManager } from "../src/utils/auto-shutdown-manager";
+import { ECSManager } from "../src/utils/ecs-manager";
+import { ALBManager } from "../src/utils/alb-manager";
+import { LicenseScheduler } from "../src/utils/license-scheduler";
+import { NotificationQueue } from "../src/utils/notification-queue";
+
+const TABLE = "test-shutdown-warnings";
+const USER_ID = "123456789012345678";
+
+// Publishes succeed unless `failing` is set, like a throttled queue table
+class FakeQueue {
+  published: unknown[] = [];
+  failing = false;
+
+  async publish(type: string, userId: string, data: object) {
+    if (this.failing) return null;
+    const notification = { type, userId, ...data };
+    this.published.push(notification);
+    return notification;
+  }
+}
+
+describe("AutoShutdownManager.queueShutdownWarnings", () => {
+  let db: LocalDynamoDB;
+  let dynamoManager: DynamoDBManager;
+  let queue: FakeQueue;
+  let manager: AutoShutdownManager;
+
+  before(async () => {
+    db = await startLocalDynamoDB();
+    await db.createTable(TABLE, "userId");
+    dynamoManager = new DynamoDBManager(TABLE);
+  });
+
+  after(() => db.stop());
+
+  beforeEach(async () => {
+    const now = Math.floor(Date.now() / 1000);
+    await db.put(TABLE, {
+      userId: USER_ID,
+      sanitizedUsername: "user",
+      status: "running",
+      accessPointId: "fsap-test",
+      adminKey: "key",
+      autoShutdownAt: now + 10 * 60,
+      createdAt: now,
+      updatedAt: now,
+    });
+    queue = new FakeQueue();
+    manager = new AutoShutdownManager(
+      dynamoManager,
+      {} as ECSManager,
+      {} as ALBManager,
+      {} as LicenseScheduler,
+      queue as unknown as NotificationQueue
+    );
+  });
+
+  it("warns once per threshold", async () => {
+    assert.equal(await manager.queueShutdownWarnings(), 1);
+    assert.equal(await manager.queueShutdownWarnings(), 0);
+
+    assert.equal(queue.published.length, 1);
+    const instance = await dynamoManager.getInstance(USER_ID);
+    assert.equal(instance?.shutdownWarning?.minutes, 15);
+  });
+
+  it("retries a warning that failed to queue", async () => {
+    queue.failing = true;
+    assert.equal(await manager.queueShutdownWarnings(), 0);
+    const instance = await dynamoManager.getInstance(USER_ID);
+    assert.equal(instance?.shutdownWarning, undefined);
+
+    queue.failing = false;
+    assert.equal(await manager.queueShutdownWarnings(), 1);
+    assert.equal(queue.published.length, 1);
+  });
+});
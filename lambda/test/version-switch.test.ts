@@ -0,0 +1,256 @@
+import { describe, it, before, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { startLocalDynamoDB, LocalDynamoDB } from "./local-dynamodb";
+import {
+  DynamoDBManager,
+  FoundryInstance,
+} from "../src/utils/dynamodb-manager";
+import { VersionSwitchManager } from "../src/utils/version-switch-manager";
+import { ECSManager } from "../src/utils/ecs-manager";
+import { EFSManager, EfsTaskOutcome } from "../src/utils/efs-manager";
+import { S3Manager } from "../src/utils/s3-manager";
+
+const TABLE = "test-version-switch";
+const USER_ID = "123456789012345678";
+
+// Records the tasks started instead of running them on ECS
+class FakeEFSManager {
+  started: { kind: string; uri: string; extra?: unknown }[] = [];
+  outcome: EfsTaskOutcome = { state: "running" };
+
+  async startBackupToS3(
+    _userId: string,
+    _ecsManager: unknown,
+    uri: string,
+    owner?: { uid: number; gid: number }
+  ) {
+    this.started.push({ kind: "backup", uri, extra: owner });
+    return `task-${this.started.length}`;
+  }
+
+  async startRestoreFromS3(
+    _userId: string,
+    _ecsManager: unknown,
+    uri: string,
+    targetVersion: string
+  ) {
+    this.started.push({ kind: "restore", uri, extra: targetVersion });
+    return `task-${this.started.length}`;
+  }
+
+  async getTaskOutcome() {
+    return this.outcome;
+  }
+
+  async resetPermissionsForVersionSwitch() {
+    this.started.push({ kind: "permission-reset", uri: "" });
+  }
+}
+
+describe("VersionSwitchManager", () => {
+  let db: LocalDynamoDB;
+  let dynamoManager: DynamoDBManager;
+  let efs: FakeEFSManager;
+  let deletedBackups: string[];
+  let switches: VersionSwitchManager;
+
+  const load = async () =>
+    switches.settle((await dynamoManager.getInstance(USER_ID))!);
+
+  const putInstance = (extra: Partial<FoundryInstance> = {}) =>
+    db.put(TABLE, {
+      userId: USER_ID,
+      sanitizedUsername: "user",
+      status: "stopped",
+      accessPointId: "fsap-test",
+      adminKey: "key",
+      foundryVersion: "13",
+      s3BucketName: "foundry-user-12345678",
+      createdAt: 1_700_000_000,
+      updatedAt: 1_700_000_000,
+      ...extra,
+    });
+
+  before(async () => {
+    db = await startLocalDynamoDB();
+    await db.createTable(TABLE, "userId");
+    dynamoManager = new DynamoDBManager(TABLE);
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await db.stop();
+  });
+
+  beforeEach(async () => {
+    efs = new FakeEFSManager();
+    deletedBackups = [];
+    const s3 = {
+      configureBucketPolicy: async () => {},
+      deleteBackup: async (_bucket: string, key: string) => {
+        deletedBackups.push(key);
+      },
+    };
+    switches = new VersionSwitchManager(
+      dynamoManager,
+      {} as ECSManager,
+      efs as unknown as EFSManager,
+      s3 as unknown as S3Manager
+    );
+    await putInstance();
+  });
+
+  it("keeps the version until the backup task succeeds", async () => {
+    const result = await switches.startSwitch(await load(), "12");
+    assert.deepEqual(result, { pending: true, previousVersion: "13" });
+
+    // The backup also hands the files to the v12 user
+    assert.equal(efs.started.length, 1);
+    assert.equal(efs.started[0].kind, "backup");
+    assert.match(
+      efs.started[0].uri,
+      /^s3:\/\/foundry-user-12345678\/backups\/version-switch\/\d+-v13\.tar\.gz$/
+    );
+    assert.deepEqual(efs.started[0].extra, { uid: 421, gid: 421 });
+
+    let instance = await load();
+    assert.equal(instance.foundryVersion, "13");
+    assert.equal(instance.versionSwitch?.state, "running");
+    await assert.rejects(
+      switches.checkNotInProgress(instance),
+      /still being backed up/
+    );
+
+    efs.outcome = { state: "succeeded" };
+    instance = await load();
+    assert.equal(instance.foundryVersion, "12");
+    assert.equal(instance.versionSwitch, undefined);
+    assert.equal(instance.versionBackup?.version, "13");
+
+    // Persisted, not just returned
+    const stored = await dynamoManager.getInstance(USER_ID);
+    assert.equal(stored?.foundryVersion, "12");
+    assert.equal(stored?.versionSwitch, undefined);
+    assert.deepEqual(deletedBackups, []);
+  });
+
+  it("deletes the previous backup once a newer one is in place", async () => {
+    const older = "backups/version-switch/1600000000-v12.tar.gz";
+    await putInstance({
+      versionBackup: { version: "12", s3Key: older, createdAt: 1_600_000_000 },
+    });
+
+    await switches.startSwitch(await load(), "14");
+    assert.deepEqual(deletedBackups, []);
+
+    efs.outcome = { state: "succeeded" };
+    const instance = await load();
+    assert.notEqual(instance.versionBackup?.s3Key, older);
+    assert.deepEqual(deletedBackups, [older]);
+  });
+
+  it("records a failed backup and leaves the version alone", async () => {
+    await switches.startSwitch(await load(), "12");
+
+    efs.outcome = { state: "failed", reason: "Task failed with exit code: 1" };
+    const instance = await load();
+
+    assert.equal(instance.foundryVersion, "13");
+    assert.equal(instance.versionBackup, undefined);
+    assert.equal(instance.versionSwitch?.state, "failed");
+    assert.equal(
+      instance.versionSwitch?.error,
+      "Task failed with exit code: 1"
+    );
+    // Whatever the task managed to upload is of no use
+    assert.deepEqual(deletedBackups, [instance.versionSwitch?.s3Key]);
+    // A failed attempt doesn't block the next one
+    await switches.checkNotInProgress(instance);
+  });
+
+  it("refuses to switch a running instance", async () => {
+    await putInstance({ status: "running" });
+
+    await assert.rejects(
+      switches.startSwitch(await load(), "12"),
+      /Stop your instance/
+    );
+    assert.equal(efs.started.length, 0);
+  });
+
+  it("refuses a second switch while the backup is running", async () => {
+    await switches.startSwitch(await load(), "12");
+
+    await assert.rejects(
+      switches.startSwitch(await load(), "14"),
+      /still being backed up/
+    );
+    assert.equal(efs.started.length, 1);
+  });
+
+  it("switches right away without a bucket", async () => {
+    await putInstance({
+      s3BucketName: undefined,
+      versionBackup: { version: "11", s3Key: "backups/old", createdAt: 1 },
+    });
+
+    const result = await switches.startSwitch(await load(), "12");
+
+    assert.deepEqual(result, { pending: false, previousVersion: "13" });
+    assert.deepEqual(
+      efs.started.map((task) => task.kind),
+      ["permission-reset"]
+    );
+    const instance = await load();
+    assert.equal(instance.foundryVersion, "12");
+    // An older backup would roll back past this switch
+    assert.equal(instance.versionBackup, undefined);
+  });
+
+  it("restores the backup and its version on rollback", async () => {
+    const backup = {
+      version: "12",
+      s3Key: "backups/version-switch/1700000000-v12.tar.gz",
+      createdAt: 1_700_000_000,
+    };
+    await putInstance({ versionBackup: backup });
+
+    assert.deepEqual(await switches.startRollback(await load()), backup);
+    assert.deepEqual(efs.started, [
+      {
+        kind: "restore",
+        uri: `s3://foundry-user-12345678/${backup.s3Key}`,
+        extra: "12",
+      },
+    ]);
+    await assert.rejects(
+      switches.checkNotInProgress(await load()),
+      /still being restored/
+    );
+
+    efs.outcome = { state: "succeeded" };
+    const instance = await load();
+    assert.equal(instance.foundryVersion, "12");
+    assert.equal(instance.versionBackup, undefined);
+    assert.equal(instance.versionSwitch, undefined);
+    assert.deepEqual(deletedBackups, [backup.s3Key]);
+  });
+
+  it("keeps the backup when a restore fails, so it can be retried", async () => {
+    const backup = {
+      version: "12",
+      s3Key: "backups/version-switch/1700000000-v12.tar.gz",
+      createdAt: 1_700_000_000,
+    };
+    await putInstance({ versionBackup: backup });
+    await switches.startRollback(await load());
+
+    efs.outcome = { state: "failed", reason: "Task failed with exit code: 1" };
+    const instance = await load();
+
+    assert.deepEqual(instance.versionBackup, backup);
+    assert.deepEqual(deletedBackups, []);
+  });
+});